@@ -0,0 +1,1154 @@
+#!/usr/bin/env node
+// Local REST/JSON API over the banking core, plus the browser app, which runs against
+// the API when served from here. Callers sign in for a bearer token, and each request
+// runs under that user's session, with the same roles, ownership checks and approvals
+// as the browser app. The server only listens on the loopback interface.
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+    BankingSystem,
+    FileStorageAdapter,
+    Money,
+    AccountRuleError,
+    AuthError,
+    FraudBlockedError,
+    IdempotencyError,
+    ApiError,
+    ROLES,
+    TRANSACTION_SORT_FIELDS,
+    TRANSACTION_CATEGORIES
+} = require('./bank-core.js');
+
+const DEFAULT_PORT = 3000;
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Tokens unused this long are forgotten. A locked session can be unlocked until then.
+const SESSION_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+// ============================================================================
+// OPENAPI DESCRIPTION
+// ============================================================================
+
+const moneySchema = { $ref: '#/components/schemas/Money' };
+const amountSchema = { type: 'string', pattern: '^\\d+(\\.\\d+)?$', example: '25.00' };
+const jsonBody = schema => ({ required: true, content: { 'application/json': { schema } } });
+const jsonResponse = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const errorResponse = description => jsonResponse(description, { $ref: '#/components/schemas/Error' });
+const accountNumberParameter = { name: 'accountNumber', in: 'path', required: true, schema: { type: 'string' } };
+const queryParameter = (name, schema, description) => ({ name, in: 'query', required: false, schema, description });
+const idempotencyKeyParameter = {
+    name: 'Idempotency-Key',
+    in: 'header',
+    required: false,
+    schema: { type: 'string', maxLength: 255 },
+    description: 'Retrying with the same key and body within 24 hours returns the first result instead of posting again'
+};
+const approvalParameter = { name: 'requestId', in: 'path', required: true, schema: { type: 'string' } };
+const pendingResponse = jsonResponse('The amount needs approval from a second user and is waiting for it', {
+    $ref: '#/components/schemas/PendingApproval'
+});
+
+const OPENAPI_DOCUMENT = {
+    openapi: '3.0.3',
+    info: {
+        title: 'SecureBank API',
+        version: '1.0.0',
+        description: 'Accounts, deposits, withdrawals, transfers, approvals, undo, the inbox and transaction queries. ' +
+            'Sign in at POST /sessions and send the token as Authorization: Bearer <token>. ' +
+            'Amounts are decimal strings in the account currency. Every error has the Error body.'
+    },
+    servers: [{ url: '/api' }],
+    security: [{ bearer: [] }],
+    paths: {
+        '/sessions': {
+            post: {
+                summary: 'Sign in',
+                security: [],
+                requestBody: jsonBody({ $ref: '#/components/schemas/SignIn' }),
+                responses: {
+                    201: jsonResponse('The session token', { $ref: '#/components/schemas/Session' }),
+                    400: errorResponse('The request is malformed'),
+                    401: errorResponse('The email, password or code is wrong, the account is locked out for a while, ' +
+                        'or the user has two-factor on and no code was sent (TWO_FACTOR_REQUIRED)'),
+                    403: errorResponse('The user has no password yet (PASSWORD_NOT_SET)')
+                }
+            }
+        },
+        '/password-setups': {
+            post: {
+                summary: 'Choose a first password with the setup code the bank issued, and sign in',
+                security: [],
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['email', 'setupCode', 'password'],
+                    properties: { email: { type: 'string' }, setupCode: { type: 'string' }, password: { type: 'string', minLength: 8 } }
+                }),
+                responses: {
+                    201: jsonResponse('The session token', { $ref: '#/components/schemas/Session' }),
+                    400: errorResponse('The request is malformed'),
+                    403: errorResponse('The setup code is not valid, or the password is too short')
+                }
+            }
+        },
+        '/sessions/current': {
+            delete: {
+                summary: 'Sign out',
+                responses: { 204: { description: 'The token no longer works' } }
+            }
+        },
+        '/sessions/current/lock': {
+            post: {
+                summary: 'Lock the session until the password is entered again',
+                responses: { 200: jsonResponse('The locked session', { $ref: '#/components/schemas/Session' }) }
+            }
+        },
+        '/sessions/current/unlock': {
+            post: {
+                summary: 'Unlock a locked session',
+                requestBody: jsonBody({ type: 'object', required: ['password'], properties: { password: { type: 'string' } } }),
+                responses: {
+                    200: jsonResponse('The unlocked session', { $ref: '#/components/schemas/Session' }),
+                    400: errorResponse('The request is malformed')
+                }
+            }
+        },
+        '/accounts': {
+            get: {
+                summary: 'List accounts',
+                responses: { 200: jsonResponse('Every account', { type: 'array', items: { $ref: '#/components/schemas/Account' } }) }
+            },
+            post: {
+                summary: 'Open an account',
+                requestBody: jsonBody({ $ref: '#/components/schemas/NewAccount' }),
+                responses: {
+                    201: jsonResponse('The new account', { $ref: '#/components/schemas/Account' }),
+                    400: errorResponse('The request is malformed'),
+                    422: errorResponse('The bank refused the account')
+                }
+            }
+        },
+        '/accounts/{accountNumber}': {
+            get: {
+                summary: 'Get an account',
+                parameters: [accountNumberParameter],
+                responses: {
+                    200: jsonResponse('The account', { $ref: '#/components/schemas/Account' }),
+                    404: errorResponse('No such account')
+                }
+            }
+        },
+        '/accounts/{accountNumber}/deposits': {
+            post: {
+                summary: 'Deposit into an account',
+                parameters: [accountNumberParameter, idempotencyKeyParameter],
+                requestBody: jsonBody({ $ref: '#/components/schemas/Movement' }),
+                responses: {
+                    201: jsonResponse('The posted transaction and the account after it', { $ref: '#/components/schemas/MovementResult' }),
+                    202: pendingResponse,
+                    400: errorResponse('The request is malformed'),
+                    404: errorResponse('No such account'),
+                    422: errorResponse('The account or fraud screening refused the deposit, or the idempotency key was used for another request')
+                }
+            }
+        },
+        '/accounts/{accountNumber}/withdrawals': {
+            post: {
+                summary: 'Withdraw from an account',
+                parameters: [accountNumberParameter, idempotencyKeyParameter],
+                requestBody: jsonBody({ $ref: '#/components/schemas/Movement' }),
+                responses: {
+                    201: jsonResponse('The posted transaction and the account after it', { $ref: '#/components/schemas/MovementResult' }),
+                    202: pendingResponse,
+                    400: errorResponse('The request is malformed'),
+                    404: errorResponse('No such account'),
+                    422: errorResponse('An account rule, such as INSUFFICIENT_FUNDS, or fraud screening refused the withdrawal, ' +
+                        'or the idempotency key was used for another request')
+                }
+            }
+        },
+        '/transfers': {
+            post: {
+                summary: 'Transfer between accounts',
+                parameters: [idempotencyKeyParameter],
+                requestBody: jsonBody({ $ref: '#/components/schemas/NewTransfer' }),
+                responses: {
+                    201: jsonResponse('Both legs of the transfer', { $ref: '#/components/schemas/TransferResult' }),
+                    202: pendingResponse,
+                    400: errorResponse('The request is malformed'),
+                    404: errorResponse('No such account'),
+                    422: errorResponse('An account rule or fraud screening refused the transfer, or the idempotency key was used for another request')
+                }
+            }
+        },
+        '/notifications/{notificationId}/read': {
+            post: {
+                summary: "Mark a notification in the signed-in user's inbox as read",
+                parameters: [{ name: 'notificationId', in: 'path', required: true, schema: { type: 'string' } }],
+                responses: {
+                    200: jsonResponse('The unread count left', { $ref: '#/components/schemas/InboxResult' }),
+                    404: errorResponse('No such notification in the inbox')
+                }
+            }
+        },
+        '/notifications/read-all': {
+            post: {
+                summary: "Mark everything in the signed-in user's inbox as read",
+                responses: { 200: jsonResponse('The unread count left', { $ref: '#/components/schemas/InboxResult' }) }
+            }
+        },
+        '/approvals/{requestId}/approve': {
+            post: {
+                summary: 'Approve a waiting request, which then posts',
+                parameters: [approvalParameter],
+                responses: {
+                    200: jsonResponse('The decided request', { $ref: '#/components/schemas/ApprovalRequest' }),
+                    404: errorResponse('No such request'),
+                    422: errorResponse('The request is already decided or expired, or failed when it ran')
+                }
+            }
+        },
+        '/approvals/{requestId}/reject': {
+            post: {
+                summary: 'Reject a waiting request',
+                parameters: [approvalParameter],
+                requestBody: jsonBody({ type: 'object', properties: { reason: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH } } }),
+                responses: {
+                    200: jsonResponse('The decided request', { $ref: '#/components/schemas/ApprovalRequest' }),
+                    400: errorResponse('The request is malformed'),
+                    404: errorResponse('No such request'),
+                    422: errorResponse('The request is already decided or expired')
+                }
+            }
+        },
+        '/undo': {
+            post: {
+                summary: 'Undo the most recent deposit, withdrawal or transfer',
+                responses: {
+                    200: jsonResponse('Whether anything was undone', { $ref: '#/components/schemas/TimelineResult' }),
+                    422: errorResponse('The command cannot be reversed')
+                }
+            }
+        },
+        '/redo': {
+            post: {
+                summary: 'Redo the most recently undone command',
+                responses: {
+                    200: jsonResponse('Whether anything was redone', { $ref: '#/components/schemas/TimelineResult' }),
+                    422: errorResponse('The command cannot be redone')
+                }
+            }
+        },
+        '/timeline': {
+            post: {
+                summary: 'Undo or redo commands until the timeline sits right after a position',
+                requestBody: jsonBody({
+                    type: 'object',
+                    required: ['position'],
+                    properties: { position: { type: 'integer', minimum: -1 } }
+                }),
+                responses: {
+                    200: jsonResponse('The new position', { $ref: '#/components/schemas/TimelineResult' }),
+                    400: errorResponse('The request is malformed'),
+                    422: errorResponse('A command on the way cannot be moved')
+                }
+            }
+        },
+        '/transactions': {
+            get: {
+                summary: 'Search transactions',
+                parameters: [
+                    queryParameter('accountNumber', { type: 'string' }, 'Only this account'),
+                    queryParameter('type', { type: 'string' }, 'Only this transaction type, e.g. deposit'),
+                    queryParameter('category', { type: 'string', enum: Object.keys(TRANSACTION_CATEGORIES) }),
+                    queryParameter('text', { type: 'string' }, 'Matches descriptions, ids and transfer ids'),
+                    queryParameter('from', { type: 'string', format: 'date-time' }),
+                    queryParameter('to', { type: 'string', format: 'date-time' }),
+                    queryParameter('minAmount', amountSchema, 'In the reporting currency'),
+                    queryParameter('maxAmount', amountSchema, 'In the reporting currency'),
+                    queryParameter('sortBy', { type: 'string', enum: Object.keys(TRANSACTION_SORT_FIELDS), default: 'date' }),
+                    queryParameter('sortOrder', { type: 'string', enum: ['asc', 'desc'], default: 'desc' }),
+                    queryParameter('page', { type: 'integer', minimum: 1, default: 1 }),
+                    queryParameter('pageSize', { type: 'integer', minimum: 1, maximum: 500, default: 25 })
+                ],
+                responses: {
+                    200: jsonResponse('One page of matches', { $ref: '#/components/schemas/TransactionPage' }),
+                    400: errorResponse('A query parameter is invalid')
+                }
+            }
+        },
+        '/state': {
+            get: {
+                summary: 'What the signed-in user may see of the saved state, which the browser app mirrors',
+                description: 'Staff get the whole bank and customers their own accounts and what belongs to them. ' +
+                    'Without a token the bank is empty. Credentials, setup codes and idempotency keys are never included.',
+                security: [{}, { bearer: [] }],
+                responses: {
+                    200: jsonResponse('The state in the persistence format', { type: 'object' }),
+                    401: errorResponse('The token is unknown or the session is locked')
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            bearer: { type: 'http', scheme: 'bearer', description: 'The token from POST /sessions' }
+        },
+        schemas: {
+            SignIn: {
+                type: 'object',
+                required: ['email', 'password'],
+                properties: {
+                    email: { type: 'string' },
+                    password: { type: 'string' },
+                    code: { type: 'string', description: 'Authenticator or recovery code, for users with two-factor on' }
+                }
+            },
+            Session: {
+                type: 'object',
+                properties: {
+                    token: { type: 'string', description: 'Only when signing in' },
+                    customerId: { type: 'string' },
+                    role: { type: 'string', enum: Object.keys(ROLES) },
+                    locked: { type: 'boolean' }
+                }
+            },
+            ApprovalRequest: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string' },
+                    summary: { type: 'string' },
+                    status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'expired', 'failed'] },
+                    requestedBy: { type: 'string' },
+                    requestedAt: { type: 'string', format: 'date-time' },
+                    expiresAt: { type: 'string', format: 'date-time' },
+                    decidedBy: { type: 'string', nullable: true },
+                    decidedAt: { type: 'string', format: 'date-time', nullable: true },
+                    reason: { type: 'string' }
+                }
+            },
+            InboxResult: {
+                type: 'object',
+                properties: { unread: { type: 'integer' } }
+            },
+            PendingApproval: {
+                type: 'object',
+                properties: { pendingApproval: { $ref: '#/components/schemas/ApprovalRequest' } }
+            },
+            Money: {
+                type: 'object',
+                required: ['amount', 'currency'],
+                properties: { amount: { type: 'string', example: '-12.50' }, currency: { type: 'string', example: 'USD' } }
+            },
+            Account: {
+                type: 'object',
+                properties: {
+                    accountNumber: { type: 'string' },
+                    accountType: { type: 'string', enum: ['savings', 'checking', 'fixed', 'loan'] },
+                    currency: { type: 'string' },
+                    balance: moneySchema,
+                    ownerIds: { type: 'array', items: { type: 'string' } },
+                    interestRate: { type: 'number' },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            },
+            NewAccount: {
+                type: 'object',
+                required: ['accountType', 'ownerIds'],
+                properties: {
+                    accountType: { type: 'string', enum: ['savings', 'checking', 'fixed', 'loan'] },
+                    currency: { type: 'string', default: 'USD', description: 'One the bank has exchange rates for, such as USD, EUR or GBP' },
+                    initialDeposit: amountSchema,
+                    ownerIds: { type: 'array', items: { type: 'string' }, minItems: 1 },
+                    fixedDeposit: {
+                        type: 'object',
+                        properties: {
+                            termMonths: { type: 'integer' },
+                            maturityInstruction: { type: 'string', enum: ['rollover', 'payout'] },
+                            payoutAccountNumber: { type: 'string' }
+                        }
+                    },
+                    loan: {
+                        type: 'object',
+                        required: ['principal', 'apr', 'termMonths', 'repaymentAccountNumber'],
+                        properties: {
+                            principal: amountSchema,
+                            apr: { type: 'number' },
+                            termMonths: { type: 'integer' },
+                            repaymentAccountNumber: { type: 'string' }
+                        }
+                    }
+                }
+            },
+            Movement: {
+                type: 'object',
+                required: ['amount'],
+                properties: { amount: amountSchema, description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH } }
+            },
+            NewTransfer: {
+                type: 'object',
+                required: ['fromAccountNumber', 'toAccountNumber', 'amount'],
+                properties: {
+                    fromAccountNumber: { type: 'string' },
+                    toAccountNumber: { type: 'string' },
+                    amount: { ...amountSchema, description: 'In the source account currency' },
+                    description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH }
+                }
+            },
+            Transaction: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    accountNumber: { type: 'string' },
+                    type: { type: 'string' },
+                    side: { type: 'string', enum: ['debit', 'credit'] },
+                    amount: moneySchema,
+                    balance: moneySchema,
+                    description: { type: 'string' },
+                    category: { type: 'string' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    transfer: {
+                        type: 'object',
+                        description: 'On transfer legs only',
+                        properties: {
+                            transferId: { type: 'string', description: 'Shared by both legs' },
+                            direction: { type: 'string', enum: ['in', 'out'] },
+                            counterpartAccountNumber: { type: 'string' },
+                            counterpartTransactionId: { type: 'integer' }
+                        }
+                    }
+                }
+            },
+            MovementResult: {
+                type: 'object',
+                properties: { transaction: { $ref: '#/components/schemas/Transaction' }, account: { $ref: '#/components/schemas/Account' } }
+            },
+            TransferResult: {
+                type: 'object',
+                properties: { from: { $ref: '#/components/schemas/Transaction' }, to: { $ref: '#/components/schemas/Transaction' } }
+            },
+            TimelineResult: {
+                type: 'object',
+                properties: { changed: { type: 'boolean' }, position: { type: 'integer' } }
+            },
+            TransactionPage: {
+                type: 'object',
+                properties: {
+                    items: { type: 'array', items: { $ref: '#/components/schemas/Transaction' } },
+                    total: { type: 'integer' },
+                    page: { type: 'integer' },
+                    pageSize: { type: 'integer' },
+                    totalPages: { type: 'integer' }
+                }
+            },
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: {
+                        type: 'object',
+                        required: ['code', 'message'],
+                        properties: {
+                            code: { type: 'string', example: 'INSUFFICIENT_FUNDS' },
+                            message: { type: 'string' },
+                            field: { type: 'string', description: 'The request field at fault, for INVALID_REQUEST' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Everything but signing in and /state needs an unlocked session, and may be refused
+// for the user's role or for accounts they do not own
+Object.values(OPENAPI_DOCUMENT.paths)
+    .flatMap(operations => Object.values(operations))
+    .filter(operation => !operation.security)
+    .forEach(operation => Object.assign(operation.responses, {
+        401: errorResponse('Not signed in (NOT_AUTHENTICATED), or the session is locked (SESSION_LOCKED)'),
+        403: errorResponse("The user's role or account ownership does not allow it")
+    }));
+
+// ============================================================================
+// REQUEST VALIDATION AND RESPONSE BODIES
+// ============================================================================
+
+function invalid(field, message) {
+    const error = new ApiError(400, 'INVALID_REQUEST', message);
+    error.field = field;
+    return error;
+}
+
+// Rejects fields the endpoint does not know, so typos do not pass silently
+function checkFields(body, required, optional = []) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw invalid(null, 'The request body must be a JSON object');
+    }
+    const missing = required.find(field => body[field] === undefined);
+    if (missing) {
+        throw invalid(missing, `${missing} is required`);
+    }
+    const unknown = Object.keys(body).find(field => !required.includes(field) && !optional.includes(field));
+    if (unknown) {
+        throw invalid(unknown, `Unknown field ${unknown}`);
+    }
+    return body;
+}
+
+function readString(value, field, maxLength = Infinity) {
+    if (typeof value !== 'string') {
+        throw invalid(field, `${field} must be a string`);
+    }
+    if (value.length > maxLength) {
+        throw invalid(field, `${field} must be at most ${maxLength} characters`);
+    }
+    return value;
+}
+
+function readAmount(value, field, currency) {
+    if (typeof value !== 'string' || !/^\d+(\.\d+)?$/.test(value.trim())) {
+        throw invalid(field, `${field} must be a decimal string such as "25.00"`);
+    }
+    try {
+        return Money.parse(value, currency);
+    } catch (error) {
+        throw invalid(field, error.message);
+    }
+}
+
+function readPositiveAmount(value, field, currency) {
+    const amount = readAmount(value, field, currency);
+    if (!amount.isPositive()) {
+        throw invalid(field, `${field} must be positive`);
+    }
+    return amount;
+}
+
+function readInteger(value, field, min, max = Infinity) {
+    const number = typeof value === 'string' ? Number(value) : value;
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw invalid(field, `${field} must be a whole number from ${min}${max === Infinity ? '' : ` to ${max}`}`);
+    }
+    return number;
+}
+
+function readDate(value, field) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw invalid(field, `${field} must be an ISO 8601 date`);
+    }
+    return date;
+}
+
+// The optional Idempotency-Key header, or null
+function readIdempotencyKey(headers) {
+    const key = headers['idempotency-key'];
+    if (key === undefined) {
+        return null;
+    }
+    if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+        throw invalid('Idempotency-Key', 'Idempotency-Key must be 1 to 255 printable characters without spaces');
+    }
+    return key;
+}
+
+function findAccount(bank, accountNumber) {
+    const account = bank.getAccount(accountNumber);
+    if (!account) {
+        throw new ApiError(404, 'ACCOUNT_NOT_FOUND', `Account ${accountNumber} not found`);
+    }
+    return account;
+}
+
+function moneyBody(money) {
+    return { amount: money.toDecimalString(), currency: money.currency };
+}
+
+function accountBody(account) {
+    return {
+        accountNumber: account.accountNumber,
+        accountType: account.accountType,
+        currency: account.currency,
+        balance: moneyBody(account.balance),
+        ownerIds: account.getOwners().map(customer => customer.id),
+        interestRate: account.getInterestRate(),
+        createdAt: account.createdAt.toISOString()
+    };
+}
+
+function transactionBody(transaction) {
+    return Object.fromEntries(Object.entries(transaction).map(([key, value]) => [
+        key,
+        value instanceof Money ? moneyBody(value) : value instanceof Date ? value.toISOString() : value
+    ]));
+}
+
+function approvalBody(request) {
+    return {
+        id: request.id,
+        summary: request.command.describe(),
+        status: request.status,
+        requestedBy: request.requestedBy,
+        requestedAt: request.requestedAt.toISOString(),
+        expiresAt: request.expiresAt.toISOString(),
+        decidedBy: request.decidedBy,
+        decidedAt: request.decidedAt ? request.decidedAt.toISOString() : null,
+        reason: request.reason
+    };
+}
+
+function sessionBody(bank, session, token = undefined) {
+    return { token, customerId: session.customerId, role: bank.getCustomer(session.customerId).role, locked: session.locked };
+}
+
+// 201 with what posted, or 202 when the amount waits for a second user's approval
+function submissionResponse(result, postedBody) {
+    return result.pendingApproval ?
+        [202, { pendingApproval: approvalBody(result.pendingApproval) }] :
+        [201, postedBody(result)];
+}
+
+function findApprovalRequest(bank, requestId) {
+    const request = bank.approvalQueue.requests.find(item => item.id === requestId);
+    if (!request) {
+        throw new ApiError(404, 'APPROVAL_NOT_FOUND', `Approval request ${requestId} not found`);
+    }
+    return request;
+}
+
+// The account numbers a serialized command touches
+function commandAccountNumbers(command) {
+    return [command.accountNumber, command.fromAccountNumber, command.toAccountNumber].filter(Boolean);
+}
+
+// What `session` may see of the saved state. Staff see the whole bank; customers see
+// their own accounts with the ledger entries behind them, themselves and their joint
+// owners, and what they set up. Without a session the bank is empty. Password hashes,
+// second-factor secrets, setup codes and idempotency keys never leave the server: the
+// credentials only say who has a password and who has two-factor on.
+function stateFor(bank, session) {
+    const state = bank.persistence.serialize(bank);
+    const credentials = customerIds => Object.fromEntries(customerIds
+        .filter(customerId => bank.auth.hasPassword(customerId))
+        .map(customerId => [customerId, { twoFactor: bank.auth.isTwoFactorEnabled(customerId) || null }]));
+    const common = { currentCustomerId: session ? session.customerId : null, idempotencyKeys: [] };
+
+    if (session && ROLES[bank.getSessionRole()].allAccounts) {
+        return { ...state, ...common, auth: { credentials: credentials([...bank.customers.keys()]), setupCodes: {} } };
+    }
+
+    const customerId = session ? session.customerId : null;
+    const accounts = state.accounts.filter(account => account.ownerIds.includes(customerId));
+    const visible = new Set(accounts.map(account => account.accountNumber));
+    const customerIds = new Set(accounts.flatMap(account => account.ownerIds));
+    if (customerId) {
+        customerIds.add(customerId);
+    }
+    const entries = state.generalLedger.entries.filter(entry => entry.postings.some(posting => visible.has(posting.account)));
+    const postedTo = new Set(entries.flatMap(entry => entry.postings.map(posting => posting.account)));
+    const customerAccounts = new Set(state.accounts.map(account => account.accountNumber));
+
+    return {
+        ...state,
+        ...common,
+        customers: state.customers
+            .filter(customer => customerIds.has(customer.id))
+            .map(customer => customer.id === customerId ? customer : { ...customer, inbox: [] }),
+        accounts,
+        transactionManager: { commands: [], currentPosition: -1 },
+        auditLedger: [],
+        generalLedger: {
+            ...state.generalLedger,
+            ledgerAccounts: state.generalLedger.ledgerAccounts
+                .filter(ledgerAccount => !customerAccounts.has(ledgerAccount.code) || postedTo.has(ledgerAccount.code)),
+            entries
+        },
+        interestAccrual: Object.fromEntries(Object.entries(state.interestAccrual)
+            .filter(([accountNumber]) => visible.has(accountNumber))),
+        approvals: state.approvals
+            .filter(request => commandAccountNumbers(request.command).every(accountNumber => visible.has(accountNumber))),
+        scheduledTransfers: state.scheduledTransfers.filter(schedule => visible.has(schedule.fromAccountNumber)),
+        payees: state.payees.filter(payee => payee.customerId === customerId),
+        payments: state.payments.filter(payment => visible.has(payment.fromAccountNumber)),
+        fraud: { ...state.fraud, reviews: [] },
+        categoryRules: state.categoryRules.filter(rule => rule.customerId === customerId),
+        budgets: state.budgets.filter(budget => budget.customerId === customerId),
+        auth: { credentials: credentials(customerId ? [customerId] : []), setupCodes: {} }
+    };
+}
+
+// Sign-in failures and missing or locked sessions; other AuthErrors are refusals
+const AUTHENTICATION_ERRORS = [
+    'NOT_AUTHENTICATED', 'SESSION_LOCKED', 'INVALID_CREDENTIALS', 'TWO_FACTOR_REQUIRED', 'INVALID_TWO_FACTOR_CODE', 'LOGIN_LOCKED'
+];
+
+// Maps what the banking core throws to a status and an error body. Rule and screening
+// refusals keep their codes; other plain Errors are the core refusing a request.
+function toErrorResponse(error) {
+    const body = (code, message, extra = {}) => ({ error: { code, message, ...extra } });
+    if (error instanceof ApiError) {
+        return { status: error.status, body: body(error.code, error.message, error.field ? { field: error.field } : {}) };
+    }
+    if (error instanceof AccountRuleError || error instanceof FraudBlockedError || error instanceof IdempotencyError) {
+        return { status: 422, body: body(error.code, error.message) };
+    }
+    if (error instanceof AuthError) {
+        return { status: AUTHENTICATION_ERRORS.includes(error.code) ? 401 : 403, body: body(error.code, error.message) };
+    }
+    if (error.constructor === Error) {
+        return { status: 422, body: body('REQUEST_REFUSED', error.message) };
+    }
+    console.error(error);
+    return { status: 500, body: body('INTERNAL_ERROR', 'The server could not complete the request') };
+}
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+// Each handler gets the bank, the path parameters, the parsed body, the query string,
+// the request headers and the SessionTokens, and returns [status, body]. Handlers run
+// under the session of the request's token, which routes need unlocked unless marked
+// PUBLIC (no session needed) or LOCKED_OK.
+const PUBLIC = 'public';
+const LOCKED_OK = 'locked-ok';
+
+const ROUTES = [
+    ['GET', /^\/openapi\.json$/, () => [200, OPENAPI_DOCUMENT], PUBLIC],
+
+    ['POST', /^\/sessions$/, async (bank, params, body, query, headers, tokens) => {
+        checkFields(body, ['email', 'password'], ['code']);
+        const code = body.code === undefined ? null : readString(body.code, 'code');
+        await bank.login(readString(body.email, 'email'), readString(body.password, 'password'), code);
+        return [201, sessionBody(bank, bank.auth.session, tokens.issue(bank.auth.session))];
+    }, PUBLIC],
+
+    ['POST', /^\/password-setups$/, async (bank, params, body, query, headers, tokens) => {
+        checkFields(body, ['email', 'setupCode', 'password']);
+        await bank.createPassword(
+            readString(body.email, 'email'),
+            readString(body.setupCode, 'setupCode'),
+            readString(body.password, 'password')
+        );
+        return [201, sessionBody(bank, bank.auth.session, tokens.issue(bank.auth.session))];
+    }, PUBLIC],
+
+    ['DELETE', /^\/sessions\/current$/, (bank, params, body, query, headers, tokens) => {
+        tokens.revoke(headers);
+        return [204];
+    }, LOCKED_OK],
+
+    ['POST', /^\/sessions\/current\/lock$/, (bank, params, body) => {
+        checkFields(body, []);
+        bank.lockSession();
+        return [200, sessionBody(bank, bank.auth.session)];
+    }, LOCKED_OK],
+
+    // Too many wrong passwords end the session, as on the browser's lock screen
+    ['POST', /^\/sessions\/current\/unlock$/, async (bank, params, body, query, headers, tokens) => {
+        checkFields(body, ['password']);
+        const session = bank.auth.session;
+        try {
+            await bank.unlockSession(readString(body.password, 'password'));
+        } finally {
+            if (!bank.auth.session) {
+                tokens.revoke(headers);
+            }
+        }
+        return [200, sessionBody(bank, session)];
+    }, LOCKED_OK],
+
+    // Without a token this is an empty bank, which the browser app starts from
+    ['GET', /^\/state$/, bank => [200, stateFor(bank, bank.auth.session && bank.auth.requireSession())], PUBLIC],
+
+    ['GET', /^\/accounts$/, bank => {
+        bank.authorize('view');
+        return [200, bank.getVisibleAccounts().map(accountBody)];
+    }],
+
+    ['POST', /^\/accounts$/, (bank, params, body) => {
+        checkFields(body, ['accountType', 'ownerIds'], ['currency', 'initialDeposit', 'fixedDeposit', 'loan']);
+        const accountType = readString(body.accountType, 'accountType');
+        if (!['savings', 'checking', 'fixed', 'loan'].includes(accountType)) {
+            throw invalid('accountType', 'accountType must be savings, checking, fixed or loan');
+        }
+        const currency = body.currency === undefined ? 'USD' : readString(body.currency, 'currency');
+        const currencies = bank.exchangeRateProvider.getSupportedCurrencies();
+        if (!currencies.includes(currency)) {
+            throw invalid('currency', `currency must be one of ${currencies.join(', ')}`);
+        }
+        if (!Array.isArray(body.ownerIds) || body.ownerIds.length === 0 || !body.ownerIds.every(id => typeof id === 'string')) {
+            throw invalid('ownerIds', 'ownerIds must list at least one customer id');
+        }
+        const unknownOwner = body.ownerIds.find(customerId => !bank.customers.has(customerId));
+        if (unknownOwner) {
+            throw new ApiError(404, 'CUSTOMER_NOT_FOUND', `Customer ${unknownOwner} not found`);
+        }
+        const initialDeposit = body.initialDeposit === undefined ?
+            Money.zero(currency) :
+            readAmount(body.initialDeposit, 'initialDeposit', currency);
+
+        const options = {};
+        if (body.fixedDeposit !== undefined) {
+            options.fixedDeposit = checkFields(body.fixedDeposit, [], ['termMonths', 'maturityInstruction', 'payoutAccountNumber']);
+        }
+        if (body.loan !== undefined) {
+            const loan = checkFields(body.loan, ['principal', 'apr', 'termMonths', 'repaymentAccountNumber']);
+            options.loan = { ...loan, principal: readPositiveAmount(loan.principal, 'loan.principal', currency) };
+        }
+        const account = bank.createAccount(accountType, initialDeposit, body.ownerIds, options);
+        return [201, accountBody(account)];
+    }],
+
+    ['GET', /^\/accounts\/([^/]+)$/, (bank, [accountNumber]) => {
+        const account = findAccount(bank, accountNumber);
+        bank.authorize('view', accountNumber);
+        return [200, accountBody(account)];
+    }],
+
+    ['POST', /^\/accounts\/([^/]+)\/(deposits|withdrawals)$/, (bank, [accountNumber, kind], body, query, headers) => {
+        const account = findAccount(bank, accountNumber);
+        checkFields(body, ['amount'], ['description']);
+        const amount = readPositiveAmount(body.amount, 'amount', account.currency);
+        const description = body.description === undefined ? '' : readString(body.description, 'description', MAX_DESCRIPTION_LENGTH);
+        const idempotencyKey = readIdempotencyKey(headers);
+        const result = kind === 'deposits' ?
+            bank.deposit(accountNumber, amount, description, idempotencyKey) :
+            bank.withdraw(accountNumber, amount, description, idempotencyKey);
+        return submissionResponse(result, transaction => ({ transaction: transactionBody(transaction), account: accountBody(account) }));
+    }],
+
+    ['POST', /^\/transfers$/, (bank, params, body, query, headers) => {
+        checkFields(body, ['fromAccountNumber', 'toAccountNumber', 'amount'], ['description']);
+        const fromAccount = findAccount(bank, readString(body.fromAccountNumber, 'fromAccountNumber'));
+        findAccount(bank, readString(body.toAccountNumber, 'toAccountNumber'));
+        const amount = readPositiveAmount(body.amount, 'amount', fromAccount.currency);
+        const description = body.description === undefined ? '' : readString(body.description, 'description', MAX_DESCRIPTION_LENGTH);
+        const result = bank.transfer(body.fromAccountNumber, body.toAccountNumber, amount, description, readIdempotencyKey(headers));
+        return submissionResponse(result, ({ from, to }) => ({ from: transactionBody(from), to: transactionBody(to) }));
+    }],
+
+    ['POST', /^\/notifications\/read-all$/, (bank, params, body) => {
+        checkFields(body, []);
+        bank.markAllNotificationsRead();
+        return [200, { unread: 0 }];
+    }],
+
+    ['POST', /^\/notifications\/([^/]+)\/read$/, (bank, [notificationId], body) => {
+        checkFields(body, []);
+        if (!bank.getCurrentCustomer().inbox.some(notification => notification.id === notificationId)) {
+            throw new ApiError(404, 'NOTIFICATION_NOT_FOUND', `Notification ${notificationId} is not in your inbox`);
+        }
+        bank.markNotificationRead(notificationId);
+        return [200, { unread: bank.getCurrentCustomer().getUnreadCount() }];
+    }],
+
+    ['POST', /^\/approvals\/([^/]+)\/approve$/, (bank, [requestId], body) => {
+        checkFields(body, []);
+        bank.authorize('approve');
+        return [200, approvalBody(bank.approveRequest(findApprovalRequest(bank, requestId).id))];
+    }],
+
+    ['POST', /^\/approvals\/([^/]+)\/reject$/, (bank, [requestId], body) => {
+        checkFields(body, [], ['reason']);
+        const reason = body.reason === undefined ? '' : readString(body.reason, 'reason', MAX_DESCRIPTION_LENGTH);
+        bank.authorize('approve');
+        return [200, approvalBody(bank.rejectRequest(findApprovalRequest(bank, requestId).id, reason))];
+    }],
+
+    ['POST', /^\/undo$/, (bank, params, body) => {
+        checkFields(body, []);
+        const changed = bank.undoLastTransaction();
+        return [200, { changed, position: bank.transactionManager.currentPosition }];
+    }],
+
+    ['POST', /^\/redo$/, (bank, params, body) => {
+        checkFields(body, []);
+        const changed = bank.redoTransaction();
+        return [200, { changed, position: bank.transactionManager.currentPosition }];
+    }],
+
+    ['POST', /^\/timeline$/, (bank, params, body) => {
+        checkFields(body, ['position']);
+        const position = readInteger(body.position, 'position', -1, bank.transactionManager.commandHistory.length - 1);
+        const before = bank.transactionManager.currentPosition;
+        bank.goToTimelinePosition(position);
+        return [200, { changed: before !== bank.transactionManager.currentPosition, position: bank.transactionManager.currentPosition }];
+    }],
+
+    ['GET', /^\/transactions$/, (bank, params, body, query) => {
+        const known = ['accountNumber', 'type', 'category', 'text', 'from', 'to', 'minAmount', 'maxAmount', 'sortBy', 'sortOrder', 'page', 'pageSize'];
+        const unknown = [...query.keys()].find(name => !known.includes(name));
+        if (unknown) {
+            throw invalid(unknown, `Unknown query parameter ${unknown}`);
+        }
+        const filters = {};
+        ['accountNumber', 'type', 'category', 'text'].forEach(name => {
+            if (query.has(name)) filters[name] = query.get(name);
+        });
+        if (filters.accountNumber) {
+            findAccount(bank, filters.accountNumber);
+        }
+        if (filters.category && !TRANSACTION_CATEGORIES[filters.category]) {
+            throw invalid('category', `Unknown category ${filters.category}`);
+        }
+        ['from', 'to'].forEach(name => {
+            if (query.has(name)) filters[name] = readDate(query.get(name), name);
+        });
+        ['minAmount', 'maxAmount'].forEach(name => {
+            if (query.has(name)) filters[name] = readAmount(query.get(name), name, bank.reportingCurrency);
+        });
+        if (query.has('sortBy')) {
+            filters.sortBy = query.get('sortBy');
+            if (!TRANSACTION_SORT_FIELDS[filters.sortBy]) {
+                throw invalid('sortBy', `sortBy must be one of ${Object.keys(TRANSACTION_SORT_FIELDS).join(', ')}`);
+            }
+        }
+        if (query.has('sortOrder')) {
+            filters.sortOrder = query.get('sortOrder');
+            if (!['asc', 'desc'].includes(filters.sortOrder)) {
+                throw invalid('sortOrder', 'sortOrder must be asc or desc');
+            }
+        }
+        if (query.has('page')) filters.page = readInteger(query.get('page'), 'page', 1);
+        if (query.has('pageSize')) filters.pageSize = readInteger(query.get('pageSize'), 'pageSize', 1, 500);
+
+        const result = bank.queryTransactions(filters);
+        return [200, { ...result, items: result.items.map(transactionBody) }];
+    }]
+];
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+// The browser app, served with a marker that makes it use the API as its backend
+const STATIC_FILES = {
+    '/': ['index.html', 'text/html; charset=utf-8'],
+    '/index.html': ['index.html', 'text/html; charset=utf-8'],
+    '/bank-core.js': ['bank-core.js', 'text/javascript; charset=utf-8'],
+    '/script.js': ['script.js', 'text/javascript; charset=utf-8'],
+    '/style.css': ['style.css', 'text/css; charset=utf-8']
+};
+
+// Bodies must be JSON. A page on another site can post a form as text/plain without
+// asking first, but not JSON, so this also keeps other sites from making requests.
+function readBody(request) {
+    const mediaType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (mediaType !== 'application/json') {
+        return Promise.reject(new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Request bodies must be sent as application/json'));
+    }
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        // The rest of an oversized body is read and dropped rather than the connection
+        // cut, which would lose the 413 before the client saw it
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new ApiError(413, 'BODY_TOO_LARGE', `Request bodies are limited to ${MAX_BODY_BYTES} bytes`));
+                chunks.length = 0;
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            if (size > MAX_BODY_BYTES) {
+                return;
+            }
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (!text) {
+                resolve({});
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(new ApiError(400, 'INVALID_JSON', 'The request body is not valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function sendJson(response, status, body) {
+    if (body === undefined) {
+        response.writeHead(status, { 'Cache-Control': 'no-store' });
+        response.end();
+        return;
+    }
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+function serveStatic(response, [file, contentType], root) {
+    let content = fs.readFileSync(path.join(root, file), 'utf8');
+    if (file === 'index.html') {
+        content = content.replace('<head>', '<head>\n    <meta name="bank-api" content="/api">');
+    }
+    response.writeHead(200, { 'Content-Type': contentType });
+    response.end(content);
+}
+
+// Signed-in sessions by bearer token. They live in memory only, so restarting the
+// server signs everyone out.
+class SessionTokens {
+    constructor(clock) {
+        this.clock = clock;
+        this.sessions = new Map();
+    }
+
+    issue(session) {
+        const token = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(token, session);
+        return token;
+    }
+
+    // The session for the token in the Authorization header, or null
+    find(headers) {
+        const now = this.clock.now();
+        this.sessions.forEach((session, token) => {
+            if (now - session.lastActivity >= SESSION_TOKEN_TTL_MS) {
+                this.sessions.delete(token);
+            }
+        });
+        return this.sessions.get(readBearerToken(headers)) || null;
+    }
+
+    revoke(headers) {
+        this.sessions.delete(readBearerToken(headers));
+    }
+}
+
+function readBearerToken(headers) {
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+// Runs one task at a time, in the order given. Signing in waits on password hashing,
+// and no other request may reload or change the bank's state meanwhile.
+function createTaskQueue() {
+    let last = Promise.resolve();
+    return task => {
+        const result = last.then(task);
+        last = result.catch(() => {});
+        return result;
+    };
+}
+
+// Runs a matched route under the session of the request's token. The bank holds one
+// session at a time, so it is only set for the length of the request.
+async function runRoute(bank, tokens, { handler, access }, params, body, request, url) {
+    // The CLI may have written the state file since the last request. Working from what
+    // it saved keeps the server from saving over it.
+    bank.reloadState();
+    if (request.method === 'POST' && bank.persistence.readOnly) {
+        throw new ApiError(503, 'STATE_UNAVAILABLE', 'The saved state could not be loaded, so changes are not accepted');
+    }
+    const session = tokens.find(request.headers);
+    if (access !== PUBLIC && !(session && bank.customers.has(session.customerId))) {
+        throw new AuthError('NOT_AUTHENTICATED', "Sign in to continue");
+    }
+    bank.auth.session = session;
+    bank.currentCustomerId = session ? session.customerId : null;
+    try {
+        if (access !== PUBLIC && access !== LOCKED_OK) {
+            bank.auth.requireSession();
+        }
+        return await handler(bank, params, body, url.searchParams, request.headers, tokens);
+    } finally {
+        bank.auth.session = null;
+        bank.currentCustomerId = null;
+    }
+}
+
+async function handleApiRequest(bank, tokens, runExclusively, request, url) {
+    const route = url.pathname.slice('/api'.length);
+    const matches = ROUTES
+        .map(([method, pattern, handler, access]) => ({ method, handler, access, match: pattern.exec(route) }))
+        .filter(({ match }) => match);
+    if (matches.length === 0) {
+        throw new ApiError(404, 'NOT_FOUND', `No endpoint at ${url.pathname}`);
+    }
+    const matched = matches.find(({ method }) => method === request.method);
+    if (!matched) {
+        throw new ApiError(405, 'METHOD_NOT_ALLOWED', `${url.pathname} accepts ${matches.map(({ method }) => method).join(', ')}`);
+    }
+    const body = request.method === 'POST' ? await readBody(request) : undefined;
+    const params = matched.match.slice(1).map(param => {
+        try {
+            return decodeURIComponent(param);
+        } catch (error) {
+            throw invalid(null, `The path has a malformed escape: ${param}`);
+        }
+    });
+    return runExclusively(() => runRoute(bank, tokens, matched, params, body, request, url));
+}
+
+// Listening on loopback is not enough on its own: a site whose DNS name is rebound to
+// 127.0.0.1 counts as same-origin with the server. Its requests carry its own name in
+// Host, and in Origin when they have one, so both must name this server.
+function checkRequestOrigin(request, port) {
+    const local = [`127.0.0.1:${port}`, `localhost:${port}`];
+    if (!local.includes((request.headers.host || '').toLowerCase())) {
+        throw new ApiError(403, 'HOST_NOT_ALLOWED', `Requests must be addressed to ${local.join(' or ')}`);
+    }
+    const origin = request.headers.origin;
+    if (origin !== undefined && !local.map(host => `http://${host}`).includes(origin.toLowerCase())) {
+        throw new ApiError(403, 'ORIGIN_NOT_ALLOWED', 'Requests from other sites are not accepted');
+    }
+}
+
+// `root` is where the browser app's files are. Anything else that works on `bank`
+// while the server runs should go through `runExclusively` too.
+function createApiServer(bank, root = __dirname, runExclusively = createTaskQueue()) {
+    const tokens = new SessionTokens(bank.clock);
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        try {
+            checkRequestOrigin(request, server.address().port);
+        } catch (error) {
+            const { status, body } = toErrorResponse(error);
+            sendJson(response, status, body);
+            return;
+        }
+        if (!url.pathname.startsWith('/api/')) {
+            const file = request.method === 'GET' && STATIC_FILES[url.pathname];
+            if (file) {
+                serveStatic(response, file, root);
+            } else {
+                sendJson(response, 404, { error: { code: 'NOT_FOUND', message: `Nothing at ${url.pathname}` } });
+            }
+            return;
+        }
+        try {
+            const [status, body] = await handleApiRequest(bank, tokens, runExclusively, request, url);
+            sendJson(response, status, body);
+        } catch (error) {
+            const { status, body } = toErrorResponse(error);
+            sendJson(response, status, body);
+        }
+    });
+    return server;
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    const statePath = process.env.BANK_STATE || 'bank-state.json';
+    const bank = new BankingSystem(new FileStorageAdapter(statePath));
+    const runExclusively = createTaskQueue();
+    // Accrue interest and run schedules hourly, as the browser app does while open
+    setInterval(() => runExclusively(() => {
+        bank.reloadState();
+        bank.runDailyProcessing();
+    }), 60 * 60 * 1000);
+    createApiServer(bank, __dirname, runExclusively).listen(port, '127.0.0.1', () => {
+        console.log(`SecureBank API on http://127.0.0.1:${port}/api (app at http://127.0.0.1:${port}/), state in ${statePath}`);
+    });
+}
+
+module.exports = { createApiServer, toErrorResponse, OPENAPI_DOCUMENT };
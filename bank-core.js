@@ -0,0 +1,8253 @@
+// Banking Application with Design Patterns Implementation
+// The banking core: money, accounts, the ledger and the BankingSystem that runs them.
+// It never touches the DOM, so the browser loads it ahead of script.js and Node loads
+// it with require().
+
+// ============================================================================
+// MONEY - Value Type Storing Integer Minor Units
+// ============================================================================
+
+class Money {
+    constructor(minorUnits, currency = 'USD') {
+        if (!Number.isSafeInteger(minorUnits)) {
+            throw new Error(`Money requires a safe integer amount of minor units, got ${minorUnits}`);
+        }
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            throw new Error(`"${currency}" is not an ISO 4217 currency code`);
+        }
+        this.minorUnits = minorUnits;
+        this.currency = currency;
+        Object.freeze(this);
+    }
+
+    static zero(currency = 'USD') {
+        return new Money(0, currency);
+    }
+
+    static fromMinor(minorUnits, currency = 'USD') {
+        return new Money(minorUnits, currency);
+    }
+
+    static fromJSON(data) {
+        return new Money(data.minorUnits, data.currency);
+    }
+
+    // Number of minor-unit digits for a currency, e.g. 2 for USD and 0 for JPY
+    static minorDigits(currency) {
+        if (!Money.digitsCache.has(currency)) {
+            const formatter = new Intl.NumberFormat('en', { style: 'currency', currency });
+            Money.digitsCache.set(currency, formatter.resolvedOptions().maximumFractionDigits);
+        }
+        return Money.digitsCache.get(currency);
+    }
+
+    // Parses a decimal string exactly; more fractional digits than the currency allows is an error
+    static parse(input, currency = 'USD') {
+        const text = String(input).trim();
+        const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(text);
+
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`"${text}" is not a valid amount`);
+        }
+
+        const digits = Money.minorDigits(currency);
+        const fraction = match[3] || '';
+        if (fraction.length > digits) {
+            throw new Error(`Amounts in ${currency} cannot have more than ${digits} decimal places`);
+        }
+
+        const minorUnits = Number((match[2] || '0') + fraction.padEnd(digits, '0'));
+        return new Money(match[1] ? -minorUnits : minorUnits, currency);
+    }
+
+    // Divides two BigInts, rounding half to even (banker's rounding)
+    static roundHalfEven(numerator, denominator) {
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+
+        let quotient = numerator / denominator;
+        const remainder = numerator % denominator;
+        const twiceRemainder = (remainder < 0n ? -remainder : remainder) * 2n;
+        const sign = numerator < 0n ? -1n : 1n;
+
+        if (twiceRemainder > denominator || (twiceRemainder === denominator && quotient % 2n !== 0n)) {
+            quotient += sign;
+        }
+
+        return quotient;
+    }
+
+    // Converts a JS number to an exact fraction of its shortest decimal representation
+    static toFraction(value) {
+        const [mantissa, exponentPart] = String(value).toLowerCase().split('e');
+        const [whole, fraction = ''] = mantissa.split('.');
+        let numerator = BigInt(whole + fraction);
+        let denominator = 10n ** BigInt(fraction.length);
+        const exponent = Number(exponentPart || 0);
+
+        if (exponent > 0) {
+            numerator *= 10n ** BigInt(exponent);
+        } else if (exponent < 0) {
+            denominator *= 10n ** BigInt(-exponent);
+        }
+
+        return { numerator, denominator };
+    }
+
+    assertSameCurrency(other) {
+        if (other.currency !== this.currency) {
+            throw new Error(`Currency mismatch: ${this.currency} and ${other.currency}`);
+        }
+    }
+
+    add(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minorUnits + other.minorUnits, this.currency);
+    }
+
+    subtract(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minorUnits - other.minorUnits, this.currency);
+    }
+
+    negate() {
+        return new Money(-this.minorUnits, this.currency);
+    }
+
+    // Multiplies by factors such as a rate and a period exactly, rounding once (banker's rounding)
+    multiply(...factors) {
+        let numerator = BigInt(this.minorUnits);
+        let denominator = 1n;
+
+        factors.forEach(factor => {
+            const fraction = Money.toFraction(factor);
+            numerator *= fraction.numerator;
+            denominator *= fraction.denominator;
+        });
+
+        return new Money(Number(Money.roundHalfEven(numerator, denominator)), this.currency);
+    }
+
+    // Converts into another currency at `rate` units of target per unit of this currency
+    convertTo(currency, rate) {
+        if (currency === this.currency) {
+            return this;
+        }
+
+        const { numerator, denominator } = Money.toFraction(rate);
+        const digitShift = Money.minorDigits(currency) - Money.minorDigits(this.currency);
+        const scaledNumerator = BigInt(this.minorUnits) * numerator * 10n ** BigInt(Math.max(digitShift, 0));
+        const scaledDenominator = denominator * 10n ** BigInt(Math.max(-digitShift, 0));
+
+        return new Money(Number(Money.roundHalfEven(scaledNumerator, scaledDenominator)), currency);
+    }
+
+    compare(other) {
+        this.assertSameCurrency(other);
+        return Math.sign(this.minorUnits - other.minorUnits);
+    }
+
+    equals(other) {
+        return this.currency === other.currency && this.minorUnits === other.minorUnits;
+    }
+
+    greaterThan(other) {
+        return this.compare(other) > 0;
+    }
+
+    lessThan(other) {
+        return this.compare(other) < 0;
+    }
+
+    isZero() {
+        return this.minorUnits === 0;
+    }
+
+    isPositive() {
+        return this.minorUnits > 0;
+    }
+
+    isNegative() {
+        return this.minorUnits < 0;
+    }
+
+    toDecimalString() {
+        const digits = Money.minorDigits(this.currency);
+        const absolute = String(Math.abs(this.minorUnits)).padStart(digits + 1, '0');
+        const major = absolute.slice(0, absolute.length - digits);
+        const minor = digits > 0 ? `.${absolute.slice(-digits)}` : '';
+        return `${this.minorUnits < 0 ? '-' : ''}${major}${minor}`;
+    }
+
+    format(locale = undefined) {
+        const key = `${locale || ''}|${this.currency}`;
+        if (!Money.formatterCache.has(key)) {
+            Money.formatterCache.set(key, new Intl.NumberFormat(locale, {
+                style: 'currency',
+                currency: this.currency
+            }));
+        }
+        // Formatting goes through the exact decimal string, never through float arithmetic
+        return Money.formatterCache.get(key).format(this.toDecimalString());
+    }
+
+    toJSON() {
+        return {
+            minorUnits: this.minorUnits,
+            currency: this.currency
+        };
+    }
+
+    static sum(amounts, currency = 'USD') {
+        return amounts.reduce((total, amount) => total.add(amount), Money.zero(currency));
+    }
+}
+
+Money.digitsCache = new Map();
+Money.formatterCache = new Map();
+
+// ============================================================================
+// EXCHANGE RATES - Pluggable Rate Providers
+// ============================================================================
+
+class ExchangeRateProvider {
+    // Returns the number of `to` units one unit of `from` buys
+    getRate(from, to) {
+        throw new Error("ExchangeRateProvider must implement getRate method");
+    }
+
+    getSupportedCurrencies() {
+        throw new Error("ExchangeRateProvider must implement getSupportedCurrencies method");
+    }
+}
+
+class StaticExchangeRateProvider extends ExchangeRateProvider {
+    // Offline table of units per US dollar
+    constructor(ratesPerUsd = { USD: 1, EUR: 0.92, GBP: 0.79 }) {
+        super();
+        this.ratesPerUsd = ratesPerUsd;
+    }
+
+    getRate(from, to) {
+        if (from === to) {
+            return 1;
+        }
+
+        const fromRate = this.ratesPerUsd[from];
+        const toRate = this.ratesPerUsd[to];
+        if (fromRate === undefined || toRate === undefined) {
+            throw new Error(`No exchange rate available from ${from} to ${to}`);
+        }
+
+        // Cross rates are recorded to six decimal places
+        return Number((toRate / fromRate).toFixed(6));
+    }
+
+    getSupportedCurrencies() {
+        return Object.keys(this.ratesPerUsd);
+    }
+}
+
+// ============================================================================
+// DOMAIN EVENTS - Typed Events Published on an Event Bus
+// ============================================================================
+
+// Events carry structured payloads (Money amounts, account numbers, ids) and no display
+// text; `formatEvent` turns them into messages. `accountNumbers` lists the accounts
+// whose observers hear about the event.
+class DomainEvent {
+    constructor(type, payload, occurredAt = new Date()) {
+        this.type = type;
+        Object.assign(this, payload);
+        this.occurredAt = occurredAt;
+    }
+
+    get accountNumbers() {
+        return [this.accountNumber];
+    }
+}
+
+// { accountNumber, accountType, currency, initialBalance }
+class AccountCreated extends DomainEvent {
+    constructor(payload) { super('AccountCreated', payload); }
+}
+
+// { accountNumber, transactionId, amount, balance, description }
+class FundsDeposited extends DomainEvent {
+    constructor(payload) { super('FundsDeposited', payload); }
+}
+
+// { accountNumber, transactionId, amount, balance, description }
+class FundsWithdrawn extends DomainEvent {
+    constructor(payload) { super('FundsWithdrawn', payload); }
+}
+
+// { fromAccountNumber, toAccountNumber, amount, convertedAmount, fromBalance, toBalance,
+//   transferId, fromTransactionId, toTransactionId, description }
+class TransferCompleted extends DomainEvent {
+    constructor(payload) { super('TransferCompleted', payload); }
+
+    get accountNumbers() {
+        return [this.fromAccountNumber, this.toAccountNumber];
+    }
+}
+
+// { commandType, summary, accountNumbers, balances: { accountNumber: Money } }
+class TransactionUndone extends DomainEvent {
+    constructor(payload) { super('TransactionUndone', payload); }
+
+    get accountNumbers() {
+        return Object.keys(this.balances);
+    }
+}
+
+// { accountNumber, transactionId, amount, balance }
+class InterestPosted extends DomainEvent {
+    constructor(payload) { super('InterestPosted', payload); }
+}
+
+// { accountNumber, transactionId, amount, balance, description, kind: 'fee' | 'overdraft-interest' }
+class ChargeApplied extends DomainEvent {
+    constructor(payload) { super('ChargeApplied', payload); }
+}
+
+// { accountNumber, outcome: 'paid-out' | 'rolled-over', payoutAccountNumber, maturityDate }
+class FixedDepositMatured extends DomainEvent {
+    constructor(payload) { super('FixedDepositMatured', payload); }
+}
+
+// { accountNumber, strategy, effectiveFrom }
+class InterestRateChanged extends DomainEvent {
+    constructor(payload) { super('InterestRateChanged', payload); }
+}
+
+// { requestId, summary, involvedAccounts, requestedBy, expiresAt }
+class ApprovalRequested extends DomainEvent {
+    constructor(payload) { super('ApprovalRequested', payload); }
+
+    get accountNumbers() {
+        return this.involvedAccounts;
+    }
+}
+
+// { requestId, summary, involvedAccounts, requestedBy, status, decidedBy, reason }
+class ApprovalDecided extends DomainEvent {
+    constructor(payload) { super('ApprovalDecided', payload); }
+
+    get accountNumbers() {
+        return this.involvedAccounts;
+    }
+}
+
+// { scheduleId, accountNumber, toAccountNumber, amount, attempt, maxAttempts, nextRetryAt, reason }
+// where `nextRetryAt` is null once the payment has been given up
+class ScheduledTransferFailed extends DomainEvent {
+    constructor(payload) { super('ScheduledTransferFailed', payload); }
+}
+
+// { paymentId, accountNumber, payeeName, amount, balance, status, reason }
+class PaymentStatusChanged extends DomainEvent {
+    constructor(payload) { super('PaymentStatusChanged', payload); }
+}
+
+// { reviewId, summary, involvedAccounts, outcome, reasons } where `outcome` is
+// 'flagged' or 'blocked'
+class TransactionFlagged extends DomainEvent {
+    constructor(payload) { super('TransactionFlagged', payload); }
+
+    get accountNumbers() {
+        return this.involvedAccounts;
+    }
+}
+
+// Handlers subscribe to one event type, or to '*' for every event
+class LoanDisbursed extends DomainEvent {
+    constructor(payload) { super('LoanDisbursed', payload); }
+
+    get accountNumbers() {
+        return [this.accountNumber, this.toAccountNumber];
+    }
+}
+
+class LoanPaymentMissed extends DomainEvent {
+    constructor(payload) { super('LoanPaymentMissed', payload); }
+}
+
+class LoanPaidOff extends DomainEvent {
+    constructor(payload) { super('LoanPaidOff', payload); }
+}
+
+class BudgetThresholdReached extends DomainEvent {
+    constructor(payload) { super('BudgetThresholdReached', payload); }
+
+    // About one customer's budget rather than any account
+    get accountNumbers() {
+        return [];
+    }
+}
+
+class EventBus {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    // Returns a function that removes the subscription
+    subscribe(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+        return () => {
+            const handlers = this.handlers.get(type);
+            const index = handlers.indexOf(handler);
+            if (index > -1) {
+                handlers.splice(index, 1);
+            }
+        };
+    }
+
+    publish(event) {
+        [...(this.handlers.get(event.type) || []), ...(this.handlers.get('*') || [])]
+            .forEach(handler => handler(event));
+    }
+}
+
+// Escapes text for HTML and XML output
+function escapeMarkup(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Formatter layer: the notification text for each event type. `eventType` is the
+// notification preference it falls under; withdrawals also feed large-withdrawal
+// and low-balance alerts from `amount` and `balance`.
+const EVENT_FORMATTERS = {
+    AccountCreated: event => ({
+        level: 'success',
+        message: event.accountType === 'loan' ?
+            `Loan account ${event.accountNumber} opened` :
+            `${capitalize(event.accountType)} account ${event.accountNumber} created with initial deposit of ${event.initialBalance.format()}`
+    }),
+    FundsDeposited: event => ({
+        level: 'success',
+        message: `Deposit of ${event.amount.format()} successful. New balance: ${event.balance.format()}`
+    }),
+    FundsWithdrawn: event => ({
+        eventType: 'withdrawal',
+        level: 'success',
+        message: `Withdrawal of ${event.amount.format()} successful. New balance: ${event.balance.format()}`
+    }),
+    TransferCompleted: event => ({
+        eventType: 'withdrawal',
+        accountNumber: event.fromAccountNumber,
+        balance: event.fromBalance,
+        level: 'success',
+        message: `Transfer of ${event.amount.format()} from ${event.fromAccountNumber} to ${event.toAccountNumber} completed` +
+            (event.convertedAmount.currency !== event.amount.currency ? ` (${event.convertedAmount.format()} received)` : '')
+    }),
+    TransactionUndone: event => ({
+        level: 'warning',
+        message: `${event.summary} has been undone. ` + Object.entries(event.balances)
+            .map(([accountNumber, balance]) => `${accountNumber} balance: ${balance.format()}`)
+            .join(', ')
+    }),
+    InterestPosted: event => ({
+        eventType: 'interest-posted',
+        level: 'success',
+        message: `Interest of ${event.amount.format()} posted to ${event.accountNumber}. New balance: ${event.balance.format()}`
+    }),
+    // Loan balances are negative by design, so loan charges skip the low-balance alert
+    ChargeApplied: event => ({
+        eventType: event.kind === 'loan-interest' || event.kind === 'late-fee' ? 'general' : 'debit',
+        level: 'warning',
+        message: {
+            'overdraft-interest': `Overdraft interest of ${event.amount.format()} charged to ${event.accountNumber}. New balance: ${event.balance.format()}`,
+            'loan-interest': `Interest of ${event.amount.format()} added to loan ${event.accountNumber}. Now owed: ${event.balance.negate().format()}`
+        }[event.kind] || `Fee of ${event.amount.format()} charged to ${event.accountNumber}: ${event.description}`
+    }),
+    FixedDepositMatured: event => ({
+        level: event.outcome === 'paid-out' ? 'success' : 'info',
+        message: event.outcome === 'paid-out' ?
+            `Fixed deposit ${event.accountNumber} matured and was paid out to ${event.payoutAccountNumber}` :
+            `Fixed deposit ${event.accountNumber} matured and rolled over until ${event.maturityDate.toLocaleDateString()}`
+    }),
+    ScheduledTransferFailed: event => ({
+        level: event.nextRetryAt ? 'warning' : 'error',
+        message: `Scheduled transfer of ${event.amount.format()} from ${event.accountNumber} to ${event.toAccountNumber} failed: ${event.reason}. ` +
+            (event.nextRetryAt ?
+                `Retrying ${event.nextRetryAt.toLocaleString()}` :
+                `The payment was not made after ${event.attempt} of ${event.maxAttempts} attempts`)
+    }),
+    // A new payment takes money out like a withdrawal, so it feeds the same alerts
+    PaymentStatusChanged: event => ({
+        eventType: event.status === 'pending' ? 'withdrawal' : 'general',
+        level: { returned: 'error', settled: 'success' }[event.status] || 'info',
+        message: {
+            pending: `${event.amount.format()} held in ${event.accountNumber} for a payment to ${event.payeeName}. New balance: ${event.balance.format()}`,
+            submitted: `Payment of ${event.amount.format()} to ${event.payeeName} has been sent`,
+            settled: `Payment of ${event.amount.format()} to ${event.payeeName} has settled`,
+            returned: `Payment of ${event.amount.format()} to ${event.payeeName} was returned: ${event.reason}. ${event.amount.format()} is back in ${event.accountNumber}`
+        }[event.status]
+    }),
+    TransactionFlagged: event => ({
+        level: event.outcome === 'blocked' ? 'error' : 'warning',
+        message: `${event.summary} was ${event.outcome === 'blocked' ? 'blocked' : 'flagged for review'}: ` +
+            event.reasons.map(hit => hit.reason).join('; ')
+    }),
+    LoanDisbursed: event => ({
+        level: 'success',
+        message: `Loan ${event.accountNumber} paid ${event.amount.format()} into ${event.toAccountNumber}. ` +
+            `Repayments: ${event.termMonths} monthly installments of ${event.installment.format()}`
+    }),
+    LoanPaymentMissed: event => ({
+        level: 'error',
+        message: `Installment ${event.installmentNumber} of ${event.amountDue.format()} on loan ${event.accountNumber} was missed ` +
+            `(${event.reason}). A late fee of ${event.lateFee.format()} has been added; we will keep trying ${event.repaymentAccountNumber}`
+    }),
+    LoanPaidOff: event => ({
+        level: 'success',
+        message: `Loan ${event.accountNumber} is paid off`
+    }),
+    BudgetThresholdReached: event => ({
+        eventType: 'budget-alert',
+        level: event.exceeded ? 'error' : 'warning',
+        message: event.exceeded ?
+            `${TRANSACTION_CATEGORIES[event.category]} spending of ${event.spent.format()} this month is over its ${event.limit.format()} budget` :
+            `${TRANSACTION_CATEGORIES[event.category]} spending has reached ${event.percent}% of its ${event.limit.format()} budget this month`
+    }),
+    ApprovalRequested: event => ({
+        level: 'info',
+        message: `${event.summary} is waiting for approval until ${event.expiresAt.toLocaleString()}`
+    }),
+    ApprovalDecided: event => ({
+        level: { approved: 'success', failed: 'error' }[event.status] || 'warning',
+        message: {
+            approved: `${event.summary} was approved`,
+            rejected: `${event.summary} was rejected${event.reason ? `: ${event.reason}` : ''}`,
+            expired: `${event.summary} expired without approval`,
+            failed: `${event.summary} was approved but could not be completed: ${event.reason}`
+        }[event.status]
+    }),
+    InterestRateChanged: event => ({
+        level: 'info',
+        message: `Interest rate for ${event.accountNumber} changes to ${event.strategy.describe(event.effectiveFrom)} from ${event.effectiveFrom.toLocaleDateString()}`
+    })
+};
+
+// Plain-text notification for an event: { eventType, level, message, accountNumber, amount, balance }
+function formatEvent(event) {
+    const formatter = EVENT_FORMATTERS[event.type];
+    const formatted = formatter ? formatter(event) : { level: 'info', message: event.type };
+    return {
+        eventType: 'general',
+        accountNumber: event.accountNumber,
+        amount: event.amount,
+        balance: event.balance,
+        ...formatted
+    };
+}
+
+// ============================================================================
+// OBSERVER PATTERN - For Notifications
+// ============================================================================
+
+// Observers receive the domain events for accounts they observe
+class Observer {
+    update(event) {
+        throw new Error("Observer must implement update method");
+    }
+}
+
+// Loose checks for contact details; delivery is what proves them
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{5,18}[0-9]$/;
+
+// `role` is a key of ROLES; staff sign in like customers
+class Customer extends Observer {
+    constructor(id, name, email, phone = null, role = 'customer') {
+        super();
+        this.id = id;
+        this.name = name;
+        this.email = email;
+        this.phone = phone;
+        this.role = role;
+        this.preferences = defaultNotificationPreferences();
+        this.inbox = [];
+        this.notifier = null;
+    }
+
+    // Delivery goes through the notification center once the banking system attaches one
+    update(event) {
+        if (this.notifier) {
+            this.notifier.notify(this, formatEvent(event));
+        }
+    }
+
+    // Messages about the UI itself, such as a failed form submission
+    notify(message, level = 'info') {
+        if (this.notifier) {
+            this.notifier.notify(this, { eventType: 'general', message, level });
+        }
+    }
+
+    getUnreadCount() {
+        return this.inbox.filter(notification => !notification.read).length;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            email: this.email,
+            phone: this.phone,
+            role: this.role,
+            preferences: this.preferences,
+            inbox: this.inbox
+        };
+    }
+
+    static fromJSON(data) {
+        const customer = new Customer(data.id, data.name, data.email, data.phone, data.role);
+        customer.preferences = data.preferences;
+        customer.inbox = data.inbox;
+        return customer;
+    }
+}
+
+// ============================================================================
+// NOTIFICATION CHANNELS - Toast, Inbox, Email and SMS Delivery
+// ============================================================================
+
+// Event types customers can set preferences for; anything else counts as 'general'
+const NOTIFICATION_EVENTS = {
+    'large-withdrawal': 'Large withdrawal',
+    'low-balance': 'Low balance',
+    'interest-posted': 'Interest posted',
+    'budget-alert': 'Budget alerts',
+    general: 'Other account activity'
+};
+
+// `channels` are the Settings tab's master switches; per-event flags pick channels
+// within them. Thresholds are in major units of the account's currency.
+function defaultNotificationPreferences() {
+    return {
+        channels: { email: true, sms: false },
+        events: {
+            'large-withdrawal': { inApp: true, email: true, sms: true, threshold: 1000 },
+            'low-balance': { inApp: true, email: true, sms: false, threshold: 100 },
+            'interest-posted': { inApp: true, email: false, sms: false },
+            'budget-alert': { inApp: true, email: true, sms: false },
+            general: { inApp: true, email: false, sms: false }
+        }
+    };
+}
+
+// At most `max` deliveries per customer and channel in any `windowMs`
+const DEFAULT_NOTIFICATION_RATE_LIMITS = {
+    toast: { max: 5, windowMs: 10 * 1000 },
+    email: { max: 10, windowMs: 60 * 60 * 1000 },
+    sms: { max: 5, windowMs: 60 * 60 * 1000 }
+};
+
+// Identical notifications of a type within this many milliseconds are sent once
+const DEFAULT_DEDUPE_WINDOWS = {
+    'large-withdrawal': 60 * 1000,
+    'low-balance': 24 * 60 * 60 * 1000,
+    'interest-posted': 60 * 1000,
+    'budget-alert': 60 * 1000,
+    general: 2 * 1000
+};
+
+const INBOX_LIMIT = 200;
+
+class NotificationChannel {
+    deliver(customer, notification) {
+        throw new Error("NotificationChannel must implement deliver method");
+    }
+}
+
+// Toasts only reach the customer whose view is open, as `isViewing` decides; `show`
+// hands them to whatever view draws them
+class ToastChannel extends NotificationChannel {
+    constructor(isViewing = () => true, show = () => {}) {
+        super();
+        this.isViewing = isViewing;
+        this.show = show;
+    }
+
+    deliver(customer, notification) {
+        if (!this.isViewing(customer)) return false;
+        this.show(notification);
+    }
+}
+
+// Keeps notifications on the customer, newest first, until they are read
+class InboxChannel extends NotificationChannel {
+    deliver(customer, notification) {
+        customer.inbox.unshift({
+            id: notification.id,
+            eventType: notification.eventType,
+            level: notification.level,
+            message: notification.message,
+            accountNumber: notification.accountNumber || null,
+            createdAt: notification.createdAt.toISOString(),
+            read: false
+        });
+        customer.inbox.length = Math.min(customer.inbox.length, INBOX_LIMIT);
+    }
+}
+
+// Adapter for an outbound email or SMS gateway
+class MessageTransport {
+    send(message) {
+        throw new Error("MessageTransport must implement send method");
+    }
+}
+
+// Records messages instead of sending them; `sent` is what tests assert against
+class MockMessageTransport extends MessageTransport {
+    constructor() {
+        super();
+        this.sent = [];
+    }
+
+    send(message) {
+        this.sent.push({ ...message, sentAt: new Date() });
+    }
+
+    clear() {
+        this.sent = [];
+    }
+}
+
+class EmailChannel extends NotificationChannel {
+    constructor(transport) {
+        super();
+        this.transport = transport;
+    }
+
+    deliver(customer, notification) {
+        if (!customer.email) return false;
+        this.transport.send({
+            to: customer.email,
+            subject: `SecureBank: ${NOTIFICATION_EVENTS[notification.eventType]}`,
+            body: `Hello ${customer.name},\n\n${notification.message}\n\nSecureBank`
+        });
+    }
+}
+
+const SMS_MAX_LENGTH = 160;
+
+class SmsChannel extends NotificationChannel {
+    constructor(transport) {
+        super();
+        this.transport = transport;
+    }
+
+    deliver(customer, notification) {
+        if (!customer.phone) return false;
+        const body = `SecureBank: ${notification.message}`;
+        this.transport.send({
+            to: customer.phone,
+            body: body.length > SMS_MAX_LENGTH ? `${body.slice(0, SMS_MAX_LENGTH - 1)}…` : body
+        });
+    }
+}
+
+// Routes each notification to the channels a customer has enabled for its event type,
+// raising large-withdrawal and low-balance alerts from debit events along the way
+class NotificationCenter {
+    constructor(channels, clock = new SystemClock(), {
+        rateLimits = DEFAULT_NOTIFICATION_RATE_LIMITS,
+        dedupeWindows = DEFAULT_DEDUPE_WINDOWS
+    } = {}) {
+        this.channels = channels;
+        this.clock = clock;
+        this.rateLimits = rateLimits;
+        this.dedupeWindows = dedupeWindows;
+        this.recentDeliveries = new Map();
+        this.recentNotifications = new Map();
+        this.nextId = 1;
+        this.onInboxChange = () => {};
+    }
+
+    // Returns the notifications delivered, each with the channels it went to
+    notify(customer, notification) {
+        const delivered = this.expand(customer, notification)
+            .map(item => this.dispatch(customer, item))
+            .filter(Boolean);
+        if (delivered.some(item => item.channels.includes('inbox'))) {
+            this.onInboxChange(customer);
+        }
+        return delivered;
+    }
+
+    expand(customer, notification) {
+        const eventType = customer.preferences.events[notification.eventType] ? notification.eventType : 'general';
+        const notifications = [{ ...notification, eventType }];
+        const isDebit = notification.eventType === 'withdrawal' || notification.eventType === 'debit';
+        if (!isDebit || !notification.amount) {
+            return notifications;
+        }
+
+        const { amount, balance, accountNumber } = notification;
+        const largeWithdrawal = customer.preferences.events['large-withdrawal'];
+        if (notification.eventType === 'withdrawal' &&
+            !amount.lessThan(Money.parse(String(largeWithdrawal.threshold), amount.currency))) {
+            notifications.push({
+                eventType: 'large-withdrawal',
+                level: 'warning',
+                accountNumber,
+                message: `Large withdrawal of ${amount.format()} from ${accountNumber}`
+            });
+        }
+
+        const lowBalance = Money.parse(String(customer.preferences.events['low-balance'].threshold), balance.currency);
+        if (balance.lessThan(lowBalance)) {
+            notifications.push({
+                eventType: 'low-balance',
+                level: 'warning',
+                accountNumber,
+                message: `Balance of ${accountNumber} is below ${lowBalance.format()}`
+            });
+        }
+        return notifications;
+    }
+
+    channelsFor(customer, eventType) {
+        const preference = customer.preferences.events[eventType];
+        const names = [];
+        if (preference.inApp) {
+            names.push('toast', 'inbox');
+        }
+        if (preference.email && customer.preferences.channels.email) {
+            names.push('email');
+        }
+        if (preference.sms && customer.preferences.channels.sms) {
+            names.push('sms');
+        }
+        return names.filter(name => this.channels[name]);
+    }
+
+    dispatch(customer, notification) {
+        const now = this.clock.now().getTime();
+
+        const dedupeKey = `${customer.id}|${notification.eventType}|${notification.message}`;
+        const lastSent = this.recentNotifications.get(dedupeKey);
+        if (lastSent !== undefined && now - lastSent < (this.dedupeWindows[notification.eventType] || 0)) {
+            return null;
+        }
+        this.recentNotifications.set(dedupeKey, now);
+
+        const item = { ...notification, id: `${now}-${this.nextId++}`, createdAt: new Date(now) };
+        const channels = this.channelsFor(customer, notification.eventType)
+            .filter(name => this.allowDelivery(customer, name, now))
+            .filter(name => this.channels[name].deliver(customer, item) !== false);
+        return { ...item, channels };
+    }
+
+    // Sliding-window rate limit per customer and channel
+    allowDelivery(customer, channelName, now) {
+        const limit = this.rateLimits[channelName];
+        if (!limit) return true;
+
+        const key = `${customer.id}|${channelName}`;
+        const recent = (this.recentDeliveries.get(key) || []).filter(time => now - time < limit.windowMs);
+        if (recent.length >= limit.max) {
+            this.recentDeliveries.set(key, recent);
+            return false;
+        }
+        recent.push(now);
+        this.recentDeliveries.set(key, recent);
+        return true;
+    }
+}
+
+// ============================================================================
+// STRATEGY PATTERN - For Interest Calculation
+// ============================================================================
+
+// Rates are annual percentages. Strategies take the balance and the day so
+// tiered and time-limited rates can be expressed alongside flat ones.
+class InterestStrategy {
+    calculateInterest(balance, timeInYears = 1, date = new Date()) {
+        return balance.multiply(this.getRate(balance, date) / 100, timeInYears);
+    }
+    
+    getRate(balance, date = new Date()) {
+        throw new Error("InterestStrategy must implement getRate method");
+    }
+
+    // Human-readable rate for the UI, e.g. "2.5% APY"
+    describe(date = new Date()) {
+        throw new Error("InterestStrategy must implement describe method");
+    }
+
+    toJSON() {
+        throw new Error("InterestStrategy must implement toJSON method");
+    }
+
+    static fromJSON(data) {
+        const StrategyClass = InterestStrategy.registry[data.type];
+        if (!StrategyClass) {
+            throw new Error(`Unknown interest strategy: ${data.type}`);
+        }
+        return StrategyClass.fromJSON(data);
+    }
+
+    // Admin code can add strategy types; they are stored as { type, ...config }
+    static register(type, StrategyClass) {
+        InterestStrategy.registry[type] = StrategyClass;
+    }
+}
+
+InterestStrategy.registry = {};
+
+function formatRate(rate) {
+    return `${Number(rate.toFixed(3))}%`;
+}
+
+class FlatRateStrategy extends InterestStrategy {
+    constructor(rate = 0) {
+        super();
+        this.rate = rate;
+    }
+
+    getRate() {
+        return this.rate;
+    }
+
+    describe() {
+        return this.rate > 0 ? `${formatRate(this.rate)} APY` : 'No interest';
+    }
+
+    toJSON() {
+        return { type: 'flat', rate: this.rate };
+    }
+
+    static fromJSON(data) {
+        return new FlatRateStrategy(data.rate);
+    }
+}
+
+// Each band's rate applies only to the part of the balance inside that band.
+// `tiers` are [{ from, rate }] with `from` in major units, starting at 0.
+class TieredRateStrategy extends InterestStrategy {
+    constructor(tiers) {
+        super();
+        if (!tiers || tiers.length === 0 || tiers[0].from !== 0) {
+            throw new Error("Tiered rates need a first band starting at 0");
+        }
+        this.tiers = [...tiers].sort((a, b) => a.from - b.from);
+    }
+
+    // Blended rate across the bands the balance reaches
+    getRate(balance) {
+        const amount = Number(balance.toDecimalString());
+        if (amount <= 0) {
+            return this.tiers[0].rate;
+        }
+
+        const earned = this.tiers.reduce((sum, tier, index) => {
+            const upper = index + 1 < this.tiers.length ? this.tiers[index + 1].from : Infinity;
+            return sum + Math.max(0, Math.min(amount, upper) - tier.from) * tier.rate;
+        }, 0);
+        return earned / amount;
+    }
+
+    describe() {
+        return this.tiers
+            .map((tier, index) => index === 0 ?
+                `${formatRate(tier.rate)} APY` :
+                `${formatRate(tier.rate)} above ${tier.from.toLocaleString()}`)
+            .join(', ');
+    }
+
+    toJSON() {
+        return { type: 'tiered', tiers: this.tiers.map(tier => ({ ...tier })) };
+    }
+
+    static fromJSON(data) {
+        return new TieredRateStrategy(data.tiers);
+    }
+}
+
+// A boosted rate until `expiresAt`, then whatever the base strategy pays
+class PromotionalRateStrategy extends InterestStrategy {
+    constructor(rate, expiresAt, baseStrategy = new FlatRateStrategy()) {
+        super();
+        this.rate = rate;
+        this.expiresAt = new Date(expiresAt);
+        this.baseStrategy = baseStrategy;
+    }
+
+    isActive(date = new Date()) {
+        return date < this.expiresAt;
+    }
+
+    getRate(balance, date = new Date()) {
+        return this.isActive(date) ? this.rate : this.baseStrategy.getRate(balance, date);
+    }
+
+    describe(date = new Date()) {
+        if (!this.isActive(date)) {
+            return this.baseStrategy.describe(date);
+        }
+        return `${formatRate(this.rate)} APY until ${this.expiresAt.toLocaleDateString()}, then ${this.baseStrategy.describe(this.expiresAt)}`;
+    }
+
+    toJSON() {
+        return {
+            type: 'promotional',
+            rate: this.rate,
+            expiresAt: this.expiresAt.toISOString(),
+            base: this.baseStrategy.toJSON()
+        };
+    }
+
+    static fromJSON(data) {
+        return new PromotionalRateStrategy(data.rate, data.expiresAt, InterestStrategy.fromJSON(data.base));
+    }
+}
+
+InterestStrategy.register('flat', FlatRateStrategy);
+InterestStrategy.register('tiered', TieredRateStrategy);
+InterestStrategy.register('promotional', PromotionalRateStrategy);
+
+// Strategy a new account of each type starts with
+const DEFAULT_INTEREST_STRATEGIES = {
+    savings: { type: 'flat', rate: 2.5 },
+    checking: { type: 'flat', rate: 0 },
+    fixed: { type: 'flat', rate: 4.5 }
+};
+
+function defaultInterestStrategy(accountType) {
+    return InterestStrategy.fromJSON(DEFAULT_INTEREST_STRATEGIES[accountType] || DEFAULT_INTEREST_STRATEGIES.checking);
+}
+
+// ============================================================================
+// GENERAL LEDGER - Double-Entry Bookkeeping Behind Account Balances
+// ============================================================================
+
+// Assets and expenses carry debit balances; liabilities, income and equity carry credit balances
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+class GeneralLedger {
+    constructor() {
+        this.ledgerAccounts = new Map();
+        this.entries = [];
+        this.balances = new Map();
+        this.nextEntryId = 1;
+
+        // System accounts on the bank's side of every customer posting
+        this.openLedgerAccount('cash', 'Cash', 'asset');
+        this.openLedgerAccount('transfer-clearing', 'Transfer Clearing', 'asset');
+        this.openLedgerAccount('interest-expense', 'Interest Expense', 'expense');
+        this.openLedgerAccount('fee-income', 'Fee Income', 'income');
+        this.openLedgerAccount('interest-income', 'Interest Income', 'income');
+        // Outgoing payments wait in transit until they settle through the interbank account
+        this.openLedgerAccount('payments-in-transit', 'Payments in Transit', 'liability');
+        this.openLedgerAccount('interbank-settlement', 'Interbank Settlement', 'asset');
+    }
+
+    openLedgerAccount(code, name, type) {
+        if (!this.ledgerAccounts.has(code)) {
+            this.ledgerAccounts.set(code, { code, name, type });
+        }
+        return this.ledgerAccounts.get(code);
+    }
+
+    // Records a journal entry whose debits and credits balance in every currency
+    post({ type, description = '', timestamp = new Date(), postings }) {
+        const totals = new Map();
+
+        postings.forEach(({ account, side, amount }) => {
+            if (!this.ledgerAccounts.has(account)) {
+                throw new Error(`Unknown ledger account: ${account}`);
+            }
+            if (side !== 'debit' && side !== 'credit') {
+                throw new Error(`Posting side must be debit or credit, got ${side}`);
+            }
+            if (!amount.isPositive()) {
+                throw new Error("Posting amounts must be positive");
+            }
+
+            const net = totals.get(amount.currency) || Money.zero(amount.currency);
+            totals.set(amount.currency, side === 'debit' ? net.add(amount) : net.subtract(amount));
+        });
+
+        totals.forEach((net, currency) => {
+            if (!net.isZero()) {
+                throw new Error(`Unbalanced journal entry: ${currency} debits and credits differ by ${net.format()}`);
+            }
+        });
+
+        const entry = Object.freeze({
+            id: this.nextEntryId++,
+            type,
+            description,
+            timestamp,
+            postings: Object.freeze(postings.map(posting => Object.freeze({ ...posting })))
+        });
+
+        this.entries.push(entry);
+        entry.postings.forEach(posting => this.applyPosting(this.balances, posting));
+        return entry;
+    }
+
+    balanceKey(account, currency) {
+        return `${account}|${currency}`;
+    }
+
+    applyPosting(balances, { account, side, amount }) {
+        const key = this.balanceKey(account, amount.currency);
+        const debitNormal = DEBIT_NORMAL_TYPES.includes(this.ledgerAccounts.get(account).type);
+        const increases = (side === 'debit') === debitNormal;
+        const current = balances.get(key) || Money.zero(amount.currency);
+        balances.set(key, increases ? current.add(amount) : current.subtract(amount));
+    }
+
+    // Balance on the account's normal side, in one currency
+    getBalance(account, currency) {
+        return this.balances.get(this.balanceKey(account, currency)) || Money.zero(currency);
+    }
+
+    // Balance from entries dated before `date`, for statement opening and closing balances
+    getBalanceAsOf(account, currency, date) {
+        const balances = new Map();
+        this.entries
+            .filter(entry => entry.timestamp < date)
+            .forEach(entry => entry.postings
+                .filter(posting => posting.account === account)
+                .forEach(posting => this.applyPosting(balances, posting)));
+        return balances.get(this.balanceKey(account, currency)) || Money.zero(currency);
+    }
+
+    // Re-adds every posting from scratch: total debits must equal total credits per
+    // currency, and each account's running balance must match its postings
+    trialBalance() {
+        const totals = new Map();
+        const recomputed = new Map();
+        const problems = [];
+
+        this.entries.forEach(entry => entry.postings.forEach(posting => {
+            const currency = posting.amount.currency;
+            const total = totals.get(currency) || { debits: Money.zero(currency), credits: Money.zero(currency) };
+            if (posting.side === 'debit') {
+                total.debits = total.debits.add(posting.amount);
+            } else {
+                total.credits = total.credits.add(posting.amount);
+            }
+            totals.set(currency, total);
+            this.applyPosting(recomputed, posting);
+        }));
+
+        totals.forEach(({ debits, credits }, currency) => {
+            if (!debits.equals(credits)) {
+                problems.push(`${currency} debits ${debits.format()} do not equal credits ${credits.format()}`);
+            }
+        });
+
+        const keys = new Set([...recomputed.keys(), ...this.balances.keys()]);
+        keys.forEach(key => {
+            const expected = recomputed.get(key);
+            const actual = this.balances.get(key);
+            if (!expected || !actual || !expected.equals(actual)) {
+                problems.push(`Running balance for ${key.replace('|', ' in ')} does not match its postings`);
+            }
+        });
+
+        return { balanced: problems.length === 0, totals, problems };
+    }
+
+    assertBalanced() {
+        const result = this.trialBalance();
+        if (!result.balanced) {
+            throw new Error(`Trial balance failed: ${result.problems.join('; ')}`);
+        }
+        return result;
+    }
+
+    // Every ledger account and currency with a balance, for display
+    getBalances() {
+        return Array.from(this.balances.entries()).map(([key, balance]) => {
+            const code = key.split('|')[0];
+            return { ...this.ledgerAccounts.get(code), balance };
+        });
+    }
+
+    toJSON() {
+        return {
+            ledgerAccounts: Array.from(this.ledgerAccounts.values()),
+            entries: this.entries.map(entry => ({
+                ...entry,
+                timestamp: entry.timestamp.toISOString()
+            })),
+            nextEntryId: this.nextEntryId
+        };
+    }
+
+    static fromJSON(data) {
+        const ledger = new GeneralLedger();
+        data.ledgerAccounts.forEach(({ code, name, type }) => ledger.openLedgerAccount(code, name, type));
+
+        // Balances are rebuilt by replaying the stored entries
+        data.entries.forEach(entry => {
+            const restored = Object.freeze({
+                ...entry,
+                timestamp: new Date(entry.timestamp),
+                postings: Object.freeze(entry.postings.map(posting => Object.freeze({
+                    ...posting,
+                    amount: Money.fromJSON(posting.amount)
+                })))
+            });
+            ledger.entries.push(restored);
+            restored.postings.forEach(posting => ledger.applyPosting(ledger.balances, posting));
+        });
+
+        ledger.nextEntryId = data.nextEntryId;
+        return ledger;
+    }
+}
+
+// ============================================================================
+// ACCOUNT RULES - Per-Account Limits on Money Leaving an Account
+// ============================================================================
+
+// Rule violations carry a stable `code` for callers to branch on; the message is for people
+class AccountRuleError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'AccountRuleError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Rules see every debit before it posts. `kind` is 'withdraw' for withdrawals and
+// outgoing transfers, or 'reversal' when an undo takes money back out.
+class AccountRule {
+    checkDebit(account, amount, resultingBalance, kind) {}
+
+    // Runs after a withdrawal has posted, e.g. to charge a fee
+    afterWithdraw(account, transaction) {}
+
+    describe(account) {
+        throw new Error("AccountRule must implement describe method");
+    }
+
+    toJSON() {
+        throw new Error("AccountRule must implement toJSON method");
+    }
+
+    static fromJSON(data) {
+        const RuleClass = AccountRule.registry[data.type];
+        if (!RuleClass) {
+            throw new Error(`Unknown account rule: ${data.type}`);
+        }
+        return RuleClass.fromJSON(data);
+    }
+
+    static register(type, RuleClass) {
+        AccountRule.registry[type] = RuleClass;
+    }
+}
+
+AccountRule.registry = {};
+
+// Amounts in rule configs are in major units of the account's currency
+function ruleAmount(value, currency) {
+    return Money.parse(String(value), currency);
+}
+
+// Lets the balance go down to -limit, charging a fee for each withdrawal that leaves
+// it overdrawn and interest on the negative balance
+class OverdraftRule extends AccountRule {
+    constructor({ limit = 0, annualRate = 0, fee = 0 } = {}) {
+        super();
+        this.limit = limit;
+        this.annualRate = annualRate;
+        this.fee = fee;
+    }
+
+    getFloor(account) {
+        return ruleAmount(this.limit, account.currency).negate();
+    }
+
+    afterWithdraw(account, transaction) {
+        const fee = ruleAmount(this.fee, account.currency);
+        if (account.balance.isNegative() && fee.isPositive()) {
+            account.chargeFee(fee, 'Overdraft fee', { chargedFor: transaction.id });
+        }
+    }
+
+    describe(account) {
+        return `Overdraft up to ${ruleAmount(this.limit, account.currency).format()} ` +
+            `(${formatRate(this.annualRate)} interest, ${ruleAmount(this.fee, account.currency).format()} fee)`;
+    }
+
+    toJSON() {
+        return { type: 'overdraft', limit: this.limit, annualRate: this.annualRate, fee: this.fee };
+    }
+
+    static fromJSON(data) {
+        return new OverdraftRule(data);
+    }
+}
+
+class MinimumBalanceRule extends AccountRule {
+    constructor({ minimum = 0 } = {}) {
+        super();
+        this.minimum = minimum;
+    }
+
+    checkDebit(account, amount, resultingBalance) {
+        const minimum = ruleAmount(this.minimum, account.currency);
+        if (resultingBalance.lessThan(minimum)) {
+            throw new AccountRuleError(
+                'MINIMUM_BALANCE',
+                `${account.accountNumber} must keep a minimum balance of ${minimum.format()}`,
+                { accountNumber: account.accountNumber, minimum }
+            );
+        }
+    }
+
+    describe(account) {
+        return `Minimum balance ${ruleAmount(this.minimum, account.currency).format()}`;
+    }
+
+    toJSON() {
+        return { type: 'minimum-balance', minimum: this.minimum };
+    }
+
+    static fromJSON(data) {
+        return new MinimumBalanceRule(data);
+    }
+}
+
+// Caps withdrawals and outgoing transfers per calendar month; undone ones don't count
+class MonthlyWithdrawalLimitRule extends AccountRule {
+    constructor({ limit = 6 } = {}) {
+        super();
+        this.limit = limit;
+    }
+
+    countThisMonth(account) {
+        const now = account.clock.now();
+        return account.transactionHistory.filter(transaction =>
+            ['withdraw', 'transfer', 'payment'].includes(transaction.type) &&
+            transaction.side === 'debit' &&
+            !transaction.reversedBy &&
+            transaction.timestamp.getUTCFullYear() === now.getUTCFullYear() &&
+            transaction.timestamp.getUTCMonth() === now.getUTCMonth()
+        ).length;
+    }
+
+    checkDebit(account, amount, resultingBalance, kind) {
+        if (kind === 'withdraw' && this.countThisMonth(account) >= this.limit) {
+            throw new AccountRuleError(
+                'WITHDRAWAL_LIMIT_REACHED',
+                `${account.accountNumber} has reached its limit of ${this.limit} withdrawals this month`,
+                { accountNumber: account.accountNumber, limit: this.limit }
+            );
+        }
+    }
+
+    describe(account) {
+        return `${this.countThisMonth(account)} of ${this.limit} monthly withdrawals used`;
+    }
+
+    toJSON() {
+        return { type: 'monthly-withdrawal-limit', limit: this.limit };
+    }
+
+    static fromJSON(data) {
+        return new MonthlyWithdrawalLimitRule(data);
+    }
+}
+
+AccountRule.register('overdraft', OverdraftRule);
+AccountRule.register('minimum-balance', MinimumBalanceRule);
+AccountRule.register('monthly-withdrawal-limit', MonthlyWithdrawalLimitRule);
+
+// Rules a new account of each type starts with
+const DEFAULT_ACCOUNT_RULES = {
+    checking: [{ type: 'overdraft', limit: 500, annualRate: 18, fee: 25 }],
+    savings: [{ type: 'minimum-balance', minimum: 100 }, { type: 'monthly-withdrawal-limit', limit: 6 }],
+    fixed: []
+};
+
+function defaultAccountRules(accountType) {
+    return (DEFAULT_ACCOUNT_RULES[accountType] || []).map(rule => AccountRule.fromJSON(rule));
+}
+
+// ============================================================================
+// ACCOUNT CLASSES
+// ============================================================================
+
+// Transaction types that take money out of an account. New transactions record their
+// `side`; this is only needed for history saved before they did.
+const DEBIT_TRANSACTION_TYPES = ['withdraw', 'fee', 'overdraft-interest'];
+
+// Ids come from one sequence that only moves forward: it follows the clock in
+// milliseconds but is bumped past the last id issued, so two transactions in the same
+// millisecond, or after the clock is set back, never share an id. The last id is saved
+// with the state so a reload carries on from it.
+let lastTransactionId = 0;
+
+function generateTransactionId() {
+    lastTransactionId = Math.max(Date.now(), lastTransactionId + 1);
+    return lastTransactionId;
+}
+
+// Moves the sequence past ids already issued, such as those in restored state
+function advanceTransactionIds(lastIssued) {
+    lastTransactionId = Math.max(lastTransactionId, lastIssued);
+}
+
+// Shared by both legs of a transfer, as `transfer.transferId`
+function generateTransferId() {
+    return `TRF${generateTransactionId()}`;
+}
+
+class Account {
+    constructor(accountNumber, accountType, initialBalance = Money.zero(), generalLedger = new GeneralLedger(), openedAt = new Date()) {
+        this.accountNumber = accountNumber;
+        this.accountType = accountType;
+        this.currency = initialBalance.currency;
+        this.generalLedger = generalLedger;
+        this.observers = [];
+        this.transactionHistory = [];
+        this.ledger = null;
+        // Picks the category of each new transaction; the banking system applies its rules
+        this.categorize = defaultCategoryFor;
+        this.eventBus = new EventBus();
+        this.clock = new SystemClock();
+        this.createdAt = new Date(openedAt);
+        
+        // Customer deposits are liabilities of the bank
+        this.generalLedger.openLedgerAccount(accountNumber, `Customer account ${accountNumber}`, 'liability');
+        
+        if (initialBalance.isNegative()) {
+            throw new Error("Initial deposit cannot be negative");
+        }
+        if (initialBalance.isPositive()) {
+            this.generalLedger.post({
+                type: 'opening',
+                description: `Opening deposit for ${accountNumber}`,
+                timestamp: this.createdAt,
+                postings: [
+                    { account: 'cash', side: 'debit', amount: initialBalance },
+                    { account: accountNumber, side: 'credit', amount: initialBalance }
+                ]
+            });
+        }
+        
+        // The opening strategy applies from the start; later changes are appended
+        this.rateHistory = [{ effectiveFrom: new Date(0), strategy: defaultInterestStrategy(accountType) }];
+        this.rules = defaultAccountRules(accountType);
+    }
+
+    // Derived from general ledger postings; nothing assigns balances directly
+    get balance() {
+        return this.generalLedger.getBalance(this.accountNumber, this.currency);
+    }
+
+    // Rate changes take effect from a date, so interest for each day uses the rate valid then
+    setInterestStrategy(strategy, effectiveFrom = this.clock.now()) {
+        this.rateHistory.push({ effectiveFrom: new Date(effectiveFrom), strategy });
+        this.rateHistory.sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+    }
+
+    getInterestStrategy(date = this.clock.now()) {
+        const applicable = this.rateHistory.filter(entry => entry.effectiveFrom <= date);
+        return (applicable[applicable.length - 1] || this.rateHistory[0]).strategy;
+    }
+
+    get interestStrategy() {
+        return this.getInterestStrategy();
+    }
+
+    getRule(RuleClass) {
+        return this.rules.find(rule => rule instanceof RuleClass) || null;
+    }
+
+    // Lowest balance debits may leave: zero, or minus the overdraft limit
+    getBalanceFloor() {
+        const overdraft = this.getRule(OverdraftRule);
+        return overdraft ? overdraft.getFloor(this) : Money.zero(this.currency);
+    }
+
+    // Annual rate charged on a negative balance
+    getOverdraftRate() {
+        const overdraft = this.getRule(OverdraftRule);
+        return overdraft ? overdraft.annualRate : 0;
+    }
+
+    // Throws an AccountRuleError if debiting `amount` from `balance` breaks a rule.
+    // `balance` defaults to the current one; undo validation passes a simulated balance.
+    checkDebit(amount, kind = 'withdraw', balance = this.balance) {
+        const resultingBalance = balance.subtract(amount);
+        if (resultingBalance.lessThan(this.getBalanceFloor())) {
+            const hasOverdraft = this.getRule(OverdraftRule) !== null;
+            throw new AccountRuleError(
+                hasOverdraft ? 'OVERDRAFT_LIMIT_EXCEEDED' : 'INSUFFICIENT_FUNDS',
+                hasOverdraft ? `Overdraft limit of ${this.getBalanceFloor().negate().format()} exceeded` : 'Insufficient funds',
+                { accountNumber: this.accountNumber, balance, amount }
+            );
+        }
+        this.rules.forEach(rule => rule.checkDebit(this, amount, resultingBalance, kind));
+    }
+
+    addObserver(observer) {
+        this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        const index = this.observers.indexOf(observer);
+        if (index > -1) {
+            this.observers.splice(index, 1);
+        }
+    }
+
+    // Observers hear about events through whoever subscribes them to the bus
+    publish(event) {
+        this.eventBus.publish(event);
+    }
+
+    assertAccountCurrency(amount) {
+        if (amount.currency !== this.currency) {
+            throw new Error(`Amount in ${amount.currency} does not match account currency ${this.currency}`);
+        }
+    }
+
+    // Journal entry moving `amount` between this account and a system `contraAccount`
+    postToLedger(type, description, side, amount, contraAccount, timestamp = new Date()) {
+        return this.generalLedger.post({
+            type,
+            description,
+            timestamp,
+            postings: [
+                { account: this.accountNumber, side, amount },
+                { account: contraAccount, side: side === 'credit' ? 'debit' : 'credit', amount }
+            ]
+        });
+    }
+
+    // Posts to the general ledger and appends the matching history entry
+    recordTransaction(type, side, amount, description, details) {
+        const contraAccount = details.contraAccount || 'cash';
+        const timestamp = details.timestamp || this.clock.now();
+        const journalEntry = this.postToLedger(type, description, side, amount, contraAccount, timestamp);
+        
+        const transaction = {
+            id: generateTransactionId(),
+            type: type,
+            side: side,
+            amount: amount,
+            balance: this.balance,
+            contraAccount: contraAccount,
+            journalEntryId: journalEntry.id,
+            description: description,
+            timestamp: timestamp,
+            accountNumber: this.accountNumber,
+            ...details
+        };
+        
+        this.postTransaction(transaction);
+        return transaction;
+    }
+
+    // `details` carries extra fields recorded on the transaction, such as exchange info
+    // or the `contraAccount` the money comes from (cash unless stated otherwise).
+    // Transfer legs pass `details.transfer` and are recorded as type 'transfer'.
+    deposit(amount, description = '', details = {}) {
+        if (!(amount instanceof Money)) {
+            throw new Error("Deposit amount must be a Money value");
+        }
+
+        this.assertAccountCurrency(amount);
+
+        if (!amount.isPositive()) {
+            throw new Error("Deposit amount must be positive");
+        }
+
+        const transaction = this.recordTransaction(details.transfer ? 'transfer' : 'deposit', 'credit', amount, description, details);
+        
+        // Transfer legs are announced together by the transfer
+        if (!details.transfer) {
+            this.publish(new FundsDeposited({
+                accountNumber: this.accountNumber,
+                transactionId: transaction.id,
+                amount,
+                balance: this.balance,
+                description
+            }));
+        }
+        
+        return transaction;
+    }
+
+    withdraw(amount, description = '', details = {}) {
+        if (!(amount instanceof Money)) {
+            throw new Error("Withdrawal amount must be a Money value");
+        }
+
+        this.assertAccountCurrency(amount);
+
+        if (!amount.isPositive()) {
+            throw new Error("Withdrawal amount must be positive");
+        }
+        
+        this.checkDebit(amount, 'withdraw');
+
+        const transaction = this.recordTransaction(details.transfer ? 'transfer' : 'withdraw', 'debit', amount, description, details);
+        this.rules.forEach(rule => rule.afterWithdraw(this, transaction));
+        
+        if (!details.transfer) {
+            this.publish(new FundsWithdrawn({
+                accountNumber: this.accountNumber,
+                transactionId: transaction.id,
+                amount,
+                balance: this.balance,
+                description
+            }));
+        }
+        
+        return transaction;
+    }
+
+    // Credits interest funded by the bank's interest expense account
+    postInterest(amount, description = '', details = {}) {
+        this.assertAccountCurrency(amount);
+
+        if (!amount.isPositive()) {
+            throw new Error("Interest amount must be positive");
+        }
+
+        const transaction = this.recordTransaction('interest', 'credit', amount, description, {
+            contraAccount: 'interest-expense',
+            ...details
+        });
+
+        this.publish(new InterestPosted({
+            accountNumber: this.accountNumber,
+            transactionId: transaction.id,
+            amount,
+            balance: this.balance
+        }));
+
+        return transaction;
+    }
+
+    // Debits interest on an overdrawn balance into the bank's interest income account
+    chargeOverdraftInterest(amount, description = '', details = {}) {
+        this.assertAccountCurrency(amount);
+
+        if (!amount.isPositive()) {
+            throw new Error("Overdraft interest amount must be positive");
+        }
+
+        const transaction = this.recordTransaction('overdraft-interest', 'debit', amount, description, {
+            contraAccount: 'interest-income',
+            ...details
+        });
+
+        this.publish(new ChargeApplied({
+            accountNumber: this.accountNumber,
+            transactionId: transaction.id,
+            amount,
+            balance: this.balance,
+            description,
+            kind: 'overdraft-interest'
+        }));
+
+        return transaction;
+    }
+
+    // Debits an outgoing payment into payments in transit, where the funds are held
+    // until the payment rail settles or returns it
+    sendPayment(amount, description = '', details = {}) {
+        this.assertAccountCurrency(amount);
+
+        if (!amount.isPositive()) {
+            throw new Error("Payment amount must be positive");
+        }
+
+        this.checkDebit(amount, 'withdraw');
+        return this.recordTransaction('payment', 'debit', amount, description, {
+            contraAccount: 'payments-in-transit',
+            ...details
+        });
+    }
+
+    // Debits a fee into the bank's fee income account
+    chargeFee(amount, description = '', details = {}) {
+        this.assertAccountCurrency(amount);
+
+        const transaction = this.recordTransaction('fee', 'debit', amount, description, {
+            contraAccount: 'fee-income',
+            ...details
+        });
+
+        this.publish(new ChargeApplied({
+            accountNumber: this.accountNumber,
+            transactionId: transaction.id,
+            amount,
+            balance: this.balance,
+            description,
+            kind: 'fee'
+        }));
+
+        return transaction;
+    }
+
+    // History is append-only: entries are never removed, so the audit ledger sees every posting
+    postTransaction(transaction) {
+        // Reversals share the category of what they reverse, so spending nets out
+        if (!transaction.category) {
+            const original = transaction.reverses && this.transactionHistory.find(t => t.id === transaction.reverses);
+            transaction.category = original ? original.category : this.categorize(transaction);
+        }
+        this.transactionHistory.push(transaction);
+        if (this.ledger) {
+            this.ledger.append(transaction);
+        }
+    }
+
+    // Posts a compensating entry for `transactionId` and marks the original as reversed
+    reverseTransaction(transactionId, description = '') {
+        const original = this.transactionHistory.find(t => t.id === transactionId);
+        if (!original) {
+            throw new Error(`Transaction ${transactionId} not found on ${this.accountNumber}`);
+        }
+        if (original.reversedBy) {
+            throw new Error(`Transaction ${transactionId} has already been reversed`);
+        }
+
+        // The compensating entry swaps the original debit and credit; taking a credit
+        // back out is a debit like any other and must pass the account's rules
+        const side = original.side === 'debit' ? 'credit' : 'debit';
+        if (side === 'debit') {
+            this.checkDebit(original.amount, 'reversal');
+        }
+        const contraAccount = original.contraAccount || 'cash';
+        const reversalDescription = description || `Reversal of ${original.description || original.type}`;
+        const journalEntry = this.postToLedger(
+            'reversal',
+            reversalDescription,
+            side,
+            original.amount,
+            contraAccount,
+            this.clock.now()
+        );
+
+        const reversal = {
+            id: generateTransactionId(),
+            type: 'reversal',
+            side: side,
+            amount: original.amount,
+            balance: this.balance,
+            contraAccount: contraAccount,
+            journalEntryId: journalEntry.id,
+            description: reversalDescription,
+            timestamp: journalEntry.timestamp,
+            accountNumber: this.accountNumber,
+            reverses: original.id,
+            reversedType: original.type
+        };
+
+        original.reversedBy = reversal.id;
+        this.postTransaction(reversal);
+
+        // Charges levied because of the original, such as penalties, are refunded with it
+        this.transactionHistory
+            .filter(t => t.chargedFor === original.id && !t.reversedBy)
+            .forEach(charge => this.reverseTransaction(charge.id, `Refund: ${charge.description}`));
+
+        return reversal;
+    }
+
+    calculateInterest(timeInYears = 1) {
+        return this.interestStrategy.calculateInterest(this.balance, timeInYears, this.clock.now());
+    }
+
+    getInterestRate(date = this.clock.now(), balance = this.balance) {
+        return this.getInterestStrategy(date).getRate(balance, date);
+    }
+
+    getFormattedBalance() {
+        return this.balance.format();
+    }
+
+    // Customers observing the account own it; joint accounts have several
+    getOwners() {
+        return this.observers.filter(observer => observer instanceof Customer);
+    }
+
+    isOwnedBy(customerId) {
+        return this.getOwners().some(customer => customer.id === customerId);
+    }
+
+    getAccountInfo() {
+        return {
+            accountNumber: this.accountNumber,
+            accountType: this.accountType,
+            currency: this.currency,
+            balance: this.balance,
+            interestRate: this.getInterestRate(),
+            transactionCount: this.transactionHistory.length
+        };
+    }
+
+    toJSON() {
+        return {
+            accountNumber: this.accountNumber,
+            accountType: this.accountType,
+            currency: this.currency,
+            createdAt: this.createdAt.toISOString(),
+            ownerIds: this.getOwners().map(customer => customer.id),
+            rules: this.rules.map(rule => rule.toJSON()),
+            rateHistory: this.rateHistory.map(entry => ({
+                effectiveFrom: entry.effectiveFrom.toISOString(),
+                strategy: entry.strategy.toJSON()
+            })),
+            transactionHistory: this.transactionHistory.map(transaction => ({
+                ...transaction,
+                timestamp: transaction.timestamp.toISOString()
+            }))
+        };
+    }
+
+    static createFromJSON(data, generalLedger) {
+        return new Account(data.accountNumber, data.accountType, Money.zero(data.currency), generalLedger);
+    }
+
+    // The balance itself lives in the restored general ledger
+    static fromJSON(data, generalLedger) {
+        const AccountClass = Account.classFor(data.accountType);
+        const account = AccountClass.createFromJSON(data, generalLedger);
+        account.createdAt = new Date(data.createdAt);
+        account.rules = data.rules.map(rule => AccountRule.fromJSON(rule));
+        account.rateHistory = data.rateHistory.map(entry => ({
+            effectiveFrom: new Date(entry.effectiveFrom),
+            strategy: InterestStrategy.fromJSON(entry.strategy)
+        }));
+        account.transactionHistory = data.transactionHistory.map(transaction => {
+            const restored = {
+                ...transaction,
+                amount: Money.fromJSON(transaction.amount),
+                balance: Money.fromJSON(transaction.balance),
+                timestamp: new Date(transaction.timestamp)
+            };
+            if (transaction.exchange) {
+                restored.exchange = {
+                    sourceAmount: Money.fromJSON(transaction.exchange.sourceAmount),
+                    targetAmount: Money.fromJSON(transaction.exchange.targetAmount),
+                    rate: transaction.exchange.rate
+                };
+            }
+            return restored;
+        });
+        return account;
+    }
+
+    // Account types with their own behaviour; others use the base class
+    static classFor(accountType) {
+        return Account.subclasses[accountType] || Account;
+    }
+}
+
+// Fixed deposit rates (APY %) by term in months
+const FIXED_DEPOSIT_RATE_TIERS = { 6: 4.0, 12: 4.5, 24: 5.0 };
+
+// Early withdrawals are blocked unless allowed, in which case a share of the amount is charged
+const DEFAULT_FIXED_DEPOSIT_POLICY = { allowEarlyWithdrawal: false, penaltyRate: 0.02 };
+
+class FixedDepositAccount extends Account {
+    // `terms`: termMonths, startDate, maturityInstruction ('rollover' or 'payout') and payoutAccountNumber
+    constructor(accountNumber, initialBalance = Money.zero(), generalLedger = new GeneralLedger(), terms = {}) {
+        super(accountNumber, 'fixed', initialBalance, generalLedger, terms.startDate);
+
+        const termMonths = terms.termMonths || 12;
+        if (!FIXED_DEPOSIT_RATE_TIERS[termMonths]) {
+            throw new Error(`Fixed deposits are offered for ${Object.keys(FIXED_DEPOSIT_RATE_TIERS).join('/')} months`);
+        }
+        if (terms.maturityInstruction === 'payout' && !terms.payoutAccountNumber) {
+            throw new Error("A payout account is required to pay out at maturity");
+        }
+
+        this.termMonths = termMonths;
+        this.startDate = terms.startDate ? new Date(terms.startDate) : new Date();
+        this.maturityDate = addUtcMonths(this.startDate, termMonths);
+        this.maturityInstruction = terms.maturityInstruction || 'rollover';
+        this.payoutAccountNumber = terms.payoutAccountNumber || null;
+        this.status = 'active';
+        this.policy = { ...DEFAULT_FIXED_DEPOSIT_POLICY };
+        this.rateHistory = [{ effectiveFrom: new Date(0), strategy: new FlatRateStrategy(FIXED_DEPOSIT_RATE_TIERS[termMonths]) }];
+    }
+
+    isMatured() {
+        return this.clock.now() >= this.maturityDate;
+    }
+
+    // Withdrawals and outgoing transfers both come through here
+    withdraw(amount, description = '', details = {}) {
+        if (this.isMatured() || this.status !== 'active') {
+            return super.withdraw(amount, description, details);
+        }
+
+        if (!this.policy.allowEarlyWithdrawal) {
+            throw new AccountRuleError(
+                'FIXED_DEPOSIT_LOCKED',
+                `Fixed deposit ${this.accountNumber} is locked until ${this.maturityDate.toLocaleDateString()}`,
+                { accountNumber: this.accountNumber, maturityDate: this.maturityDate }
+            );
+        }
+
+        const penalty = amount.multiply(this.policy.penaltyRate);
+        if (amount.add(penalty).greaterThan(this.balance)) {
+            throw new AccountRuleError(
+                'INSUFFICIENT_FUNDS',
+                `Insufficient funds to cover the early withdrawal penalty of ${penalty.format()}`,
+                { accountNumber: this.accountNumber, balance: this.balance, amount: amount.add(penalty) }
+            );
+        }
+
+        const transaction = super.withdraw(amount, description, details);
+        if (penalty.isPositive()) {
+            this.chargeFee(penalty, `Early withdrawal penalty (${this.policy.penaltyRate * 100}%)`, {
+                chargedFor: transaction.id
+            });
+        }
+        return transaction;
+    }
+
+    // Starts a new term of the same length from the previous maturity date
+    rollOver() {
+        this.startDate = this.maturityDate;
+        this.maturityDate = addUtcMonths(this.startDate, this.termMonths);
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            fixedDeposit: {
+                termMonths: this.termMonths,
+                startDate: this.startDate.toISOString(),
+                maturityDate: this.maturityDate.toISOString(),
+                maturityInstruction: this.maturityInstruction,
+                payoutAccountNumber: this.payoutAccountNumber,
+                status: this.status
+            }
+        };
+    }
+
+    static createFromJSON(data, generalLedger) {
+        const account = new FixedDepositAccount(
+            data.accountNumber,
+            Money.zero(data.currency),
+            generalLedger,
+            data.fixedDeposit
+        );
+        account.maturityDate = new Date(data.fixedDeposit.maturityDate);
+        account.status = data.fixedDeposit.status;
+        return account;
+    }
+}
+
+// Late fee (in the loan's currency) charged once per missed installment, and the days
+// after the due date before an unpaid installment counts as missed
+const DEFAULT_LOAN_POLICY = { lateFee: 25, graceDays: 3 };
+
+// Equal monthly installments paying off `principal` at `apr` percent, one per due date.
+// Each splits into interest on the remaining balance and principal; the last one
+// absorbs rounding so the balance ends at exactly zero. Money rounds every amount
+// (banker's rounding), so only the annuity factor is worked out in floating point.
+function amortize(principal, apr, dueDates) {
+    const monthlyRate = apr / 100 / 12;
+    const count = dueDates.length;
+    const payment = monthlyRate === 0 ?
+        Money.fromMinor(Math.ceil(principal.minorUnits / count), principal.currency) :
+        principal.multiply(monthlyRate / (1 - Math.pow(1 + monthlyRate, -count)));
+
+    let remaining = principal;
+    return dueDates.map((dueDate, index) => {
+        const interest = remaining.multiply(monthlyRate);
+        const principalPart = index === count - 1 || payment.subtract(interest).greaterThan(remaining) ?
+            remaining :
+            payment.subtract(interest);
+        remaining = remaining.subtract(principalPart);
+        return {
+            dueDate,
+            payment: principalPart.add(interest),
+            principal: principalPart,
+            interest,
+            balance: remaining
+        };
+    });
+}
+
+// The balance is what the borrower owes, so it is negative from disbursement until the
+// loan is repaid. Installments go from 'scheduled' to 'due' when their interest is
+// charged, then to 'paid', or to 'missed' after the grace period; an early payoff marks
+// the rest 'paid-off'. The loan itself is 'active', 'delinquent' or 'paid-off'.
+class LoanAccount extends Account {
+    // `terms`: principal (Money), apr, termMonths, repaymentAccountNumber and startDate
+    constructor(accountNumber, generalLedger = new GeneralLedger(), terms = {}, policy = DEFAULT_LOAN_POLICY) {
+        const { principal, apr, termMonths, repaymentAccountNumber } = terms;
+        if (!(principal instanceof Money) || !principal.isPositive()) {
+            throw new Error("Loan principal must be a positive amount");
+        }
+        if (!(Number.isFinite(apr) && apr >= 0 && apr < 100)) {
+            throw new Error("APR must be a percentage from 0 up to 100");
+        }
+        if (!(Number.isInteger(termMonths) && termMonths >= 1 && termMonths <= 360)) {
+            throw new Error("Loan term must be 1 to 360 months");
+        }
+        if (!repaymentAccountNumber) {
+            throw new Error("Loans need a repayment account");
+        }
+        super(accountNumber, 'loan', Money.zero(principal.currency), generalLedger, terms.startDate);
+
+        this.principal = principal;
+        this.apr = apr;
+        this.termMonths = termMonths;
+        this.repaymentAccountNumber = repaymentAccountNumber;
+        this.startDate = terms.startDate ? new Date(terms.startDate) : new Date();
+        this.lateFee = Money.parse(String(policy.lateFee), principal.currency);
+        this.graceDays = policy.graceDays;
+        this.status = 'active';
+        this.disbursedAt = null;
+        this.interestChargedThrough = this.startDate;
+        this.rules = [];
+        this.installments = amortize(
+            principal,
+            apr,
+            Array.from({ length: termMonths }, (_, index) => addUtcMonths(this.startDate, index + 1))
+        ).map((row, index) => ({ number: index + 1, ...row, status: 'scheduled', lateFee: null, paidAt: null }));
+    }
+
+    // What the borrower owes, as a positive amount
+    get outstanding() {
+        return this.balance.negate();
+    }
+
+    getNextInstallment() {
+        return this.installments.find(installment => installment.status !== 'paid' && installment.status !== 'paid-off') || null;
+    }
+
+    // Money only leaves a loan when it is disbursed
+    checkDebit(amount) {
+        throw new AccountRuleError(
+            'LOAN_REPAYMENT_ONLY',
+            `Loan ${this.accountNumber} only accepts repayments`,
+            { accountNumber: this.accountNumber, amount }
+        );
+    }
+
+    deposit(amount, description = '', details = {}) {
+        if (amount.greaterThan(this.outstanding)) {
+            throw new AccountRuleError(
+                'LOAN_OVERPAYMENT',
+                `${amount.format()} is more than the ${this.outstanding.format()} owed on ${this.accountNumber}`,
+                { accountNumber: this.accountNumber, amount, outstanding: this.outstanding }
+            );
+        }
+        return super.deposit(amount, description, details);
+    }
+
+    // Pays the principal into the borrower's account as a linked pair of transfer legs
+    disburse(toAccount) {
+        if (this.disbursedAt) {
+            throw new Error(`Loan ${this.accountNumber} has already been disbursed`);
+        }
+        const details = { contraAccount: 'transfer-clearing' };
+        const transferId = generateTransferId();
+        const loanLegId = generateTransactionId();
+        const accountLegId = generateTransactionId();
+        this.recordTransaction('transfer', 'debit', this.principal, `Loan disbursement to ${toAccount.accountNumber}`, {
+            ...details,
+            id: loanLegId,
+            transfer: { transferId, direction: 'out', counterpartAccountNumber: toAccount.accountNumber, counterpartTransactionId: accountLegId }
+        });
+        toAccount.deposit(this.principal, `Loan disbursement from ${this.accountNumber}`, {
+            ...details,
+            id: accountLegId,
+            transfer: { transferId, direction: 'in', counterpartAccountNumber: this.accountNumber, counterpartTransactionId: loanLegId }
+        });
+        this.disbursedAt = this.clock.now();
+
+        this.publish(new LoanDisbursed({
+            accountNumber: this.accountNumber,
+            toAccountNumber: toAccount.accountNumber,
+            amount: this.principal,
+            installment: this.installments[0].payment,
+            termMonths: this.termMonths
+        }));
+    }
+
+    // Adds interest to what is owed, funded to the bank's interest income
+    chargeInterest(amount, description = '', details = {}) {
+        const transaction = this.recordTransaction('loan-interest', 'debit', amount, description, {
+            contraAccount: 'interest-income',
+            ...details
+        });
+        this.publish(new ChargeApplied({
+            accountNumber: this.accountNumber,
+            transactionId: transaction.id,
+            amount,
+            balance: this.balance,
+            description,
+            kind: 'loan-interest'
+        }));
+        return transaction;
+    }
+
+    // Loans owe more as fees are charged, so the usual debit checks do not apply
+    chargeLateFee(installment) {
+        const transaction = this.recordTransaction('fee', 'debit', this.lateFee, `Late fee for installment ${installment.number}`, {
+            contraAccount: 'fee-income'
+        });
+        installment.lateFee = this.lateFee;
+        this.publish(new ChargeApplied({
+            accountNumber: this.accountNumber,
+            transactionId: transaction.id,
+            amount: this.lateFee,
+            balance: this.balance,
+            description: transaction.description,
+            kind: 'late-fee'
+        }));
+        return transaction;
+    }
+
+    // What an installment collects: its payment plus any late fee
+    amountDue(installment) {
+        return installment.lateFee ? installment.payment.add(installment.lateFee) : installment.payment;
+    }
+
+    isPastGrace(installment, now) {
+        return now.getTime() >= installment.dueDate.getTime() + this.graceDays * MS_PER_DAY;
+    }
+
+    // Interest for the days since interest was last charged, each on what was owed at the
+    // end of that day, so a repayment part way through counts from the day it was made
+    accruedInterest(date) {
+        const days = Math.max(0, Math.floor((date - this.interestChargedThrough) / MS_PER_DAY));
+        let owedMinorUnitDays = 0;
+        for (let day = 1; day <= days; day++) {
+            const endOfDay = new Date(this.interestChargedThrough.getTime() + day * MS_PER_DAY);
+            owedMinorUnitDays -= this.generalLedger.getBalanceAsOf(this.accountNumber, this.currency, endOfDay).minorUnits;
+        }
+        return Money.fromMinor(owedMinorUnitDays, this.currency).multiply(this.apr / 100, 1 / 365);
+    }
+
+    // Everything owed on `date`: the balance plus interest accrued since it was last charged
+    payoffQuote(date) {
+        const accruedInterest = this.status === 'paid-off' ? Money.zero(this.currency) : this.accruedInterest(date);
+        return { outstanding: this.outstanding, accruedInterest, total: this.outstanding.add(accruedInterest) };
+    }
+
+    // Spreads what is owed over the installments still to come, keeping their due dates
+    reschedule() {
+        const remaining = this.installments.filter(installment => installment.status === 'scheduled');
+        amortize(this.outstanding, this.apr, remaining.map(installment => installment.dueDate))
+            .forEach((row, index) => Object.assign(remaining[index], row));
+    }
+
+    updateStatus() {
+        if (this.installments.every(installment => installment.status === 'paid' || installment.status === 'paid-off')) {
+            this.status = 'paid-off';
+        } else {
+            this.status = this.installments.some(installment => installment.status === 'missed') ? 'delinquent' : 'active';
+        }
+    }
+
+    getAccountInfo() {
+        return {
+            ...super.getAccountInfo(),
+            principal: this.principal,
+            apr: this.apr,
+            outstanding: this.outstanding,
+            status: this.status
+        };
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            loan: {
+                principal: this.principal.toJSON(),
+                apr: this.apr,
+                termMonths: this.termMonths,
+                repaymentAccountNumber: this.repaymentAccountNumber,
+                startDate: this.startDate.toISOString(),
+                lateFee: this.lateFee.toJSON(),
+                graceDays: this.graceDays,
+                status: this.status,
+                disbursedAt: this.disbursedAt && this.disbursedAt.toISOString(),
+                interestChargedThrough: this.interestChargedThrough.toISOString(),
+                installments: this.installments.map(installment => ({
+                    ...installment,
+                    dueDate: installment.dueDate.toISOString(),
+                    payment: installment.payment.toJSON(),
+                    principal: installment.principal.toJSON(),
+                    interest: installment.interest.toJSON(),
+                    balance: installment.balance.toJSON(),
+                    lateFee: installment.lateFee && installment.lateFee.toJSON(),
+                    paidAt: installment.paidAt && installment.paidAt.toISOString()
+                }))
+            }
+        };
+    }
+
+    static createFromJSON(data, generalLedger) {
+        const loan = data.loan;
+        const account = new LoanAccount(data.accountNumber, generalLedger, {
+            principal: Money.fromJSON(loan.principal),
+            apr: loan.apr,
+            termMonths: loan.termMonths,
+            repaymentAccountNumber: loan.repaymentAccountNumber,
+            startDate: loan.startDate
+        });
+        account.lateFee = Money.fromJSON(loan.lateFee);
+        account.graceDays = loan.graceDays;
+        account.status = loan.status;
+        account.disbursedAt = loan.disbursedAt ? new Date(loan.disbursedAt) : null;
+        account.interestChargedThrough = new Date(loan.interestChargedThrough);
+        account.installments = loan.installments.map(installment => ({
+            ...installment,
+            dueDate: new Date(installment.dueDate),
+            payment: Money.fromJSON(installment.payment),
+            principal: Money.fromJSON(installment.principal),
+            interest: Money.fromJSON(installment.interest),
+            balance: Money.fromJSON(installment.balance),
+            lateFee: installment.lateFee ? Money.fromJSON(installment.lateFee) : null,
+            paidAt: installment.paidAt ? new Date(installment.paidAt) : null
+        }));
+        return account;
+    }
+}
+
+Account.subclasses = { fixed: FixedDepositAccount, loan: LoanAccount };
+
+// ============================================================================
+// COMMAND PATTERN - For Banking Operations
+// ============================================================================
+
+class Command {
+    execute() {
+        throw new Error("Command must implement execute method");
+    }
+
+    undo() {
+        throw new Error("Command must implement undo method");
+    }
+
+    // Balance change per account that executing this command applies
+    getBalanceEffects() {
+        throw new Error("Command must implement getBalanceEffects method");
+    }
+
+    describe() {
+        throw new Error("Command must implement describe method");
+    }
+
+    // Commands that cannot be taken back stay off the undo history
+    get undoable() {
+        return true;
+    }
+
+    // Postings the bank makes on its own account, such as interest, which only staff
+    // may undo or redo
+    get postedByBank() {
+        return false;
+    }
+
+    // Redo after an undo posts a fresh entry linked to the one that was reversed
+    getRedoDetails(previousTransactionId) {
+        return previousTransactionId === null ? {} : { redoOf: previousTransactionId };
+    }
+
+    toJSON() {
+        throw new Error("Command must implement toJSON method");
+    }
+
+    // Announces an undo with the balances of every account the command touched
+    undoneEvent() {
+        const balances = {};
+        this.getBalanceEffects().forEach(({ account }) => {
+            balances[account.accountNumber] = account.balance;
+        });
+        return new TransactionUndone({ commandType: this.toJSON().type, summary: this.describe(), balances });
+    }
+
+    // Rebuilds a serialized command, resolving account numbers to live accounts
+    static fromJSON(data, accounts) {
+        const CommandClass = Command.registry[data.type];
+        if (!CommandClass) {
+            throw new Error(`Unknown command type: ${data.type}`);
+        }
+        return CommandClass.fromJSON(data, accounts);
+    }
+
+    static register(type, CommandClass) {
+        Command.registry[type] = CommandClass;
+    }
+}
+
+Command.registry = {};
+
+class DepositCommand extends Command {
+    // `details` are extra fields for the transaction, such as the original date of an imported row
+    constructor(account, amount, description = '', details = {}) {
+        super();
+        this.account = account;
+        this.amount = amount;
+        this.description = description;
+        this.details = details;
+        this.executed = false;
+        this.transactionId = null;
+        this.timestamp = null;
+    }
+
+    execute() {
+        if (!this.executed) {
+            const transaction = this.account.deposit(
+                this.amount,
+                this.description,
+                { ...this.details, ...this.getRedoDetails(this.transactionId) }
+            );
+            this.transactionId = transaction.id;
+            this.timestamp = transaction.timestamp;
+            this.executed = true;
+            return transaction;
+        }
+    }
+
+    undo() {
+        if (this.executed && this.transactionId) {
+            this.account.reverseTransaction(this.transactionId, `Undo: deposit of ${this.amount.format()}`);
+            this.executed = false;
+            
+            this.account.publish(this.undoneEvent());
+        }
+    }
+
+    getBalanceEffects() {
+        return [{ account: this.account, amount: this.amount }];
+    }
+
+    describe() {
+        return `Deposit of ${this.amount.format()} to ${this.account.accountNumber}`;
+    }
+
+    toJSON() {
+        return {
+            type: 'deposit',
+            accountNumber: this.account.accountNumber,
+            amount: this.amount,
+            description: this.description,
+            details: this.details,
+            executed: this.executed,
+            transactionId: this.transactionId,
+            timestamp: this.timestamp && this.timestamp.toISOString()
+        };
+    }
+
+    static fromJSON(data, accounts) {
+        const details = { ...data.details };
+        if (details.timestamp) {
+            details.timestamp = new Date(details.timestamp);
+        }
+        const command = new DepositCommand(accounts.get(data.accountNumber), Money.fromJSON(data.amount), data.description, details);
+        command.executed = data.executed;
+        command.transactionId = data.transactionId;
+        command.timestamp = data.timestamp ? new Date(data.timestamp) : null;
+        return command;
+    }
+}
+
+class WithdrawCommand extends Command {
+    // `details` are extra fields for the transaction, such as the original date of an imported row
+    constructor(account, amount, description = '', details = {}) {
+        super();
+        this.account = account;
+        this.amount = amount;
+        this.description = description;
+        this.details = details;
+        this.executed = false;
+        this.transactionId = null;
+        this.timestamp = null;
+    }
+
+    execute() {
+        if (!this.executed) {
+            const transaction = this.account.withdraw(
+                this.amount,
+                this.description,
+                { ...this.details, ...this.getRedoDetails(this.transactionId) }
+            );
+            this.transactionId = transaction.id;
+            this.timestamp = transaction.timestamp;
+            this.executed = true;
+            return transaction;
+        }
+    }
+
+    undo() {
+        if (this.executed && this.transactionId) {
+            this.account.reverseTransaction(this.transactionId, `Undo: withdrawal of ${this.amount.format()}`);
+            this.executed = false;
+            
+            this.account.publish(this.undoneEvent());
+        }
+    }
+
+    getBalanceEffects() {
+        return [{ account: this.account, amount: this.amount.negate() }];
+    }
+
+    describe() {
+        return `Withdrawal of ${this.amount.format()} from ${this.account.accountNumber}`;
+    }
+
+    toJSON() {
+        return {
+            type: 'withdraw',
+            accountNumber: this.account.accountNumber,
+            amount: this.amount,
+            description: this.description,
+            details: this.details,
+            executed: this.executed,
+            transactionId: this.transactionId,
+            timestamp: this.timestamp && this.timestamp.toISOString()
+        };
+    }
+
+    static fromJSON(data, accounts) {
+        const details = { ...data.details };
+        if (details.timestamp) {
+            details.timestamp = new Date(details.timestamp);
+        }
+        const command = new WithdrawCommand(accounts.get(data.accountNumber), Money.fromJSON(data.amount), data.description, details);
+        command.executed = data.executed;
+        command.transactionId = data.transactionId;
+        command.timestamp = data.timestamp ? new Date(data.timestamp) : null;
+        return command;
+    }
+}
+
+class TransferCommand extends Command {
+    // `exchangeRate` converts the source currency into the destination currency
+    constructor(fromAccount, toAccount, amount, description = '', exchangeRate = 1) {
+        super();
+        this.fromAccount = fromAccount;
+        this.toAccount = toAccount;
+        this.amount = amount;
+        this.description = description;
+        this.exchangeRate = exchangeRate;
+        this.convertedAmount = amount.convertTo(toAccount.currency, exchangeRate);
+        this.executed = false;
+        this.fromTransactionId = null;
+        this.toTransactionId = null;
+        this.timestamp = null;
+    }
+
+    execute() {
+        if (!this.executed) {
+            // Both legs post against transfer clearing and record the amounts on each side and the rate applied
+            const details = { contraAccount: 'transfer-clearing' };
+            if (this.fromAccount.currency !== this.toAccount.currency) {
+                details.exchange = {
+                    sourceAmount: this.amount,
+                    targetAmount: this.convertedAmount,
+                    rate: this.exchangeRate
+                };
+            }
+
+            // Ids are assigned up front so each leg can name the other; both legs share
+            // the transfer id
+            const transferId = generateTransferId();
+            const fromId = generateTransactionId();
+            const toId = generateTransactionId();
+
+            // First withdraw from source account
+            const withdrawTransaction = this.fromAccount.withdraw(
+                this.amount, 
+                `Transfer to ${this.toAccount.accountNumber}: ${this.description}`,
+                {
+                    ...details,
+                    ...this.getRedoDetails(this.fromTransactionId),
+                    id: fromId,
+                    transfer: { transferId, direction: 'out', counterpartAccountNumber: this.toAccount.accountNumber, counterpartTransactionId: toId }
+                }
+            );
+            
+            // Then deposit to destination account. If the destination refuses the money,
+            // the source leg is reversed so the source account gets it back.
+            let depositTransaction;
+            try {
+                depositTransaction = this.toAccount.deposit(
+                    this.convertedAmount, 
+                    `Transfer from ${this.fromAccount.accountNumber}: ${this.description}`,
+                    {
+                        ...details,
+                        ...this.getRedoDetails(this.toTransactionId),
+                        id: toId,
+                        transfer: { transferId, direction: 'in', counterpartAccountNumber: this.fromAccount.accountNumber, counterpartTransactionId: fromId }
+                    }
+                );
+            } catch (error) {
+                this.fromAccount.reverseTransaction(
+                    withdrawTransaction.id,
+                    `Rollback: transfer to ${this.toAccount.accountNumber} failed`
+                );
+                throw error;
+            }
+            
+            this.fromTransactionId = withdrawTransaction.id;
+            this.toTransactionId = depositTransaction.id;
+            this.timestamp = withdrawTransaction.timestamp;
+            this.executed = true;
+
+            this.fromAccount.publish(new TransferCompleted({
+                fromAccountNumber: this.fromAccount.accountNumber,
+                toAccountNumber: this.toAccount.accountNumber,
+                amount: this.amount,
+                convertedAmount: this.convertedAmount,
+                fromBalance: this.fromAccount.balance,
+                toBalance: this.toAccount.balance,
+                transferId,
+                fromTransactionId: withdrawTransaction.id,
+                toTransactionId: depositTransaction.id,
+                description: this.description
+            }));
+            
+            return {
+                from: withdrawTransaction,
+                to: depositTransaction
+            };
+        }
+    }
+
+    undo() {
+        if (this.executed && this.fromTransactionId && this.toTransactionId) {
+            // Reverse both legs at the amounts originally posted
+            this.fromAccount.reverseTransaction(
+                this.fromTransactionId,
+                `Undo: transfer to ${this.toAccount.accountNumber}`
+            );
+            this.toAccount.reverseTransaction(
+                this.toTransactionId,
+                `Undo: transfer from ${this.fromAccount.accountNumber}`
+            );
+            
+            this.executed = false;
+            
+            this.fromAccount.publish(this.undoneEvent());
+        }
+    }
+
+    getBalanceEffects() {
+        return [
+            { account: this.fromAccount, amount: this.amount.negate() },
+            { account: this.toAccount, amount: this.convertedAmount }
+        ];
+    }
+
+    describe() {
+        return `Transfer of ${this.amount.format()} from ${this.fromAccount.accountNumber} to ${this.toAccount.accountNumber}`;
+    }
+
+    toJSON() {
+        return {
+            type: 'transfer',
+            fromAccountNumber: this.fromAccount.accountNumber,
+            toAccountNumber: this.toAccount.accountNumber,
+            amount: this.amount,
+            description: this.description,
+            exchangeRate: this.exchangeRate,
+            executed: this.executed,
+            fromTransactionId: this.fromTransactionId,
+            toTransactionId: this.toTransactionId,
+            timestamp: this.timestamp && this.timestamp.toISOString()
+        };
+    }
+
+    static fromJSON(data, accounts) {
+        const command = new TransferCommand(
+            accounts.get(data.fromAccountNumber),
+            accounts.get(data.toAccountNumber),
+            Money.fromJSON(data.amount),
+            data.description,
+            data.exchangeRate
+        );
+        command.executed = data.executed;
+        command.fromTransactionId = data.fromTransactionId;
+        command.toTransactionId = data.toTransactionId;
+        command.timestamp = data.timestamp ? new Date(data.timestamp) : null;
+        return command;
+    }
+}
+
+class InterestPostingCommand extends Command {
+    constructor(account, amount, description = '', postingDate = null) {
+        super();
+        this.account = account;
+        this.amount = amount;
+        this.description = description;
+        this.postingDate = postingDate;
+        this.executed = false;
+        this.transactionId = null;
+        this.timestamp = null;
+    }
+
+    execute() {
+        if (!this.executed) {
+            const details = this.getRedoDetails(this.transactionId);
+            if (this.postingDate && this.transactionId === null) {
+                details.timestamp = this.postingDate;
+            }
+
+            // A negative amount is interest owed on an overdrawn balance
+            const transaction = this.amount.isNegative() ?
+                this.account.chargeOverdraftInterest(this.amount.negate(), this.description, details) :
+                this.account.postInterest(this.amount, this.description, details);
+            this.transactionId = transaction.id;
+            this.timestamp = transaction.timestamp;
+            this.executed = true;
+            return transaction;
+        }
+    }
+
+    undo() {
+        if (this.executed && this.transactionId) {
+            this.account.reverseTransaction(this.transactionId, `Undo: interest of ${this.amount.format()}`);
+            this.executed = false;
+            
+            this.account.publish(this.undoneEvent());
+        }
+    }
+
+    get postedByBank() {
+        return true;
+    }
+
+    getBalanceEffects() {
+        return [{ account: this.account, amount: this.amount }];
+    }
+
+    describe() {
+        return this.amount.isNegative() ?
+            `Overdraft interest of ${this.amount.negate().format()} on ${this.account.accountNumber}` :
+            `Interest of ${this.amount.format()} to ${this.account.accountNumber}`;
+    }
+
+    toJSON() {
+        return {
+            type: 'interest',
+            accountNumber: this.account.accountNumber,
+            amount: this.amount,
+            description: this.description,
+            postingDate: this.postingDate && this.postingDate.toISOString(),
+            executed: this.executed,
+            transactionId: this.transactionId,
+            timestamp: this.timestamp && this.timestamp.toISOString()
+        };
+    }
+
+    static fromJSON(data, accounts) {
+        const command = new InterestPostingCommand(
+            accounts.get(data.accountNumber),
+            Money.fromJSON(data.amount),
+            data.description,
+            data.postingDate ? new Date(data.postingDate) : null
+        );
+        command.executed = data.executed;
+        command.transactionId = data.transactionId;
+        command.timestamp = data.timestamp ? new Date(data.timestamp) : null;
+        return command;
+    }
+}
+
+// Holds the funds for an outgoing payment. Once the payment is with the rail it can
+// only come back as a return, so it is never undone.
+class PaymentCommand extends Command {
+    constructor(account, payment) {
+        super();
+        this.account = account;
+        this.payment = payment;
+        this.executed = false;
+    }
+
+    execute() {
+        const { payee, description } = this.payment;
+        const hold = this.account.sendPayment(this.payment.amount, `Payment to ${payee.name}${description ? `: ${description}` : ''}`, {
+            payment: { paymentId: this.payment.id, payeeName: payee.name }
+        });
+        this.payment.holdTransactionId = hold.id;
+        this.executed = true;
+        return hold;
+    }
+
+    undo() {
+        throw new Error("Payments cannot be undone");
+    }
+
+    get undoable() {
+        return false;
+    }
+
+    getBalanceEffects() {
+        return [{ account: this.account, amount: this.payment.amount.negate() }];
+    }
+
+    describe() {
+        return `Payment of ${this.payment.amount.format()} from ${this.account.accountNumber} to ${this.payment.payee.name}`;
+    }
+
+    toJSON() {
+        return {
+            type: 'payment',
+            accountNumber: this.account.accountNumber,
+            payment: this.payment.toJSON(),
+            executed: this.executed
+        };
+    }
+
+    static fromJSON(data, accounts) {
+        const command = new PaymentCommand(accounts.get(data.accountNumber), OutgoingPayment.fromJSON(data.payment));
+        command.executed = data.executed;
+        return command;
+    }
+}
+
+Command.register('deposit', DepositCommand);
+Command.register('withdraw', WithdrawCommand);
+Command.register('transfer', TransferCommand);
+Command.register('interest', InterestPostingCommand);
+Command.register('payment', PaymentCommand);
+
+// ============================================================================
+// TRANSACTION MANAGER - Handles Commands
+// ============================================================================
+
+class TransactionManager {
+    // `screener` vets each new command before it runs (see FraudDetectionEngine);
+    // undo and redo replay commands that were already vetted
+    constructor(generalLedger = null, screener = null) {
+        this.commandHistory = [];
+        this.currentPosition = -1;
+        this.generalLedger = generalLedger;
+        this.screener = screener;
+    }
+
+    // Raises if the general ledger's debits and credits no longer agree
+    checkTrialBalance() {
+        if (this.generalLedger) {
+            this.generalLedger.assertBalanced();
+        }
+    }
+
+    executeCommand(command) {
+        // The screener throws to refuse a command; what it returns comes back to it once the command has run
+        const screening = this.screener ? this.screener.screen(command) : null;
+        const result = command.execute();
+        this.checkTrialBalance();
+        
+        if (command.undoable) {
+            // Clear any commands after current position (for redo functionality)
+            this.commandHistory = this.commandHistory.slice(0, this.currentPosition + 1);
+            
+            // Add new command to history
+            this.commandHistory.push(command);
+            this.currentPosition++;
+        }
+
+        if (screening) {
+            this.screener.executed(command, screening);
+        }
+        
+        return result;
+    }
+
+    // Checks every undo/redo step between here and `targetPosition` against
+    // simulated balances, so a refused jump leaves nothing half-applied
+    validateMove(targetPosition) {
+        const balances = new Map();
+        const balanceOf = account => balances.has(account) ? balances.get(account) : account.balance;
+        const steps = [];
+
+        for (let position = this.currentPosition; position > targetPosition; position--) {
+            steps.push({ command: this.commandHistory[position], action: 'undo' });
+        }
+        for (let position = this.currentPosition + 1; position <= targetPosition; position++) {
+            steps.push({ command: this.commandHistory[position], action: 'redo' });
+        }
+
+        steps.forEach(({ command, action }) => {
+            command.getBalanceEffects().forEach(({ account, amount }) => {
+                const effect = action === 'undo' ? amount.negate() : amount;
+                if (effect.isNegative()) {
+                    try {
+                        account.checkDebit(effect.negate(), action === 'undo' ? 'reversal' : 'withdraw', balanceOf(account));
+                    } catch (error) {
+                        if (!(error instanceof AccountRuleError)) throw error;
+                        throw new AccountRuleError(
+                            error.code,
+                            `Cannot ${action} ${command.describe()}: ${error.message}`,
+                            error.details
+                        );
+                    }
+                }
+                balances.set(account, balanceOf(account).add(effect));
+            });
+        });
+    }
+
+    moveTo(targetPosition) {
+        if (targetPosition < -1 || targetPosition >= this.commandHistory.length) {
+            throw new Error("Timeline position out of range");
+        }
+
+        this.validateMove(targetPosition);
+
+        while (this.currentPosition > targetPosition) {
+            this.commandHistory[this.currentPosition].undo();
+            this.currentPosition--;
+        }
+        while (this.currentPosition < targetPosition) {
+            this.commandHistory[this.currentPosition + 1].execute();
+            this.currentPosition++;
+        }
+
+        this.checkTrialBalance();
+    }
+
+    undoLastCommand() {
+        if (this.canUndo()) {
+            this.moveTo(this.currentPosition - 1);
+            return true;
+        }
+        return false;
+    }
+
+    redoNextCommand() {
+        if (this.canRedo()) {
+            this.moveTo(this.currentPosition + 1);
+            return true;
+        }
+        return false;
+    }
+
+    canUndo() {
+        return this.currentPosition >= 0;
+    }
+
+    canRedo() {
+        return this.currentPosition < this.commandHistory.length - 1;
+    }
+
+    // Every recorded command, including undone ones that can still be redone
+    getTimeline() {
+        return this.commandHistory.map((command, position) => ({
+            position,
+            command,
+            applied: position <= this.currentPosition
+        }));
+    }
+
+    getCommandHistory() {
+        return this.commandHistory.slice(0, this.currentPosition + 1);
+    }
+
+    toJSON() {
+        return {
+            commands: this.commandHistory.map(command => command.toJSON()),
+            currentPosition: this.currentPosition
+        };
+    }
+
+    restore(data, accounts) {
+        this.commandHistory = data.commands.map(command => Command.fromJSON(command, accounts));
+        this.currentPosition = data.currentPosition;
+    }
+}
+
+// ============================================================================
+// IDEMPOTENCY - Retried Submissions Return Their First Result
+// ============================================================================
+
+// How long a key is remembered; after this a retry runs as a new submission
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+class IdempotencyError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'IdempotencyError';
+        this.code = code;
+    }
+}
+
+// What a deposit, withdrawal or transfer produced, by transaction and request ids so
+// it can be saved and looked up again
+function describeSubmission(result) {
+    const reference = transaction => ({ accountNumber: transaction.accountNumber, transactionId: transaction.id });
+    if (result.pendingApproval) {
+        return { approvalRequestId: result.pendingApproval.id };
+    }
+    if (result.from) {
+        return { from: reference(result.from), to: reference(result.to) };
+    }
+    return reference(result);
+}
+
+// Remembers the request and result behind each idempotency key. Keys are scoped to
+// whoever submitted them (a customer id, or 'system'), and `request` is a fingerprint
+// of what was asked for: reusing a key for a different request is refused rather
+// than answered with someone else's result.
+class IdempotencyStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    // The entry saved under `key`, or null when the key is new
+    find(owner, key, request) {
+        const entry = this.entries.get(`${owner}/${key}`);
+        if (!entry) {
+            return null;
+        }
+        if (entry.request !== request) {
+            throw new IdempotencyError(
+                'IDEMPOTENCY_KEY_REUSED',
+                `Idempotency key ${key} was already used for a different request`
+            );
+        }
+        return entry;
+    }
+
+    remember(owner, key, request, result, createdAt) {
+        this.entries.set(`${owner}/${key}`, { owner, key, request, result, createdAt });
+    }
+
+    // Forgets keys older than the TTL
+    expire(now) {
+        const cutoff = now.getTime() - IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000;
+        this.entries.forEach((entry, id) => {
+            if (entry.createdAt.getTime() < cutoff) {
+                this.entries.delete(id);
+            }
+        });
+    }
+
+    toJSON() {
+        return Array.from(this.entries.values()).map(entry => ({ ...entry, createdAt: entry.createdAt.toISOString() }));
+    }
+
+    static fromJSON(data) {
+        const store = new IdempotencyStore();
+        data.forEach(entry => store.remember(entry.owner, entry.key, entry.request, entry.result, new Date(entry.createdAt)));
+        return store;
+    }
+}
+
+// ============================================================================
+// CLOCK - Injectable Time Source
+// ============================================================================
+
+class SystemClock {
+    now() {
+        return new Date();
+    }
+}
+
+// Simulated time that only moves when told to, for fast-forwarding in tests
+class ManualClock {
+    constructor(start = new Date()) {
+        this.current = new Date(start);
+    }
+
+    now() {
+        return new Date(this.current);
+    }
+
+    set(date) {
+        this.current = new Date(date);
+    }
+
+    advanceDays(days) {
+        this.current = new Date(this.current.getTime() + days * MS_PER_DAY);
+    }
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function startOfUtcDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Same day `months` later, clamped to the end of shorter months
+function addUtcMonths(date, months) {
+    const target = new Date(date.getTime());
+    const day = target.getUTCDate();
+    target.setUTCDate(1);
+    target.setUTCMonth(target.getUTCMonth() + months);
+    const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, daysInMonth));
+    return target;
+}
+
+// ============================================================================
+// INTEREST ACCRUAL ENGINE - Daily Accrual, Periodic Posting
+// ============================================================================
+
+// Accrued interest is carried in ten-thousandths of a minor unit so daily
+// amounts on small balances are not rounded away before posting
+const ACCRUAL_SCALE = 10000;
+
+// How often accrued interest is posted, and so compounded into the balance
+const COMPOUNDING_FREQUENCIES = {
+    daily: () => true,
+    monthly: day => day.getUTCDate() === 1,
+    quarterly: day => day.getUTCDate() === 1 && day.getUTCMonth() % 3 === 0,
+    annually: day => day.getUTCDate() === 1 && day.getUTCMonth() === 0
+};
+
+class InterestAccrualEngine {
+    // `getAccounts` lists the accounts to accrue; `postInterest(account, amount, date)`
+    // credits a posting through the command system
+    constructor(getAccounts, postInterest, clock = new SystemClock(), compounding = 'monthly') {
+        if (!COMPOUNDING_FREQUENCIES[compounding]) {
+            throw new Error(`Unknown compounding frequency: ${compounding}`);
+        }
+        this.getAccounts = getAccounts;
+        this.postInterest = postInterest;
+        this.clock = clock;
+        this.compounding = compounding;
+        this.accruals = new Map();
+    }
+
+    // Accrual starts on the day an account is first seen (or created)
+    getAccrual(account) {
+        if (!this.accruals.has(account.accountNumber)) {
+            this.accruals.set(account.accountNumber, {
+                accruedScaled: 0,
+                accruedThrough: startOfUtcDay(account.createdAt)
+            });
+        }
+        return this.accruals.get(account.accountNumber);
+    }
+
+    // One day's interest on the balance at the end of `day`, at the rate in effect that
+    // day, in scaled minor units; negative when an overdrawn balance is charged overdraft
+    // interest. Days caught up on later still earn on the balance they had.
+    dailyInterestScaled(account, day) {
+        const balance = account.generalLedger.getBalanceAsOf(
+            account.accountNumber,
+            account.currency,
+            new Date(day.getTime() + MS_PER_DAY)
+        );
+        if (balance.isZero()) {
+            return 0;
+        }
+        // The rate is looked up on the real balance so balance bands apply correctly
+        const rate = balance.isNegative() ? account.getOverdraftRate() : account.getInterestRate(day, balance);
+        const scaledBalance = Money.fromMinor(balance.minorUnits * ACCRUAL_SCALE, account.currency);
+        return scaledBalance.multiply(rate / 100, 1 / 365).minorUnits;
+    }
+
+    // Accrues every full day up to today and posts at each compounding boundary;
+    // returns the postings made
+    run() {
+        const today = startOfUtcDay(this.clock.now());
+        const postings = [];
+
+        this.getAccounts().forEach(account => {
+            const accrual = this.getAccrual(account);
+
+            while (accrual.accruedThrough < today) {
+                accrual.accruedScaled += this.dailyInterestScaled(account, accrual.accruedThrough);
+                accrual.accruedThrough = new Date(accrual.accruedThrough.getTime() + MS_PER_DAY);
+
+                if (COMPOUNDING_FREQUENCIES[this.compounding](accrual.accruedThrough)) {
+                    const posting = this.post(account, accrual);
+                    if (posting) {
+                        postings.push(posting);
+                    }
+                }
+            }
+        });
+
+        return postings;
+    }
+
+    // Posts whole minor units (banker's rounding) and carries the remainder forward
+    post(account, accrual) {
+        const minorUnits = Number(Money.roundHalfEven(BigInt(accrual.accruedScaled), BigInt(ACCRUAL_SCALE)));
+        if (minorUnits === 0) {
+            return null;
+        }
+
+        const amount = Money.fromMinor(minorUnits, account.currency);
+        this.postInterest(account, amount, accrual.accruedThrough);
+        accrual.accruedScaled -= minorUnits * ACCRUAL_SCALE;
+        return { account, amount, date: accrual.accruedThrough };
+    }
+
+    // Posts whatever has accrued so far, e.g. when a fixed deposit matures
+    postAccrued(account) {
+        return this.post(account, this.getAccrual(account));
+    }
+
+    // Accrued but not yet posted, rounded for display
+    getAccruedInterest(account) {
+        const accrual = this.getAccrual(account);
+        const minorUnits = Number(Money.roundHalfEven(BigInt(accrual.accruedScaled), BigInt(ACCRUAL_SCALE)));
+        return Money.fromMinor(minorUnits, account.currency);
+    }
+
+    toJSON() {
+        return Object.fromEntries(Array.from(this.accruals.entries()).map(([accountNumber, accrual]) => [
+            accountNumber,
+            { accruedScaled: accrual.accruedScaled, accruedThrough: accrual.accruedThrough.toISOString() }
+        ]));
+    }
+
+    restore(data) {
+        this.accruals = new Map(Object.entries(data).map(([accountNumber, accrual]) => [
+            accountNumber,
+            { accruedScaled: accrual.accruedScaled, accruedThrough: new Date(accrual.accruedThrough) }
+        ]));
+    }
+}
+
+// ============================================================================
+// SCHEDULED TRANSFERS - Future-Dated Payments and Standing Orders
+// ============================================================================
+
+// Date of occurrence `index` (0-based), always counted from the start date so monthly
+// orders on the 31st land on the last day of shorter months and then return to the 31st
+const SCHEDULE_FREQUENCIES = {
+    once: { label: 'Once', occurrence: (start, index) => index === 0 ? start : null },
+    daily: { label: 'Daily', occurrence: (start, index) => new Date(start.getTime() + index * MS_PER_DAY) },
+    weekly: { label: 'Weekly', occurrence: (start, index) => new Date(start.getTime() + index * 7 * MS_PER_DAY) },
+    monthly: { label: 'Monthly', occurrence: (start, index) => addUtcMonths(start, index) }
+};
+
+// A payment refused by the source account's rules (e.g. insufficient funds) is tried
+// `maxAttempts` times in all, `retryIntervalHours` apart, before the occurrence is given up
+const DEFAULT_TRANSFER_RETRY_POLICY = {
+    maxAttempts: 3,
+    retryIntervalHours: 24
+};
+
+// `status` is 'active', 'paused', 'completed' or 'cancelled'. `history` records one
+// entry per attempt: 'completed', 'retrying', 'failed' or 'skipped'.
+class ScheduledTransfer {
+    constructor({
+        id, fromAccountNumber, toAccountNumber, amount, description = '', frequency,
+        startDate, endDate = null, maxOccurrences = null, createdBy = null
+    }) {
+        this.id = id;
+        this.fromAccountNumber = fromAccountNumber;
+        this.toAccountNumber = toAccountNumber;
+        this.amount = amount;
+        this.description = description;
+        this.frequency = frequency;
+        this.startDate = startOfUtcDay(startDate);
+        this.endDate = endDate ? startOfUtcDay(endDate) : null;
+        this.maxOccurrences = maxOccurrences;
+        this.createdBy = createdBy;
+        this.status = 'active';
+        this.occurrence = 0;
+        this.attempts = 0;
+        this.nextRunAt = this.startDate;
+        this.history = [];
+    }
+
+    // Date the current occurrence was due, before any retries
+    get scheduledFor() {
+        return SCHEDULE_FREQUENCIES[this.frequency].occurrence(this.startDate, this.occurrence);
+    }
+
+    describe() {
+        const frequency = SCHEDULE_FREQUENCIES[this.frequency].label.toLowerCase();
+        return `${this.amount.format()} from ${this.fromAccountNumber} to ${this.toAccountNumber} (${frequency})`;
+    }
+
+    record(status, ranAt, { transactionId = null, reason = '' } = {}) {
+        const entry = {
+            occurrence: this.occurrence + 1,
+            attempt: this.attempts,
+            scheduledFor: this.scheduledFor,
+            ranAt,
+            status,
+            transactionId,
+            reason
+        };
+        this.history.push(entry);
+        return entry;
+    }
+
+    // Moves on to the next occurrence, completing the order once past its end date,
+    // its occurrence count or its only run
+    advance() {
+        this.occurrence++;
+        this.attempts = 0;
+        const next = SCHEDULE_FREQUENCIES[this.frequency].occurrence(this.startDate, this.occurrence);
+        const finished = !next ||
+            (this.maxOccurrences !== null && this.occurrence >= this.maxOccurrences) ||
+            (this.endDate !== null && next > this.endDate);
+        if (finished) {
+            this.status = 'completed';
+            this.nextRunAt = null;
+        } else {
+            this.nextRunAt = next;
+        }
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            fromAccountNumber: this.fromAccountNumber,
+            toAccountNumber: this.toAccountNumber,
+            amount: this.amount.toJSON(),
+            description: this.description,
+            frequency: this.frequency,
+            startDate: this.startDate.toISOString(),
+            endDate: this.endDate ? this.endDate.toISOString() : null,
+            maxOccurrences: this.maxOccurrences,
+            createdBy: this.createdBy,
+            status: this.status,
+            occurrence: this.occurrence,
+            attempts: this.attempts,
+            nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+            history: this.history.map(entry => ({
+                ...entry,
+                scheduledFor: entry.scheduledFor.toISOString(),
+                ranAt: entry.ranAt.toISOString()
+            }))
+        };
+    }
+
+    static fromJSON(data) {
+        const schedule = new ScheduledTransfer({
+            ...data,
+            amount: Money.fromJSON(data.amount),
+            startDate: new Date(data.startDate),
+            endDate: data.endDate ? new Date(data.endDate) : null
+        });
+        schedule.status = data.status;
+        schedule.occurrence = data.occurrence;
+        schedule.attempts = data.attempts;
+        schedule.nextRunAt = data.nextRunAt ? new Date(data.nextRunAt) : null;
+        schedule.history = data.history.map(entry => ({
+            ...entry,
+            scheduledFor: new Date(entry.scheduledFor),
+            ranAt: new Date(entry.ranAt)
+        }));
+        return schedule;
+    }
+}
+
+class TransferScheduler {
+    // `runTransfer(schedule)` makes one payment through the command system and returns
+    // the source leg's transaction id
+    constructor(runTransfer, clock = new SystemClock(), retryPolicy = DEFAULT_TRANSFER_RETRY_POLICY) {
+        this.runTransfer = runTransfer;
+        this.clock = clock;
+        this.retryPolicy = retryPolicy;
+        this.schedules = new Map();
+    }
+
+    add(schedule) {
+        this.schedules.set(schedule.id, schedule);
+        return schedule;
+    }
+
+    get(scheduleId) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule) {
+            throw new Error("Scheduled transfer not found");
+        }
+        return schedule;
+    }
+
+    // Makes every payment that has come due, catching up on any missed while the app
+    // was closed; returns the history entries written
+    run() {
+        const now = this.clock.now();
+        const runs = [];
+
+        this.schedules.forEach(schedule => {
+            while (schedule.status === 'active' && schedule.nextRunAt <= now) {
+                runs.push({ schedule, entry: this.attempt(schedule, schedule.nextRunAt) });
+            }
+        });
+
+        return runs;
+    }
+
+    // Retries are timed from when the attempt was due, so catching up is deterministic
+    attempt(schedule, dueAt) {
+        const ranAt = this.clock.now();
+        schedule.attempts++;
+        try {
+            const transactionId = this.runTransfer(schedule);
+            const entry = schedule.record('completed', ranAt, { transactionId });
+            schedule.advance();
+            return entry;
+        } catch (error) {
+            if (error instanceof AccountRuleError && schedule.attempts < this.retryPolicy.maxAttempts) {
+                const entry = schedule.record('retrying', ranAt, { reason: error.message });
+                schedule.nextRunAt = new Date(dueAt.getTime() + this.retryPolicy.retryIntervalHours * 60 * 60 * 1000);
+                return entry;
+            }
+            const entry = schedule.record('failed', ranAt, { reason: error.message });
+            schedule.advance();
+            return entry;
+        }
+    }
+
+    skip(schedule) {
+        const entry = schedule.record('skipped', this.clock.now());
+        schedule.advance();
+        return entry;
+    }
+
+    // Occurrences that fell due while paused are skipped rather than paid late
+    resume(schedule) {
+        schedule.status = 'active';
+        const today = startOfUtcDay(this.clock.now());
+        while (schedule.status === 'active' && schedule.nextRunAt < today) {
+            this.skip(schedule);
+        }
+    }
+
+    toJSON() {
+        return Array.from(this.schedules.values()).map(schedule => schedule.toJSON());
+    }
+
+    restore(data) {
+        this.schedules = new Map(data.map(schedule => [schedule.id, ScheduledTransfer.fromJSON(schedule)]));
+    }
+}
+
+// ============================================================================
+// PAYMENTS - External Payees and Interbank Payment Rails
+// ============================================================================
+
+// IBAN lengths for the countries the bank pays into most; other countries are
+// checked on the checksum and the 15-34 character range only
+const IBAN_LENGTHS = {
+    AT: 20, BE: 16, CH: 21, DE: 22, DK: 18, ES: 24, FI: 18, FR: 27, GB: 22,
+    IE: 22, IT: 27, LU: 20, NL: 18, NO: 15, PL: 28, PT: 25, SE: 24
+};
+
+// How long after settlement a receiving bank may still send a payment back
+const PAYMENT_RETURN_WINDOW_DAYS = 5;
+
+function normalizeIban(iban) {
+    return String(iban).replace(/\s+/g, '').toUpperCase();
+}
+
+// ISO 13616: move the country code and check digits to the end, turn letters into
+// numbers (A = 10 ... Z = 35) and the result mod 97 must be 1
+function isValidIban(iban) {
+    const normalized = normalizeIban(iban);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(normalized)) {
+        return false;
+    }
+    const expectedLength = IBAN_LENGTHS[normalized.slice(0, 2)];
+    if (expectedLength && normalized.length !== expectedLength) {
+        return false;
+    }
+    const rearranged = normalized.slice(4) + normalized.slice(0, 4);
+    let remainder = 0;
+    for (const character of rearranged) {
+        const value = parseInt(character, 36);
+        remainder = (value > 9 ? remainder * 100 + value : remainder * 10 + value) % 97;
+    }
+    return remainder === 1;
+}
+
+// ABA routing numbers weight their digits 3, 7, 1 repeating; the sum must end in 0
+function isValidRoutingNumber(routingNumber) {
+    if (!/^\d{9}$/.test(routingNumber)) {
+        return false;
+    }
+    const weights = [3, 7, 1, 3, 7, 1, 3, 7, 1];
+    const sum = [...routingNumber].reduce((total, digit, index) => total + Number(digit) * weights[index], 0);
+    return sum % 10 === 0;
+}
+
+// How a payee's bank details are shown: IBANs in groups of four, US account numbers masked
+function describePayeeAccount(payee) {
+    return payee.scheme === 'iban' ?
+        `IBAN ${payee.iban.replace(/(.{4})/g, '$1 ').trim()}` :
+        `Routing ${payee.routingNumber}, account ending ${payee.accountNumber.slice(-4)}`;
+}
+
+// Raised by a rail that refuses a payment outright, e.g. an unknown beneficiary bank
+class PaymentRailError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PaymentRailError';
+        this.code = code;
+    }
+}
+
+// Adapter for the network that clears payments with other banks
+class PaymentRail {
+    // Takes `payment` for clearing and returns the rail's reference for it. Throws a
+    // PaymentRailError to refuse it; any other error means "try again later".
+    submit(payment) {
+        throw new Error("PaymentRail must implement submit method");
+    }
+
+    // { status: 'settled' | 'returned', reason } once there is news about a submitted
+    // or settled payment, otherwise null
+    checkStatus(payment) {
+        throw new Error("PaymentRail must implement checkStatus method");
+    }
+}
+
+// Local stand-in for a clearing house. Payments settle `settlementDelayMinutes` after
+// submission; tests refuse or send back payments with rejectNext and returnPayment.
+class InMemoryClearingHouse extends PaymentRail {
+    constructor(clock = new SystemClock(), { settlementDelayMinutes = 60 } = {}) {
+        super();
+        this.clock = clock;
+        this.settlementDelayMinutes = settlementDelayMinutes;
+        this.nextRejection = null;
+        this.returns = new Map();
+        this.nextReference = 1;
+    }
+
+    rejectNext(code, reason) {
+        this.nextRejection = { code, reason };
+    }
+
+    // Sends a payment back, before or after it has settled
+    returnPayment(reference, reason) {
+        this.returns.set(reference, reason);
+    }
+
+    submit(payment) {
+        if (this.nextRejection) {
+            const { code, reason } = this.nextRejection;
+            this.nextRejection = null;
+            throw new PaymentRailError(code, reason);
+        }
+        return `CLR${String(this.nextReference++).padStart(6, '0')}-${payment.id}`;
+    }
+
+    checkStatus(payment) {
+        if (this.returns.has(payment.railReference)) {
+            return { status: 'returned', reason: this.returns.get(payment.railReference) };
+        }
+        const settlesAt = payment.submittedAt.getTime() + this.settlementDelayMinutes * 60 * 1000;
+        if (payment.status === 'submitted' && this.clock.now().getTime() >= settlesAt) {
+            return { status: 'settled', reason: '' };
+        }
+        return null;
+    }
+}
+
+// `status` moves pending -> submitted -> settled, and to 'returned' from any of them.
+// Pending payments have their funds held but have not reached the rail yet.
+class OutgoingPayment {
+    constructor({ id, fromAccountNumber, payee, amount, description = '', createdBy = null, createdAt }) {
+        this.id = id;
+        this.fromAccountNumber = fromAccountNumber;
+        // A copy, so the payment keeps its beneficiary if the payee is edited or removed
+        this.payee = { ...payee };
+        this.amount = amount;
+        this.description = description;
+        this.createdBy = createdBy;
+        this.createdAt = createdAt;
+        this.status = 'pending';
+        this.holdTransactionId = null;
+        this.railReference = null;
+        this.submittedAt = null;
+        this.settledAt = null;
+        this.history = [{ status: 'pending', at: createdAt, reason: '' }];
+    }
+
+    transition(status, at, reason = '') {
+        this.status = status;
+        this.history.push({ status, at, reason });
+    }
+
+    get reason() {
+        return this.history[this.history.length - 1].reason;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            fromAccountNumber: this.fromAccountNumber,
+            payee: this.payee,
+            amount: this.amount.toJSON(),
+            description: this.description,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt.toISOString(),
+            status: this.status,
+            holdTransactionId: this.holdTransactionId,
+            railReference: this.railReference,
+            submittedAt: this.submittedAt ? this.submittedAt.toISOString() : null,
+            settledAt: this.settledAt ? this.settledAt.toISOString() : null,
+            history: this.history.map(entry => ({ ...entry, at: entry.at.toISOString() }))
+        };
+    }
+
+    static fromJSON(data) {
+        const payment = new OutgoingPayment({
+            ...data,
+            amount: Money.fromJSON(data.amount),
+            createdAt: new Date(data.createdAt)
+        });
+        Object.assign(payment, {
+            status: data.status,
+            holdTransactionId: data.holdTransactionId,
+            railReference: data.railReference,
+            submittedAt: data.submittedAt ? new Date(data.submittedAt) : null,
+            settledAt: data.settledAt ? new Date(data.settledAt) : null,
+            history: data.history.map(entry => ({ ...entry, at: new Date(entry.at) }))
+        });
+        return payment;
+    }
+}
+
+// ============================================================================
+// BUDGETS - Transaction Categories, Categorization Rules and Monthly Budgets
+// ============================================================================
+
+const TRANSACTION_CATEGORIES = {
+    groceries: 'Groceries',
+    dining: 'Dining',
+    housing: 'Housing',
+    utilities: 'Utilities',
+    transport: 'Transport',
+    shopping: 'Shopping',
+    entertainment: 'Entertainment',
+    health: 'Health',
+    fees: 'Fees & charges',
+    transfers: 'Transfers',
+    income: 'Income',
+    interest: 'Interest',
+    other: 'Other'
+};
+
+// Money coming in; every other category is spending
+const INCOME_CATEGORIES = ['income', 'interest'];
+
+const DEFAULT_BUDGET_ALERT_PERCENT = 80;
+
+// Where a transaction lands when no categorization rule matches
+const DEFAULT_TRANSACTION_CATEGORIES = {
+    deposit: 'income',
+    interest: 'interest',
+    fee: 'fees',
+    'overdraft-interest': 'fees',
+    'loan-interest': 'fees',
+    transfer: 'transfers'
+};
+
+function defaultCategoryFor(transaction) {
+    const type = transaction.type === 'reversal' ? transaction.reversedType : transaction.type;
+    return DEFAULT_TRANSACTION_CATEGORIES[type] || 'other';
+}
+
+// Rules match money going out ('debit'), coming in ('credit') or either ('any'), and
+// optionally on text in the description and on amount bounds in the account's currency
+function categoryRuleMatches(rule, transaction) {
+    const currency = transaction.amount.currency;
+    const bound = value => Money.fromMinor(Math.round(value * 10 ** Money.minorDigits(currency)), currency);
+    return transaction.type !== 'reversal' &&
+        (rule.side === 'any' || rule.side === transaction.side) &&
+        (!rule.descriptionContains ||
+            (transaction.description || '').toLowerCase().includes(rule.descriptionContains.toLowerCase())) &&
+        (rule.minAmount === null || !transaction.amount.lessThan(bound(rule.minAmount))) &&
+        (rule.maxAmount === null || !transaction.amount.greaterThan(bound(rule.maxAmount)));
+}
+
+// e.g. "Description contains "rent", 500.00 or more, money out"
+function describeCategoryRule(rule) {
+    const conditions = [];
+    if (rule.descriptionContains) {
+        conditions.push(`Description contains "${rule.descriptionContains}"`);
+    }
+    if (rule.minAmount !== null && rule.maxAmount !== null) {
+        conditions.push(`${rule.minAmount.toFixed(2)} to ${rule.maxAmount.toFixed(2)}`);
+    } else if (rule.minAmount !== null) {
+        conditions.push(`${rule.minAmount.toFixed(2)} or more`);
+    } else if (rule.maxAmount !== null) {
+        conditions.push(`Up to ${rule.maxAmount.toFixed(2)}`);
+    }
+    conditions.push({ debit: 'money out', credit: 'money in', any: 'money in or out' }[rule.side]);
+    return conditions.join(', ');
+}
+
+// 'YYYY-MM' of the UTC month a date falls in, as statements use
+function monthKey(date) {
+    return date.toISOString().slice(0, 7);
+}
+
+// Net money out per category: debits add to a category, credits such as refunds and
+// reversals take away from it. `convert` brings each amount into `currency`.
+function summarizeByCategory(transactions, convert, currency) {
+    const totals = {};
+    transactions.forEach(transaction => {
+        const amount = convert(transaction.amount);
+        const total = totals[transaction.category] || Money.zero(currency);
+        totals[transaction.category] = transaction.side === 'debit' ? total.add(amount) : total.subtract(amount);
+    });
+    return totals;
+}
+
+// ============================================================================
+// AUDIT LEDGER - Append-Only, Hash-Chained Record of Every Posting
+// ============================================================================
+
+// Synchronous SHA-256 (FIPS 180-4) so postings can be chained without async Web Crypto
+function sha256(message) {
+    const k = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+    const bytes = new TextEncoder().encode(message);
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+
+    const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+    const words = new Uint32Array(64);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            words[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotate(words[i - 15], 7) ^ rotate(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+            const s1 = rotate(words[i - 2], 17) ^ rotate(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+            words[i] = (words[i - 16] + s0 + words[i - 7] + s1) >>> 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25);
+            const choice = (e & f) ^ (~e & g);
+            const temp1 = (h + s1 + choice + k[i] + words[i]) >>> 0;
+            const s0 = rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22);
+            const majority = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (s0 + majority) >>> 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) >>> 0;
+        }
+
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = (hash[i] + value) >>> 0;
+        });
+    }
+
+    return hash.map(value => value.toString(16).padStart(8, '0')).join('');
+}
+
+const GENESIS_HASH = '0'.repeat(64);
+
+class AuditLedger {
+    constructor() {
+        this.entries = [];
+    }
+
+    // Canonical JSON of the fields covered by an entry's hash
+    static serializeEntry(entry) {
+        return JSON.stringify([
+            entry.sequence,
+            entry.transactionId,
+            entry.accountNumber,
+            entry.type,
+            entry.amount,
+            entry.balance,
+            entry.description,
+            entry.timestamp,
+            entry.reverses,
+            entry.previousHash
+        ]);
+    }
+
+    static hashEntry(entry) {
+        return sha256(AuditLedger.serializeEntry(entry));
+    }
+
+    getLastHash() {
+        return this.entries.length ? this.entries[this.entries.length - 1].hash : GENESIS_HASH;
+    }
+
+    append(transaction) {
+        const entry = {
+            sequence: this.entries.length,
+            transactionId: transaction.id,
+            accountNumber: transaction.accountNumber,
+            type: transaction.type,
+            amount: transaction.amount.toJSON(),
+            balance: transaction.balance.toJSON(),
+            description: transaction.description,
+            timestamp: transaction.timestamp.toISOString(),
+            reverses: transaction.reverses || null,
+            previousHash: this.getLastHash()
+        };
+        entry.hash = AuditLedger.hashEntry(entry);
+
+        this.entries.push(Object.freeze(entry));
+        return entry;
+    }
+
+    // Recomputes the chain; any edited, removed or reordered entry breaks it
+    verify() {
+        let previousHash = GENESIS_HASH;
+
+        for (let i = 0; i < this.entries.length; i++) {
+            const entry = this.entries[i];
+            if (entry.sequence !== i || entry.previousHash !== previousHash || entry.hash !== AuditLedger.hashEntry(entry)) {
+                return { valid: false, brokenAt: i };
+            }
+            previousHash = entry.hash;
+        }
+
+        return { valid: true, brokenAt: null };
+    }
+
+    getEntries() {
+        return this.entries.slice();
+    }
+
+    toJSON() {
+        return this.entries;
+    }
+
+    static fromJSON(entries) {
+        const ledger = new AuditLedger();
+        ledger.entries = entries.map(entry => Object.freeze({ ...entry }));
+        return ledger;
+    }
+}
+
+// ============================================================================
+// STATEMENTS - Monthly Statements, Export Formats and CSV Import
+// ============================================================================
+
+function toCsvField(value) {
+    const text = String(value === null || value === undefined ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180 parsing: quoted fields may contain commas, doubled quotes and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+function formatIsoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Statement for one calendar month (UTC). Lines are ordered by date, and running
+// balances are counted from the opening balance so backdated postings stay consistent.
+function buildStatement(account, generalLedger, year, month) {
+    const start = new Date(Date.UTC(year, month - 1, 1));
+    const end = addUtcMonths(start, 1);
+    const inPeriod = date => date >= start && date < end;
+    const openingBalance = generalLedger.getBalanceAsOf(account.accountNumber, account.currency, start);
+
+    // The opening deposit is a ledger entry, not a customer transaction
+    const openingEntries = generalLedger.entries
+        .filter(entry => entry.type === 'opening' && inPeriod(entry.timestamp))
+        .filter(entry => entry.postings.some(posting => posting.account === account.accountNumber))
+        .map(entry => ({
+            id: `opening-${entry.id}`,
+            type: 'opening',
+            side: 'credit',
+            amount: entry.postings.find(posting => posting.account === account.accountNumber).amount,
+            description: entry.description,
+            timestamp: entry.timestamp
+        }));
+
+    // The opening deposit comes first even when a transaction shares its timestamp
+    let balance = openingBalance;
+    let interestEarned = Money.zero(account.currency);
+    const lines = [...openingEntries, ...account.transactionHistory.filter(t => inPeriod(t.timestamp))]
+        .sort((a, b) => a.timestamp - b.timestamp ||
+            (b.type === 'opening') - (a.type === 'opening') ||
+            String(a.id).localeCompare(String(b.id)))
+        .map(transaction => {
+            balance = transaction.side === 'credit' ? balance.add(transaction.amount) : balance.subtract(transaction.amount);
+            if (transaction.type === 'interest') {
+                interestEarned = interestEarned.add(transaction.amount);
+            } else if (transaction.type === 'reversal' && transaction.reversedType === 'interest') {
+                interestEarned = interestEarned.subtract(transaction.amount);
+            }
+            return { transaction, balance };
+        });
+
+    return {
+        accountNumber: account.accountNumber,
+        accountType: account.accountType,
+        currency: account.currency,
+        periodStart: start,
+        periodEnd: end,
+        openingBalance,
+        lines,
+        interestEarned,
+        closingBalance: balance
+    };
+}
+
+function statementToCsv(statement) {
+    const rows = [
+        ['Date', 'Transaction ID', 'Type', 'Description', 'Debit', 'Credit', 'Balance', 'Currency'],
+        [formatIsoDate(statement.periodStart), '', 'opening-balance', 'Opening balance', '', '',
+            statement.openingBalance.toDecimalString(), statement.currency],
+        ...statement.lines.map(({ transaction, balance }) => [
+            formatIsoDate(transaction.timestamp),
+            transaction.id,
+            transaction.type,
+            transaction.description,
+            transaction.side === 'debit' ? transaction.amount.toDecimalString() : '',
+            transaction.side === 'credit' ? transaction.amount.toDecimalString() : '',
+            balance.toDecimalString(),
+            statement.currency
+        ]),
+        [formatIsoDate(new Date(statement.periodEnd.getTime() - MS_PER_DAY)), '', 'interest-earned', 'Interest earned', '',
+            statement.interestEarned.toDecimalString(), '', statement.currency],
+        [formatIsoDate(new Date(statement.periodEnd.getTime() - MS_PER_DAY)), '', 'closing-balance', 'Closing balance', '', '',
+            statement.closingBalance.toDecimalString(), statement.currency]
+    ];
+    return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+const OFX_ACCOUNT_TYPES = { checking: 'CHECKING', savings: 'SAVINGS', fixed: 'CD' };
+
+const OFX_TRANSACTION_TYPES = {
+    deposit: 'DEP',
+    withdraw: 'ATM',
+    transfer: 'XFER',
+    interest: 'INT',
+    'overdraft-interest': 'SRVCHG',
+    fee: 'FEE',
+    payment: 'PAYMENT',
+    'loan-interest': 'INT',
+    opening: 'DEP'
+};
+
+function formatOfxDate(date) {
+    return date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+// OFX 2.1 XML. QFX is the same document with Intuit's bank id, which Quicken requires.
+function statementToOfx(statement, { intuitBankId = null } = {}) {
+    const signed = (transaction) => transaction.side === 'debit' ?
+        transaction.amount.negate().toDecimalString() : transaction.amount.toDecimalString();
+    const transactions = statement.lines.map(({ transaction }) => `
+<STMTTRN>
+<TRNTYPE>${OFX_TRANSACTION_TYPES[transaction.type] || (transaction.side === 'debit' ? 'DEBIT' : 'CREDIT')}</TRNTYPE>
+<DTPOSTED>${formatOfxDate(transaction.timestamp)}</DTPOSTED>
+<TRNAMT>${signed(transaction)}</TRNAMT>
+<FITID>${escapeMarkup(transaction.id)}</FITID>
+<NAME>${escapeMarkup((transaction.description || transaction.type).slice(0, 32))}</NAME>
+<MEMO>${escapeMarkup(transaction.description || transaction.type)}</MEMO>
+</STMTTRN>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+<SIGNONMSGSRSV1>
+<SONRS>
+<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<DTSERVER>${formatOfxDate(new Date())}</DTSERVER>
+<LANGUAGE>ENG</LANGUAGE>
+<FI><ORG>SecureBank</ORG><FID>0000</FID></FI>${intuitBankId ? `
+<INTU.BID>${escapeMarkup(intuitBankId)}</INTU.BID>` : ''}
+</SONRS>
+</SIGNONMSGSRSV1>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<TRNUID>${escapeMarkup(statement.accountNumber)}-${formatOfxDate(statement.periodStart).slice(0, 6)}</TRNUID>
+<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>
+<STMTRS>
+<CURDEF>${statement.currency}</CURDEF>
+<BANKACCTFROM>
+<BANKID>000000000</BANKID>
+<ACCTID>${escapeMarkup(statement.accountNumber)}</ACCTID>
+<ACCTTYPE>${OFX_ACCOUNT_TYPES[statement.accountType] || 'CHECKING'}</ACCTTYPE>
+</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>${formatOfxDate(statement.periodStart)}</DTSTART>
+<DTEND>${formatOfxDate(statement.periodEnd)}</DTEND>${transactions}
+</BANKTRANLIST>
+<LEDGERBAL>
+<BALAMT>${statement.closingBalance.toDecimalString()}</BALAMT>
+<DTASOF>${formatOfxDate(statement.periodEnd)}</DTASOF>
+</LEDGERBAL>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>
+`;
+}
+
+// Standalone printable document; the browser's print dialog saves it as PDF
+function statementToHtml(statement) {
+    const periodLabel = statement.periodStart.toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    const rows = statement.lines.map(({ transaction, balance }) => `
+            <tr>
+                <td>${escapeMarkup(transaction.timestamp.toLocaleDateString())}</td>
+                <td>${escapeMarkup(transaction.description || transaction.type)}</td>
+                <td class="amount">${transaction.side === 'debit' ? escapeMarkup(transaction.amount.format()) : ''}</td>
+                <td class="amount">${transaction.side === 'credit' ? escapeMarkup(transaction.amount.format()) : ''}</td>
+                <td class="amount">${escapeMarkup(balance.format())}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Statement ${escapeMarkup(statement.accountNumber)} - ${escapeMarkup(periodLabel)}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #1f2937; margin: 40px; }
+        h1 { font-size: 1.5rem; margin-bottom: 5px; }
+        .summary { display: flex; gap: 40px; margin: 20px 0; }
+        .summary div { font-size: 0.9rem; color: #6b7280; }
+        .summary strong { display: block; font-size: 1.1rem; color: #1f2937; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { padding: 8px 10px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+        th { color: #6b7280; font-size: 0.85rem; }
+        .amount { text-align: right; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <h1>SecureBank Statement</h1>
+    <p>${escapeMarkup(statement.accountType)} account ${escapeMarkup(statement.accountNumber)} (${escapeMarkup(statement.currency)}) | ${escapeMarkup(periodLabel)}</p>
+    <div class="summary">
+        <div>Opening balance<strong>${escapeMarkup(statement.openingBalance.format())}</strong></div>
+        <div>Interest earned<strong>${escapeMarkup(statement.interestEarned.format())}</strong></div>
+        <div>Closing balance<strong>${escapeMarkup(statement.closingBalance.format())}</strong></div>
+    </div>
+    <table>
+        <thead>
+            <tr><th>Date</th><th>Description</th><th class="amount">Debit</th><th class="amount">Credit</th><th class="amount">Balance</th></tr>
+        </thead>
+        <tbody>${rows || `
+            <tr><td colspan="5">No transactions in this period</td></tr>`}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+}
+
+// Import files need these columns (in any order); extra columns are ignored
+const IMPORT_COLUMNS = ['date', 'account', 'type', 'amount', 'description'];
+
+// Same account, day, type, amount and description counts as the same transaction
+function transactionFingerprint(accountNumber, date, type, amount, description) {
+    return [accountNumber, formatIsoDate(date), type, amount.currency, amount.minorUnits, (description || '').trim()].join('|');
+}
+
+// ============================================================================
+// QR CODES - Local Encoder for Authenticator Enrollment
+// ============================================================================
+
+// Byte-mode QR codes at error correction level M, versions 1-10 (up to 213 bytes),
+// enough for otpauth:// links without sending secrets to a QR service.
+// Per version: error correction codewords per block and number of blocks.
+const QR_ECC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_ECC_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const QR_MAX_VERSION = 10;
+
+// Modules left for data and error correction once function patterns are placed
+function qrRawDataModules(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        modules -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) {
+            modules -= 36;
+        }
+    }
+    return modules;
+}
+
+function qrDataCodewords(version) {
+    return Math.floor(qrRawDataModules(version) / 8) -
+        QR_ECC_CODEWORDS_PER_BLOCK[version - 1] * QR_ECC_BLOCKS[version - 1];
+}
+
+// Multiplication in GF(2^8) modulo the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11d);
+        product ^= ((y >>> i) & 1) * x;
+    }
+    return product;
+}
+
+function reedSolomonDivisor(degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            divisor[j] = gfMultiply(divisor[j], root);
+            if (j + 1 < degree) {
+                divisor[j] ^= divisor[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return divisor;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const remainder = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        divisor.forEach((coefficient, i) => {
+            remainder[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return remainder;
+}
+
+// Splits data into blocks, appends error correction to each and interleaves them
+function qrCodewords(data, version) {
+    const blockCount = QR_ECC_BLOCKS[version - 1];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version - 1];
+    const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+        const blockData = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += blockData.length;
+        const ecc = reedSolomonRemainder(blockData, divisor);
+        // Short blocks get a placeholder so every block has the same length
+        blocks.push([...blockData, ...(i < shortBlocks ? [0] : []), ...ecc]);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                codewords.push(block[i]);
+            }
+        });
+    }
+    return codewords;
+}
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// ISO 18004 penalty: long runs, 2x2 blocks, finder look-alikes and dark/light imbalance
+function qrPenalty(modules) {
+    const size = modules.length;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i].map(dark => (dark ? '1' : '0')).join(''));
+        lines.push(modules.map(row => (row[i] ? '1' : '0')).join(''));
+    }
+
+    let penalty = 0;
+    lines.forEach(line => {
+        (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+            penalty += run.length - 2;
+        });
+        for (const pattern of ['10111010000', '00001011101']) {
+            for (let index = line.indexOf(pattern); index !== -1; index = line.indexOf(pattern, index + 1)) {
+                penalty += 40;
+            }
+        }
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            dark += modules[y][x] ? 1 : 0;
+            if (x < size - 1 && y < size - 1 &&
+                modules[y][x] === modules[y][x + 1] &&
+                modules[y][x] === modules[y + 1][x] &&
+                modules[y][x] === modules[y + 1][x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+    penalty += Math.floor(Math.abs(dark * 100 / (size * size) - 50) / 5) * 10;
+    return penalty;
+}
+
+// Returns the QR code for `text` as rows of booleans, true for dark modules
+function encodeQrCode(text) {
+    const bytes = new TextEncoder().encode(text);
+    let version = 1;
+    const bitsNeeded = v => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+    while (version <= QR_MAX_VERSION && bitsNeeded(version) > qrDataCodewords(version) * 8) {
+        version++;
+    }
+    if (version > QR_MAX_VERSION) {
+        throw new Error("Text is too long for a QR code");
+    }
+
+    // Byte mode indicator, character count, data, terminator and pad bytes
+    const capacity = qrDataCodewords(version) * 8;
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+    if (version > 1) {
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let position = size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        positions.forEach((cx, i) => positions.forEach((cy, j) => {
+            // Skip the three corners taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === count - 1) || (i === count - 1 && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+    }
+
+    const drawFormatBits = mask => {
+        // Level M is 00 in the format field
+        const formatData = mask;
+        let remainder = formatData;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const format = ((formatData << 10) | remainder) ^ 0x5412;
+        const bit = i => ((format >>> i) & 1) === 1;
+        for (let i = 0; i <= 5; i++) {
+            setFunction(8, i, bit(i));
+        }
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            setFunction(14 - i, 8, bit(i));
+        }
+        for (let i = 0; i < 8; i++) {
+            setFunction(size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            setFunction(8, size - 15 + i, bit(i));
+        }
+        setFunction(8, size - 8, true);
+    };
+    drawFormatBits(0);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const versionBits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((versionBits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // Codewords fill two-module columns in a zigzag from the bottom right
+    const codewords = qrCodewords(data, version);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;
+        }
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    const applyMask = mask => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && QR_MASKS[mask](x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    };
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    QR_MASKS.forEach((_, mask) => {
+        applyMask(mask);
+        drawFormatBits(mask);
+        const penalty = qrPenalty(modules);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(mask);
+    });
+    applyMask(bestMask);
+    drawFormatBits(bestMask);
+    return modules;
+}
+
+function qrCodeToSvg(modules, moduleSize = 4, quietZone = 4) {
+    const size = modules.length + quietZone * 2;
+    const path = modules.flatMap((row, y) => row.map((dark, x) =>
+        (dark ? `M${x + quietZone},${y + quietZone}h1v1h-1z` : ''))).join('');
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" ` +
+        `width="${size * moduleSize}" height="${size * moduleSize}" shape-rendering="crispEdges">` +
+        `<rect width="${size}" height="${size}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+// ============================================================================
+// AUTHENTICATION - Passwords, Sessions and Two-Factor Login
+// ============================================================================
+
+// PBKDF2-SHA256 work factor for new passwords; kept per credential so it can be raised
+const PASSWORD_HASH_ITERATIONS = 210000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// A session locks after this long without activity and needs the password to resume
+const SESSION_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Wrong passwords or codes allowed before sign-in is refused for the lockout period
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// RFC 6238 parameters authenticator apps assume when the link does not say otherwise
+const TOTP_ISSUER = 'SecureBank';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 8;
+
+// A user's first password needs a one-time setup code from bank staff, valid this long
+const SETUP_CODE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The seeded demo users share the password "securebank-demo", published in the README
+// so the demo can be tried; these are its hashes. Change it after signing in.
+const DEMO_CREDENTIALS = {
+    'john@example.com': {
+        salt: '2216b233d5044517575cf8d87a07e263',
+        hash: 'a465c74e67dc1bec9d861be50d3087c68e44f407f18e560926155c0baed211df'
+    },
+    'morgan.lee@securebank.example': {
+        salt: '692160c97ad133c2a264b627cca738ea',
+        hash: '35e4937d7de8443bff91bc6f24e58664d8606dc11d311c5755256d942eae7382'
+    },
+    'sam.patel@securebank.example': {
+        salt: '2b60bf27cc403c1e61768a495bf0bc6d',
+        hash: 'd0116893b730c1cd13e1b33dba184dcf33b7d216266a870198b3e779ab9b1dfd'
+    },
+    'alex.kim@securebank.example': {
+        salt: '7f9965e93f5d5701bae9df1be77eb935',
+        hash: '76a1c83882381f5e625a67bbfbf5afc11ad7ea6e350f71f5738101a411173dd9'
+    }
+};
+
+function demoCredential({ salt, hash }) {
+    return { twoFactor: null, recoveryCodes: [], salt, iterations: 210000, hash, failedAttempts: 0, lockedUntil: null };
+}
+
+class AuthError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+    }
+}
+
+function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    return new Uint8Array((hex.match(/../g) || []).map(pair => parseInt(pair, 16)));
+}
+
+// Compares without stopping at the first difference, so timing does not reveal a prefix
+function constantTimeEqual(a, b) {
+    let difference = a.length ^ b.length;
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        difference |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+    }
+    return difference === 0;
+}
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 4648 base32 without padding, the form authenticator apps take secrets in
+function base32Encode(bytes) {
+    let output = '';
+    let value = 0;
+    let bits = 0;
+    bytes.forEach(byte => {
+        value = ((value << 8) | byte) & 0xfff;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    });
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const bytes = [];
+    let value = 0;
+    let bits = 0;
+    for (const char of text.toUpperCase().replace(/[\s=-]/g, '')) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character "${char}"`);
+        }
+        value = ((value << 5) | index) & 0xfff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+async function hashPassword(password, saltHex, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: hexToBytes(saltHex), iterations },
+        key,
+        256
+    );
+    return bytesToHex(new Uint8Array(bits));
+}
+
+// RFC 4226 HOTP: HMAC-SHA1 of the 8-byte big-endian counter, dynamically truncated
+async function hotp(secret, counter, digits = TOTP_DIGITS) {
+    const key = await crypto.subtle.importKey('raw', secret, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const message = new DataView(new ArrayBuffer(8));
+    message.setUint32(0, Math.floor(counter / 0x100000000));
+    message.setUint32(4, counter >>> 0);
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+    const offset = mac[mac.length - 1] & 0x0f;
+    const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+// RFC 6238 TOTP counts whole time steps since the Unix epoch
+function totpCounter(date, stepSeconds = TOTP_STEP_SECONDS) {
+    return Math.floor(date.getTime() / 1000 / stepSeconds);
+}
+
+async function totp(secretBase32, date, digits = TOTP_DIGITS) {
+    return hotp(base32Decode(secretBase32), totpCounter(date), digits);
+}
+
+// Recovery and setup codes are stored as hashes, salted with the customer id
+function hashOneTimeCode(customerId, code) {
+    return sha256(`${customerId}:${code.toLowerCase().replace(/[^a-z0-9]/g, '')}`);
+}
+
+class Session {
+    constructor(customerId, startedAt) {
+        this.customerId = customerId;
+        this.startedAt = startedAt;
+        this.lastActivity = startedAt;
+        this.locked = false;
+    }
+}
+
+// Credentials persist with the bank's state: a salted password hash, the TOTP secret
+// once two-factor is on, and hashes of unused recovery codes. The session does not
+// persist, so reloading the page signs out.
+class AuthService {
+    constructor(clock, { idleTimeoutMs = SESSION_IDLE_TIMEOUT_MS } = {}) {
+        this.clock = clock;
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.credentials = new Map();
+        this.setupCodes = new Map();
+        this.pendingEnrollments = new Map();
+        this.session = null;
+    }
+
+    hasPassword(customerId) {
+        return this.credentials.has(customerId);
+    }
+
+    isTwoFactorEnabled(customerId) {
+        const credential = this.credentials.get(customerId);
+        return Boolean(credential && credential.twoFactor);
+    }
+
+    getCredential(customerId) {
+        const credential = this.credentials.get(customerId);
+        if (!credential) {
+            throw new AuthError('PASSWORD_NOT_SET', "Create a password before signing in");
+        }
+        return credential;
+    }
+
+    // Issues the one-time code a user without a password needs to choose their first,
+    // replacing any earlier code. Only its hash is kept.
+    issueSetupCode(customerId) {
+        if (this.hasPassword(customerId)) {
+            throw new AuthError('PASSWORD_ALREADY_SET', "This user already has a password");
+        }
+        const code = base32Encode(randomBytes(10)).toLowerCase().match(/.{4}/g).join('-');
+        this.setupCodes.set(customerId, {
+            hash: hashOneTimeCode(customerId, code),
+            expiresAt: new Date(this.clock.now().getTime() + SETUP_CODE_TTL_MS).toISOString()
+        });
+        return code;
+    }
+
+    // Sets the first password against an unexpired setup code, which is then used up
+    async setFirstPassword(customerId, setupCode, newPassword) {
+        if (this.hasPassword(customerId)) {
+            throw new AuthError('PASSWORD_ALREADY_SET', "This user already has a password");
+        }
+        const setup = this.setupCodes.get(customerId);
+        if (!setup || this.clock.now() >= new Date(setup.expiresAt) ||
+            !constantTimeEqual(hashOneTimeCode(customerId, String(setupCode || '')), setup.hash)) {
+            throw new AuthError('INVALID_SETUP_CODE', "That setup code is not valid. Ask the bank for a new one");
+        }
+        await this.setPassword(customerId, newPassword);
+        this.setupCodes.delete(customerId);
+    }
+
+    // Sets the first password, or replaces it when the current one is given
+    async setPassword(customerId, newPassword, currentPassword = null) {
+        const existing = this.credentials.get(customerId);
+        if (existing && !(await this.checkPassword(existing, currentPassword || ''))) {
+            throw new AuthError('INVALID_CREDENTIALS', "Current password is incorrect");
+        }
+        if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+            throw new AuthError('WEAK_PASSWORD', `Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+
+        const salt = bytesToHex(randomBytes(16));
+        this.credentials.set(customerId, {
+            twoFactor: null,
+            recoveryCodes: [],
+            ...existing,
+            salt,
+            iterations: PASSWORD_HASH_ITERATIONS,
+            hash: await hashPassword(newPassword, salt, PASSWORD_HASH_ITERATIONS),
+            failedAttempts: 0,
+            lockedUntil: null
+        });
+    }
+
+    async checkPassword(credential, password) {
+        return constantTimeEqual(await hashPassword(password, credential.salt, credential.iterations), credential.hash);
+    }
+
+    // Fails with TWO_FACTOR_REQUIRED when the password is right but `code` is missing,
+    // so the caller can ask for one and try again with both. `code` is a TOTP code or
+    // an unused recovery code.
+    async login(customerId, password, code = null) {
+        const credential = this.getCredential(customerId);
+        const now = this.clock.now();
+        this.checkLockout(credential, now);
+
+        if (!(await this.checkPassword(credential, password))) {
+            this.recordFailure(credential, now);
+            throw new AuthError('INVALID_CREDENTIALS', "Incorrect email or password");
+        }
+        if (credential.twoFactor) {
+            if (!code) {
+                throw new AuthError('TWO_FACTOR_REQUIRED', "Enter the code from your authenticator app or a recovery code");
+            }
+            if (!(await this.verifySecondFactor(customerId, credential, code.trim(), now))) {
+                this.recordFailure(credential, now);
+                throw new AuthError('INVALID_TWO_FACTOR_CODE', "Invalid authentication code");
+            }
+        }
+
+        credential.failedAttempts = 0;
+        credential.lockedUntil = null;
+        this.session = new Session(customerId, now);
+        return this.session;
+    }
+
+    checkLockout(credential, now) {
+        if (credential.lockedUntil && now < new Date(credential.lockedUntil)) {
+            throw new AuthError(
+                'LOGIN_LOCKED',
+                `Too many failed attempts. Try again after ${new Date(credential.lockedUntil).toLocaleTimeString()}`
+            );
+        }
+    }
+
+    recordFailure(credential, now) {
+        credential.failedAttempts = (credential.failedAttempts || 0) + 1;
+        if (credential.failedAttempts >= MAX_FAILED_LOGINS) {
+            credential.failedAttempts = 0;
+            credential.lockedUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MS).toISOString();
+        }
+    }
+
+    async verifySecondFactor(customerId, credential, code, now) {
+        if (/^\d+$/.test(code)) {
+            return this.verifyTotp(credential.twoFactor, code, now);
+        }
+        const hash = hashOneTimeCode(customerId, code);
+        const index = credential.recoveryCodes.findIndex(stored => constantTimeEqual(stored, hash));
+        if (index === -1) {
+            return false;
+        }
+        // Recovery codes work once
+        credential.recoveryCodes.splice(index, 1);
+        return true;
+    }
+
+    // Accepts the previous and next time step for clock drift, but never a step at or
+    // before the last accepted one, so an observed code cannot be replayed
+    async verifyTotp(twoFactor, code, now) {
+        const current = totpCounter(now);
+        for (const counter of [current - 1, current, current + 1]) {
+            if (counter <= twoFactor.lastUsedCounter) continue;
+            if (constantTimeEqual(await hotp(base32Decode(twoFactor.secret), counter), code)) {
+                twoFactor.lastUsedCounter = counter;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // The session operations run under. Locks it first if it has been idle too long.
+    requireSession() {
+        if (!this.session) {
+            throw new AuthError('NOT_AUTHENTICATED', "Sign in to continue");
+        }
+        this.checkIdle();
+        if (this.session.locked) {
+            throw new AuthError('SESSION_LOCKED', "Session is locked. Enter your password to continue");
+        }
+        return this.session;
+    }
+
+    // Returns false when there is no usable session to extend
+    touch() {
+        if (!this.session || this.checkIdle() || this.session.locked) {
+            return false;
+        }
+        this.session.lastActivity = this.clock.now();
+        return true;
+    }
+
+    // Locks the session once the idle timeout has passed; true when this call locked it
+    checkIdle() {
+        if (this.session && !this.session.locked &&
+            this.clock.now() - this.session.lastActivity >= this.idleTimeoutMs) {
+            this.session.locked = true;
+            return true;
+        }
+        return false;
+    }
+
+    lock() {
+        if (this.session) {
+            this.session.locked = true;
+        }
+    }
+
+    // Too many wrong passwords on the lock screen end the session
+    async unlock(password) {
+        if (!this.session) {
+            throw new AuthError('NOT_AUTHENTICATED', "Sign in to continue");
+        }
+        const credential = this.getCredential(this.session.customerId);
+        const now = this.clock.now();
+        if (!(await this.checkPassword(credential, password))) {
+            this.recordFailure(credential, now);
+            if (credential.lockedUntil) {
+                this.logout();
+                this.checkLockout(credential, now);
+            }
+            throw new AuthError('INVALID_CREDENTIALS', "Incorrect password");
+        }
+        credential.failedAttempts = 0;
+        this.session.locked = false;
+        this.session.lastActivity = now;
+        return this.session;
+    }
+
+    logout() {
+        this.session = null;
+    }
+
+    // Starts enrollment with a fresh secret; nothing changes until a code confirms it
+    beginTwoFactorEnrollment(customerId, accountName) {
+        this.getCredential(customerId);
+        const secret = base32Encode(randomBytes(20));
+        this.pendingEnrollments.set(customerId, secret);
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+        return {
+            secret,
+            uri: `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+                `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`
+        };
+    }
+
+    // Turns two-factor on and returns the recovery codes, which are only shown this once
+    async confirmTwoFactorEnrollment(customerId, code) {
+        const credential = this.getCredential(customerId);
+        const secret = this.pendingEnrollments.get(customerId);
+        if (!secret) {
+            throw new AuthError('NO_PENDING_ENROLLMENT', "Start two-factor enrollment first");
+        }
+        const twoFactor = { secret, lastUsedCounter: -1 };
+        if (!(await this.verifyTotp(twoFactor, String(code).trim(), this.clock.now()))) {
+            throw new AuthError('INVALID_TWO_FACTOR_CODE', "That code does not match. Check the time on your device and try again");
+        }
+        this.pendingEnrollments.delete(customerId);
+        credential.twoFactor = twoFactor;
+        return this.generateRecoveryCodes(customerId);
+    }
+
+    // Replaces any earlier recovery codes
+    generateRecoveryCodes(customerId) {
+        const credential = this.getCredential(customerId);
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const code = base32Encode(randomBytes(5)).toLowerCase();
+            return `${code.slice(0, 4)}-${code.slice(4)}`;
+        });
+        credential.recoveryCodes = codes.map(code => hashOneTimeCode(customerId, code));
+        return codes;
+    }
+
+    async disableTwoFactor(customerId, password) {
+        const credential = this.getCredential(customerId);
+        if (!(await this.checkPassword(credential, password))) {
+            throw new AuthError('INVALID_CREDENTIALS', "Incorrect password");
+        }
+        credential.twoFactor = null;
+        credential.recoveryCodes = [];
+    }
+
+    toJSON() {
+        return { credentials: Object.fromEntries(this.credentials), setupCodes: Object.fromEntries(this.setupCodes) };
+    }
+
+    restore(data) {
+        this.credentials = new Map(Object.entries(data.credentials));
+        this.setupCodes = new Map(Object.entries(data.setupCodes));
+    }
+}
+
+// ============================================================================
+// ACCESS CONTROL - Roles and the Operations They May Perform
+// ============================================================================
+
+// Staff roles with `allAccounts` act on any account; customers only on their own
+const ROLES = {
+    customer: {
+        label: 'Customer',
+        allAccounts: false,
+        permissions: ['view', 'deposit', 'withdraw', 'transfer', 'undo', 'create-account', 'budget']
+    },
+    teller: {
+        label: 'Teller',
+        allAccounts: true,
+        permissions: ['view', 'deposit', 'withdraw', 'transfer', 'undo', 'create-account', 'budget']
+    },
+    manager: {
+        label: 'Manager',
+        allAccounts: true,
+        permissions: [
+            'view', 'deposit', 'withdraw', 'transfer', 'undo', 'create-account', 'budget',
+            'change-rates', 'approve', 'manage-users', 'review-fraud', 'lend'
+        ]
+    },
+    auditor: {
+        label: 'Auditor',
+        allAccounts: true,
+        permissions: ['view']
+    }
+};
+
+// Completes "Your role does not allow you to ..."
+const PERMISSION_DESCRIPTIONS = {
+    view: 'view accounts',
+    deposit: 'make deposits',
+    withdraw: 'make withdrawals',
+    transfer: 'make transfers',
+    undo: 'undo or redo transactions',
+    'create-account': 'open accounts or onboard customers',
+    budget: 'categorize transactions or manage budgets',
+    'change-rates': 'change rates, rules or policies',
+    approve: 'approve transactions',
+    'manage-users': 'manage users',
+    'review-fraud': 'review fraud alerts',
+    lend: 'issue loans'
+};
+
+function hasPermission(role, permission) {
+    return Boolean(ROLES[role]) && ROLES[role].permissions.includes(permission);
+}
+
+// ============================================================================
+// APPROVALS - Maker-Checker Queue for Large Transactions
+// ============================================================================
+
+// Amounts at or above `threshold` (in `currency`) wait for a second user with approval
+// rights; requests nobody decides on expire after `expiryHours`
+const DEFAULT_APPROVAL_POLICY = {
+    threshold: 10000,
+    currency: 'USD',
+    expiryHours: 24
+};
+
+// A pending command has not touched any balance. Approving runs it through the
+// transaction manager; rejecting, expiring or failing leaves the books as they were.
+class ApprovalQueue {
+    constructor() {
+        this.requests = [];
+    }
+
+    submit(command, requestedBy, requestedAt, expiresAt) {
+        const request = {
+            id: `APR${generateTransactionId()}`,
+            command,
+            requestedBy,
+            requestedAt,
+            expiresAt,
+            status: 'pending',
+            decidedBy: null,
+            decidedAt: null,
+            reason: ''
+        };
+        this.requests.push(request);
+        return request;
+    }
+
+    get(requestId) {
+        const request = this.requests.find(item => item.id === requestId);
+        if (!request) {
+            throw new Error("Approval request not found");
+        }
+        return request;
+    }
+
+    getPending() {
+        return this.requests.filter(request => request.status === 'pending');
+    }
+
+    // Decided requests, newest first
+    getHistory() {
+        return this.requests.filter(request => request.status !== 'pending').reverse();
+    }
+
+    // `status` is 'approved', 'rejected', 'expired' or 'failed'
+    decide(request, status, decidedBy, decidedAt, reason = '') {
+        if (request.status !== 'pending') {
+            throw new Error(`Request ${request.id} is already ${request.status}`);
+        }
+        Object.assign(request, { status, decidedBy, decidedAt, reason });
+    }
+
+    // Returns the requests that were still pending past their expiry
+    expire(now) {
+        const expired = this.getPending().filter(request => request.expiresAt <= now);
+        expired.forEach(request => this.decide(request, 'expired', null, now));
+        return expired;
+    }
+
+    toJSON() {
+        return this.requests.map(request => ({
+            ...request,
+            command: request.command.toJSON(),
+            requestedAt: request.requestedAt.toISOString(),
+            expiresAt: request.expiresAt.toISOString(),
+            decidedAt: request.decidedAt ? request.decidedAt.toISOString() : null
+        }));
+    }
+
+    static fromJSON(data, accounts) {
+        const queue = new ApprovalQueue();
+        queue.requests = data.map(request => ({
+            ...request,
+            command: Command.fromJSON(request.command, accounts),
+            requestedAt: new Date(request.requestedAt),
+            expiresAt: new Date(request.expiresAt),
+            decidedAt: request.decidedAt ? new Date(request.decidedAt) : null
+        }));
+        return queue;
+    }
+}
+
+// ============================================================================
+// FRAUD DETECTION - Configurable Rules Screening Every Command
+// ============================================================================
+
+// Rules are stored data: `type` picks an evaluator from FRAUD_RULE_TYPES, the other
+// numbers are its parameters. `action` is 'flag' (run it, then queue it for review)
+// or 'block' (refuse it and queue it for review).
+const DEFAULT_FRAUD_RULES = [
+    {
+        id: 'velocity', type: 'velocity', enabled: true, action: 'block',
+        commandTypes: ['withdraw', 'transfer', 'payment'], maxCount: 5, windowMinutes: 10
+    },
+    {
+        id: 'unusual-amount', type: 'unusual-amount', enabled: true, action: 'flag',
+        commandTypes: ['withdraw', 'transfer', 'payment'], multiplier: 5, minHistory: 3
+    },
+    {
+        id: 'new-account-transfers', type: 'new-account-transfers', enabled: true, action: 'flag',
+        commandTypes: ['transfer'], accountAgeDays: 7, minCount: 3, windowMinutes: 60
+    },
+    {
+        id: 'structuring', type: 'structuring', enabled: true, action: 'flag',
+        commandTypes: ['deposit', 'withdraw', 'transfer', 'payment'], threshold: 10000, currency: 'USD',
+        marginPercent: 10, roundTo: 100, minCount: 2, windowDays: 7
+    }
+];
+
+// Money leaving an account, as opposed to deposits into it
+const OUTGOING_TRANSACTION_TYPES = ['withdraw', 'transfer', 'payment'];
+
+// Postings on `account` going `direction` ('in' or 'out'), optionally only those since `since`
+function comparableTransactions(account, direction, since = null) {
+    return account.transactionHistory.filter(transaction =>
+        !transaction.reversedBy &&
+        (direction === 'in' ?
+            transaction.type === 'deposit' :
+            OUTGOING_TRANSACTION_TYPES.includes(transaction.type) && transaction.side === 'debit') &&
+        (!since || transaction.timestamp >= since)
+    );
+}
+
+// Each evaluator returns the reason a command matches its rule, or null
+const FRAUD_RULE_TYPES = {
+    velocity: {
+        label: 'Velocity',
+        params: { maxCount: 'Max outgoing transactions', windowMinutes: 'Within (minutes)' },
+        evaluate: (rule, subject, now) => {
+            const since = new Date(now.getTime() - rule.windowMinutes * 60 * 1000);
+            const count = comparableTransactions(subject.account, 'out', since).length + 1;
+            return count > rule.maxCount ?
+                `${count} outgoing transactions from ${subject.account.accountNumber} in ${rule.windowMinutes} minutes` :
+                null;
+        }
+    },
+    'unusual-amount': {
+        label: 'Unusual amount',
+        params: { multiplier: 'Times the usual amount', minHistory: 'Past transactions needed' },
+        evaluate: (rule, subject) => {
+            const history = comparableTransactions(subject.account, 'out');
+            if (history.length < rule.minHistory) {
+                return null;
+            }
+            const totalMinor = history.reduce((total, transaction) => total + transaction.amount.minorUnits, 0);
+            const average = Money.fromMinor(Math.round(totalMinor / history.length), subject.account.currency);
+            return subject.amount.minorUnits > average.minorUnits * rule.multiplier ?
+                `${subject.amount.format()} is over ${rule.multiplier} times the account's average of ${average.format()}` :
+                null;
+        }
+    },
+    'new-account-transfers': {
+        label: 'Transfers between new accounts',
+        params: { accountAgeDays: 'Account younger than (days)', minCount: 'Transfers', windowMinutes: 'Within (minutes)' },
+        evaluate: (rule, subject, now) => {
+            const openedSince = new Date(now.getTime() - rule.accountAgeDays * MS_PER_DAY);
+            if (!subject.counterpart || subject.account.createdAt < openedSince || subject.counterpart.createdAt < openedSince) {
+                return null;
+            }
+            const since = new Date(now.getTime() - rule.windowMinutes * 60 * 1000);
+            const count = comparableTransactions(subject.account, 'out', since)
+                .filter(transaction => transaction.type === 'transfer').length + 1;
+            return count >= rule.minCount ?
+                `${count} transfers in ${rule.windowMinutes} minutes between accounts opened in the last ${rule.accountAgeDays} days` :
+                null;
+        }
+    },
+    structuring: {
+        label: 'Structuring below reporting threshold',
+        params: {
+            threshold: 'Reporting threshold', marginPercent: 'Just below by (%)', roundTo: 'Round to',
+            minCount: 'Transactions', windowDays: 'Within (days)'
+        },
+        evaluate: (rule, subject, now, convert) => {
+            const threshold = Money.parse(String(rule.threshold), rule.currency);
+            const floor = Money.fromMinor(Math.round(threshold.minorUnits * (100 - rule.marginPercent) / 100), rule.currency);
+            const roundMinor = Money.parse(String(rule.roundTo), subject.account.currency).minorUnits;
+            const suspicious = amount => {
+                const converted = convert(amount, rule.currency);
+                return amount.minorUnits % roundMinor === 0 && !converted.lessThan(floor) && converted.lessThan(threshold);
+            };
+            if (!suspicious(subject.amount)) {
+                return null;
+            }
+            const since = new Date(now.getTime() - rule.windowDays * MS_PER_DAY);
+            const count = comparableTransactions(subject.account, subject.type === 'deposit' ? 'in' : 'out', since)
+                .filter(transaction => suspicious(transaction.amount)).length + 1;
+            return count >= rule.minCount ?
+                `${count} round amounts just below the ${threshold.format()} reporting threshold in ${rule.windowDays} days` :
+                null;
+        }
+    }
+};
+
+class FraudBlockedError extends Error {
+    constructor(review) {
+        super(`Blocked by fraud screening: ${review.reasons.map(hit => hit.reason).join('; ')}`);
+        this.name = 'FraudBlockedError';
+        this.code = 'FRAUD_BLOCKED';
+        this.review = review;
+    }
+}
+
+// Screens each new command before the transaction manager runs it. Flagged and
+// blocked commands become review cases; `status` goes from 'open' to 'cleared'
+// (legitimate) or 'confirmed' (fraud).
+class FraudDetectionEngine {
+    // `convert(amount, currency)` prices amounts against thresholds set in another
+    // currency; `onReview(review)` hears about every new case
+    constructor(clock, convert, onReview, rules = DEFAULT_FRAUD_RULES) {
+        this.clock = clock;
+        this.convert = convert;
+        this.onReview = onReview;
+        this.rules = rules.map(rule => ({ ...rule }));
+        this.reviews = [];
+    }
+
+    // Deposits, withdrawals and transfers are screened; interest postings are not
+    subjectOf(command) {
+        const type = command.toJSON().type;
+        if (!['deposit', 'withdraw', 'transfer', 'payment'].includes(type)) {
+            return null;
+        }
+        const effects = command.getBalanceEffects();
+        const debit = effects.find(effect => effect.amount.isNegative());
+        const credit = effects.find(effect => effect.amount.isPositive());
+        // Amounts that are not positive fail the command's own checks instead
+        if (type === 'deposit' ? !credit : !debit) {
+            return null;
+        }
+        return type === 'deposit' ?
+            { type, account: credit.account, counterpart: null, amount: credit.amount } :
+            { type, account: debit.account, counterpart: credit ? credit.account : null, amount: debit.amount.negate() };
+    }
+
+    // Returns the rules a command matched, or null. Throws FraudBlockedError when
+    // any matching rule blocks.
+    screen(command) {
+        const subject = this.subjectOf(command);
+        if (!subject) {
+            return null;
+        }
+
+        const now = this.clock.now();
+        const hits = this.rules
+            .filter(rule => rule.enabled && rule.commandTypes.includes(subject.type))
+            .map(rule => {
+                const reason = FRAUD_RULE_TYPES[rule.type].evaluate(rule, subject, now, this.convert);
+                return reason && { ruleId: rule.id, action: rule.action, reason };
+            })
+            .filter(Boolean);
+        if (hits.length === 0) {
+            return null;
+        }
+        if (hits.some(hit => hit.action === 'block')) {
+            throw new FraudBlockedError(this.openReview(command, 'blocked', hits));
+        }
+        return hits;
+    }
+
+    // Flagged commands are queued only once they have actually run
+    executed(command, hits) {
+        this.openReview(command, 'flagged', hits);
+    }
+
+    openReview(command, outcome, hits) {
+        const review = {
+            id: `FRD${generateTransactionId()}`,
+            summary: command.describe(),
+            involvedAccounts: [...new Set(command.getBalanceEffects().map(({ account }) => account.accountNumber))],
+            outcome,
+            reasons: hits,
+            createdAt: this.clock.now(),
+            status: 'open',
+            reviewedBy: null,
+            reviewedAt: null,
+            note: ''
+        };
+        this.reviews.push(review);
+        this.onReview(review);
+        return review;
+    }
+
+    getReview(reviewId) {
+        const review = this.reviews.find(item => item.id === reviewId);
+        if (!review) {
+            throw new Error("Fraud review not found");
+        }
+        return review;
+    }
+
+    toJSON() {
+        return {
+            rules: this.rules,
+            reviews: this.reviews.map(review => ({
+                ...review,
+                createdAt: review.createdAt.toISOString(),
+                reviewedAt: review.reviewedAt ? review.reviewedAt.toISOString() : null
+            }))
+        };
+    }
+
+    restore(data) {
+        this.rules = data.rules.map(rule => ({ ...rule }));
+        this.reviews = data.reviews.map(review => ({
+            ...review,
+            createdAt: new Date(review.createdAt),
+            reviewedAt: review.reviewedAt ? new Date(review.reviewedAt) : null
+        }));
+    }
+}
+
+// ============================================================================
+// PERSISTENCE - Versioned Storage for Application State
+// ============================================================================
+
+const SCHEMA_VERSION = 21;
+
+class StorageAdapter {
+    load() {
+        throw new Error("StorageAdapter must implement load method");
+    }
+
+    save(data) {
+        throw new Error("StorageAdapter must implement save method");
+    }
+
+    clear() {
+        throw new Error("StorageAdapter must implement clear method");
+    }
+
+    // Keeps a copy of whatever is stored, as it is, for state that could not be loaded.
+    // Returns where the copy went, or null when the adapter cannot keep one.
+    backup() {
+        return null;
+    }
+}
+
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(key = 'securebank.state') {
+        super();
+        this.key = key;
+    }
+
+    load() {
+        const raw = window.localStorage.getItem(this.key);
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    save(data) {
+        window.localStorage.setItem(this.key, JSON.stringify(data));
+    }
+
+    clear() {
+        window.localStorage.removeItem(this.key);
+    }
+
+    backup() {
+        const backupKey = `${this.key}.backup`;
+        window.localStorage.setItem(backupKey, window.localStorage.getItem(this.key));
+        return backupKey;
+    }
+}
+
+// Keeps state in a JSON file, for Node; `fileSystem` is Node's fs module
+class FileStorageAdapter extends StorageAdapter {
+    constructor(path, fileSystem = require('fs')) {
+        super();
+        this.path = path;
+        this.fileSystem = fileSystem;
+    }
+
+    load() {
+        if (!this.fileSystem.existsSync(this.path)) {
+            return null;
+        }
+        return JSON.parse(this.fileSystem.readFileSync(this.path, 'utf8'));
+    }
+
+    // Writes a temporary file first so an interrupted save keeps the previous state
+    save(data) {
+        const temporaryPath = `${this.path}.tmp`;
+        this.fileSystem.writeFileSync(temporaryPath, JSON.stringify(data, null, 2));
+        this.fileSystem.renameSync(temporaryPath, this.path);
+    }
+
+    clear() {
+        if (this.fileSystem.existsSync(this.path)) {
+            this.fileSystem.unlinkSync(this.path);
+        }
+    }
+
+    backup() {
+        const backupPath = `${this.path}.backup`;
+        this.fileSystem.copyFileSync(this.path, backupPath);
+        return backupPath;
+    }
+}
+
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor() {
+        super();
+        this.data = null;
+    }
+
+    load() {
+        return this.data ? JSON.parse(this.data) : null;
+    }
+
+    save(data) {
+        this.data = JSON.stringify(data);
+    }
+
+    clear() {
+        this.data = null;
+    }
+
+    backup() {
+        this.backupData = this.data;
+        return 'memory';
+    }
+}
+
+class PersistenceManager {
+    constructor(storage) {
+        this.storage = storage;
+        this.migrations = new Map();
+        this.readOnly = false;
+        // Why the latest save failed, or null; the app keeps running on a failed save,
+        // so callers that must know, such as the CLI, check this
+        this.saveError = null;
+        this.registerDefaultMigrations();
+    }
+
+    registerDefaultMigrations() {
+        // Schema 1 stored amounts as floating-point dollars; schema 2 stores integer cents
+        const toMinorUnits = amount => Math.round(amount * 100);
+        this.registerMigration(1, state => ({
+            ...state,
+            accounts: state.accounts.map(account => ({
+                ...account,
+                balance: toMinorUnits(account.balance),
+                transactionHistory: account.transactionHistory.map(transaction => ({
+                    ...transaction,
+                    amount: toMinorUnits(transaction.amount),
+                    balance: toMinorUnits(transaction.balance)
+                }))
+            })),
+            transactionManager: {
+                ...state.transactionManager,
+                commands: state.transactionManager.commands.map(command => ({
+                    ...command,
+                    amount: toMinorUnits(command.amount)
+                }))
+            }
+        }));
+
+        // Schema 2 amounts were bare USD cents; schema 3 stores { minorUnits, currency }
+        const toUsd = minorUnits => ({ minorUnits, currency: 'USD' });
+        this.registerMigration(2, state => ({
+            ...state,
+            reportingCurrency: 'USD',
+            accounts: state.accounts.map(account => ({
+                ...account,
+                currency: 'USD',
+                balance: toUsd(account.balance),
+                transactionHistory: account.transactionHistory.map(transaction => ({
+                    ...transaction,
+                    amount: toUsd(transaction.amount),
+                    balance: toUsd(transaction.balance)
+                }))
+            })),
+            transactionManager: {
+                ...state.transactionManager,
+                commands: state.transactionManager.commands.map(command => ({
+                    ...command,
+                    amount: toUsd(command.amount)
+                }))
+            }
+        }));
+
+        // Schema 4 adds the audit ledger, seeded from the history that survived earlier undos
+        this.registerMigration(3, state => {
+            const ledger = new AuditLedger();
+            state.accounts
+                .flatMap(account => account.transactionHistory)
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+                .forEach(transaction => ledger.append({
+                    ...transaction,
+                    amount: Money.fromJSON(transaction.amount),
+                    balance: Money.fromJSON(transaction.balance),
+                    timestamp: new Date(transaction.timestamp)
+                }));
+            return { ...state, auditLedger: ledger.toJSON() };
+        });
+
+        // Schema 5 derives balances from a general ledger, rebuilt by replaying each
+        // account's opening balance and history; transfer legs post against clearing
+        this.registerMigration(4, state => {
+            const generalLedger = new GeneralLedger();
+            const transferLegIds = new Set(state.transactionManager.commands
+                .filter(command => command.type === 'transfer')
+                .flatMap(command => [command.fromTransactionId, command.toTransactionId]));
+            const post = (accountNumber, type, side, amount, contraAccount, timestamp) => generalLedger.post({
+                type,
+                timestamp,
+                postings: [
+                    { account: accountNumber, side, amount },
+                    { account: contraAccount, side: side === 'credit' ? 'debit' : 'credit', amount }
+                ]
+            });
+
+            const accounts = state.accounts.map(account => {
+                generalLedger.openLedgerAccount(account.accountNumber, `Customer account ${account.accountNumber}`, 'liability');
+
+                const history = account.transactionHistory.slice()
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+                const first = history[0];
+                const openingMinorUnits = !first ? account.balance.minorUnits :
+                    first.balance.minorUnits + (first.type === 'deposit' ||
+                        (first.type === 'reversal' && first.reversedType === 'withdraw') ? -1 : 1) * first.amount.minorUnits;
+                if (openingMinorUnits > 0) {
+                    post(account.accountNumber, 'opening', 'credit', Money.fromMinor(openingMinorUnits, account.currency),
+                        'cash', new Date(account.createdAt));
+                }
+
+                const { balance, ...rest } = account;
+                return rest;
+            });
+
+            state.accounts
+                .flatMap(account => account.transactionHistory)
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+                .forEach(transaction => {
+                    const isTransferLeg = transferLegIds.has(transaction.id) || transferLegIds.has(transaction.reverses);
+                    const contraAccount = isTransferLeg ? 'transfer-clearing' : 'cash';
+                    const isCredit = transaction.type === 'deposit' ||
+                        (transaction.type === 'reversal' && transaction.reversedType === 'withdraw');
+                    const entry = post(transaction.accountNumber, transaction.type, isCredit ? 'credit' : 'debit',
+                        Money.fromJSON(transaction.amount), contraAccount, new Date(transaction.timestamp));
+                    transaction.contraAccount = contraAccount;
+                    transaction.journalEntryId = entry.id;
+                });
+
+            return { ...state, accounts, generalLedger: generalLedger.toJSON() };
+        });
+
+        // Schema 6 adds interest accrual, starting from the day of the upgrade
+        this.registerMigration(5, state => {
+            const today = startOfUtcDay(new Date()).toISOString();
+            return {
+                ...state,
+                interestAccrual: Object.fromEntries(state.accounts.map(account => [
+                    account.accountNumber,
+                    { accruedScaled: 0, accruedThrough: today }
+                ]))
+            };
+        });
+
+        // Schema 7 gives fixed deposits a term; existing ones become 12-month rollovers
+        this.registerMigration(6, state => ({
+            ...state,
+            fixedDepositPolicy: { ...DEFAULT_FIXED_DEPOSIT_POLICY },
+            accounts: state.accounts.map(account => account.accountType !== 'fixed' ? account : {
+                ...account,
+                fixedDeposit: {
+                    termMonths: 12,
+                    startDate: account.createdAt,
+                    maturityDate: addUtcMonths(new Date(account.createdAt), 12).toISOString(),
+                    maturityInstruction: 'rollover',
+                    payoutAccountNumber: null,
+                    status: 'active'
+                }
+            })
+        }));
+
+        // Schema 8 keeps a dated history of each account's interest strategy
+        this.registerMigration(7, state => ({
+            ...state,
+            accounts: state.accounts.map(account => ({
+                ...account,
+                rateHistory: [{
+                    effectiveFrom: new Date(0).toISOString(),
+                    strategy: account.fixedDeposit ?
+                        { type: 'flat', rate: FIXED_DEPOSIT_RATE_TIERS[account.fixedDeposit.termMonths] } :
+                        DEFAULT_INTEREST_STRATEGIES[account.accountType] || DEFAULT_INTEREST_STRATEGIES.checking
+                }]
+            }))
+        }));
+
+        // Schema 9 attaches withdrawal rules to every account
+        this.registerMigration(8, state => ({
+            ...state,
+            accounts: state.accounts.map(account => ({
+                ...account,
+                rules: DEFAULT_ACCOUNT_RULES[account.accountType] || []
+            }))
+        }));
+
+        // Schema 10 records each transaction's side and turns transfer legs, which
+        // post against transfer clearing, into 'transfer' transactions naming each other
+        this.registerMigration(9, state => {
+            const legs = new Map();
+            state.transactionManager.commands
+                .filter(command => command.type === 'transfer')
+                .forEach(command => {
+                    legs.set(command.fromTransactionId, command.toTransactionId);
+                    legs.set(command.toTransactionId, command.fromTransactionId);
+                });
+            const isTransferLeg = transaction => transaction.contraAccount === 'transfer-clearing';
+
+            return {
+                ...state,
+                accounts: state.accounts.map(account => {
+                    const byId = new Map(account.transactionHistory.map(transaction => [transaction.id, transaction]));
+                    return {
+                        ...account,
+                        transactionHistory: account.transactionHistory.map(transaction => {
+                            const reversesDebit = DEBIT_TRANSACTION_TYPES.includes(transaction.reversedType);
+                            const side = transaction.type === 'reversal' ?
+                                (reversesDebit ? 'credit' : 'debit') :
+                                (DEBIT_TRANSACTION_TYPES.includes(transaction.type) ? 'debit' : 'credit');
+                            const migrated = { ...transaction, side };
+
+                            if (transaction.type === 'reversal' && isTransferLeg(transaction) &&
+                                (byId.get(transaction.reverses) || {}).contraAccount === 'transfer-clearing') {
+                                migrated.reversedType = 'transfer';
+                            } else if (transaction.type !== 'reversal' && isTransferLeg(transaction)) {
+                                const match = /^Transfer (?:to|from) (\S+?):/.exec(transaction.description || '');
+                                migrated.type = 'transfer';
+                                migrated.transfer = {
+                                    direction: side === 'debit' ? 'out' : 'in',
+                                    counterpartAccountNumber: match ? match[1] : null,
+                                    counterpartTransactionId: legs.get(transaction.id) || null
+                                };
+                            }
+                            return migrated;
+                        })
+                    };
+                })
+            };
+        });
+
+        // Schema 11 gives customers notification preferences and an inbox
+        this.registerMigration(10, state => ({
+            ...state,
+            customers: state.customers.map(customer => ({
+                ...customer,
+                phone: null,
+                preferences: defaultNotificationPreferences(),
+                inbox: []
+            }))
+        }));
+
+        // Schema 12 keys customers by id, so accounts record owner ids instead of emails
+        this.registerMigration(11, state => {
+            const ids = new Map(state.customers.map((customer, index) => [customer.email, `CUS${1000 + index}`]));
+            return {
+                ...state,
+                customerCounter: 1000 + state.customers.length,
+                currentCustomerId: state.customers.length > 0 ? ids.get(state.customers[0].email) : null,
+                customers: state.customers.map(customer => ({ ...customer, id: ids.get(customer.email) })),
+                accounts: state.accounts.map(({ observerEmails, ...account }) => ({
+                    ...account,
+                    ownerIds: observerEmails.filter(email => ids.has(email)).map(email => ids.get(email))
+                }))
+            };
+        });
+
+        // Schema 13 stores sign-in credentials; customers set a password on first sign-in
+        this.registerMigration(12, state => ({ ...state, auth: { credentials: {} } }));
+
+        // Schema 14 adds roles and the approval queue. The first customer becomes the
+        // manager so an existing bank keeps someone who can assign roles.
+        this.registerMigration(13, state => ({
+            ...state,
+            customers: state.customers.map((customer, index) => ({
+                ...customer,
+                role: index === 0 ? 'manager' : 'customer'
+            })),
+            approvals: [],
+            approvalPolicy: { ...DEFAULT_APPROVAL_POLICY }
+        }));
+
+        // Schema 15 adds scheduled transfers and standing orders
+        this.registerMigration(14, state => ({ ...state, scheduledTransfers: [] }));
+
+        // Schema 16 adds external payees and outgoing payments
+        this.registerMigration(15, state => ({ ...state, payees: [], payments: [] }));
+
+        // Schema 17 adds fraud screening rules and their review queue
+        this.registerMigration(16, state => ({
+            ...state,
+            fraud: { rules: DEFAULT_FRAUD_RULES.map(rule => ({ ...rule })), reviews: [] }
+        }));
+
+        // Schema 18 categorizes transactions, adds categorization rules and budgets, and
+        // lets customers choose how budget alerts reach them
+        this.registerMigration(17, state => ({
+            ...state,
+            customers: state.customers.map(customer => {
+                const { general, ...events } = customer.preferences.events;
+                return {
+                    ...customer,
+                    preferences: {
+                        ...customer.preferences,
+                        events: { ...events, 'budget-alert': defaultNotificationPreferences().events['budget-alert'], general }
+                    }
+                };
+            }),
+            accounts: state.accounts.map(account => ({
+                ...account,
+                transactionHistory: account.transactionHistory.map(transaction => ({
+                    ...transaction,
+                    category: defaultCategoryFor(transaction)
+                }))
+            })),
+            categoryRules: [],
+            budgets: []
+        }));
+
+        // Schema 19 saves the last transaction id issued and remembers idempotency keys
+        this.registerMigration(18, state => ({
+            ...state,
+            lastTransactionId: state.accounts.reduce(
+                (last, account) => account.transactionHistory.reduce(
+                    (accountLast, transaction) => Math.max(accountLast, Number(transaction.id) || 0),
+                    last
+                ),
+                0
+            ),
+            idempotencyKeys: []
+        }));
+
+        // Schema 20 adds setup codes, which a user's first password now needs. The demo
+        // users who have no password yet get the demo password, as on a fresh start.
+        this.registerMigration(19, state => {
+            const credentials = { ...state.auth.credentials };
+            state.customers.forEach(customer => {
+                if (DEMO_CREDENTIALS[customer.email] && !credentials[customer.id]) {
+                    credentials[customer.id] = demoCredential(DEMO_CREDENTIALS[customer.email]);
+                }
+            });
+            return { ...state, auth: { ...state.auth, credentials, setupCodes: {} } };
+        });
+
+        // Schema 21 screens outgoing payments with the rules that already covered
+        // withdrawals
+        this.registerMigration(20, state => ({
+            ...state,
+            fraud: {
+                ...state.fraud,
+                rules: state.fraud.rules.map(rule =>
+                    rule.commandTypes.includes('withdraw') && !rule.commandTypes.includes('payment') ?
+                        { ...rule, commandTypes: [...rule.commandTypes, 'payment'] } :
+                        rule
+                )
+            }
+        }));
+    }
+
+    // Registers a function upgrading state saved at `fromVersion` to `fromVersion + 1`
+    registerMigration(fromVersion, migrate) {
+        this.migrations.set(fromVersion, migrate);
+    }
+
+    migrate(data) {
+        let state = data;
+
+        while (state.version < SCHEMA_VERSION) {
+            const migrate = this.migrations.get(state.version);
+            if (!migrate) {
+                throw new Error(`No migration registered from schema version ${state.version}`);
+            }
+            state = { ...migrate(state), version: state.version + 1 };
+        }
+
+        return state;
+    }
+
+    load() {
+        let data;
+        try {
+            data = this.storage.load();
+        } catch (error) {
+            this.keepUnloadableState('Saved state could not be read', error);
+            return null;
+        }
+
+        if (!data) {
+            return null;
+        }
+
+        if (data.version > SCHEMA_VERSION) {
+            // Never overwrite state written by a newer version of the app
+            this.readOnly = true;
+            console.warn(`Saved state has schema version ${data.version}, newer than ${SCHEMA_VERSION}`);
+            return null;
+        }
+
+        try {
+            return this.migrate(data);
+        } catch (error) {
+            this.keepUnloadableState('Saved state could not be migrated', error);
+            return null;
+        }
+    }
+
+    // The app carries on from a fresh start, but the state it could not load is backed
+    // up and never saved over, so nothing the user had is lost
+    keepUnloadableState(problem, error) {
+        this.readOnly = true;
+        let backup = null;
+        try {
+            backup = this.storage.backup();
+        } catch (backupError) {
+            console.warn('Saved state could not be backed up:', backupError);
+        }
+        console.warn(`${problem}; it is left as it was${backup ? ` and copied to ${backup}` : ''}, and changes will not be saved:`, error);
+    }
+
+    save(bankingSystem) {
+        if (this.readOnly) {
+            return;
+        }
+
+        try {
+            this.storage.save(this.serialize(bankingSystem));
+            this.saveError = null;
+        } catch (error) {
+            this.saveError = error;
+            console.warn('State could not be saved:', error);
+        }
+    }
+
+    // The saved form of the whole application state
+    serialize(bankingSystem) {
+        return {
+            version: SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            accountCounter: bankingSystem.accountCounter,
+            lastTransactionId,
+            customerCounter: bankingSystem.customerCounter,
+            currentCustomerId: bankingSystem.currentCustomerId,
+            reportingCurrency: bankingSystem.reportingCurrency,
+            customers: Array.from(bankingSystem.customers.values()).map(customer => customer.toJSON()),
+            accounts: Array.from(bankingSystem.accounts.values()).map(account => account.toJSON()),
+            transactionManager: bankingSystem.transactionManager.toJSON(),
+            auditLedger: bankingSystem.auditLedger.toJSON(),
+            generalLedger: bankingSystem.generalLedger.toJSON(),
+            interestAccrual: bankingSystem.interestEngine.toJSON(),
+            fixedDepositPolicy: bankingSystem.fixedDepositPolicy,
+            approvalPolicy: bankingSystem.approvalPolicy,
+            approvals: bankingSystem.approvalQueue.toJSON(),
+            scheduledTransfers: bankingSystem.transferScheduler.toJSON(),
+            payees: Array.from(bankingSystem.payees.values()).map(payee => ({
+                ...payee,
+                createdAt: payee.createdAt.toISOString()
+            })),
+            payments: bankingSystem.payments.map(payment => payment.toJSON()),
+            fraud: bankingSystem.fraudEngine.toJSON(),
+            categoryRules: bankingSystem.categoryRules,
+            budgets: bankingSystem.budgets.map(budget => ({ ...budget, limit: budget.limit.toJSON() })),
+            idempotencyKeys: bankingSystem.idempotencyKeys.toJSON(),
+            auth: bankingSystem.auth.toJSON()
+        };
+    }
+
+    clear() {
+        this.storage.clear();
+    }
+}
+
+// ============================================================================
+// BANKING SYSTEM - Main Application Class
+// ============================================================================
+
+// Comparators for queryTransactions; amounts compare in the reporting currency
+const TRANSACTION_SORT_FIELDS = {
+    date: (a, b) => a.timestamp - b.timestamp,
+    amount: (a, b, reportingAmount) => reportingAmount(a).compare(reportingAmount(b)),
+    account: (a, b) => a.accountNumber.localeCompare(b.accountNumber),
+    type: (a, b) => a.type.localeCompare(b.type)
+};
+
+class BankingSystem {
+    // `messageTransports` carry email and SMS and `paymentRail` clears external payments;
+    // the defaults only simulate them
+    constructor(
+        storage = new LocalStorageAdapter(),
+        exchangeRateProvider = new StaticExchangeRateProvider(),
+        clock = new SystemClock(),
+        messageTransports = { email: new MockMessageTransport(), sms: new MockMessageTransport() },
+        paymentRail = new InMemoryClearingHouse(clock)
+    ) {
+        this.accounts = new Map();
+        this.customers = new Map();
+        this.generalLedger = new GeneralLedger();
+        this.fraudEngine = new FraudDetectionEngine(
+            clock,
+            (amount, currency) => amount.convertTo(currency, this.exchangeRateProvider.getRate(amount.currency, currency)),
+            review => this.publishFraudReview(review)
+        );
+        this.transactionManager = new TransactionManager(this.generalLedger, this.fraudEngine);
+        this.auditLedger = new AuditLedger();
+        this.accountCounter = 1000;
+        this.customerCounter = 1000;
+        this.currentCustomerId = null;
+        this.auth = new AuthService(clock);
+        this.systemAccess = false;
+        this.exchangeRateProvider = exchangeRateProvider;
+        this.reportingCurrency = 'USD';
+        this.clock = clock;
+        this.fixedDepositPolicy = { ...DEFAULT_FIXED_DEPOSIT_POLICY };
+        this.approvalPolicy = { ...DEFAULT_APPROVAL_POLICY };
+        this.approvalQueue = new ApprovalQueue();
+        this.idempotencyKeys = new IdempotencyStore();
+        this.messageTransports = messageTransports;
+        this.paymentRail = paymentRail;
+        this.payees = new Map();
+        this.payments = [];
+        this.categoryRules = [];
+        this.budgets = [];
+        this.changeListeners = [];
+        this.eventBus = new EventBus();
+        this.eventBus.subscribe('*', event => this.deliverToObservers(event));
+        this.notificationCenter = new NotificationCenter({
+            toast: new ToastChannel(
+                customer => customer.id === this.currentCustomerId,
+                notification => this.notifyChange('toast', notification)
+            ),
+            inbox: new InboxChannel(),
+            email: new EmailChannel(messageTransports.email),
+            sms: new SmsChannel(messageTransports.sms)
+        }, clock);
+        this.notificationCenter.onInboxChange = () => this.notifyChange('inbox');
+        // Loan interest follows the amortization schedule instead
+        this.interestEngine = new InterestAccrualEngine(
+            () => Array.from(this.accounts.values()).filter(account => !(account instanceof LoanAccount)),
+            (account, amount, date) => this.postInterest(account, amount, date),
+            clock
+        );
+        this.transferScheduler = new TransferScheduler(schedule => this.executeScheduledTransfer(schedule), clock);
+        this.persistence = new PersistenceManager(storage);
+        
+        const restored = this.restoreState();
+        
+        // Create a default customer and the staff who run the bank
+        if (!restored) {
+            this.asSystem(() => {
+                this.createCustomer('John Doe', 'john@example.com');
+                this.createCustomer('Morgan Lee', 'morgan.lee@securebank.example', null, 'manager');
+                this.createCustomer('Sam Patel', 'sam.patel@securebank.example', null, 'teller');
+                this.createCustomer('Alex Kim', 'alex.kim@securebank.example', null, 'auditor');
+            });
+            this.customers.forEach(customer => {
+                this.auth.credentials.set(customer.id, demoCredential(DEMO_CREDENTIALS[customer.email]));
+            });
+        }
+        
+        // Create some demo accounts on first run only
+        if (!restored) {
+            this.asSystem(() => this.createDemoAccounts());
+        }
+        
+        // Catch up on interest and maturities while the app was closed
+        this.runDailyProcessing();
+    }
+
+    restoreState(state = this.persistence.load()) {
+        if (!state) {
+            return false;
+        }
+
+        state.customers.forEach(data => this.registerCustomer(Customer.fromJSON(data)));
+
+        this.auditLedger = AuditLedger.fromJSON(state.auditLedger);
+        if (!this.auditLedger.verify().valid) {
+            console.warn('Audit ledger failed hash-chain verification after loading');
+        }
+
+        this.generalLedger = GeneralLedger.fromJSON(state.generalLedger);
+        this.transactionManager.generalLedger = this.generalLedger;
+
+        Object.assign(this.fixedDepositPolicy, state.fixedDepositPolicy);
+
+        state.accounts.forEach(data => {
+            const account = Account.fromJSON(data, this.generalLedger);
+            data.ownerIds.forEach(customerId => {
+                const customer = this.customers.get(customerId);
+                if (customer) {
+                    account.addObserver(customer);
+                }
+            });
+            this.registerAccount(account);
+        });
+
+        this.accountCounter = state.accountCounter;
+        advanceTransactionIds(state.lastTransactionId);
+        this.customerCounter = state.customerCounter;
+        this.currentCustomerId = state.currentCustomerId;
+        this.auth.restore(state.auth);
+        this.reportingCurrency = state.reportingCurrency;
+        this.interestEngine.restore(state.interestAccrual);
+        this.transactionManager.restore(state.transactionManager, this.accounts);
+        Object.assign(this.approvalPolicy, state.approvalPolicy);
+        this.approvalQueue = ApprovalQueue.fromJSON(state.approvals, this.accounts);
+        this.transferScheduler.restore(state.scheduledTransfers);
+        this.payees = new Map(state.payees.map(payee => [payee.id, { ...payee, createdAt: new Date(payee.createdAt) }]));
+        this.payments = state.payments.map(payment => OutgoingPayment.fromJSON(payment));
+        this.fraudEngine.restore(state.fraud);
+        this.categoryRules = state.categoryRules.map(rule => ({ ...rule }));
+        this.budgets = state.budgets.map(budget => ({ ...budget, limit: Money.fromJSON(budget.limit) }));
+        this.idempotencyKeys = IdempotencyStore.fromJSON(state.idempotencyKeys);
+        return true;
+    }
+
+    // Swaps what is in memory for the saved state, for when another process shares the
+    // storage. Keeps the current state and returns false when nothing could be loaded.
+    reloadState() {
+        const state = this.persistence.load();
+        if (!state) {
+            return false;
+        }
+        this.accounts = new Map();
+        this.customers = new Map();
+        return this.restoreState(state);
+    }
+
+    saveState() {
+        this.persistence.save(this);
+    }
+
+    // Views subscribe here rather than being drawn by the banking system. `scope` says
+    // what changed, e.g. 'accounts', 'inbox' or 'session', and 'all' covers anything
+    // that may touch balances; toasts arrive as 'toast' with the notification. Returns
+    // a function that removes the listener.
+    onChange(listener) {
+        this.changeListeners.push(listener);
+        return () => {
+            this.changeListeners = this.changeListeners.filter(item => item !== listener);
+        };
+    }
+
+    notifyChange(scope = 'all', detail = null) {
+        this.changeListeners.forEach(listener => listener(scope, detail));
+    }
+
+    // Runs bank-initiated work, such as first-run setup, without a signed-in customer
+    asSystem(operation) {
+        this.systemAccess = true;
+        try {
+            return operation();
+        } finally {
+            this.systemAccess = false;
+        }
+    }
+
+    // Every user-facing operation starts here: it needs an unlocked session whose role
+    // grants `permission` (null for anything a signed-in user may do), and customers must
+    // own each account given. Returns the session, or null for work running as the system.
+    authorize(permission, ...accountNumbers) {
+        if (this.systemAccess) {
+            return null;
+        }
+        const session = this.auth.requireSession();
+        const role = this.getSessionRole();
+        if (permission && !hasPermission(role, permission)) {
+            throw new AuthError(
+                'FORBIDDEN',
+                `Your role (${ROLES[role].label}) does not allow you to ${PERMISSION_DESCRIPTIONS[permission]}`
+            );
+        }
+        if (!ROLES[role].allAccounts) {
+            accountNumbers.forEach(accountNumber => {
+                const account = this.getAccount(accountNumber);
+                if (account && !account.isOwnedBy(session.customerId)) {
+                    throw new AuthError('ACCESS_DENIED', `You do not have access to ${accountNumber}`);
+                }
+            });
+        }
+        this.auth.touch();
+        return session;
+    }
+
+    getSessionRole() {
+        return this.auth.session ? this.getCustomer(this.auth.session.customerId).role : null;
+    }
+
+    // Whether the signed-in user's role grants `permission`; for showing or hiding controls
+    can(permission) {
+        const role = this.getSessionRole();
+        return Boolean(role) && hasPermission(role, permission);
+    }
+
+    // Whether the method named `operation` can run here; RemoteBankingSystem cannot run
+    // them all
+    supports(operation) {
+        return typeof this[operation] === 'function';
+    }
+
+    // There is one undo timeline for the whole bank, so customers can only move across
+    // commands on their own accounts: once anyone else's activity comes later, only
+    // staff can undo past it. Customers cannot move interest the bank posted either.
+    authorizeTimelineMove(position) {
+        const manager = this.transactionManager;
+        const [first, last] = position < manager.currentPosition ?
+            [position + 1, manager.currentPosition] :
+            [manager.currentPosition + 1, position];
+        const commands = manager.commandHistory.slice(Math.max(first, 0), last + 1);
+        const accounts = commands.flatMap(command => command.getBalanceEffects().map(({ account }) => account));
+        const session = this.authorize('undo');
+        if (session && !ROLES[this.getSessionRole()].allAccounts) {
+            if (accounts.some(account => !account.isOwnedBy(session.customerId))) {
+                throw new AuthError(
+                    'ACCESS_DENIED',
+                    "Undo follows one timeline for the whole bank, and a later change there is on accounts that are not yours, so only staff can undo or redo past it"
+                );
+            }
+            if (commands.some(command => command.postedByBank)) {
+                throw new AuthError('ACCESS_DENIED', "Only staff can undo or redo interest the bank posted");
+            }
+        }
+        // Reversing a repayment would leave the installment marked paid
+        if (accounts.some(account => account instanceof LoanAccount)) {
+            throw new Error("Loan repayments cannot be undone or redone");
+        }
+    }
+
+    findCustomerByEmail(email) {
+        const normalized = String(email || '').trim().toLowerCase();
+        return Array.from(this.customers.values()).find(customer => customer.email === normalized);
+    }
+
+    // Unknown emails fail like wrong passwords, so sign-in does not reveal who banks here
+    async login(email, password, code = null) {
+        const customer = this.findCustomerByEmail(email);
+        if (!customer) {
+            throw new AuthError('INVALID_CREDENTIALS', "Incorrect email or password");
+        }
+        try {
+            await this.auth.login(customer.id, password, code);
+        } finally {
+            // Failed attempts count towards the lockout across reloads
+            this.saveState();
+        }
+        this.currentCustomerId = customer.id;
+        this.saveState();
+        this.notifyChange('login');
+        return customer;
+    }
+
+    // First sign-in for a user who has no password yet, with the setup code staff gave
+    // them. Unknown emails fail like wrong codes.
+    async createPassword(email, setupCode, password) {
+        const customer = this.findCustomerByEmail(email);
+        if (!customer) {
+            throw new AuthError('INVALID_SETUP_CODE', "That setup code is not valid. Ask the bank for a new one");
+        }
+        await this.auth.setFirstPassword(customer.id, setupCode, password);
+        this.saveState();
+        return this.login(email, password);
+    }
+
+    // Returns the one-time code a user without a password needs for their first sign-in,
+    // to be passed on to them. Tellers issue codes for customers, managers for anyone.
+    issueSetupCode(customerId) {
+        const customer = this.getCustomer(customerId);
+        const session = this.authorize(customer.role === 'customer' ? 'create-account' : 'manage-users');
+        if (session && !ROLES[this.getSessionRole()].allAccounts) {
+            throw new AuthError('ACCESS_DENIED', "Only bank staff can issue setup codes");
+        }
+        const code = this.auth.issueSetupCode(customer.id);
+        this.saveState();
+        this.notifyChange('customers');
+        return code;
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        const session = this.authorize(null);
+        await this.auth.setPassword(session.customerId, newPassword, currentPassword);
+        this.saveState();
+    }
+
+    lockSession() {
+        this.auth.lock();
+    }
+
+    async unlockSession(password) {
+        try {
+            await this.auth.unlock(password);
+        } finally {
+            this.saveState();
+        }
+        this.notifyChange('session');
+    }
+
+    logout() {
+        this.auth.logout();
+        this.notifyChange('session');
+    }
+
+    // Returns { secret, uri, qrCode } where qrCode is SVG markup of the otpauth:// link
+    beginTwoFactorEnrollment() {
+        const session = this.authorize(null);
+        const customer = this.getCustomer(session.customerId);
+        const enrollment = this.auth.beginTwoFactorEnrollment(customer.id, customer.email);
+        return { ...enrollment, qrCode: qrCodeToSvg(encodeQrCode(enrollment.uri)) };
+    }
+
+    async confirmTwoFactorEnrollment(code) {
+        const session = this.authorize(null);
+        const recoveryCodes = await this.auth.confirmTwoFactorEnrollment(session.customerId, code);
+        this.saveState();
+        this.notifyChange('security');
+        return recoveryCodes;
+    }
+
+    async disableTwoFactor(password) {
+        const session = this.authorize(null);
+        await this.auth.disableTwoFactor(session.customerId, password);
+        this.saveState();
+        this.notifyChange('security');
+    }
+
+    // The first customer created becomes the one the UI shows. Only managers create staff.
+    createCustomer(name, email, phone = null, role = 'customer') {
+        this.authorize(role === 'customer' ? 'create-account' : 'manage-users');
+        if (!ROLES[role]) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        const details = this.validateCustomerDetails({ name, email, phone });
+        const customer = new Customer(`CUS${this.customerCounter}`, details.name, details.email, details.phone, role);
+        this.customerCounter++;
+        this.registerCustomer(customer);
+        if (!this.currentCustomerId) {
+            this.currentCustomerId = customer.id;
+        }
+        this.saveState();
+        this.notifyChange('customers');
+        return customer;
+    }
+
+    // Users edit their own details; managers edit anyone's
+    updateCustomer(customerId, { name, email, phone = null }) {
+        const session = this.authorize(null);
+        const customer = this.getCustomer(customerId);
+        if (session && session.customerId !== customerId && !this.can('manage-users')) {
+            throw new AuthError('ACCESS_DENIED', "You can only edit your own details");
+        }
+        Object.assign(customer, this.validateCustomerDetails({ name, email, phone }, customerId));
+        this.saveState();
+        this.notifyChange('customers');
+        return customer;
+    }
+
+    // Trims the details and rejects malformed or already registered contact details
+    validateCustomerDetails({ name, email, phone }, customerId = null) {
+        const details = {
+            name: (name || '').trim(),
+            email: (email || '').trim().toLowerCase(),
+            phone: (phone || '').trim() || null
+        };
+        if (!details.name) {
+            throw new Error("Customer name is required");
+        }
+        if (!EMAIL_PATTERN.test(details.email)) {
+            throw new Error(`Invalid email address: ${details.email}`);
+        }
+        if (details.phone && !PHONE_PATTERN.test(details.phone)) {
+            throw new Error(`Invalid phone number: ${details.phone}`);
+        }
+        const existing = Array.from(this.customers.values())
+            .find(customer => customer.email === details.email && customer.id !== customerId);
+        if (existing) {
+            throw new Error(`${details.email} is already registered to ${existing.name}`);
+        }
+        return details;
+    }
+
+    // The bank always keeps at least one manager, so roles can still be assigned
+    setCustomerRole(customerId, role) {
+        this.authorize('manage-users');
+        const customer = this.getCustomer(customerId);
+        if (!ROLES[role]) {
+            throw new Error(`Unknown role: ${role}`);
+        }
+        const managers = Array.from(this.customers.values()).filter(user => user.role === 'manager');
+        if (customer.role === 'manager' && role !== 'manager' && managers.length === 1) {
+            throw new Error("The bank needs at least one manager");
+        }
+        customer.role = role;
+        this.saveState();
+        this.notifyChange('session');
+        return customer;
+    }
+
+    getCustomer(customerId) {
+        const customer = this.customers.get(customerId);
+        if (!customer) {
+            throw new Error("Customer not found");
+        }
+        return customer;
+    }
+
+    getCustomerAccounts(customerId) {
+        return Array.from(this.accounts.values()).filter(account => account.isOwnedBy(customerId));
+    }
+
+    // Accounts the UI shows: all of them for staff, otherwise those the signed-in customer owns
+    getVisibleAccounts() {
+        const role = this.getSessionRole();
+        if (!role) {
+            return [];
+        }
+        return ROLES[role].allAccounts ?
+            Array.from(this.accounts.values()) :
+            this.getCustomerAccounts(this.auth.session.customerId);
+    }
+
+    // Joint owners are notified of everything on the account, like the first owner
+    addAccountOwner(accountNumber, customerId) {
+        this.authorize('create-account', accountNumber);
+        const account = this.getAccount(accountNumber);
+        if (!account) {
+            throw new Error("Account not found");
+        }
+        const customer = this.getCustomer(customerId);
+        if (account.isOwnedBy(customerId)) {
+            throw new Error(`${customer.name} already owns ${accountNumber}`);
+        }
+        account.addObserver(customer);
+        this.saveState();
+        this.notifyChange('customers');
+    }
+
+    removeAccountOwner(accountNumber, customerId) {
+        this.authorize('create-account', accountNumber);
+        const account = this.getAccount(accountNumber);
+        if (!account) {
+            throw new Error("Account not found");
+        }
+        const customer = this.getCustomer(customerId);
+        if (!account.isOwnedBy(customerId)) {
+            throw new Error(`${customer.name} does not own ${accountNumber}`);
+        }
+        if (account.getOwners().length === 1) {
+            throw new Error(`${accountNumber} must keep at least one owner`);
+        }
+        account.removeObserver(customer);
+        this.saveState();
+        this.notifyChange('session');
+    }
+
+    // Each observer of an account the event involves hears about it once
+    deliverToObservers(event) {
+        const observers = new Set();
+        event.accountNumbers.forEach(accountNumber => {
+            const account = this.getAccount(accountNumber);
+            if (account) {
+                account.observers.forEach(observer => observers.add(observer));
+            }
+        });
+        // Approval events also reach whoever asked, who may be staff rather than an owner,
+        // and budget alerts the customer whose budget it is
+        [event.requestedBy, event.customerId].forEach(customerId => {
+            if (customerId && this.customers.has(customerId)) {
+                observers.add(this.customers.get(customerId));
+            }
+        });
+        observers.forEach(observer => observer.update(event));
+    }
+
+    registerCustomer(customer) {
+        customer.notifier = this.notificationCenter;
+        this.customers.set(customer.id, customer);
+    }
+
+    // Customer whose accounts, inbox and preferences the UI shows
+    getCurrentCustomer() {
+        return this.customers.get(this.currentCustomerId);
+    }
+
+    // `channel` is 'email' or 'sms'; these are the Settings tab's master switches
+    setNotificationChannel(channel, enabled) {
+        this.authorize(null);
+        const customer = this.getCurrentCustomer();
+        if (!(channel in customer.preferences.channels)) {
+            throw new Error(`Unknown notification channel: ${channel}`);
+        }
+        customer.preferences.channels[channel] = enabled;
+        this.saveState();
+    }
+
+    // `setting` is 'inApp', 'email', 'sms' or 'threshold'
+    setNotificationPreference(eventType, setting, value) {
+        this.authorize(null);
+        const preference = this.getCurrentCustomer().preferences.events[eventType];
+        if (!preference || !(setting in preference)) {
+            throw new Error(`Unknown notification preference: ${eventType} ${setting}`);
+        }
+        if (setting === 'threshold' && !(Number.isFinite(value) && value >= 0)) {
+            throw new Error("Threshold must be a non-negative amount");
+        }
+        preference[setting] = value;
+        this.saveState();
+    }
+
+    markNotificationRead(notificationId) {
+        this.authorize(null);
+        const notification = this.getCurrentCustomer().inbox.find(item => item.id === notificationId);
+        if (notification) {
+            notification.read = true;
+            this.saveState();
+            this.notifyChange('inbox');
+        }
+    }
+
+    markAllNotificationsRead() {
+        this.authorize(null);
+        this.getCurrentCustomer().inbox.forEach(notification => {
+            notification.read = true;
+        });
+        this.saveState();
+        this.notifyChange('inbox');
+    }
+
+    // Wires an account to the system's audit ledger, categorization rules, clock and policies
+    registerAccount(account) {
+        account.ledger = this.auditLedger;
+        account.categorize = transaction => this.categorizeTransaction(account, transaction);
+        account.eventBus = this.eventBus;
+        account.clock = this.clock;
+        if (account instanceof FixedDepositAccount) {
+            account.policy = this.fixedDepositPolicy;
+        }
+        this.accounts.set(account.accountNumber, account);
+    }
+
+    // `ownerIds` lists the account holders, several for a joint account. `options.fixedDeposit`
+    // holds the term and maturity instruction for fixed deposits.
+    createAccount(accountType, initialBalance = Money.zero(), ownerIds = [this.currentCustomerId], options = {}) {
+        const session = this.authorize('create-account');
+        if (session && !ROLES[this.getSessionRole()].allAccounts && !ownerIds.includes(session.customerId)) {
+            throw new AuthError('ACCESS_DENIED', "You can only open accounts you own");
+        }
+        const owners = [...new Set(ownerIds)].map(customerId => this.getCustomer(customerId));
+        if (owners.length === 0) {
+            throw new Error("An account needs at least one owner");
+        }
+        // Balances must convert into the reporting currency and back
+        const currencies = this.exchangeRateProvider.getSupportedCurrencies();
+        if (!currencies.includes(initialBalance.currency)) {
+            throw new Error(`Accounts can be opened in ${currencies.join(', ')}, not ${initialBalance.currency}`);
+        }
+
+        let account;
+        if (accountType === 'fixed') {
+            const terms = options.fixedDeposit || {};
+            if (!initialBalance.isPositive()) {
+                throw new Error("Fixed deposits require an initial deposit");
+            }
+            if (terms.maturityInstruction === 'payout' && !this.getAccount(terms.payoutAccountNumber)) {
+                throw new Error("Payout account not found");
+            }
+            account = new FixedDepositAccount(`ACC${this.accountCounter}`, initialBalance, this.generalLedger, {
+                ...terms,
+                startDate: this.clock.now()
+            });
+        } else if (accountType === 'loan') {
+            this.authorize('lend');
+            const terms = options.loan || {};
+            const repaymentAccount = this.getAccount(terms.repaymentAccountNumber);
+            if (initialBalance.isPositive()) {
+                throw new Error("Loans are opened with a principal, not a deposit");
+            }
+            if (!repaymentAccount || repaymentAccount.accountType !== 'checking') {
+                throw new Error("Loans are repaid from a checking account");
+            }
+            if (!owners.some(owner => repaymentAccount.isOwnedBy(owner.id))) {
+                throw new Error("The repayment account must belong to the borrower");
+            }
+            if (terms.principal && terms.principal.currency !== repaymentAccount.currency) {
+                throw new Error(`The loan must be in ${repaymentAccount.currency}, the repayment account's currency`);
+            }
+            account = new LoanAccount(`ACC${this.accountCounter}`, this.generalLedger, {
+                ...terms,
+                startDate: this.clock.now()
+            });
+        } else {
+            account = new Account(`ACC${this.accountCounter}`, accountType, initialBalance, this.generalLedger, this.clock.now());
+        }
+        this.accountCounter++;
+        
+        // Owners observe the account
+        owners.forEach(customer => account.addObserver(customer));
+        
+        this.registerAccount(account);
+        account.publish(new AccountCreated({
+            accountNumber: account.accountNumber,
+            accountType: account.accountType,
+            currency: account.currency,
+            initialBalance
+        }));
+        if (account instanceof LoanAccount) {
+            account.disburse(this.getAccount(account.repaymentAccountNumber));
+        }
+        this.saveState();
+        this.notifyChange('accounts');
+        
+        return account;
+    }
+
+    getAccount(accountNumber) {
+        return this.accounts.get(accountNumber);
+    }
+
+    // Parses user input as an amount in the given account's currency
+    parseAmount(accountNumber, input) {
+        const account = this.getAccount(accountNumber);
+        if (!account) {
+            throw new Error("Account not found");
+        }
+        return Money.parse(input, account.currency);
+    }
+
+    setReportingCurrency(currency) {
+        this.authorize(null);
+        // Fails early for currencies the rate provider cannot convert into
+        this.exchangeRateProvider.getRate('USD', currency);
+        this.reportingCurrency = currency;
+        this.saveState();
+        this.notifyChange('reporting-currency');
+    }
+
+    toReportingCurrency(amount) {
+        const rate = this.exchangeRateProvider.getRate(amount.currency, this.reportingCurrency);
+        return amount.convertTo(this.reportingCurrency, rate);
+    }
+
+    // Returns the transaction, or { pendingApproval } when the amount needs a second user.
+    // With an `idempotencyKey`, retrying the same deposit returns that first result
+    // instead of depositing again; see submitOnce.
+    deposit(accountNumber, amount, description = '', idempotencyKey = null) {
+        const session = this.authorize('deposit', accountNumber);
+        return this.submitOnce(idempotencyKey, session, ['deposit', accountNumber, amount, description], () => {
+            const account = this.getAccount(accountNumber);
+            if (!account) {
+                throw new Error("Account not found");
+            }
+
+            const command = new DepositCommand(account, amount, description);
+            return this.submitCommand(command, amount, session);
+        });
+    }
+
+    withdraw(accountNumber, amount, description = '', idempotencyKey = null) {
+        const session = this.authorize('withdraw', accountNumber);
+        return this.submitOnce(idempotencyKey, session, ['withdraw', accountNumber, amount, description], () => {
+            const account = this.getAccount(accountNumber);
+            if (!account) {
+                throw new Error("Account not found");
+            }
+
+            const command = new WithdrawCommand(account, amount, description);
+            return this.submitCommand(command, amount, session, account);
+        });
+    }
+
+    // Only the source account needs to be the customer's; money can go to anyone's
+    transfer(fromAccountNumber, toAccountNumber, amount, description = '', idempotencyKey = null) {
+        const session = this.authorize('transfer', fromAccountNumber);
+        const request = ['transfer', fromAccountNumber, toAccountNumber, amount, description];
+        return this.submitOnce(idempotencyKey, session, request, () => {
+            const fromAccount = this.getAccount(fromAccountNumber);
+            const toAccount = this.getAccount(toAccountNumber);
+
+            if (!fromAccount || !toAccount) {
+                throw new Error("One or both accounts not found");
+            }
+
+            if (fromAccountNumber === toAccountNumber) {
+                throw new Error("Cannot transfer to the same account");
+            }
+
+            const exchangeRate = this.exchangeRateProvider.getRate(fromAccount.currency, toAccount.currency);
+            const command = new TransferCommand(fromAccount, toAccount, amount, description, exchangeRate);
+            return this.submitCommand(command, amount, session, fromAccount);
+        });
+    }
+
+    // Runs `submit` and saves, unless `idempotencyKey` was already used for the same
+    // `request`: then the original transaction, transfer legs or approval request come
+    // back and nothing posts again. Only successful submissions are remembered, so a
+    // retry after an error runs afresh.
+    submitOnce(idempotencyKey, session, request, submit) {
+        if (idempotencyKey !== null && (typeof idempotencyKey !== 'string' || !/^[\x21-\x7e]{1,255}$/.test(idempotencyKey))) {
+            throw new IdempotencyError('INVALID_IDEMPOTENCY_KEY', 'Idempotency keys are 1 to 255 printable characters without spaces');
+        }
+        const owner = session ? session.customerId : 'system';
+        const fingerprint = JSON.stringify(request);
+        if (idempotencyKey !== null) {
+            this.idempotencyKeys.expire(this.clock.now());
+            const previous = this.idempotencyKeys.find(owner, idempotencyKey, fingerprint);
+            if (previous) {
+                return this.resolveSubmission(previous.result);
+            }
+        }
+
+        const result = submit();
+        if (idempotencyKey !== null) {
+            this.idempotencyKeys.remember(owner, idempotencyKey, fingerprint, describeSubmission(result), this.clock.now());
+        }
+        this.saveState();
+
+        this.notifyChange('all');
+        return result;
+    }
+
+    // The live transactions or approval request behind a describeSubmission result
+    resolveSubmission(submission) {
+        const transaction = ({ accountNumber, transactionId }) =>
+            this.getAccount(accountNumber).transactionHistory.find(item => item.id === transactionId);
+        if (submission.approvalRequestId) {
+            return { pendingApproval: this.approvalQueue.get(submission.approvalRequestId) };
+        }
+        if (submission.from) {
+            return { from: transaction(submission.from), to: transaction(submission.to) };
+        }
+        return transaction(submission);
+    }
+
+    // Runs `command`, unless a user asked for an amount at or above the approval threshold:
+    // then it waits in the approval queue. `debitAccount` is checked against its rules
+    // first, so requests that could never post are refused straight away.
+    submitCommand(command, amount, session, debitAccount = null) {
+        // Loans move money only through their repayment schedule, which this would bypass
+        if (command.getBalanceEffects().some(({ account }) => account instanceof LoanAccount)) {
+            throw new Error("Loans can only be repaid through their schedule or an early repayment");
+        }
+        if (!session || !this.requiresApproval(amount)) {
+            return this.transactionManager.executeCommand(command);
+        }
+        if (debitAccount) {
+            debitAccount.checkDebit(amount);
+        }
+
+        const now = this.clock.now();
+        const request = this.approvalQueue.submit(
+            command,
+            session.customerId,
+            now,
+            new Date(now.getTime() + this.approvalPolicy.expiryHours * 60 * 60 * 1000)
+        );
+        this.publishApprovalEvent(new ApprovalRequested({
+            ...this.describeRequest(request),
+            expiresAt: request.expiresAt
+        }));
+        return { pendingApproval: request };
+    }
+
+    requiresApproval(amount) {
+        const rate = this.exchangeRateProvider.getRate(amount.currency, this.approvalPolicy.currency);
+        const threshold = Money.parse(String(this.approvalPolicy.threshold), this.approvalPolicy.currency);
+        return !amount.convertTo(this.approvalPolicy.currency, rate).lessThan(threshold);
+    }
+
+    describeRequest(request) {
+        return {
+            requestId: request.id,
+            summary: request.command.describe(),
+            requestedBy: request.requestedBy,
+            involvedAccounts: [...new Set(request.command.getBalanceEffects().map(({ account }) => account.accountNumber))]
+        };
+    }
+
+    publishApprovalEvent(event) {
+        this.eventBus.publish(event);
+    }
+
+    // Pending requests, after expiring any that ran out of time
+    getPendingApprovals() {
+        if (this.expireApprovals().length > 0) {
+            this.saveState();
+        }
+        return this.approvalQueue.getPending();
+    }
+
+    // Staff see every request; customers see those they made or that touch their accounts
+    canSeeRequest(request) {
+        const session = this.auth.session;
+        if (!session) {
+            return false;
+        }
+        return ROLES[this.getSessionRole()].allAccounts ||
+            request.requestedBy === session.customerId ||
+            this.describeRequest(request).involvedAccounts.some(accountNumber =>
+                this.getAccount(accountNumber).isOwnedBy(session.customerId)
+            );
+    }
+
+    expireApprovals() {
+        const expired = this.approvalQueue.expire(this.clock.now());
+        expired.forEach(request => this.publishApprovalEvent(new ApprovalDecided({
+            ...this.describeRequest(request),
+            status: 'expired',
+            decidedBy: null,
+            reason: ''
+        })));
+        return expired;
+    }
+
+    // The approver must be someone other than the requester. A command that fails when
+    // it finally runs (say the balance dropped meanwhile) is marked failed and rethrown.
+    approveRequest(requestId) {
+        const session = this.authorize('approve');
+        this.expireApprovals();
+        const request = this.approvalQueue.get(requestId);
+        if (session && request.requestedBy === session.customerId) {
+            throw new AuthError('FORBIDDEN', "Requests need approval from a second user");
+        }
+        if (request.status !== 'pending') {
+            throw new Error(`Request ${request.id} is already ${request.status}`);
+        }
+
+        const decidedBy = session ? session.customerId : null;
+        try {
+            this.transactionManager.executeCommand(request.command);
+            if (request.command instanceof PaymentCommand) {
+                this.acceptPayment(request.command.payment);
+            }
+            this.approvalQueue.decide(request, 'approved', decidedBy, this.clock.now());
+        } catch (error) {
+            this.approvalQueue.decide(request, 'failed', decidedBy, this.clock.now(), error.message);
+            throw error;
+        } finally {
+            this.publishApprovalEvent(new ApprovalDecided({
+                ...this.describeRequest(request),
+                status: request.status,
+                decidedBy,
+                reason: request.reason
+            }));
+            this.saveState();
+            this.notifyChange('all');
+        }
+        return request;
+    }
+
+    rejectRequest(requestId, reason = '') {
+        const session = this.authorize('approve');
+        this.expireApprovals();
+        const request = this.approvalQueue.get(requestId);
+        const decidedBy = session ? session.customerId : null;
+        this.approvalQueue.decide(request, 'rejected', decidedBy, this.clock.now(), reason.trim());
+        this.publishApprovalEvent(new ApprovalDecided({
+            ...this.describeRequest(request),
+            status: 'rejected',
+            decidedBy,
+            reason: request.reason
+        }));
+        this.saveState();
+        this.notifyChange('all');
+        return request;
+    }
+
+    setApprovalPolicy(policy) {
+        this.authorize('change-rates');
+        if (policy.threshold !== undefined && !(policy.threshold > 0)) {
+            throw new Error("Approval threshold must be positive");
+        }
+        if (policy.expiryHours !== undefined && !(policy.expiryHours > 0)) {
+            throw new Error("Approval expiry must be positive");
+        }
+        Object.assign(this.approvalPolicy, policy);
+        this.saveState();
+    }
+
+    postInterest(account, amount, postingDate) {
+        const command = new InterestPostingCommand(
+            account,
+            amount,
+            amount.isNegative() ?
+                `Overdraft interest (${this.interestEngine.compounding} compounding)` :
+                `Interest (${this.interestEngine.compounding} compounding)`,
+            postingDate
+        );
+        return this.transactionManager.executeCommand(command);
+    }
+
+    // Accrues daily interest up to the clock's current day, posting any that is due,
+    // then settles fixed deposits that have matured and makes scheduled payments
+    runDailyProcessing() {
+        const postings = this.interestEngine.run();
+        this.processMaturities();
+        this.processLoans();
+        this.runScheduledTransfers();
+        this.processPayments();
+        this.expireApprovals();
+        this.idempotencyKeys.expire(this.clock.now());
+        this.saveState();
+        this.notifyChange('all');
+        return postings;
+    }
+
+    // Charges each installment's interest on its due date and collects the installment
+    // from the repayment account, retrying daily. Once the grace period ends an unpaid
+    // installment is missed: the late fee is added once and the loan becomes delinquent.
+    processLoans() {
+        const now = this.clock.now();
+        this.accounts.forEach(loan => {
+            if (!(loan instanceof LoanAccount) || loan.status === 'paid-off') return;
+
+            const repaymentAccount = this.getAccount(loan.repaymentAccountNumber);
+            loan.installments
+                .filter(installment => installment.dueDate <= now && ['scheduled', 'due', 'missed'].includes(installment.status))
+                .forEach(installment => {
+                    if (installment.status === 'scheduled') {
+                        if (installment.interest.isPositive()) {
+                            loan.chargeInterest(installment.interest, `Interest for installment ${installment.number}`, {
+                                timestamp: installment.dueDate
+                            });
+                        }
+                        loan.interestChargedThrough = installment.dueDate;
+                        installment.status = 'due';
+                    }
+                    try {
+                        this.collectInstallment(loan, repaymentAccount, installment);
+                    } catch (error) {
+                        if (!(error instanceof AccountRuleError || error instanceof FraudBlockedError)) {
+                            throw error;
+                        }
+                        if (installment.status === 'due' && loan.isPastGrace(installment, now)) {
+                            installment.status = 'missed';
+                            loan.chargeLateFee(installment);
+                            loan.publish(new LoanPaymentMissed({
+                                accountNumber: loan.accountNumber,
+                                repaymentAccountNumber: loan.repaymentAccountNumber,
+                                installmentNumber: installment.number,
+                                amountDue: loan.amountDue(installment),
+                                lateFee: installment.lateFee,
+                                reason: error.message
+                            }));
+                        }
+                    }
+                });
+            this.updateLoanStatus(loan);
+        });
+    }
+
+    collectInstallment(loan, repaymentAccount, installment) {
+        const command = new TransferCommand(
+            repaymentAccount,
+            loan,
+            loan.amountDue(installment),
+            `Installment ${installment.number}`
+        );
+        this.transactionManager.executeCommand(command);
+        Object.assign(installment, { status: 'paid', paidAt: this.clock.now(), transactionId: command.toTransactionId });
+    }
+
+    updateLoanStatus(loan) {
+        const wasPaidOff = loan.status === 'paid-off';
+        loan.updateStatus();
+        if (!wasPaidOff && loan.status === 'paid-off') {
+            loan.publish(new LoanPaidOff({ accountNumber: loan.accountNumber }));
+        }
+    }
+
+    getLoan(accountNumber) {
+        const loan = this.getAccount(accountNumber);
+        if (!(loan instanceof LoanAccount)) {
+            throw new Error("Loan not found");
+        }
+        return loan;
+    }
+
+    getLoans() {
+        return this.getVisibleAccounts().filter(account => account instanceof LoanAccount);
+    }
+
+    getLoanPayoffQuote(accountNumber) {
+        this.authorize('view', accountNumber);
+        return this.getLoan(accountNumber).payoffQuote(this.clock.now());
+    }
+
+    // Repays early from the loan's repayment account. Without `amount` the loan is paid
+    // off in full; a smaller amount goes to principal and the remaining installments are
+    // recalculated over the same due dates. Repayments go to the bank, so they are not
+    // held for approval.
+    repayLoan(accountNumber, amount = null) {
+        this.authorize('transfer', accountNumber);
+        const loan = this.getLoan(accountNumber);
+        const repaymentAccount = this.getAccount(loan.repaymentAccountNumber);
+        this.authorize('transfer', repaymentAccount.accountNumber);
+        if (loan.status === 'paid-off') {
+            throw new Error(`Loan ${loan.accountNumber} is already paid off`);
+        }
+        const now = this.clock.now();
+
+        if (amount === null) {
+            const { accruedInterest, total } = this.getLoanPayoffQuote(accountNumber);
+            repaymentAccount.checkDebit(total);
+            if (accruedInterest.isPositive()) {
+                loan.chargeInterest(accruedInterest, 'Interest to payoff date');
+            }
+            loan.interestChargedThrough = now;
+            this.transactionManager.executeCommand(new TransferCommand(repaymentAccount, loan, total, 'Loan payoff'));
+            loan.installments
+                .filter(installment => installment.status !== 'paid' && installment.status !== 'paid-off')
+                .forEach(installment => {
+                    installment.status = installment.status === 'scheduled' ? 'paid-off' : 'paid';
+                    installment.paidAt = now;
+                });
+        } else {
+            if (!(amount instanceof Money) || !amount.isPositive()) {
+                throw new Error("Repayment amount must be positive");
+            }
+            if (loan.installments.some(installment => installment.status === 'due' || installment.status === 'missed')) {
+                throw new Error("Installments due now must be paid before paying extra");
+            }
+            if (!amount.lessThan(loan.outstanding)) {
+                throw new Error(`To repay the whole ${loan.outstanding.format()}, pay the loan off instead`);
+            }
+            this.transactionManager.executeCommand(new TransferCommand(repaymentAccount, loan, amount, 'Extra principal payment'));
+            loan.reschedule();
+        }
+
+        this.updateLoanStatus(loan);
+        this.saveState();
+        this.notifyChange('all');
+        return loan;
+    }
+
+    processMaturities() {
+        this.accounts.forEach(account => {
+            if (!(account instanceof FixedDepositAccount)) return;
+
+            while (account.status === 'active' && account.isMatured()) {
+                // Interest accrued up to maturity belongs to the term that just ended
+                this.interestEngine.postAccrued(account);
+
+                const payoutAccount = this.getAccount(account.payoutAccountNumber);
+                if (account.maturityInstruction === 'payout' && payoutAccount) {
+                    if (account.balance.isPositive()) {
+                        const exchangeRate = this.exchangeRateProvider.getRate(account.currency, payoutAccount.currency);
+                        this.transactionManager.executeCommand(new TransferCommand(
+                            account,
+                            payoutAccount,
+                            account.balance,
+                            'Fixed deposit maturity payout',
+                            exchangeRate
+                        ));
+                    }
+                    account.status = 'paid-out';
+                    account.publish(new FixedDepositMatured({
+                        accountNumber: account.accountNumber,
+                        outcome: 'paid-out',
+                        payoutAccountNumber: payoutAccount.accountNumber,
+                        maturityDate: account.maturityDate
+                    }));
+                } else {
+                    // Roll over when asked to, or when the payout account no longer exists
+                    account.rollOver();
+                    account.publish(new FixedDepositMatured({
+                        accountNumber: account.accountNumber,
+                        outcome: 'rolled-over',
+                        payoutAccountNumber: null,
+                        maturityDate: account.maturityDate
+                    }));
+                }
+            }
+        });
+    }
+
+    // Pays every scheduled transfer that is due and tells the source account's owners
+    // about payments that were refused
+    runScheduledTransfers() {
+        const runs = this.transferScheduler.run();
+        runs.filter(({ entry }) => entry.status === 'retrying' || entry.status === 'failed').forEach(({ schedule, entry }) => {
+            this.eventBus.publish(new ScheduledTransferFailed({
+                scheduleId: schedule.id,
+                accountNumber: schedule.fromAccountNumber,
+                toAccountNumber: schedule.toAccountNumber,
+                amount: schedule.amount,
+                attempt: entry.attempt,
+                maxAttempts: this.transferScheduler.retryPolicy.maxAttempts,
+                nextRetryAt: entry.status === 'retrying' ? schedule.nextRunAt : null,
+                reason: entry.reason
+            }));
+        });
+        return runs;
+    }
+
+    // Scheduled payments run as the system: the user was authorized when they set them up.
+    // Amounts needing approval fail, in case the threshold was lowered since.
+    executeScheduledTransfer(schedule) {
+        if (schedule.createdBy) {
+            this.checkSchedulableAmount(schedule.amount);
+        }
+        const fromAccount = this.getAccount(schedule.fromAccountNumber);
+        const toAccount = this.getAccount(schedule.toAccountNumber);
+        if (!fromAccount || !toAccount) {
+            throw new Error("One or both accounts no longer exist");
+        }
+
+        const exchangeRate = this.exchangeRateProvider.getRate(fromAccount.currency, toAccount.currency);
+        const command = new TransferCommand(
+            fromAccount,
+            toAccount,
+            schedule.amount,
+            schedule.description || `Scheduled transfer ${schedule.id}`,
+            exchangeRate
+        );
+        this.transactionManager.executeCommand(command);
+        return command.fromTransactionId;
+    }
+
+    // `frequency` is a key of SCHEDULE_FREQUENCIES; recurring transfers end at `endDate`,
+    // after `maxOccurrences` payments or when cancelled. One starting today pays at once.
+    createScheduledTransfer(fromAccountNumber, toAccountNumber, amount, description = '', {
+        frequency = 'once', startDate = this.clock.now(), endDate = null, maxOccurrences = null
+    } = {}) {
+        const session = this.authorize('transfer', fromAccountNumber);
+        const fromAccount = this.getAccount(fromAccountNumber);
+        const toAccount = this.getAccount(toAccountNumber);
+        if (!fromAccount || !toAccount) {
+            throw new Error("One or both accounts not found");
+        }
+        if (fromAccountNumber === toAccountNumber) {
+            throw new Error("Cannot transfer to the same account");
+        }
+        if (fromAccount instanceof LoanAccount || toAccount instanceof LoanAccount) {
+            throw new Error("Loans are repaid on their own schedule");
+        }
+        if (!SCHEDULE_FREQUENCIES[frequency]) {
+            throw new Error(`Unknown frequency: ${frequency}`);
+        }
+        if (startOfUtcDay(startDate) < startOfUtcDay(this.clock.now())) {
+            throw new Error("Start date cannot be in the past");
+        }
+        this.validateScheduleTerms(fromAccount, amount, startOfUtcDay(startDate), endDate, maxOccurrences, 0);
+        if (session) {
+            this.checkSchedulableAmount(amount);
+        }
+
+        const schedule = this.transferScheduler.add(new ScheduledTransfer({
+            id: `SCH${generateTransactionId()}`,
+            fromAccountNumber,
+            toAccountNumber,
+            amount,
+            description: description.trim(),
+            frequency,
+            startDate,
+            endDate,
+            maxOccurrences,
+            createdBy: session ? session.customerId : null
+        }));
+        this.runScheduledTransfers();
+        this.saveState();
+        this.notifyChange('all');
+        return schedule;
+    }
+
+    // Runs post as the system, so an amount that needs a second user's approval cannot be
+    // scheduled by a user; it would post without one
+    checkSchedulableAmount(amount) {
+        if (this.requiresApproval(amount)) {
+            const threshold = Money.parse(String(this.approvalPolicy.threshold), this.approvalPolicy.currency);
+            throw new Error(`Transfers of ${threshold.format()} or more need approval and cannot be scheduled`);
+        }
+    }
+
+    validateScheduleTerms(fromAccount, amount, startDate, endDate, maxOccurrences, occurrencesMade) {
+        if (amount.currency !== fromAccount.currency || !amount.isPositive()) {
+            throw new Error(`Amount must be a positive ${fromAccount.currency} amount`);
+        }
+        if (endDate && startOfUtcDay(endDate) < startDate) {
+            throw new Error("End date cannot be before the start date");
+        }
+        if (maxOccurrences !== null && !(Number.isInteger(maxOccurrences) && maxOccurrences > occurrencesMade)) {
+            throw new Error(occurrencesMade > 0 ?
+                `Number of payments must be a whole number above the ${occurrencesMade} already made` :
+                "Number of payments must be a positive whole number");
+        }
+    }
+
+    // Scheduled transfers the user may manage: staff see all, customers those paid from their accounts
+    getScheduledTransfers() {
+        const role = this.getSessionRole();
+        if (!role) {
+            return [];
+        }
+        return Array.from(this.transferScheduler.schedules.values()).filter(schedule =>
+            ROLES[role].allAccounts ||
+            (this.getAccount(schedule.fromAccountNumber) &&
+                this.getAccount(schedule.fromAccountNumber).isOwnedBy(this.auth.session.customerId))
+        );
+    }
+
+    // Looks up a schedule the user may change; finished ones cannot be changed
+    getOpenSchedule(scheduleId) {
+        const schedule = this.transferScheduler.get(scheduleId);
+        this.authorize('transfer', schedule.fromAccountNumber);
+        if (schedule.status === 'completed' || schedule.status === 'cancelled') {
+            throw new Error(`Scheduled transfer ${schedule.id} is ${schedule.status}`);
+        }
+        return schedule;
+    }
+
+    // Changes apply from the next payment; `changes` may hold amount, description,
+    // endDate and maxOccurrences
+    updateScheduledTransfer(scheduleId, changes) {
+        const schedule = this.getOpenSchedule(scheduleId);
+        const updated = {
+            amount: schedule.amount,
+            description: schedule.description,
+            endDate: schedule.endDate,
+            maxOccurrences: schedule.maxOccurrences,
+            ...changes
+        };
+        this.validateScheduleTerms(
+            this.getAccount(schedule.fromAccountNumber),
+            updated.amount,
+            schedule.startDate,
+            updated.endDate,
+            updated.maxOccurrences,
+            schedule.occurrence
+        );
+        if (updated.endDate && startOfUtcDay(updated.endDate) < schedule.scheduledFor) {
+            throw new Error("End date cannot be before the next payment");
+        }
+        if (schedule.createdBy) {
+            this.checkSchedulableAmount(updated.amount);
+        }
+
+        Object.assign(schedule, {
+            amount: updated.amount,
+            description: updated.description.trim(),
+            endDate: updated.endDate ? startOfUtcDay(updated.endDate) : null,
+            maxOccurrences: updated.maxOccurrences
+        });
+        this.saveState();
+        this.notifyChange('all');
+        return schedule;
+    }
+
+    pauseScheduledTransfer(scheduleId) {
+        const schedule = this.getOpenSchedule(scheduleId);
+        schedule.status = 'paused';
+        this.saveState();
+        this.notifyChange('all');
+        return schedule;
+    }
+
+    resumeScheduledTransfer(scheduleId) {
+        const schedule = this.getOpenSchedule(scheduleId);
+        if (schedule.status !== 'paused') {
+            throw new Error(`Scheduled transfer ${schedule.id} is not paused`);
+        }
+        this.transferScheduler.resume(schedule);
+        this.runScheduledTransfers();
+        this.saveState();
+        this.notifyChange('all');
+        return schedule;
+    }
+
+    // Skips the next payment only; later ones go ahead as planned
+    skipScheduledTransfer(scheduleId) {
+        const schedule = this.getOpenSchedule(scheduleId);
+        this.transferScheduler.skip(schedule);
+        this.saveState();
+        this.notifyChange('all');
+        return schedule;
+    }
+
+    cancelScheduledTransfer(scheduleId) {
+        const schedule = this.getOpenSchedule(scheduleId);
+        schedule.status = 'cancelled';
+        schedule.nextRunAt = null;
+        this.saveState();
+        this.notifyChange('all');
+        return schedule;
+    }
+
+    // `details` is { name, iban } or { name, routingNumber, accountNumber } for US accounts.
+    // Payees belong to the signed-in customer, or to `customerId` when staff add one.
+    addPayee(details, customerId = null) {
+        const session = this.authorize('transfer');
+        const ownerId = customerId || (session ? session.customerId : this.currentCustomerId);
+        if (session && ownerId !== session.customerId && !ROLES[this.getSessionRole()].allAccounts) {
+            throw new AuthError('ACCESS_DENIED', "You can only add payees for yourself");
+        }
+        this.getCustomer(ownerId);
+
+        const name = String(details.name || '').trim();
+        if (!name) {
+            throw new Error("Payee name is required");
+        }
+        let payee;
+        if (details.iban) {
+            if (!isValidIban(details.iban)) {
+                throw new Error(`Invalid IBAN: ${details.iban}`);
+            }
+            payee = { scheme: 'iban', iban: normalizeIban(details.iban) };
+        } else {
+            const routingNumber = String(details.routingNumber || '').trim();
+            const accountNumber = String(details.accountNumber || '').replace(/[\s-]/g, '');
+            if (!isValidRoutingNumber(routingNumber)) {
+                throw new Error(`Invalid routing number: ${routingNumber}`);
+            }
+            if (!/^\d{4,17}$/.test(accountNumber)) {
+                throw new Error("Account number must be 4 to 17 digits");
+            }
+            payee = { scheme: 'us-account', routingNumber, accountNumber };
+        }
+
+        const duplicate = this.getPayees(ownerId).find(existing => describePayeeAccount(existing) === describePayeeAccount(payee));
+        if (duplicate) {
+            throw new Error(`These bank details are already saved as ${duplicate.name}`);
+        }
+
+        const saved = {
+            id: `PYE${generateTransactionId()}`,
+            customerId: ownerId,
+            name,
+            ...payee,
+            createdAt: this.clock.now()
+        };
+        this.payees.set(saved.id, saved);
+        this.saveState();
+        this.notifyChange('payees');
+        return saved;
+    }
+
+    // A customer's payees; the signed-in user's own when no customer is given
+    getPayees(customerId = null) {
+        const ownerId = customerId || (this.auth.session ? this.auth.session.customerId : null);
+        return Array.from(this.payees.values()).filter(payee => payee.customerId === ownerId);
+    }
+
+    getPayee(payeeId) {
+        const payee = this.payees.get(payeeId);
+        if (!payee) {
+            throw new Error("Payee not found");
+        }
+        return payee;
+    }
+
+    // Payments already made keep their own copy of the payee
+    removePayee(payeeId) {
+        const session = this.authorize('transfer');
+        const payee = this.getPayee(payeeId);
+        if (session && payee.customerId !== session.customerId && !ROLES[this.getSessionRole()].allAccounts) {
+            throw new AuthError('ACCESS_DENIED', "You can only remove your own payees");
+        }
+        this.payees.delete(payeeId);
+        this.saveState();
+        this.notifyChange('payees');
+        return payee;
+    }
+
+    // Holds the funds straight away and hands the payment to the rail, unless the amount
+    // needs approval: then it returns `{ pendingApproval }` and the payment is made once
+    // approved. The payee must belong to one of the paying account's owners.
+    sendPayment(fromAccountNumber, payeeId, amount, description = '') {
+        const session = this.authorize('transfer', fromAccountNumber);
+        const account = this.getAccount(fromAccountNumber);
+        if (!account) {
+            throw new Error("Account not found");
+        }
+        const payee = this.getPayee(payeeId);
+        if (!account.isOwnedBy(payee.customerId)) {
+            throw new AuthError('ACCESS_DENIED', `${payee.name} is not a payee of ${fromAccountNumber}'s owners`);
+        }
+
+        const payment = new OutgoingPayment({
+            id: `PMT${generateTransactionId()}`,
+            fromAccountNumber,
+            payee,
+            amount,
+            description: description.trim(),
+            createdBy: session ? session.customerId : null,
+            createdAt: this.clock.now()
+        });
+        const result = this.submitCommand(new PaymentCommand(account, payment), amount, session, account);
+        if (!result.pendingApproval) {
+            this.acceptPayment(payment);
+        }
+        this.saveState();
+        this.notifyChange('all');
+        return result.pendingApproval ? result : payment;
+    }
+
+    // Takes on a payment whose funds are held and sends it to the rail
+    acceptPayment(payment) {
+        this.payments.push(payment);
+        this.publishPaymentStatus(payment);
+        this.processPayments();
+    }
+
+    publishPaymentStatus(payment) {
+        this.eventBus.publish(new PaymentStatusChanged({
+            paymentId: payment.id,
+            accountNumber: payment.fromAccountNumber,
+            payeeName: payment.payee.name,
+            amount: payment.amount,
+            balance: this.getAccount(payment.fromAccountNumber).balance,
+            status: payment.status,
+            reason: payment.reason
+        }));
+    }
+
+    // Sends held payments to the rail and applies whatever it reports back. A rail that
+    // is unreachable leaves payments pending for the next run.
+    processPayments() {
+        const now = this.clock.now();
+        const returnWindow = PAYMENT_RETURN_WINDOW_DAYS * MS_PER_DAY;
+
+        this.payments.filter(payment => payment.status === 'pending').forEach(payment => {
+            try {
+                payment.railReference = this.paymentRail.submit(payment);
+                payment.submittedAt = now;
+                payment.transition('submitted', now);
+                this.publishPaymentStatus(payment);
+            } catch (error) {
+                if (!(error instanceof PaymentRailError)) return;
+                this.returnPayment(payment, error.message);
+            }
+        });
+
+        this.payments
+            .filter(payment => payment.status === 'submitted' ||
+                (payment.status === 'settled' && now - payment.settledAt <= returnWindow))
+            .forEach(payment => {
+                const outcome = this.paymentRail.checkStatus(payment);
+                if (outcome && outcome.status === 'settled') {
+                    this.settlePayment(payment);
+                } else if (outcome && outcome.status === 'returned') {
+                    this.returnPayment(payment, outcome.reason);
+                }
+            });
+    }
+
+    // The money leaves the bank: in transit is cleared against the interbank account
+    settlePayment(payment) {
+        const now = this.clock.now();
+        this.generalLedger.post({
+            type: 'payment-settlement',
+            description: `Payment ${payment.id} settled`,
+            timestamp: now,
+            postings: [
+                { account: 'payments-in-transit', side: 'debit', amount: payment.amount },
+                { account: 'interbank-settlement', side: 'credit', amount: payment.amount }
+            ]
+        });
+        payment.settledAt = now;
+        payment.transition('settled', now);
+        this.publishPaymentStatus(payment);
+    }
+
+    // Releases the hold on a payment that never settled; once settled, the returned
+    // money comes back through the interbank account before the hold is reversed
+    returnPayment(payment, reason) {
+        const now = this.clock.now();
+        if (payment.status === 'settled') {
+            this.generalLedger.post({
+                type: 'payment-return',
+                description: `Payment ${payment.id} returned`,
+                timestamp: now,
+                postings: [
+                    { account: 'interbank-settlement', side: 'debit', amount: payment.amount },
+                    { account: 'payments-in-transit', side: 'credit', amount: payment.amount }
+                ]
+            });
+        }
+        this.getAccount(payment.fromAccountNumber).reverseTransaction(
+            payment.holdTransactionId,
+            `Payment to ${payment.payee.name} returned: ${reason}`
+        );
+        payment.transition('returned', now, reason);
+        this.publishPaymentStatus(payment);
+    }
+
+    // Payments from accounts the signed-in user can see, newest first
+    getPayments() {
+        const visible = new Set(this.getVisibleAccounts().map(account => account.accountNumber));
+        return this.payments.filter(payment => visible.has(payment.fromAccountNumber)).reverse();
+    }
+
+    // Customers keep their own rules and budgets; staff may act for any customer.
+    // Returns the customer acted for: `customerId`, or the signed-in user.
+    resolveBudgetOwner(permission, customerId = null) {
+        const session = this.authorize(permission);
+        const ownerId = customerId || (session ? session.customerId : this.currentCustomerId);
+        if (session && ownerId !== session.customerId && !ROLES[this.getSessionRole()].allAccounts) {
+            throw new AuthError('ACCESS_DENIED', "You can only manage your own categories and budgets");
+        }
+        this.getCustomer(ownerId);
+        return ownerId;
+    }
+
+    // A customer's categorization rules in the order they are tried
+    getCategoryRules(customerId = null) {
+        const ownerId = customerId || (this.auth.session ? this.auth.session.customerId : null);
+        return this.categoryRules.filter(rule => rule.customerId === ownerId);
+    }
+
+    // `rule`: category, side ('debit', 'credit' or 'any'), and at least one of
+    // descriptionContains, minAmount and maxAmount. New transactions on the customer's
+    // accounts take the category of the first rule they match.
+    addCategoryRule(rule, customerId = null) {
+        const ownerId = this.resolveBudgetOwner('budget', customerId);
+        if (!TRANSACTION_CATEGORIES[rule.category]) {
+            throw new Error(`Unknown category: ${rule.category}`);
+        }
+        const side = rule.side || 'debit';
+        if (!['debit', 'credit', 'any'].includes(side)) {
+            throw new Error(`Rule side must be debit, credit or any, got ${side}`);
+        }
+        const descriptionContains = String(rule.descriptionContains || '').trim();
+        const bound = value => {
+            if (value === null || value === undefined || value === '') {
+                return null;
+            }
+            if (!(Number.isFinite(value) && value >= 0)) {
+                throw new Error("Amount bounds must be zero or more");
+            }
+            return value;
+        };
+        const minAmount = bound(rule.minAmount);
+        const maxAmount = bound(rule.maxAmount);
+        if (!descriptionContains && minAmount === null && maxAmount === null) {
+            throw new Error("A rule needs description text or an amount bound to match on");
+        }
+        if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+            throw new Error("Minimum amount cannot be above the maximum");
+        }
+
+        const saved = {
+            id: `RUL${generateTransactionId()}`,
+            customerId: ownerId,
+            category: rule.category,
+            side,
+            descriptionContains,
+            minAmount,
+            maxAmount
+        };
+        this.categoryRules.push(saved);
+        this.saveState();
+        this.notifyChange('budgets');
+        return saved;
+    }
+
+    // Transactions keep the categories earlier rules gave them
+    removeCategoryRule(ruleId) {
+        const rule = this.categoryRules.find(item => item.id === ruleId);
+        if (!rule) {
+            throw new Error("Categorization rule not found");
+        }
+        this.resolveBudgetOwner('budget', rule.customerId);
+        this.categoryRules = this.categoryRules.filter(item => item !== rule);
+        this.saveState();
+        this.notifyChange('budgets');
+        return rule;
+    }
+
+    // Called by an account as it posts a transaction: the first matching rule of any
+    // owner wins, otherwise the transaction type decides
+    categorizeTransaction(account, transaction) {
+        const rule = account.getOwners()
+            .flatMap(owner => this.getCategoryRules(owner.id))
+            .find(item => categoryRuleMatches(item, transaction));
+        const category = rule ? rule.category : defaultCategoryFor(transaction);
+        this.checkBudgets(account, category, transaction);
+        return category;
+    }
+
+    // Moves a transaction to another category; a reversal pair moves together
+    setTransactionCategory(accountNumber, transactionId, category) {
+        this.authorize('budget', accountNumber);
+        if (!TRANSACTION_CATEGORIES[category]) {
+            throw new Error(`Unknown category: ${category}`);
+        }
+        const account = this.getAccount(accountNumber);
+        if (!account) {
+            throw new Error("Account not found");
+        }
+        const transaction = account.transactionHistory.find(item => String(item.id) === String(transactionId));
+        if (!transaction) {
+            throw new Error(`Transaction ${transactionId} not found on ${accountNumber}`);
+        }
+        if (transaction.type === 'reversal') {
+            throw new Error("Reversals take the category of the transaction they reverse");
+        }
+        if (transaction.category === category) {
+            return transaction;
+        }
+
+        this.checkBudgets(account, category, transaction);
+        transaction.category = category;
+        if (transaction.reversedBy) {
+            account.transactionHistory.find(item => item.id === transaction.reversedBy).category = category;
+        }
+        this.saveState();
+        this.notifyChange('categories');
+        return transaction;
+    }
+
+    getBudgets(customerId = null) {
+        const ownerId = customerId || (this.auth.session ? this.auth.session.customerId : null);
+        return this.budgets.filter(budget => budget.customerId === ownerId);
+    }
+
+    // One monthly budget per category; setting it again replaces the limit. Owners are
+    // alerted when the month's spending reaches `alertPercent` of `limit` and again past it.
+    setBudget(category, limit, alertPercent = DEFAULT_BUDGET_ALERT_PERCENT, customerId = null) {
+        const ownerId = this.resolveBudgetOwner('budget', customerId);
+        if (!TRANSACTION_CATEGORIES[category] || INCOME_CATEGORIES.includes(category)) {
+            throw new Error(`Cannot budget for category: ${category}`);
+        }
+        if (!(limit instanceof Money) || !limit.isPositive()) {
+            throw new Error("Budget limit must be a positive amount");
+        }
+        if (!(Number.isInteger(alertPercent) && alertPercent > 0 && alertPercent <= 100)) {
+            throw new Error("Alert level must be a whole percentage from 1 to 100");
+        }
+
+        const existing = this.getBudgets(ownerId).find(budget => budget.category === category);
+        const budget = existing || { id: `BUD${generateTransactionId()}`, customerId: ownerId, category };
+        Object.assign(budget, { limit, alertPercent });
+        if (!existing) {
+            this.budgets.push(budget);
+        }
+        this.saveState();
+        this.notifyChange('budgets');
+        return budget;
+    }
+
+    removeBudget(budgetId) {
+        const budget = this.budgets.find(item => item.id === budgetId);
+        if (!budget) {
+            throw new Error("Budget not found");
+        }
+        this.resolveBudgetOwner('budget', budget.customerId);
+        this.budgets = this.budgets.filter(item => item !== budget);
+        this.saveState();
+        this.notifyChange('budgets');
+        return budget;
+    }
+
+    // Net spending in `category` this month across the customer's accounts, in the
+    // reporting currency
+    getMonthlySpending(customerId, category, month = monthKey(this.clock.now())) {
+        const owned = new Set(this.getCustomerAccounts(customerId).map(account => account.accountNumber));
+        const transactions = this.getAllTransactions().filter(transaction =>
+            owned.has(transaction.accountNumber) && transaction.category === category && monthKey(transaction.timestamp) === month
+        );
+        const totals = summarizeByCategory(transactions, amount => this.toReportingCurrency(amount), this.reportingCurrency);
+        return totals[category] || Money.zero(this.reportingCurrency);
+    }
+
+    // Alerts each owner whose budget for `category` this month's `transaction` takes to its
+    // alert level or past its limit. Runs before the transaction counts towards spending.
+    checkBudgets(account, category, transaction) {
+        const month = monthKey(this.clock.now());
+        if (transaction.side !== 'debit' || transaction.reversedBy || monthKey(transaction.timestamp) !== month) {
+            return;
+        }
+
+        const amount = this.toReportingCurrency(transaction.amount);
+        account.getOwners().forEach(owner => {
+            const budget = this.getBudgets(owner.id).find(item => item.category === category);
+            if (!budget) {
+                return;
+            }
+            const limit = this.toReportingCurrency(budget.limit);
+            const alertLevel = Money.fromMinor(Math.round(limit.minorUnits * budget.alertPercent / 100), limit.currency);
+            const before = this.getMonthlySpending(owner.id, category, month);
+            const after = before.add(amount);
+            const exceeded = !before.greaterThan(limit) && after.greaterThan(limit);
+            if (exceeded || (before.lessThan(alertLevel) && !after.lessThan(alertLevel))) {
+                this.eventBus.publish(new BudgetThresholdReached({
+                    customerId: owner.id,
+                    category,
+                    month,
+                    spent: after,
+                    limit,
+                    percent: Math.floor(after.minorUnits * 100 / limit.minorUnits),
+                    exceeded
+                }));
+            }
+        });
+    }
+
+    // Spending by category for a 'YYYY-MM' month against the month before, with budgets
+    // and a six-month trend. Amounts are in the reporting currency.
+    getSpendingInsights(month = monthKey(this.clock.now()), customerId = null) {
+        const ownerId = this.resolveBudgetOwner('view', customerId);
+        if (!/^\d{4}-\d{2}$/.test(month)) {
+            throw new Error(`Month must be YYYY-MM, got ${month}`);
+        }
+        const owned = new Set(this.getCustomerAccounts(ownerId).map(account => account.accountNumber));
+        const transactions = this.getAllTransactions().filter(transaction => owned.has(transaction.accountNumber));
+        const zero = Money.zero(this.reportingCurrency);
+        const totalsFor = key => summarizeByCategory(
+            transactions.filter(transaction => monthKey(transaction.timestamp) === key),
+            amount => this.toReportingCurrency(amount),
+            this.reportingCurrency
+        );
+        const spendingIn = totals => Object.keys(totals)
+            .filter(category => !INCOME_CATEGORIES.includes(category))
+            .reduce((total, category) => total.add(totals[category]), zero);
+
+        const start = new Date(`${month}-01T00:00:00Z`);
+        const previousMonth = monthKey(addUtcMonths(start, -1));
+        const current = totalsFor(month);
+        const previous = totalsFor(previousMonth);
+        const budgets = this.getBudgets(ownerId);
+
+        const categories = Object.keys(TRANSACTION_CATEGORIES)
+            .filter(category => !INCOME_CATEGORIES.includes(category))
+            .filter(category => current[category] || previous[category] || budgets.some(budget => budget.category === category))
+            .map(category => {
+                const spent = current[category] || zero;
+                const before = previous[category] || zero;
+                const budget = budgets.find(item => item.category === category);
+                const limit = budget ? this.toReportingCurrency(budget.limit) : null;
+                return {
+                    category,
+                    label: TRANSACTION_CATEGORIES[category],
+                    spent,
+                    previous: before,
+                    // Percentage change on last month; null when there was nothing to compare with
+                    change: before.isPositive() ?
+                        Math.round((spent.minorUnits - before.minorUnits) * 100 / before.minorUnits) :
+                        null,
+                    budget: budget ? {
+                        id: budget.id,
+                        limit,
+                        alertPercent: budget.alertPercent,
+                        percent: Math.floor(Math.max(0, spent.minorUnits) * 100 / limit.minorUnits)
+                    } : null
+                };
+            })
+            .sort((a, b) => b.spent.minorUnits - a.spent.minorUnits);
+
+        return {
+            customerId: ownerId,
+            month,
+            previousMonth,
+            currency: this.reportingCurrency,
+            categories,
+            totalSpent: spendingIn(current),
+            previousTotal: spendingIn(previous),
+            income: INCOME_CATEGORIES.reduce((total, category) => total.subtract(current[category] || zero), zero),
+            trend: [5, 4, 3, 2, 1, 0].map(monthsBack => {
+                const key = monthKey(addUtcMonths(start, -monthsBack));
+                return { month: key, spent: spendingIn(totalsFor(key)) };
+            })
+        };
+    }
+
+    // Owners hear about flagged and blocked commands like any other account event.
+    // Saved straight away, since a blocked command never reaches the caller's save.
+    publishFraudReview(review) {
+        this.eventBus.publish(new TransactionFlagged({
+            reviewId: review.id,
+            summary: review.summary,
+            involvedAccounts: review.involvedAccounts,
+            outcome: review.outcome,
+            reasons: review.reasons
+        }));
+        this.saveState();
+        this.notifyChange('fraud-reviews');
+    }
+
+    // Open cases first, then the most recently created
+    getFraudReviews() {
+        this.authorize('review-fraud');
+        return this.fraudEngine.reviews.slice().sort((a, b) =>
+            (a.status === 'open' ? 0 : 1) - (b.status === 'open' ? 0 : 1) || b.createdAt - a.createdAt
+        );
+    }
+
+    // `status` is 'cleared' for legitimate activity or 'confirmed' for fraud
+    reviewFraudCase(reviewId, status, note = '') {
+        const session = this.authorize('review-fraud');
+        if (status !== 'cleared' && status !== 'confirmed') {
+            throw new Error(`Unknown review outcome: ${status}`);
+        }
+        const review = this.fraudEngine.getReview(reviewId);
+        if (review.status !== 'open') {
+            throw new Error(`Case ${review.id} is already ${review.status}`);
+        }
+        Object.assign(review, {
+            status,
+            reviewedBy: session ? session.customerId : null,
+            reviewedAt: this.clock.now(),
+            note: note.trim()
+        });
+        this.saveState();
+        this.notifyChange('fraud-reviews');
+        return review;
+    }
+
+    // `changes` may switch a rule on or off, set its action or change its parameters
+    setFraudRule(ruleId, changes) {
+        this.authorize('change-rates');
+        const rule = this.fraudEngine.rules.find(item => item.id === ruleId);
+        if (!rule) {
+            throw new Error("Fraud rule not found");
+        }
+        // Every change is checked before any is applied
+        Object.entries(changes).forEach(([key, value]) => {
+            if (key === 'enabled') {
+                return;
+            }
+            if (key === 'action') {
+                if (value !== 'flag' && value !== 'block') {
+                    throw new Error(`Rule action must be flag or block, got ${value}`);
+                }
+            } else if (key in FRAUD_RULE_TYPES[rule.type].params) {
+                if (!(Number.isFinite(value) && value > 0)) {
+                    throw new Error(`${FRAUD_RULE_TYPES[rule.type].params[key]} must be a positive number`);
+                }
+            } else {
+                throw new Error(`Rule ${rule.id} has no setting ${key}`);
+            }
+        });
+        Object.assign(rule, changes, 'enabled' in changes ? { enabled: Boolean(changes.enabled) } : {});
+        this.saveState();
+        return rule;
+    }
+
+    setFixedDepositPolicy(policy) {
+        this.authorize('change-rates');
+        if (policy.penaltyRate !== undefined && !(policy.penaltyRate >= 0 && policy.penaltyRate <= 1)) {
+            throw new Error("Penalty rate must be between 0% and 100%");
+        }
+        // Accounts share this object, so the change applies to every fixed deposit at once
+        Object.assign(this.fixedDepositPolicy, policy);
+        this.saveState();
+    }
+
+    // `rules` are stored forms such as { type: 'overdraft', limit: 1000, annualRate: 15, fee: 30 }
+    setAccountRules(accountNumber, rules) {
+        this.authorize('change-rates', accountNumber);
+        const account = this.getAccount(accountNumber);
+        if (!account) {
+            throw new Error("Account not found");
+        }
+        account.rules = rules.map(rule => AccountRule.fromJSON(rule));
+        this.saveState();
+        this.notifyChange('all');
+    }
+
+    // `strategy` is a stored form such as { type: 'tiered', tiers: [...] }
+    changeInterestStrategy(accountNumber, strategy, effectiveFrom = this.clock.now()) {
+        this.authorize('change-rates', accountNumber);
+        const account = this.getAccount(accountNumber);
+        if (!account) {
+            throw new Error("Account not found");
+        }
+
+        // Days up to now are accrued already, so changes cannot reach back before today
+        this.interestEngine.run();
+        if (new Date(effectiveFrom) < startOfUtcDay(this.clock.now())) {
+            throw new Error("Rate changes cannot take effect before today");
+        }
+
+        const newStrategy = InterestStrategy.fromJSON(strategy);
+        account.setInterestStrategy(newStrategy, effectiveFrom);
+        account.publish(new InterestRateChanged({
+            accountNumber,
+            strategy: newStrategy,
+            effectiveFrom: new Date(effectiveFrom)
+        }));
+        this.saveState();
+        this.notifyChange('all');
+    }
+
+    undoLastTransaction() {
+        this.authorizeTimelineMove(this.transactionManager.currentPosition - 1);
+        if (this.transactionManager.undoLastCommand()) {
+            this.saveState();
+            this.notifyChange('all');
+            return true;
+        }
+        return false;
+    }
+
+    redoTransaction() {
+        this.authorizeTimelineMove(this.transactionManager.currentPosition + 1);
+        if (this.transactionManager.redoNextCommand()) {
+            this.saveState();
+            this.notifyChange('all');
+            return true;
+        }
+        return false;
+    }
+
+    // Undoes or redoes commands until the timeline sits right after `position`
+    goToTimelinePosition(position) {
+        this.authorizeTimelineMove(position);
+        this.transactionManager.moveTo(position);
+        this.saveState();
+        this.notifyChange('all');
+    }
+
+    verifyAuditLedger() {
+        return this.auditLedger.verify();
+    }
+
+    getAllTransactions() {
+        const allTransactions = [];
+        
+        this.accounts.forEach(account => {
+            allTransactions.push(...account.transactionHistory);
+        });
+        
+        // Sort by timestamp (newest first)
+        return allTransactions.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    // Filters, sorts and pages the transactions the signed-in user may see, across
+    // accounts; see findTransactions for the query fields. Amount bounds are Money in
+    // the reporting currency, and amounts are compared after conversion into it.
+    // Returns { items, total, page, pageSize, totalPages }.
+    queryTransactions(query = {}) {
+        const session = this.authorize('view', ...(query.accountNumber && query.accountNumber !== 'all' ? [query.accountNumber] : []));
+        if (!session || ROLES[this.getSessionRole()].allAccounts) {
+            return this.findTransactions(query);
+        }
+        return this.findTransactions({ ...query, customerId: session.customerId });
+    }
+
+    findTransactions({
+        customerId = null,
+        accountNumber = 'all',
+        type = 'all',
+        category = 'all',
+        from = null,
+        to = null,
+        minAmount = null,
+        maxAmount = null,
+        text = '',
+        sortBy = 'date',
+        sortOrder = 'desc',
+        page = 1,
+        pageSize = 25
+    } = {}) {
+        if (!TRANSACTION_SORT_FIELDS[sortBy]) {
+            throw new Error(`Cannot sort transactions by ${sortBy}`);
+        }
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+            throw new Error("Page and page size must be positive integers");
+        }
+
+        const search = text.trim().toLowerCase();
+        const reportingAmount = transaction => this.toReportingCurrency(transaction.amount);
+
+        const owned = customerId && new Set(this.getCustomerAccounts(customerId).map(account => account.accountNumber));
+        const matches = this.getAllTransactions().filter(transaction =>
+            (!owned || owned.has(transaction.accountNumber)) &&
+            (accountNumber === 'all' || transaction.accountNumber === accountNumber) &&
+            (type === 'all' || transaction.type === type) &&
+            (category === 'all' || transaction.category === category) &&
+            (!from || transaction.timestamp >= from) &&
+            (!to || transaction.timestamp <= to) &&
+            (!minAmount || !reportingAmount(transaction).lessThan(minAmount)) &&
+            (!maxAmount || !reportingAmount(transaction).greaterThan(maxAmount)) &&
+            (!search || (transaction.description || '').toLowerCase().includes(search) ||
+                String(transaction.id).includes(search) ||
+                (transaction.transfer && (transaction.transfer.transferId || '').toLowerCase() === search))
+        );
+
+        const direction = sortOrder === 'asc' ? 1 : -1;
+        const compare = TRANSACTION_SORT_FIELDS[sortBy];
+        // Ties fall back to id so pages stay stable between requests
+        matches.sort((a, b) => direction * (compare(a, b, reportingAmount) || a.id - b.id));
+
+        const start = (page - 1) * pageSize;
+        return {
+            items: matches.slice(start, start + pageSize),
+            total: matches.length,
+            page,
+            pageSize,
+            totalPages: Math.max(1, Math.ceil(matches.length / pageSize))
+        };
+    }
+
+    getStatement(accountNumber, year, month) {
+        this.authorize('view', accountNumber);
+        const account = this.getAccount(accountNumber);
+        if (!account) {
+            throw new Error("Account not found");
+        }
+        return buildStatement(account, this.generalLedger, year, month);
+    }
+
+    // Returns { filename, mimeType, content } for 'csv', 'ofx', 'qfx' or 'html'
+    exportStatement(accountNumber, year, month, format) {
+        const statement = this.getStatement(accountNumber, year, month);
+        const basename = `statement-${accountNumber}-${year}-${String(month).padStart(2, '0')}`;
+
+        switch (format) {
+            case 'csv':
+                return { filename: `${basename}.csv`, mimeType: 'text/csv', content: statementToCsv(statement) };
+            case 'ofx':
+                return { filename: `${basename}.ofx`, mimeType: 'application/x-ofx', content: statementToOfx(statement) };
+            case 'qfx':
+                return {
+                    filename: `${basename}.qfx`,
+                    mimeType: 'application/vnd.intu.qfx',
+                    content: statementToOfx(statement, { intuitBankId: '00000' })
+                };
+            case 'html':
+                return { filename: `${basename}.html`, mimeType: 'text/html', content: statementToHtml(statement) };
+            default:
+                throw new Error(`Unknown statement format: ${format}`);
+        }
+    }
+
+    // Validates a CSV file without posting anything. Each row is 'valid', 'duplicate'
+    // (already posted, or repeated earlier in the file) or 'error' with reasons.
+    previewImport(csvText) {
+        this.authorize('withdraw');
+        const session = this.authorize('deposit');
+        const ownAccountsOnly = session && !ROLES[this.getSessionRole()].allAccounts;
+        const [header = [], ...dataRows] = parseCsv(csvText);
+        const columns = header.map(name => name.trim().toLowerCase());
+        const missing = IMPORT_COLUMNS.filter(column => !columns.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`Import file is missing columns: ${missing.join(', ')}`);
+        }
+
+        // Rows imported before are matched on the date in their file, not when they posted
+        const seen = new Set();
+        this.accounts.forEach(account => account.transactionHistory
+            .filter(transaction => (transaction.type === 'deposit' || transaction.type === 'withdraw') && !transaction.reversedBy)
+            .forEach(transaction => seen.add(transactionFingerprint(
+                account.accountNumber,
+                transaction.fileDate ? new Date(`${transaction.fileDate}T12:00:00Z`) : transaction.timestamp,
+                transaction.type,
+                transaction.amount,
+                transaction.description
+            ))));
+
+        // Withdrawals are checked against balances as they would be after earlier rows
+        const balances = new Map();
+        const rows = dataRows.map((fields, index) => {
+            const value = column => (fields[columns.indexOf(column)] || '').trim();
+            const row = {
+                line: index + 2,
+                date: value('date'),
+                accountNumber: value('account'),
+                type: value('type').toLowerCase(),
+                amount: null,
+                description: value('description'),
+                status: 'valid',
+                errors: []
+            };
+
+            const found = this.getAccount(row.accountNumber);
+            const account = found && (!ownAccountsOnly || found.isOwnedBy(session.customerId)) ? found : null;
+            const date = new Date(`${row.date}T12:00:00Z`);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date) || isNaN(date)) {
+                row.errors.push(`Invalid date "${row.date}" (expected YYYY-MM-DD)`);
+            } else if (date > this.clock.now()) {
+                row.errors.push("Date is in the future");
+            }
+            if (!found) {
+                row.errors.push(`Unknown account "${row.accountNumber}"`);
+            } else if (!account) {
+                row.errors.push(`You do not have access to ${row.accountNumber}`);
+            }
+            if (row.type !== 'deposit' && row.type !== 'withdraw') {
+                row.errors.push(`Type must be deposit or withdraw, got "${row.type}"`);
+            }
+            if (account) {
+                try {
+                    row.amount = Money.parse(value('amount'), account.currency);
+                    if (!row.amount.isPositive()) {
+                        row.errors.push("Amount must be positive");
+                    }
+                } catch (error) {
+                    row.errors.push(error.message);
+                }
+            }
+
+            if (row.errors.length === 0) {
+                const fingerprint = transactionFingerprint(row.accountNumber, date, row.type, row.amount, row.description);
+                if (seen.has(fingerprint)) {
+                    row.status = 'duplicate';
+                    return row;
+                }
+                seen.add(fingerprint);
+
+                const balance = balances.has(account) ? balances.get(account) : account.balance;
+                if (row.type === 'withdraw') {
+                    try {
+                        account.checkDebit(row.amount, 'withdraw', balance);
+                    } catch (error) {
+                        row.errors.push(error.message);
+                    }
+                }
+                if (row.errors.length === 0) {
+                    balances.set(account, row.type === 'deposit' ? balance.add(row.amount) : balance.subtract(row.amount));
+                }
+            }
+
+            if (row.errors.length > 0) {
+                row.status = 'error';
+            }
+            return row;
+        });
+
+        const count = status => rows.filter(row => row.status === status).length;
+        return {
+            rows,
+            summary: { total: rows.length, valid: count('valid'), duplicates: count('duplicate'), errors: count('error') }
+        };
+    }
+
+    // Posts the valid rows of a preview through the command system, and stops at the
+    // first row the account rules refuse. Rows at or above the approval threshold join
+    // the approval queue instead of posting. Rows post now, keeping the date from the
+    // file as `fileDate`: dating them in the past would change balances already
+    // recorded, stated and earning interest since.
+    commitImport(preview) {
+        this.authorize('withdraw');
+        const session = this.authorize('deposit', ...new Set(preview.rows.filter(row => row.status === 'valid').map(row => row.accountNumber)));
+        const batchId = `import-${generateTransactionId()}`;
+        const imported = [];
+        const pending = [];
+
+        try {
+            preview.rows.filter(row => row.status === 'valid').forEach(row => {
+                const account = this.getAccount(row.accountNumber);
+                const CommandClass = row.type === 'deposit' ? DepositCommand : WithdrawCommand;
+                const command = new CommandClass(account, row.amount, row.description, {
+                    fileDate: row.date,
+                    importBatch: batchId
+                });
+                const result = this.submitCommand(command, row.amount, session, row.type === 'withdraw' ? account : null);
+                (result.pendingApproval ? pending : imported).push(row);
+            });
+        } finally {
+            this.saveState();
+            this.notifyChange('all');
+        }
+
+        return { batchId, imported: imported.length, pendingApproval: pending.length };
+    }
+
+    createDemoAccounts() {
+        // Create demo accounts with initial balances
+        this.createAccount('savings', Money.parse('5000.00'));
+        this.createAccount('checking', Money.parse('2500.00'));
+        this.createAccount('fixed', Money.parse('10000.00'));
+    }
+}
+
+// ============================================================================
+// REMOTE BACKEND - A BankingSystem Driven Through the REST API
+// ============================================================================
+
+// An error response from api-server.js; `code` matches the one the server mapped
+// from the banking core, e.g. INSUFFICIENT_FUNDS
+class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Sends the session `token` from signing in, once there is one, with every request
+class ApiClient {
+    constructor(baseUrl = '/api', fetchFunction = (...args) => fetch(...args)) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.fetch = fetchFunction;
+        this.token = null;
+    }
+
+    async request(method, path, body = undefined, headers = {}) {
+        const allHeaders = { ...headers };
+        if (this.token) {
+            allHeaders.Authorization = `Bearer ${this.token}`;
+        }
+        if (body !== undefined) {
+            allHeaders['Content-Type'] = 'application/json';
+        }
+        const response = await this.fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: allHeaders,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        if (response.status === 204) {
+            return null;
+        }
+        const data = await response.json();
+        if (!response.ok) {
+            throw new ApiError(response.status, data.error.code, data.error.message);
+        }
+        return data;
+    }
+
+    get(path) {
+        return this.request('GET', path);
+    }
+
+    // An `idempotencyKey` goes in the Idempotency-Key header, so a retry of the same
+    // request returns the first response instead of running again
+    post(path, body = {}, idempotencyKey = null) {
+        return this.request('POST', path, body, idempotencyKey === null ? {} : { 'Idempotency-Key': idempotencyKey });
+    }
+
+    delete(path) {
+        return this.request('DELETE', path);
+    }
+}
+
+// Serves the latest snapshot of what the server lets the signed-in user see. The server
+// owns the state, so the mirror's own saves go nowhere.
+class SnapshotStorageAdapter extends StorageAdapter {
+    constructor(snapshot) {
+        super();
+        this.snapshot = snapshot;
+    }
+
+    load() {
+        return this.snapshot;
+    }
+
+    save() {}
+
+    clear() {}
+}
+
+// BankingSystem operations the API does not offer. Run against the mirror they would
+// change only this page until the next reload of the server's state, so
+// RemoteBankingSystem refuses them instead.
+const OPERATIONS_WITHOUT_API = [
+    'changePassword', 'beginTwoFactorEnrollment', 'confirmTwoFactorEnrollment', 'disableTwoFactor', 'issueSetupCode',
+    'createCustomer', 'updateCustomer', 'setCustomerRole', 'addAccountOwner', 'removeAccountOwner',
+    'setNotificationChannel', 'setNotificationPreference', 'setReportingCurrency',
+    'setApprovalPolicy', 'setFixedDepositPolicy', 'setFraudRule', 'reviewFraudCase',
+    'setAccountRules', 'changeInterestStrategy', 'repayLoan',
+    'createScheduledTransfer', 'updateScheduledTransfer', 'pauseScheduledTransfer', 'resumeScheduledTransfer',
+    'skipScheduledTransfer', 'cancelScheduledTransfer',
+    'addPayee', 'removePayee', 'sendPayment',
+    'addCategoryRule', 'removeCategoryRule', 'setTransactionCategory', 'setBudget', 'removeBudget',
+    'commitImport'
+];
+
+// Mirrors what the server lets the signed-in user see and sends the operations the API
+// offers to it, reloading the mirror afterwards. Sign-in, permissions and approvals are
+// decided on the server; the checks here only fail early with the same messages.
+// OPERATIONS_WITHOUT_API fail with an error instead.
+class RemoteBankingSystem extends BankingSystem {
+    // Starts signed out, from the server's empty bank
+    static async connect(api, exchangeRateProvider = new StaticExchangeRateProvider(), clock = new SystemClock()) {
+        const snapshot = await api.get('/state');
+        return new RemoteBankingSystem(api, new SnapshotStorageAdapter(snapshot), exchangeRateProvider, clock);
+    }
+
+    constructor(api, storage, exchangeRateProvider, clock) {
+        super(storage, exchangeRateProvider, clock);
+        this.api = api;
+    }
+
+    supports(operation) {
+        return !OPERATIONS_WITHOUT_API.includes(operation) && super.supports(operation);
+    }
+
+    // Sends a request and follows the server when it has locked or ended the session,
+    // so the page asks for the password again
+    async send(request) {
+        try {
+            return await request();
+        } catch (error) {
+            if (error.code === 'SESSION_LOCKED' && this.auth.session) {
+                this.auth.lock();
+                this.notifyChange('session-locked');
+            } else if (error.code === 'NOT_AUTHENTICATED' && this.auth.session) {
+                this.endSession();
+                this.notifyChange('session-ended');
+            }
+            throw error;
+        }
+    }
+
+    async login(email, password, code = null) {
+        const session = await this.api.post('/sessions', { email, password, ...(code ? { code } : {}) });
+        return this.startSession(session);
+    }
+
+    async createPassword(email, setupCode, password) {
+        const session = await this.api.post('/password-setups', { email, setupCode, password });
+        return this.startSession(session);
+    }
+
+    // Mirrors the server's session, whose idle timeout the page enforces as well
+    async startSession({ token, customerId }) {
+        this.api.token = token;
+        this.auth.session = new Session(customerId, this.clock.now());
+        await this.loadServerState();
+        this.notifyChange('login');
+        return this.getCurrentCustomer();
+    }
+
+    lockSession() {
+        super.lockSession();
+        return this.send(() => this.api.post('/sessions/current/lock')).catch(error => console.warn('Could not lock the session:', error));
+    }
+
+    async unlockSession(password) {
+        try {
+            await this.send(() => this.api.post('/sessions/current/unlock', { password }));
+        } catch (error) {
+            // Too many wrong passwords end the session on the server
+            if (error.code === 'LOGIN_LOCKED') {
+                this.endSession();
+            }
+            throw error;
+        }
+        this.auth.session.locked = false;
+        this.auth.session.lastActivity = this.clock.now();
+        this.notifyChange('session');
+    }
+
+    logout() {
+        if (this.api.token) {
+            this.api.delete('/sessions/current').catch(error => console.warn('Could not sign out on the server:', error));
+        }
+        this.endSession();
+        this.notifyChange('session');
+    }
+
+    // Forgets the token; the next sign-in reloads the mirror
+    endSession() {
+        this.api.token = null;
+        this.auth.logout();
+    }
+
+    // The server runs the daily processing; the page only picks up the results
+    runDailyProcessing() {
+        if (!this.api) return;
+        return this.refresh().catch(error => console.warn('Could not reload the server state:', error));
+    }
+
+    // Replaces the mirror with what the server lets the signed-in user see now
+    async loadServerState() {
+        this.persistence.storage.snapshot = await this.send(() => this.api.get('/state'));
+        this.reloadState();
+    }
+
+    // Reloads the server's state, then toasts whatever reached the signed-in customer's
+    // inbox since the last reload
+    async refresh() {
+        const before = this.getCurrentCustomer();
+        const seen = new Set(before ? before.inbox.map(notification => notification.id) : []);
+        await this.loadServerState();
+
+        const customer = this.getCurrentCustomer();
+        if (customer) {
+            customer.inbox
+                .filter(notification => !seen.has(notification.id))
+                .reverse()
+                .forEach(notification => this.notifyChange('toast', notification));
+        }
+        this.notifyChange('session');
+    }
+
+    // Posts to the server, then reloads the mirror. Amounts that need approval come back
+    // as { pendingApproval } and wait in the server's queue.
+    async submit(path, body, idempotencyKey = null) {
+        const result = await this.send(() => this.api.post(path, body, idempotencyKey));
+        await this.refresh();
+        return result;
+    }
+
+    async deposit(accountNumber, amount, description = '', idempotencyKey = null) {
+        this.authorize('deposit', accountNumber);
+        return this.submit(`/accounts/${encodeURIComponent(accountNumber)}/deposits`, {
+            amount: amount.toDecimalString(),
+            description
+        }, idempotencyKey);
+    }
+
+    async withdraw(accountNumber, amount, description = '', idempotencyKey = null) {
+        this.authorize('withdraw', accountNumber);
+        return this.submit(`/accounts/${encodeURIComponent(accountNumber)}/withdrawals`, {
+            amount: amount.toDecimalString(),
+            description
+        }, idempotencyKey);
+    }
+
+    async transfer(fromAccountNumber, toAccountNumber, amount, description = '', idempotencyKey = null) {
+        this.authorize('transfer', fromAccountNumber);
+        return this.submit('/transfers', {
+            fromAccountNumber,
+            toAccountNumber,
+            amount: amount.toDecimalString(),
+            description
+        }, idempotencyKey);
+    }
+
+    async createAccount(accountType, initialBalance = Money.zero(), ownerIds = [this.currentCustomerId], options = {}) {
+        const session = this.authorize('create-account');
+        if (session && !ROLES[this.getSessionRole()].allAccounts && !ownerIds.includes(session.customerId)) {
+            throw new AuthError('ACCESS_DENIED', "You can only open accounts you own");
+        }
+        if (accountType === 'loan') {
+            this.authorize('lend');
+        }
+        const loan = options.loan && { ...options.loan, principal: options.loan.principal.toDecimalString() };
+        const result = await this.submit('/accounts', {
+            accountType,
+            currency: initialBalance.currency,
+            initialDeposit: initialBalance.toDecimalString(),
+            ownerIds,
+            ...(options.fixedDeposit ? { fixedDeposit: options.fixedDeposit } : {}),
+            ...(loan ? { loan } : {})
+        });
+        return this.getAccount(result.accountNumber);
+    }
+
+    async markNotificationRead(notificationId) {
+        this.authorize(null);
+        await this.submit(`/notifications/${encodeURIComponent(notificationId)}/read`, {});
+    }
+
+    async markAllNotificationsRead() {
+        this.authorize(null);
+        await this.submit('/notifications/read-all', {});
+    }
+
+    async approveRequest(requestId) {
+        this.authorize('approve');
+        return this.submit(`/approvals/${encodeURIComponent(requestId)}/approve`, {});
+    }
+
+    async rejectRequest(requestId, reason = '') {
+        this.authorize('approve');
+        return this.submit(`/approvals/${encodeURIComponent(requestId)}/reject`, { reason });
+    }
+
+    // Customers' mirrors hold no timeline, since it spans the whole bank, so the server
+    // decides whether the move is theirs to make
+    async undoLastTransaction() {
+        this.authorize('undo');
+        return (await this.submit('/undo', {})).changed;
+    }
+
+    async redoTransaction() {
+        this.authorize('undo');
+        return (await this.submit('/redo', {})).changed;
+    }
+
+    async goToTimelinePosition(position) {
+        this.authorize('undo');
+        await this.submit('/timeline', { position });
+    }
+}
+
+OPERATIONS_WITHOUT_API.forEach(operation => {
+    RemoteBankingSystem.prototype[operation] = () => {
+        throw new Error("This is not available while the app runs against the API");
+    };
+});
+
+// ============================================================================
+// MODULE EXPORTS - What Node Sees Through require()
+// ============================================================================
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Money,
+        StaticExchangeRateProvider,
+        SystemClock,
+        ManualClock,
+        StorageAdapter,
+        FileStorageAdapter,
+        MemoryStorageAdapter,
+        MockMessageTransport,
+        InMemoryClearingHouse,
+        Account,
+        FixedDepositAccount,
+        LoanAccount,
+        DepositCommand,
+        WithdrawCommand,
+        TransferCommand,
+        TransactionManager,
+        AccountRuleError,
+        AuthError,
+        FraudBlockedError,
+        PaymentRailError,
+        IdempotencyError,
+        BankingSystem,
+        ApiError,
+        ApiClient,
+        RemoteBankingSystem,
+        ROLES,
+        TRANSACTION_SORT_FIELDS,
+        TRANSACTION_CATEGORIES,
+        formatIsoDate,
+        capitalize
+    };
+}
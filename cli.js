@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// Command-line interface to the banking core in bank-core.js. Each command loads the
+// state file, runs as the bank itself (there is no signed-in customer, as for the
+// daily processing) and saves the file again.
+
+const { BankingSystem, FileStorageAdapter, Money, formatIsoDate, capitalize } = require('./bank-core.js');
+
+const USAGE = `Usage: bank [--state <file>] <command> [arguments]
+
+Commands:
+  accounts [--json]
+      List every account with its owners and balance
+  create-account <savings|checking|fixed> [initial deposit] [--owner <customer id>] [--currency <code>] [--term <months>]
+      Open an account; the owner defaults to the customer who last signed in
+  deposit <account> <amount> [description] [--key <idempotency key>]
+  transfer <from account> <to account> <amount> [description] [--key <idempotency key>]
+      Running either again with the same --key within a day reports the first result
+      instead of posting twice
+  history <account> [--limit <count>] [--json]
+      Show an account's transactions, newest first
+  undo
+      Reverse the most recent deposit, withdrawal or transfer
+
+The state file is --state, else $BANK_STATE, else ./bank-state.json. A missing file
+starts a new bank with the demo accounts.`;
+
+// Options that take a value; the rest of the arguments are positional
+const VALUE_OPTIONS = ['state', 'owner', 'currency', 'term', 'limit', 'key'];
+const FLAG_OPTIONS = ['json', 'help'];
+
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const argument = argv[i];
+        if (!argument.startsWith('--')) {
+            positional.push(argument);
+            continue;
+        }
+        const name = argument.slice(2);
+        if (FLAG_OPTIONS.includes(name)) {
+            options[name] = true;
+        } else if (VALUE_OPTIONS.includes(name)) {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`--${name} needs a value`);
+            }
+            options[name] = argv[++i];
+        } else {
+            throw new UsageError(`Unknown option --${name}`);
+        }
+    }
+    return { positional, options };
+}
+
+function requireArguments(args, count, usage) {
+    if (args.length < count) {
+        throw new UsageError(`Usage: bank ${usage}`);
+    }
+}
+
+function findAccount(bank, accountNumber) {
+    const account = bank.getAccount(accountNumber);
+    if (!account) {
+        throw new Error(`Account ${accountNumber} not found`);
+    }
+    return account;
+}
+
+function describeOwners(account) {
+    return account.getOwners().map(owner => owner.id).join(', ');
+}
+
+// Deposits and transfers at or above the approval threshold still post: the bank
+// itself needs no sign-off
+const COMMANDS = {
+    accounts(bank, args, options) {
+        const accounts = Array.from(bank.accounts.values());
+        if (options.json) {
+            return JSON.stringify(accounts.map(account => ({
+                accountNumber: account.accountNumber,
+                accountType: account.accountType,
+                owners: account.getOwners().map(owner => owner.id),
+                balance: account.balance.toJSON()
+            })), null, 2);
+        }
+        return accounts
+            .map(account => `${account.accountNumber}  ${capitalize(account.accountType).padEnd(8)}  ${account.balance.format().padStart(14)}  ${describeOwners(account)}`)
+            .join('\n');
+    },
+
+    'create-account'(bank, args, options) {
+        requireArguments(args, 1, 'create-account <savings|checking|fixed> [initial deposit]');
+        const [accountType, initialDeposit = '0'] = args;
+        if (!['savings', 'checking', 'fixed'].includes(accountType)) {
+            throw new UsageError(`Account type must be savings, checking or fixed, not ${accountType}`);
+        }
+        const currency = options.currency || 'USD';
+        const currencies = bank.exchangeRateProvider.getSupportedCurrencies();
+        if (!currencies.includes(currency)) {
+            throw new UsageError(`Currency must be one of ${currencies.join(', ')}, not ${currency}`);
+        }
+        const ownerIds = [options.owner || bank.currentCustomerId];
+        const accountOptions = options.term ? { fixedDeposit: { termMonths: Number(options.term) } } : {};
+        const account = bank.createAccount(accountType, Money.parse(initialDeposit, currency), ownerIds, accountOptions);
+        return `Opened ${accountType} account ${account.accountNumber} for ${describeOwners(account)} with ${account.balance.format()}`;
+    },
+
+    deposit(bank, args, options) {
+        requireArguments(args, 2, 'deposit <account> <amount> [description]');
+        const [accountNumber, amount, description = ''] = args;
+        const account = findAccount(bank, accountNumber);
+        const value = bank.parseAmount(accountNumber, amount);
+        const transaction = bank.deposit(accountNumber, value, description, options.key || null);
+        return `Deposited ${value.format()} to ${accountNumber} as transaction ${transaction.id}. Balance: ${account.balance.format()}`;
+    },
+
+    transfer(bank, args, options) {
+        requireArguments(args, 3, 'transfer <from account> <to account> <amount> [description]');
+        const [fromAccountNumber, toAccountNumber, amount, description = ''] = args;
+        const fromAccount = findAccount(bank, fromAccountNumber);
+        const toAccount = findAccount(bank, toAccountNumber);
+        const value = bank.parseAmount(fromAccountNumber, amount);
+        const { from } = bank.transfer(fromAccountNumber, toAccountNumber, value, description, options.key || null);
+        return `Transferred ${value.format()} from ${fromAccountNumber} to ${toAccountNumber} as transfer ${from.transfer.transferId}. ` +
+            `Balances: ${fromAccount.balance.format()} and ${toAccount.balance.format()}`;
+    },
+
+    history(bank, args, options) {
+        requireArguments(args, 1, 'history <account> [--limit <count>]');
+        const account = findAccount(bank, args[0]);
+        const limit = options.limit ? Number(options.limit) : Infinity;
+        if (!(limit > 0)) {
+            throw new UsageError('--limit must be a positive number');
+        }
+        const transactions = account.transactionHistory.slice().reverse().slice(0, limit);
+        if (options.json) {
+            return JSON.stringify(transactions, null, 2);
+        }
+        if (transactions.length === 0) {
+            return `No transactions on ${account.accountNumber}`;
+        }
+        return transactions
+            .map(transaction => {
+                const amount = `${transaction.side === 'credit' ? '+' : '-'}${transaction.amount.format()}`;
+                return `${formatIsoDate(transaction.timestamp)}  ${transaction.type.padEnd(18)}  ${amount.padStart(14)}  ${transaction.description || ''}`;
+            })
+            .join('\n');
+    },
+
+    undo(bank) {
+        if (!bank.undoLastTransaction()) {
+            throw new Error('Nothing to undo');
+        }
+        return 'Undid the most recent transaction';
+    }
+};
+
+function main(argv) {
+    const { positional, options } = parseArguments(argv);
+    const [commandName, ...args] = positional;
+    if (options.help || !commandName) {
+        return USAGE;
+    }
+    const command = COMMANDS[commandName];
+    if (!command) {
+        throw new UsageError(`Unknown command ${commandName}. Run bank --help for the list`);
+    }
+
+    const statePath = options.state || process.env.BANK_STATE || 'bank-state.json';
+    const bank = new BankingSystem(new FileStorageAdapter(statePath));
+    if (bank.persistence.readOnly) {
+        throw new Error(`${statePath} could not be loaded, so it was left as it was`);
+    }
+    const output = bank.asSystem(() => command(bank, args, options));
+    if (bank.persistence.saveError) {
+        throw new Error(`Could not save ${statePath}: ${bank.persistence.saveError.message}`);
+    }
+    return output;
+}
+
+if (require.main === module) {
+    try {
+        console.log(main(process.argv.slice(2)));
+    } catch (error) {
+        console.error(`bank: ${error.message}`);
+        process.exitCode = error instanceof UsageError ? 2 : 1;
+    }
+}
+
+module.exports = { main, parseArguments };
@@ -1,647 +1,904 @@
 // Banking Application with Design Patterns Implementation
+// The browser view: BankingView draws the BankingSystem from bank-core.js and redraws
+// whatever a change touches. The functions at the bottom handle the page's forms.
 
 // ============================================================================
-// OBSERVER PATTERN - For Notifications
+// VIEW - Draws the Banking System and Redraws on Change
 // ============================================================================
 
-class Observer {
-    update(message, type = 'info') {
-        throw new Error("Observer must implement update method");
-    }
-}
-
-class Customer extends Observer {
-    constructor(name, email) {
-        super();
-        this.name = name;
-        this.email = email;
+// Transactions rendered per page in the Transactions tab
+const TRANSACTION_PAGE_SIZE = 25;
+
+// What the view redraws for each scope BankingSystem.notifyChange reports; unknown
+// scopes redraw everything that shows balances
+const VIEW_REFRESHES = {
+    toast: (view, notification) => view.showToast(notification),
+    login: view => {
+        view.transactionFilters = {};
+        view.transactionPagesLoaded = 1;
+        view.initializeUI();
+    },
+    session: view => view.initializeUI(),
+    // Running against the API, the server locked or ended the session on its side
+    'session-locked': () => showAuthScreen('unlock'),
+    'session-ended': view => {
+        view.initializeUI();
+        showAuthScreen('login');
+    },
+    security: view => view.updateSecuritySettings(),
+    customers: view => {
+        view.updateCustomerViews();
+        view.updateAccountsList();
+    },
+    accounts: view => {
+        view.updateAccountDropdowns();
+        view.updateAccountsList();
+        view.updateBalanceDisplay();
+        view.updateGeneralLedger();
+        view.updateCustomerViews();
+    },
+    inbox: view => view.updateInbox(),
+    'reporting-currency': view => view.updateBalanceDisplay(),
+    payees: view => view.updatePayments(),
+    categories: view => {
+        view.updateTransactionHistory();
+        view.updateInsights();
+    },
+    budgets: view => view.updateInsights(),
+    'fraud-reviews': view => view.updateFraudReviews()
+};
+
+class BankingView {
+    constructor(bank) {
+        this.bank = bank;
+        this.transactionFilters = {};
+        this.transactionPagesLoaded = 1;
+        bank.onChange((scope, detail) => this.render(scope, detail));
+        this.initializeUI();
+        this.setupEventListeners();
     }
 
-    update(message, type = 'info') {
-        this.displayNotification(message, type);
+    render(scope, detail) {
+        (VIEW_REFRESHES[scope] || (view => view.updateUI()))(this, detail);
     }
 
-    displayNotification(message, type) {
+    showToast(notification) {
         const notificationContainer = document.getElementById('notifications');
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        notification.innerHTML = `
-            <strong>${type.toUpperCase()}</strong><br>
-            ${message}
+        if (!notificationContainer) return;
+
+        const toast = document.createElement('div');
+        toast.className = `notification ${notification.level}`;
+        toast.innerHTML = `
+            <strong>${escapeMarkup(notification.level.toUpperCase())}</strong><br>
+            ${escapeMarkup(notification.message)}
         `;
         
-        notificationContainer.appendChild(notification);
+        notificationContainer.appendChild(toast);
         
         // Auto-remove notification after 5 seconds
         setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
             }
         }, 5000);
     }
-}
-
-// ============================================================================
-// STRATEGY PATTERN - For Interest Calculation
-// ============================================================================
-
-class InterestStrategy {
-    calculateInterest(balance, timeInYears = 1) {
-        throw new Error("InterestStrategy must implement calculateInterest method");
-    }
-    
-    getRate() {
-        throw new Error("InterestStrategy must implement getRate method");
-    }
-}
 
-class SavingsInterestStrategy extends InterestStrategy {
-    calculateInterest(balance, timeInYears = 1) {
-        return balance * 0.025 * timeInYears; // 2.5% APY
-    }
-    
-    getRate() {
-        return 2.5;
-    }
-}
+    updateInbox() {
+        const customer = this.bank.getCurrentCustomer();
+        if (!customer) return;
 
-class CheckingInterestStrategy extends InterestStrategy {
-    calculateInterest(balance, timeInYears = 1) {
-        return 0; // No interest for checking accounts
-    }
-    
-    getRate() {
-        return 0;
-    }
-}
+        const badge = document.getElementById('inbox-unread');
+        if (badge) {
+            const unread = customer.getUnreadCount();
+            badge.textContent = unread;
+            badge.style.display = unread > 0 ? 'inline-block' : 'none';
+        }
 
-class FixedDepositInterestStrategy extends InterestStrategy {
-    calculateInterest(balance, timeInYears = 1) {
-        return balance * 0.045 * timeInYears; // 4.5% APY
-    }
-    
-    getRate() {
-        return 4.5;
+        const container = document.getElementById('notification-inbox');
+        if (!container) return;
+        if (customer.inbox.length === 0) {
+            container.innerHTML = '<p class="no-transactions">No notifications yet</p>';
+            return;
+        }
+        container.innerHTML = customer.inbox.map(notification => `
+            <div class="inbox-item ${escapeMarkup(notification.level)} ${notification.read ? 'read' : 'unread'}"
+                 onclick="markNotificationRead('${escapeMarkup(notification.id)}')">
+                <div class="inbox-details">
+                    <h4>${escapeMarkup(NOTIFICATION_EVENTS[notification.eventType] || notification.eventType)}</h4>
+                    <p>${escapeMarkup(notification.message)}</p>
+                    <small>${new Date(notification.createdAt).toLocaleString()}</small>
+                </div>
+            </div>
+        `).join('');
     }
-}
-
-// ============================================================================
-// ACCOUNT CLASSES
-// ============================================================================
 
-class Account {
-    constructor(accountNumber, accountType, initialBalance = 0) {
-        this.accountNumber = accountNumber;
-        this.accountType = accountType;
-        this.balance = initialBalance;
-        this.observers = [];
-        this.transactionHistory = [];
-        this.createdAt = new Date();
-        
-        // Set interest strategy based on account type
-        this.setInterestStrategy(accountType);
-    }
+    updateNotificationSettings() {
+        const customer = this.bank.getCurrentCustomer();
+        if (!customer) return;
 
-    setInterestStrategy(accountType) {
-        switch(accountType) {
-            case 'savings':
-                this.interestStrategy = new SavingsInterestStrategy();
-                break;
-            case 'checking':
-                this.interestStrategy = new CheckingInterestStrategy();
-                break;
-            case 'fixed':
-                this.interestStrategy = new FixedDepositInterestStrategy();
-                break;
-            default:
-                this.interestStrategy = new CheckingInterestStrategy();
+        const { channels, events } = customer.preferences;
+        const emailToggle = document.getElementById('emailNotifications');
+        const smsToggle = document.getElementById('smsNotifications');
+        if (emailToggle && smsToggle) {
+            emailToggle.checked = channels.email;
+            smsToggle.checked = channels.sms;
         }
-    }
 
-    addObserver(observer) {
-        this.observers.push(observer);
+        const container = document.getElementById('notification-preferences');
+        if (!container) return;
+        const checkbox = (eventType, setting) => `
+            <td><input type="checkbox" ${events[eventType][setting] ? 'checked' : ''}
+                onchange="updateNotificationPreference('${eventType}', '${setting}', this.checked)"></td>`;
+        container.innerHTML = `
+            <table class="ledger-table preferences-table">
+                <thead>
+                    <tr><th>Event</th><th>In-app</th><th>Email</th><th>SMS</th><th>Threshold</th></tr>
+                </thead>
+                <tbody>
+                    ${Object.keys(events).map(eventType => `
+                        <tr>
+                            <td>${NOTIFICATION_EVENTS[eventType]}</td>
+                            ${checkbox(eventType, 'inApp')}
+                            ${checkbox(eventType, 'email')}
+                            ${checkbox(eventType, 'sms')}
+                            <td>${'threshold' in events[eventType] ? `
+                                <input type="number" min="0" step="0.01" value="${events[eventType].threshold}"
+                                    onchange="updateNotificationPreference('${eventType}', 'threshold', Number(this.value))">` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
-    removeObserver(observer) {
-        const index = this.observers.indexOf(observer);
-        if (index > -1) {
-            this.observers.splice(index, 1);
-        }
+    updateUI() {
+        this.updateBalanceDisplay();
+        this.updateTransactionHistory();
+        this.updateAccountsList();
+        this.updateTimeline();
+        this.updateGeneralLedger();
+        this.updateApprovals();
+        this.updateScheduledTransfers();
+        this.updatePayments();
+        this.updateInsights();
+        this.updateLoans();
     }
 
-    notifyObservers(message, type = 'info') {
-        this.observers.forEach(observer => {
-            observer.update(message, type);
+    // Fills every category picker, keeping each one's selection
+    updateCategoryOptions() {
+        const options = (categories, extra = '') => extra + categories
+            .map(category => `<option value="${category}">${escapeMarkup(TRANSACTION_CATEGORIES[category])}</option>`)
+            .join('');
+        const allCategories = Object.keys(TRANSACTION_CATEGORIES);
+        const spendingCategories = allCategories.filter(category => !INCOME_CATEGORIES.includes(category));
+        [
+            ['filterCategory', options(allCategories, '<option value="all">All Categories</option>')],
+            ['budgetCategory', options(spendingCategories)],
+            ['ruleCategory', options(allCategories)]
+        ].forEach(([id, markup]) => {
+            const select = document.getElementById(id);
+            if (select && select.options.length === 0) {
+                select.innerHTML = markup;
+            }
         });
     }
 
-    deposit(amount, description = '') {
-        if (amount <= 0) {
-            throw new Error("Deposit amount must be positive");
+    updateInsights() {
+        const summary = document.getElementById('insights-summary');
+        const categoryTable = document.getElementById('insights-categories');
+        const trend = document.getElementById('insights-trend');
+        const budgetList = document.getElementById('budgets-list');
+        const ruleList = document.getElementById('category-rules-list');
+        if (!summary || !categoryTable || !trend || !budgetList || !ruleList) return;
+
+        this.updateCategoryOptions();
+        const monthInput = document.getElementById('insightsMonth');
+        if (!monthInput.value) {
+            monthInput.value = monthKey(this.bank.clock.now());
         }
 
-        const oldBalance = this.balance;
-        this.balance += amount;
-        
-        const transaction = {
-            id: Date.now(),
-            type: 'deposit',
-            amount: amount,
-            balance: this.balance,
-            description: description,
-            timestamp: new Date(),
-            accountNumber: this.accountNumber
-        };
-        
-        this.transactionHistory.push(transaction);
-        
-        this.notifyObservers(
-            `Deposit of $${amount.toFixed(2)} successful. New balance: $${this.balance.toFixed(2)}`,
-            'success'
-        );
-        
-        return transaction;
+        let insights;
+        try {
+            insights = this.bank.getSpendingInsights(monthInput.value);
+        } catch (error) {
+            summary.innerHTML = `<p class="no-transactions">${escapeMarkup(error.message)}</p>`;
+            [categoryTable, trend, budgetList, ruleList].forEach(container => {
+                container.innerHTML = '';
+            });
+            return;
+        }
+
+        const change = percent => percent === null ? '&ndash;' :
+            `<span class="${percent > 0 ? 'negative' : 'positive'}">${percent > 0 ? '+' : ''}${percent}%</span>`;
+        const totalChange = insights.previousTotal.isPositive() ?
+            Math.round((insights.totalSpent.minorUnits - insights.previousTotal.minorUnits) * 100 / insights.previousTotal.minorUnits) :
+            null;
+        summary.innerHTML = `
+            <div class="insight-figure"><small>Spent</small><strong>${escapeMarkup(insights.totalSpent.format())}</strong></div>
+            <div class="insight-figure"><small>Previous month</small><strong>${escapeMarkup(insights.previousTotal.format())}</strong></div>
+            <div class="insight-figure"><small>Change</small><strong>${change(totalChange)}</strong></div>
+            <div class="insight-figure"><small>Income</small><strong>${escapeMarkup(insights.income.format())}</strong></div>
+        `;
+
+        categoryTable.innerHTML = insights.categories.length === 0 ? '<p class="no-transactions">No spending this month</p>' : `
+            <table class="ledger-table">
+                <thead>
+                    <tr><th>Category</th><th>${escapeMarkup(insights.month)}</th><th>${escapeMarkup(insights.previousMonth)}</th><th>Change</th><th>Budget</th></tr>
+                </thead>
+                <tbody>
+                    ${insights.categories.map(row => `
+                        <tr>
+                            <td>${escapeMarkup(row.label)}</td>
+                            <td>${escapeMarkup(row.spent.format())}</td>
+                            <td>${escapeMarkup(row.previous.format())}</td>
+                            <td>${change(row.change)}</td>
+                            <td>${row.budget ? `
+                                <div class="budget-bar ${row.budget.percent > 100 ? 'over' : row.budget.percent >= row.budget.alertPercent ? 'near' : ''}">
+                                    <span style="width: ${Math.min(row.budget.percent, 100)}%"></span>
+                                </div>
+                                <small>${row.budget.percent}% of ${escapeMarkup(row.budget.limit.format())}</small>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const largest = Math.max(1, ...insights.trend.map(entry => entry.spent.minorUnits));
+        trend.innerHTML = insights.trend.map(entry => `
+            <div class="trend-row">
+                <span class="trend-month">${escapeMarkup(entry.month)}</span>
+                <div class="trend-bar"><span style="width: ${Math.max(0, Math.round(entry.spent.minorUnits * 100 / largest))}%"></span></div>
+                <span class="trend-amount">${escapeMarkup(entry.spent.format())}</span>
+            </div>
+        `).join('');
+
+        const budgets = this.bank.getBudgets();
+        budgetList.innerHTML = budgets.length === 0 ? '<p class="no-accounts">No budgets set</p>' :
+            budgets.map(budget => `
+                <div class="account-item">
+                    <div class="account-info">
+                        <h4>${escapeMarkup(TRANSACTION_CATEGORIES[budget.category])}</h4>
+                        <small>${escapeMarkup(budget.limit.format())} a month, alert at ${budget.alertPercent}%</small>
+                    </div>
+                    <button class="btn secondary" onclick="removeBudget('${escapeMarkup(budget.id)}')">
+                        <i class="fas fa-trash"></i> Remove
+                    </button>
+                </div>
+            `).join('');
+
+        const rules = this.bank.getCategoryRules();
+        ruleList.innerHTML = rules.length === 0 ? '<p class="no-accounts">No categorization rules</p>' :
+            rules.map(rule => `
+                <div class="account-item">
+                    <div class="account-info">
+                        <h4>${escapeMarkup(TRANSACTION_CATEGORIES[rule.category])}</h4>
+                        <small>${escapeMarkup(describeCategoryRule(rule))}</small>
+                    </div>
+                    <button class="btn secondary" onclick="removeCategoryRule('${escapeMarkup(rule.id)}')">
+                        <i class="fas fa-trash"></i> Remove
+                    </button>
+                </div>
+            `).join('');
     }
 
-    withdraw(amount, description = '') {
-        if (amount <= 0) {
-            throw new Error("Withdrawal amount must be positive");
+    updateLoans() {
+        const select = document.getElementById('loanSelect');
+        const detail = document.getElementById('loan-detail');
+        if (!select || !detail) return;
+
+        const loanOption = document.querySelector('#accountType option[value="loan"]');
+        if (loanOption) {
+            loanOption.hidden = !this.bank.can('lend');
         }
-        
-        if (amount > this.balance) {
-            throw new Error("Insufficient funds");
+
+        const loans = this.bank.getLoans();
+        const selected = select.value;
+        select.innerHTML = loans
+            .map(loan => `<option value="${escapeMarkup(loan.accountNumber)}">${escapeMarkup(loan.accountNumber)} - ${escapeMarkup(loan.principal.format())} over ${loan.termMonths} months</option>`)
+            .join('');
+        if (loans.some(loan => loan.accountNumber === selected)) {
+            select.value = selected;
+        }
+        const loan = loans.find(item => item.accountNumber === select.value);
+        if (!loan) {
+            detail.innerHTML = '<p class="no-accounts">No loans</p>';
+            return;
         }
 
-        const oldBalance = this.balance;
-        this.balance -= amount;
-        
-        const transaction = {
-            id: Date.now(),
-            type: 'withdraw',
-            amount: amount,
-            balance: this.balance,
-            description: description,
-            timestamp: new Date(),
-            accountNumber: this.accountNumber
-        };
-        
-        this.transactionHistory.push(transaction);
-        
-        this.notifyObservers(
-            `Withdrawal of $${amount.toFixed(2)} successful. New balance: $${this.balance.toFixed(2)}`,
-            'success'
-        );
-        
-        return transaction;
+        const quote = loan.payoffQuote(this.bank.clock.now());
+        const next = loan.getNextInstallment();
+        const open = loan.status !== 'paid-off';
+        detail.innerHTML = `
+            <div class="insights-summary">
+                <div class="insight-figure"><small>Owed</small><strong>${escapeMarkup(loan.outstanding.format())}</strong></div>
+                <div class="insight-figure"><small>Payoff today</small><strong>${escapeMarkup(quote.total.format())}</strong></div>
+                <div class="insight-figure"><small>Next installment</small><strong>${next ?
+                    `${escapeMarkup(loan.amountDue(next).format())}</strong><small>${next.dueDate.toLocaleDateString()}</small>` : '&ndash;</strong>'}</div>
+                <div class="insight-figure"><small>Status</small><strong><span class="loan-status ${escapeMarkup(loan.status)}">${escapeMarkup(capitalize(loan.status))}</span></strong></div>
+            </div>
+            <small>${escapeMarkup(loan.principal.format())} at ${formatRate(loan.apr)} APR over ${loan.termMonths} months |
+                Repaid from ${escapeMarkup(loan.repaymentAccountNumber)} | Late fee ${escapeMarkup(loan.lateFee.format())} after ${loan.graceDays} days</small>
+            ${open && this.bank.can('transfer') ? `
+                <div class="transaction-filters loan-actions">
+                    <input type="number" id="loanExtraAmount" min="0.01" step="0.01" placeholder="Extra payment">
+                    <button class="btn secondary" onclick="payLoanExtra()"><i class="fas fa-coins"></i> Pay Extra</button>
+                    <button class="btn primary" onclick="payOffLoan()"><i class="fas fa-check-circle"></i> Pay Off ${escapeMarkup(quote.total.format())}</button>
+                </div>
+            ` : ''}
+            <table class="ledger-table loan-schedule">
+                <thead>
+                    <tr><th>#</th><th>Due</th><th>Payment</th><th>Principal</th><th>Interest</th><th>Balance</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${loan.installments.map(installment => `
+                        <tr class="${escapeMarkup(installment.status)}">
+                            <td>${installment.number}</td>
+                            <td>${installment.dueDate.toLocaleDateString()}</td>
+                            <td>${escapeMarkup(installment.payment.format())}</td>
+                            <td>${escapeMarkup(installment.principal.format())}</td>
+                            <td>${escapeMarkup(installment.interest.format())}</td>
+                            <td>${escapeMarkup(installment.balance.format())}</td>
+                            <td>
+                                <span class="loan-status ${escapeMarkup(installment.status)}">${escapeMarkup(capitalize(installment.status))}</span>
+                                ${installment.lateFee ? `<small>+${escapeMarkup(installment.lateFee.format())} late fee</small>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
-    calculateInterest(timeInYears = 1) {
-        return this.interestStrategy.calculateInterest(this.balance, timeInYears);
-    }
+    updatePayments() {
+        const payeeList = document.getElementById('payees-list');
+        const paymentList = document.getElementById('payments-list');
+        const payeeSelect = document.getElementById('paymentPayee');
+        if (!payeeList || !paymentList || !payeeSelect) return;
+
+        // Staff paying for a customer pick from that customer's payees
+        const paymentAccount = this.bank.getAccount(document.getElementById('paymentFrom').value);
+        const payees = paymentAccount ?
+            paymentAccount.getOwners().flatMap(owner => this.bank.getPayees(owner.id)) :
+            this.bank.getPayees();
+        const selected = payeeSelect.value;
+        payeeSelect.innerHTML = payees
+            .map(payee => `<option value="${escapeMarkup(payee.id)}">${escapeMarkup(payee.name)} - ${escapeMarkup(describePayeeAccount(payee))}</option>`)
+            .join('');
+        if (payees.some(payee => payee.id === selected)) {
+            payeeSelect.value = selected;
+        }
 
-    getInterestRate() {
-        return this.interestStrategy.getRate();
-    }
+        const ownPayees = this.bank.getPayees();
+        payeeList.innerHTML = ownPayees.length === 0 ? '<p class="no-accounts">No payees saved yet</p>' :
+            ownPayees.map(payee => `
+                <div class="account-item">
+                    <div class="account-info">
+                        <h4>${escapeMarkup(payee.name)}</h4>
+                        <small>${escapeMarkup(describePayeeAccount(payee))}</small>
+                    </div>
+                    <button class="btn secondary" onclick="removePayee('${escapeMarkup(payee.id)}')">
+                        <i class="fas fa-trash"></i> Remove
+                    </button>
+                </div>
+            `).join('');
 
-    getFormattedBalance() {
-        return `$${this.balance.toFixed(2)}`;
+        const payments = this.bank.getPayments();
+        paymentList.innerHTML = payments.length === 0 ? '<p class="no-transactions">No payments sent yet</p>' :
+            payments.map(payment => `
+                <div class="account-item payment-item">
+                    <div class="account-info">
+                        <h4>${escapeMarkup(payment.amount.format())} to ${escapeMarkup(payment.payee.name)}</h4>
+                        <small>From ${escapeMarkup(payment.fromAccountNumber)} | ${escapeMarkup(describePayeeAccount(payment.payee))}${payment.description ? ` | ${escapeMarkup(payment.description)}` : ''}</small>
+                        <small>
+                            ${payment.history.map(entry =>
+                                `${escapeMarkup(capitalize(entry.status))} ${entry.at.toLocaleString()}${entry.reason ? ` (${escapeMarkup(entry.reason)})` : ''}`
+                            ).join(' &rarr; ')}
+                        </small>
+                        ${payment.railReference ? `<small>Reference ${escapeMarkup(payment.railReference)}</small>` : ''}
+                    </div>
+                    <span class="payment-status ${escapeMarkup(payment.status)}">${escapeMarkup(capitalize(payment.status))}</span>
+                </div>
+            `).join('');
     }
 
-    getAccountInfo() {
-        return {
-            accountNumber: this.accountNumber,
-            accountType: this.accountType,
-            balance: this.balance,
-            interestRate: this.getInterestRate(),
-            transactionCount: this.transactionHistory.length
-        };
-    }
-}
+    updateScheduledTransfers() {
+        const container = document.getElementById('scheduled-transfers');
+        if (!container) return;
 
-// ============================================================================
-// COMMAND PATTERN - For Banking Operations
-// ============================================================================
+        const schedules = this.bank.getScheduledTransfers();
+        if (schedules.length === 0) {
+            container.innerHTML = '<p class="no-transactions">No scheduled transfers</p>';
+            return;
+        }
 
-class Command {
-    execute() {
-        throw new Error("Command must implement execute method");
+        const open = schedule => schedule.status === 'active' || schedule.status === 'paused';
+        const button = (action, schedule, icon, label) => `
+            <button class="btn secondary" onclick="${action}('${escapeMarkup(schedule.id)}')">
+                <i class="fas ${icon}"></i> ${label}
+            </button>`;
+        const progress = schedule => schedule.maxOccurrences !== null ?
+            `${schedule.occurrence} of ${schedule.maxOccurrences} payments made` :
+            `${schedule.occurrence} payment${schedule.occurrence === 1 ? '' : 's'} made${schedule.endDate ? `, ends ${schedule.endDate.toLocaleDateString()}` : ''}`;
+
+        container.innerHTML = schedules.map(schedule => `
+            <div class="account-item schedule-item">
+                <div class="account-info">
+                    <h4>${escapeMarkup(schedule.describe())}</h4>
+                    ${schedule.description ? `<small>${escapeMarkup(schedule.description)}</small>` : ''}
+                    <small>
+                        ${schedule.nextRunAt ? `Next payment ${schedule.nextRunAt.toLocaleDateString()}` : 'No further payments'}
+                        | ${escapeMarkup(progress(schedule))}
+                    </small>
+                    <details class="schedule-history">
+                        <summary>History (${schedule.history.length})</summary>
+                        ${schedule.history.length === 0 ? '<small>No payments yet</small>' : schedule.history.slice().reverse().map(entry => `
+                            <small class="schedule-run ${escapeMarkup(entry.status)}">
+                                #${entry.occurrence} due ${entry.scheduledFor.toLocaleDateString()}:
+                                ${escapeMarkup(capitalize(entry.status))} ${entry.ranAt.toLocaleString()}${entry.reason ? ` - ${escapeMarkup(entry.reason)}` : ''}
+                            </small>
+                        `).join('')}
+                    </details>
+                </div>
+                <span class="schedule-status ${escapeMarkup(schedule.status)}">${escapeMarkup(capitalize(schedule.status))}</span>
+                ${open(schedule) ? `
+                    <div class="schedule-actions">
+                        ${schedule.status === 'active' ?
+                            button('pauseScheduledTransfer', schedule, 'fa-pause', 'Pause') :
+                            button('resumeScheduledTransfer', schedule, 'fa-play', 'Resume')}
+                        ${button('skipScheduledTransfer', schedule, 'fa-forward', 'Skip Next')}
+                        ${button('showScheduleForm', schedule, 'fa-edit', 'Edit')}
+                        ${button('cancelScheduledTransfer', schedule, 'fa-times', 'Cancel')}
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
     }
 
-    undo() {
-        throw new Error("Command must implement undo method");
-    }
-}
+    updateFraudReviews() {
+        const card = document.getElementById('fraud-review-card');
+        const container = document.getElementById('fraud-reviews');
+        if (!card || !container) return;
 
-class DepositCommand extends Command {
-    constructor(account, amount, description = '') {
-        super();
-        this.account = account;
-        this.amount = amount;
-        this.description = description;
-        this.executed = false;
-        this.transactionId = null;
-    }
+        card.style.display = this.bank.can('review-fraud') ? 'block' : 'none';
+        if (!this.bank.can('review-fraud')) return;
 
-    execute() {
-        if (!this.executed) {
-            const transaction = this.account.deposit(this.amount, this.description);
-            this.transactionId = transaction.id;
-            this.executed = true;
-            return transaction;
-        }
+        const reviews = this.bank.getFraudReviews().slice(0, 50);
+        const userName = customerId => customerId && this.bank.customers.has(customerId) ?
+            this.bank.getCustomer(customerId).name : 'System';
+        container.innerHTML = reviews.length === 0 ? '<p class="no-transactions">No fraud alerts</p>' :
+            reviews.map(review => `
+                <div class="account-item fraud-review ${escapeMarkup(review.outcome)}">
+                    <div class="account-info">
+                        <h4>${escapeMarkup(review.summary)} - ${escapeMarkup(review.outcome)}</h4>
+                        ${review.reasons.map(hit => `<small>${escapeMarkup(hit.reason)}</small>`).join('')}
+                        <small>${review.createdAt.toLocaleString()}${review.status === 'open' ? '' :
+                            ` | ${escapeMarkup(capitalize(review.status))} by ${escapeMarkup(userName(review.reviewedBy))}` +
+                            (review.note ? ` - ${escapeMarkup(review.note)}` : '')}</small>
+                    </div>
+                    ${review.status === 'open' ? `
+                        <div class="approval-actions">
+                            <input type="text" id="note-${escapeMarkup(review.id)}" placeholder="Note (optional)">
+                            <button class="btn secondary" onclick="reviewFraudCase('${escapeMarkup(review.id)}', 'cleared')">
+                                <i class="fas fa-check"></i> Clear
+                            </button>
+                            <button class="btn primary" onclick="reviewFraudCase('${escapeMarkup(review.id)}', 'confirmed')">
+                                <i class="fas fa-user-secret"></i> Confirm Fraud
+                            </button>
+                        </div>
+                    ` : `<span class="approval-status ${review.status === 'cleared' ? 'approved' : 'rejected'}">${escapeMarkup(capitalize(review.status))}</span>`}
+                </div>
+            `).join('');
     }
 
-    undo() {
-        if (this.executed && this.transactionId) {
-            // Find and remove the transaction from history
-            const transactionIndex = this.account.transactionHistory.findIndex(
-                t => t.id === this.transactionId
-            );
-            
-            if (transactionIndex > -1) {
-                this.account.balance -= this.amount;
-                this.account.transactionHistory.splice(transactionIndex, 1);
-                this.executed = false;
-                
-                this.account.notifyObservers(
-                    `Deposit of $${this.amount.toFixed(2)} has been undone. Balance: $${this.account.balance.toFixed(2)}`,
-                    'warning'
-                );
-            }
-        }
-    }
-}
+    // One row per rule, with inputs generated from the rule type's parameters
+    updateFraudRuleSettings() {
+        const container = document.getElementById('fraud-rules');
+        if (!container) return;
 
-class WithdrawCommand extends Command {
-    constructor(account, amount, description = '') {
-        super();
-        this.account = account;
-        this.amount = amount;
-        this.description = description;
-        this.executed = false;
-        this.transactionId = null;
+        const disabled = this.bank.can('change-rates') ? '' : ' disabled';
+        container.innerHTML = this.bank.fraudEngine.rules.map(rule => {
+            const ruleType = FRAUD_RULE_TYPES[rule.type];
+            return `
+                <div class="fraud-rule">
+                    <label class="toggle">
+                        <input type="checkbox" ${rule.enabled ? 'checked' : ''}${disabled}
+                            onchange="updateFraudRule('${rule.id}', 'enabled', this.checked)">
+                        <span class="slider"></span>
+                        ${escapeMarkup(ruleType.label)}
+                    </label>
+                    <select${disabled} onchange="updateFraudRule('${rule.id}', 'action', this.value)">
+                        <option value="flag"${rule.action === 'flag' ? ' selected' : ''}>Flag for review</option>
+                        <option value="block"${rule.action === 'block' ? ' selected' : ''}>Block</option>
+                    </select>
+                    ${Object.entries(ruleType.params).map(([key, label]) => `
+                        <label class="fraud-rule-param">
+                            ${escapeMarkup(label)}${key === 'threshold' ? ` (${escapeMarkup(rule.currency)})` : ''}
+                            <input type="number" min="0" step="any" value="${rule[key]}"${disabled}
+                                onchange="updateFraudRule('${rule.id}', '${key}', Number(this.value))">
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
     }
 
-    execute() {
-        if (!this.executed) {
-            const transaction = this.account.withdraw(this.amount, this.description);
-            this.transactionId = transaction.id;
-            this.executed = true;
-            return transaction;
+    updateApprovals() {
+        const session = this.bank.auth.session;
+        const queue = document.getElementById('approval-queue');
+        const history = document.getElementById('approval-history');
+        if (!session || !queue || !history) return;
+
+        const userName = customerId => customerId && this.bank.customers.has(customerId) ?
+            this.bank.getCustomer(customerId).name : 'System';
+        const canApprove = this.bank.can('approve');
+        const pending = this.bank.getPendingApprovals().filter(request => this.bank.canSeeRequest(request));
+        const awaitingMe = pending.filter(request => canApprove && request.requestedBy !== session.customerId);
+
+        const badge = document.getElementById('approvals-pending');
+        if (badge) {
+            badge.textContent = awaitingMe.length;
+            badge.style.display = awaitingMe.length > 0 ? 'inline-block' : 'none';
         }
-    }
 
-    undo() {
-        if (this.executed && this.transactionId) {
-            const transactionIndex = this.account.transactionHistory.findIndex(
-                t => t.id === this.transactionId
-            );
-            
-            if (transactionIndex > -1) {
-                this.account.balance += this.amount;
-                this.account.transactionHistory.splice(transactionIndex, 1);
-                this.executed = false;
-                
-                this.account.notifyObservers(
-                    `Withdrawal of $${this.amount.toFixed(2)} has been undone. Balance: $${this.account.balance.toFixed(2)}`,
-                    'warning'
-                );
-            }
-        }
-    }
-}
+        queue.innerHTML = pending.length === 0 ? '<p class="no-transactions">No transactions are waiting for approval</p>' :
+            pending.map(request => `
+                <div class="account-item approval-item">
+                    <div class="account-info">
+                        <h4>${escapeMarkup(request.command.describe())}</h4>
+                        <small>Requested by ${escapeMarkup(userName(request.requestedBy))} on ${request.requestedAt.toLocaleString()}</small>
+                        <small>Expires ${request.expiresAt.toLocaleString()}</small>
+                    </div>
+                    ${awaitingMe.includes(request) ? `
+                        <div class="approval-actions">
+                            <input type="text" id="reason-${escapeMarkup(request.id)}" placeholder="Reason (optional)">
+                            <button class="btn primary" onclick="approveRequest('${escapeMarkup(request.id)}')">
+                                <i class="fas fa-check"></i> Approve
+                            </button>
+                            <button class="btn secondary" onclick="rejectRequest('${escapeMarkup(request.id)}')">
+                                <i class="fas fa-times"></i> Reject
+                            </button>
+                        </div>
+                    ` : '<span class="approval-status pending">Awaiting approval</span>'}
+                </div>
+            `).join('');
 
-class TransferCommand extends Command {
-    constructor(fromAccount, toAccount, amount, description = '') {
-        super();
-        this.fromAccount = fromAccount;
-        this.toAccount = toAccount;
-        this.amount = amount;
-        this.description = description;
-        this.executed = false;
-        this.fromTransactionId = null;
-        this.toTransactionId = null;
-    }
-
-    execute() {
-        if (!this.executed) {
-            // First withdraw from source account
-            const withdrawTransaction = this.fromAccount.withdraw(
-                this.amount, 
-                `Transfer to ${this.toAccount.accountNumber}: ${this.description}`
-            );
-            
-            // Then deposit to destination account
-            const depositTransaction = this.toAccount.deposit(
-                this.amount, 
-                `Transfer from ${this.fromAccount.accountNumber}: ${this.description}`
-            );
-            
-            this.fromTransactionId = withdrawTransaction.id;
-            this.toTransactionId = depositTransaction.id;
-            this.executed = true;
-            
-            return {
-                from: withdrawTransaction,
-                to: depositTransaction
-            };
-        }
+        const decided = this.bank.approvalQueue.getHistory().filter(request => this.bank.canSeeRequest(request));
+        history.innerHTML = decided.length === 0 ? '<p class="no-transactions">No decisions yet</p>' :
+            decided.map(request => `
+                <div class="account-item approval-item">
+                    <div class="account-info">
+                        <h4>${escapeMarkup(request.command.describe())}</h4>
+                        <small>Requested by ${escapeMarkup(userName(request.requestedBy))} on ${request.requestedAt.toLocaleString()}</small>
+                        <small>
+                            ${escapeMarkup(capitalize(request.status))}${request.status === 'expired' ? '' : ` by ${escapeMarkup(userName(request.decidedBy))}`}
+                            on ${request.decidedAt.toLocaleString()}${request.reason ? ` - ${escapeMarkup(request.reason)}` : ''}
+                        </small>
+                    </div>
+                    <span class="approval-status ${escapeMarkup(request.status)}">${escapeMarkup(capitalize(request.status))}</span>
+                </div>
+            `).join('');
     }
 
-    undo() {
-        if (this.executed && this.fromTransactionId && this.toTransactionId) {
-            // Remove transactions from both accounts
-            const fromIndex = this.fromAccount.transactionHistory.findIndex(
-                t => t.id === this.fromTransactionId
-            );
-            const toIndex = this.toAccount.transactionHistory.findIndex(
-                t => t.id === this.toTransactionId
-            );
-            
-            if (fromIndex > -1 && toIndex > -1) {
-                // Reverse the transfer
-                this.fromAccount.balance += this.amount;
-                this.toAccount.balance -= this.amount;
-                
-                // Remove transactions from history
-                this.fromAccount.transactionHistory.splice(fromIndex, 1);
-                this.toAccount.transactionHistory.splice(toIndex, 1);
-                
-                this.executed = false;
-                
-                this.fromAccount.notifyObservers(
-                    `Transfer of $${this.amount.toFixed(2)} to ${this.toAccount.accountNumber} has been undone`,
-                    'warning'
-                );
-            }
-        }
+    updateGeneralLedger() {
+        const container = document.getElementById('general-ledger');
+        if (!container) return;
+
+        const trialBalance = this.bank.generalLedger.trialBalance();
+        const rows = this.bank.generalLedger.getBalances()
+            .filter(({ balance }) => !balance.isZero())
+            .map(({ code, name, type, balance }) => `
+                <tr>
+                    <td>${escapeMarkup(name)}</td>
+                    <td>${escapeMarkup(type)}</td>
+                    <td>${escapeMarkup(code)}</td>
+                    <td class="ledger-amount">${balance.format()}</td>
+                </tr>
+            `).join('');
+        const totals = Array.from(trialBalance.totals.entries()).map(([currency, { debits, credits }]) =>
+            `<small>${currency}: debits ${debits.format()} / credits ${credits.format()}</small>`
+        ).join('');
+
+        container.innerHTML = `
+            <p class="trial-balance ${trialBalance.balanced ? 'balanced' : 'unbalanced'}">
+                <i class="fas ${trialBalance.balanced ? 'fa-check-circle' : 'fa-exclamation-triangle'}"></i>
+                ${trialBalance.balanced ? 'Trial balance OK' : escapeMarkup(trialBalance.problems.join('; '))}
+            </p>
+            <div class="trial-balance-totals">${totals}</div>
+            <table class="ledger-table">
+                <thead>
+                    <tr><th>Ledger Account</th><th>Type</th><th>Code</th><th>Balance</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
     }
-}
 
-// ============================================================================
-// TRANSACTION MANAGER - Handles Commands
-// ============================================================================
+    updateTimeline() {
+        const container = document.getElementById('command-timeline');
+        if (!container) return;
 
-class TransactionManager {
-    constructor() {
-        this.commandHistory = [];
-        this.currentPosition = -1;
-    }
+        const timeline = this.bank.transactionManager.getTimeline();
+        const currentPosition = this.bank.transactionManager.currentPosition;
 
-    executeCommand(command) {
-        try {
-            const result = command.execute();
-            
-            // Clear any commands after current position (for redo functionality)
-            this.commandHistory = this.commandHistory.slice(0, this.currentPosition + 1);
-            
-            // Add new command to history
-            this.commandHistory.push(command);
-            this.currentPosition++;
-            
-            return result;
-        } catch (error) {
-            throw error;
-        }
+        const entries = timeline.map(({ position, command, applied }) => `
+            <div class="timeline-item ${applied ? 'applied' : 'undone'} ${position === currentPosition ? 'current' : ''}">
+                <div class="timeline-details">
+                    <h4>${escapeMarkup(command.describe())}</h4>
+                    <small>${command.timestamp ? command.timestamp.toLocaleString() : ''}${applied ? '' : ' | Undone'}</small>
+                </div>
+                ${position === currentPosition ? '<span class="timeline-current">Current</span>' : `
+                    <button class="btn secondary" onclick="goToTimelinePosition(${position})">
+                        <i class="fas ${applied ? 'fa-undo' : 'fa-redo'}"></i> ${applied ? 'Undo to here' : 'Redo to here'}
+                    </button>
+                `}
+            </div>
+        `).reverse();
+
+        entries.push(`
+            <div class="timeline-item ${currentPosition === -1 ? 'current' : ''}">
+                <div class="timeline-details">
+                    <h4>Start</h4>
+                    <small>Before any recorded transaction</small>
+                </div>
+                ${currentPosition === -1 ? '<span class="timeline-current">Current</span>' : `
+                    <button class="btn secondary" onclick="goToTimelinePosition(-1)">
+                        <i class="fas fa-undo"></i> Undo all
+                    </button>
+                `}
+            </div>
+        `);
+
+        container.innerHTML = entries.join('');
     }
 
-    undoLastCommand() {
-        if (this.currentPosition >= 0) {
-            const command = this.commandHistory[this.currentPosition];
-            command.undo();
-            this.currentPosition--;
-            return true;
-        }
-        return false;
-    }
+    updateBalanceDisplay() {
+        // Totals are shown in the reporting currency, converted at current rates
+        let savingsBalance = Money.zero(this.bank.reportingCurrency);
+        let checkingBalance = Money.zero(this.bank.reportingCurrency);
+        let fixedBalance = Money.zero(this.bank.reportingCurrency);
+        let loanBalance = Money.zero(this.bank.reportingCurrency);
+        const accrued = {
+            savings: Money.zero(this.bank.reportingCurrency),
+            fixed: Money.zero(this.bank.reportingCurrency)
+        };
 
-    canUndo() {
-        return this.currentPosition >= 0;
-    }
+        this.bank.getVisibleAccounts().forEach(account => {
+            const balance = this.bank.toReportingCurrency(account.balance);
+            if (accrued[account.accountType]) {
+                const accruedInterest = this.bank.toReportingCurrency(this.bank.interestEngine.getAccruedInterest(account));
+                accrued[account.accountType] = accrued[account.accountType].add(accruedInterest);
+            }
+            switch(account.accountType) {
+                case 'savings':
+                    savingsBalance = savingsBalance.add(balance);
+                    break;
+                case 'checking':
+                    checkingBalance = checkingBalance.add(balance);
+                    break;
+                case 'fixed':
+                    fixedBalance = fixedBalance.add(balance);
+                    break;
+                case 'loan':
+                    loanBalance = loanBalance.subtract(balance);
+                    break;
+            }
+        });
 
-    getCommandHistory() {
-        return this.commandHistory.slice(0, this.currentPosition + 1);
-    }
-}
+        const reportingCurrency = document.getElementById('reportingCurrency');
+        if (reportingCurrency) {
+            reportingCurrency.value = this.bank.reportingCurrency;
+        }
 
-// ============================================================================
-// BANKING SYSTEM - Main Application Class
-// ============================================================================
+        document.getElementById('savings-balance').textContent = savingsBalance.format();
+        document.getElementById('checking-balance').textContent = checkingBalance.format();
+        document.getElementById('fixed-balance').textContent = fixedBalance.format();
+        document.getElementById('loan-balance').textContent = loanBalance.format();
 
-class BankingSystem {
-    constructor() {
-        this.accounts = new Map();
-        this.customers = new Map();
-        this.transactionManager = new TransactionManager();
-        this.accountCounter = 1000;
-        
-        // Create default customer
-        this.createCustomer('John Doe', 'john@example.com');
-        
-        // Initialize UI
-        this.initializeUI();
-        this.setupEventListeners();
-        
-        // Create some demo accounts
-        this.createDemoAccounts();
-    }
+        ['savings', 'fixed'].forEach(accountType => {
+            const element = document.getElementById(`${accountType}-rate`);
+            if (element) {
+                element.textContent = `Interest Rate: ${this.describeRates(accountType)}`;
+            }
+        });
 
-    createCustomer(name, email) {
-        const customer = new Customer(name, email);
-        this.customers.set(email, customer);
-        return customer;
+        // Interest accrued daily but not yet posted to the balance
+        Object.keys(accrued).forEach(accountType => {
+            const element = document.getElementById(`${accountType}-accrued`);
+            if (element) {
+                element.textContent = `Accrued interest: ${accrued[accountType].format()}`;
+            }
+        });
     }
 
-    createAccount(accountType, initialBalance = 0, customerEmail = 'john@example.com') {
-        const accountNumber = `ACC${this.accountCounter++}`;
-        const account = new Account(accountNumber, accountType, initialBalance);
-        
-        // Add customer as observer
-        const customer = this.customers.get(customerEmail);
-        if (customer) {
-            account.addObserver(customer);
+    // Rate shown on a dashboard card: the live strategy when all accounts of the
+    // type share one, otherwise the range they span
+    describeRates(accountType) {
+        const now = this.bank.clock.now();
+        const accounts = this.bank.getVisibleAccounts()
+            .filter(account => account.accountType === accountType && account.status !== 'paid-out');
+        if (accounts.length === 0) {
+            return defaultInterestStrategy(accountType).describe(now);
         }
-        
-        this.accounts.set(accountNumber, account);
-        
-        // Update UI
-        this.updateAccountDropdowns();
-        this.updateAccountsList();
-        this.updateBalanceDisplay();
-        
-        return account;
-    }
 
-    getAccount(accountNumber) {
-        return this.accounts.get(accountNumber);
+        const descriptions = new Set(accounts.map(account => account.interestStrategy.describe(now)));
+        if (descriptions.size === 1) {
+            return descriptions.values().next().value;
+        }
+        const rates = accounts.map(account => account.getInterestRate(now));
+        return `${formatRate(Math.min(...rates))}–${formatRate(Math.max(...rates))} APY`;
     }
 
-    deposit(accountNumber, amount, description = '') {
-        const account = this.getAccount(accountNumber);
-        if (!account) {
-            throw new Error("Account not found");
-        }
+    // Credits raise the balance: deposits, incoming transfers, interest, and reversals of debits
+    isCreditTransaction(transaction) {
+        return transaction.side === 'credit';
+    }
 
-        const command = new DepositCommand(account, amount, description);
-        const result = this.transactionManager.executeCommand(command);
+    renderTransactionItem(transaction, showAccount = false) {
+        const isPositive = this.isCreditTransaction(transaction);
+        const icon = transaction.type === 'deposit' ? 'fa-plus' : 
+                    transaction.type === 'withdraw' ? 'fa-minus' :
+                    ['interest', 'overdraft-interest', 'loan-interest'].includes(transaction.type) ? 'fa-percentage' :
+                    transaction.type === 'fee' ? 'fa-receipt' :
+                    transaction.type === 'payment' ? 'fa-paper-plane' :
+                    transaction.type === 'reversal' ? 'fa-undo' : 'fa-exchange-alt';
+        const auditNote = (transaction.type === 'reversal' ? ` | Reverses #${transaction.reverses}` : '') +
+                    (transaction.reversedBy ? ` | Reversed by #${transaction.reversedBy}` : '') +
+                    (transaction.redoOf ? ` | Redo of #${transaction.redoOf}` : '') +
+                    (transaction.fileDate ? ` | Dated ${transaction.fileDate} in the imported file` : '') +
+                    (transaction.transfer ? ` | ${transaction.transfer.direction === 'out' ? 'To' : 'From'} ${transaction.transfer.counterpartAccountNumber} #${transaction.transfer.counterpartTransactionId}` +
+                        (transaction.transfer.transferId ? ` (${transaction.transfer.transferId})` : '') : '');
         
-        this.updateUI();
-        return result;
+        return `
+            <div class="transaction-item ${transaction.reversedBy ? 'reversed' : ''}">
+                <div class="transaction-info">
+                    <div class="transaction-icon ${escapeMarkup(transaction.type)}">
+                        <i class="fas ${icon}"></i>
+                    </div>
+                    <div class="transaction-details">
+                        <h4>${escapeMarkup(transaction.description || capitalize(transaction.type))}</h4>
+                        <small>#${escapeMarkup(transaction.id)} | ${showAccount ? `Account: ${escapeMarkup(transaction.accountNumber)} | ` : ''}${transaction.timestamp.toLocaleString()}${escapeMarkup(auditNote)}</small>
+                        ${this.renderTransactionCategory(transaction)}
+                    </div>
+                </div>
+                <div class="transaction-amount ${isPositive ? 'positive' : 'negative'}">
+                    ${isPositive ? '+' : '-'}${escapeMarkup(transaction.amount.format())}
+                </div>
+            </div>
+        `;
     }
 
-    withdraw(accountNumber, amount, description = '') {
-        const account = this.getAccount(accountNumber);
-        if (!account) {
-            throw new Error("Account not found");
+    // Editable for users who may categorize; reversals follow the transaction they reverse
+    renderTransactionCategory(transaction) {
+        const category = transaction.category || 'other';
+        if (!this.bank.can('budget') || transaction.type === 'reversal') {
+            return `<span class="category-tag">${escapeMarkup(TRANSACTION_CATEGORIES[category])}</span>`;
         }
-
-        const command = new WithdrawCommand(account, amount, description);
-        const result = this.transactionManager.executeCommand(command);
-        
-        this.updateUI();
-        return result;
+        return `
+            <select class="category-select" title="Category"
+                onchange="setTransactionCategory('${escapeMarkup(transaction.accountNumber)}', '${escapeMarkup(transaction.id)}', this.value)">
+                ${Object.entries(TRANSACTION_CATEGORIES).map(([value, label]) =>
+                    `<option value="${value}"${value === category ? ' selected' : ''}>${escapeMarkup(label)}</option>`
+                ).join('')}
+            </select>
+        `;
     }
 
-    transfer(fromAccountNumber, toAccountNumber, amount, description = '') {
-        const fromAccount = this.getAccount(fromAccountNumber);
-        const toAccount = this.getAccount(toAccountNumber);
-        
-        if (!fromAccount || !toAccount) {
-            throw new Error("One or both accounts not found");
+    // What the UI lists: the signed-in customer's transactions, without the activity check
+    // of queryTransactions so rendering behind the lock screen does not fail
+    findVisibleTransactions(query) {
+        const role = this.bank.getSessionRole();
+        if (!role) {
+            return { items: [], total: 0, page: 1, pageSize: query.pageSize, totalPages: 1 };
         }
+        return this.bank.findTransactions(ROLES[role].allAccounts ? query : { ...query, customerId: this.bank.auth.session.customerId });
+    }
+
+    updateTransactionHistory() {
+        const transactions = this.findVisibleTransactions({ pageSize: 10 }).items; // Last 10 transactions
+        const container = document.getElementById('transaction-history');
         
-        if (fromAccountNumber === toAccountNumber) {
-            throw new Error("Cannot transfer to the same account");
+        if (transactions.length === 0) {
+            container.innerHTML = '<p class="no-transactions">No transactions yet</p>';
+        } else {
+            container.innerHTML = transactions.map(transaction => this.renderTransactionItem(transaction)).join('');
         }
 
-        const command = new TransferCommand(fromAccount, toAccount, amount, description);
-        const result = this.transactionManager.executeCommand(command);
-        
-        this.updateUI();
-        return result;
+        this.updateFullTransactionHistory();
+        this.updateAuditLedger();
     }
 
-    undoLastTransaction() {
-        if (this.transactionManager.undoLastCommand()) {
-            this.updateUI();
-            return true;
+    // Re-renders the pages loaded so far for the current filters
+    updateFullTransactionHistory() {
+        const fullContainer = document.getElementById('full-transaction-history');
+        if (!fullContainer) return;
+
+        let result;
+        try {
+            result = this.findVisibleTransactions({
+                ...this.transactionFilters,
+                page: 1,
+                pageSize: TRANSACTION_PAGE_SIZE * this.transactionPagesLoaded
+            });
+        } catch (error) {
+            fullContainer.innerHTML = `<p class="no-transactions">${escapeMarkup(error.message)}</p>`;
+            return;
         }
-        return false;
+
+        fullContainer.innerHTML = result.items.length === 0 ?
+            '<p class="no-transactions">No matching transactions</p>' :
+            result.items.map(transaction => this.renderTransactionItem(transaction, true)).join('');
+        this.updateTransactionPager(result.items.length, result.total);
     }
 
-    getAllTransactions() {
-        const allTransactions = [];
-        
-        this.accounts.forEach(account => {
-            allTransactions.push(...account.transactionHistory);
+    // Appends the next page rather than re-rendering what is already on screen
+    loadMoreTransactions() {
+        const fullContainer = document.getElementById('full-transaction-history');
+        const result = this.bank.queryTransactions({
+            ...this.transactionFilters,
+            page: this.transactionPagesLoaded + 1,
+            pageSize: TRANSACTION_PAGE_SIZE
         });
-        
-        // Sort by timestamp (newest first)
-        return allTransactions.sort((a, b) => b.timestamp - a.timestamp);
+        this.transactionPagesLoaded++;
+        fullContainer.insertAdjacentHTML(
+            'beforeend',
+            result.items.map(transaction => this.renderTransactionItem(transaction, true)).join('')
+        );
+        this.updateTransactionPager(Math.min(this.transactionPagesLoaded * TRANSACTION_PAGE_SIZE, result.total), result.total);
     }
 
-    createDemoAccounts() {
-        // Create demo accounts with initial balances
-        this.createAccount('savings', 5000);
-        this.createAccount('checking', 2500);
-        this.createAccount('fixed', 10000);
+    updateTransactionPager(shown, total) {
+        const summary = document.getElementById('transaction-count');
+        const loadMore = document.getElementById('loadMoreTransactions');
+        if (summary) {
+            summary.textContent = `Showing ${shown} of ${total} transactions`;
+        }
+        if (loadMore) {
+            loadMore.style.display = shown < total ? 'inline-flex' : 'none';
+        }
     }
 
-    updateUI() {
-        this.updateBalanceDisplay();
-        this.updateTransactionHistory();
-        this.updateAccountsList();
+    setTransactionFilters(filters) {
+        this.transactionFilters = filters;
+        this.transactionPagesLoaded = 1;
+        this.updateFullTransactionHistory();
     }
 
-    updateBalanceDisplay() {
-        let savingsBalance = 0;
-        let checkingBalance = 0;
-        let fixedBalance = 0;
-
-        this.accounts.forEach(account => {
-            switch(account.accountType) {
-                case 'savings':
-                    savingsBalance += account.balance;
-                    break;
-                case 'checking':
-                    checkingBalance += account.balance;
-                    break;
-                case 'fixed':
-                    fixedBalance += account.balance;
-                    break;
-            }
-        });
-
-        document.getElementById('savings-balance').textContent = `$${savingsBalance.toFixed(2)}`;
-        document.getElementById('checking-balance').textContent = `$${checkingBalance.toFixed(2)}`;
-        document.getElementById('fixed-balance').textContent = `$${fixedBalance.toFixed(2)}`;
-    }
+    updateAuditLedger() {
+        const container = document.getElementById('audit-ledger');
+        if (!container) return;
 
-    updateTransactionHistory() {
-        const transactions = this.getAllTransactions().slice(0, 10); // Last 10 transactions
-        const container = document.getElementById('transaction-history');
-        
-        if (transactions.length === 0) {
-            container.innerHTML = '<p class="no-transactions">No transactions yet</p>';
+        // Newest entries first; the full chain is still verified on demand
+        const entries = this.bank.auditLedger.getEntries().slice(-50).reverse();
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="no-transactions">No ledger entries yet</p>';
             return;
         }
 
-        container.innerHTML = transactions.map(transaction => {
-            const isPositive = transaction.type === 'deposit';
-            const icon = transaction.type === 'deposit' ? 'fa-plus' : 
-                        transaction.type === 'withdraw' ? 'fa-minus' : 'fa-exchange-alt';
-            
-            return `
-                <div class="transaction-item">
-                    <div class="transaction-info">
-                        <div class="transaction-icon ${transaction.type}">
-                            <i class="fas ${icon}"></i>
-                        </div>
-                        <div class="transaction-details">
-                            <h4>${transaction.description || transaction.type.charAt(0).toUpperCase() + transaction.type.slice(1)}</h4>
-                            <small>${transaction.timestamp.toLocaleString()}</small>
-                        </div>
-                    </div>
-                    <div class="transaction-amount ${isPositive ? 'positive' : 'negative'}">
-                        ${isPositive ? '+' : '-'}$${transaction.amount.toFixed(2)}
-                    </div>
+        container.innerHTML = entries.map(entry => `
+            <div class="ledger-entry">
+                <div class="ledger-details">
+                    <h4>#${entry.sequence} ${escapeMarkup(entry.type)} ${escapeMarkup(Money.fromJSON(entry.amount).format())} | ${escapeMarkup(entry.accountNumber)}</h4>
+                    <small>Transaction #${escapeMarkup(entry.transactionId)}${entry.reverses ? ` reverses #${escapeMarkup(entry.reverses)}` : ''} | ${new Date(entry.timestamp).toLocaleString()}</small>
                 </div>
-            `;
-        }).join('');
-
-        // Update full transaction history
-        const fullContainer = document.getElementById('full-transaction-history');
-        if (fullContainer) {
-            fullContainer.innerHTML = this.getAllTransactions().map(transaction => {
-                const isPositive = transaction.type === 'deposit';
-                const icon = transaction.type === 'deposit' ? 'fa-plus' : 
-                            transaction.type === 'withdraw' ? 'fa-minus' : 'fa-exchange-alt';
-                
-                return `
-                    <div class="transaction-item">
-                        <div class="transaction-info">
-                            <div class="transaction-icon ${transaction.type}">
-                                <i class="fas ${icon}"></i>
-                            </div>
-                            <div class="transaction-details">
-                                <h4>${transaction.description || transaction.type.charAt(0).toUpperCase() + transaction.type.slice(1)}</h4>
-                                <small>Account: ${transaction.accountNumber} | ${transaction.timestamp.toLocaleString()}</small>
-                            </div>
-                        </div>
-                        <div class="transaction-amount ${isPositive ? 'positive' : 'negative'}">
-                            ${isPositive ? '+' : '-'}$${transaction.amount.toFixed(2)}
-                        </div>
-                    </div>
-                `;
-            }).join('');
-        }
+                <code class="ledger-hash" title="${escapeMarkup(entry.hash)}">${escapeMarkup(entry.hash.slice(0, 12))}…</code>
+            </div>
+        `).join('');
     }
 
     updateAccountDropdowns() {
         const dropdowns = [
             'depositAccount', 'withdrawAccount', 
-            'transferFrom', 'transferTo', 'filterAccount'
+            'transferFrom', 'transferTo', 'filterAccount', 'fixedPayoutAccount', 'statementAccount',
+            'scheduleFrom', 'scheduleTo', 'paymentFrom', 'loanRepaymentAccount'
         ];
+        // Loans move money only through their own repayments, so only the history and
+        // statement pickers list them
+        const listsLoans = ['filterAccount', 'statementAccount'];
+        const listed = dropdownId => account => dropdownId === 'loanRepaymentAccount' ?
+            account.accountType === 'checking' :
+            !(account instanceof LoanAccount) || listsLoans.includes(dropdownId);
         
         dropdowns.forEach(dropdownId => {
             const dropdown = document.getElementById(dropdownId);
@@ -653,7 +910,7 @@ class BankingSystem {
                     dropdown.innerHTML = '<option value="all">All Accounts</option>';
                 }
                 
-                this.accounts.forEach(account => {
+                this.bank.getVisibleAccounts().filter(listed(dropdownId)).forEach(account => {
                     const option = document.createElement('option');
                     option.value = account.accountNumber;
                     option.textContent = `${account.accountType.charAt(0).toUpperCase() + account.accountType.slice(1)} (${account.accountNumber}) - ${account.getFormattedBalance()}`;
@@ -672,33 +929,250 @@ class BankingSystem {
         const container = document.getElementById('accounts-list');
         if (!container) return;
 
-        if (this.accounts.size === 0) {
+        const accounts = this.bank.getVisibleAccounts();
+        if (accounts.length === 0) {
             container.innerHTML = '<p class="no-accounts">No accounts created yet</p>';
             return;
         }
 
-        container.innerHTML = Array.from(this.accounts.values()).map(account => {
+        container.innerHTML = accounts.map(account => {
             const interestRate = account.getInterestRate();
+            const now = this.bank.clock.now();
+            const rateChanges = account.rateHistory
+                .filter(entry => entry.effectiveFrom > now)
+                .map(entry => `<small>From ${entry.effectiveFrom.toLocaleDateString()}: ${escapeMarkup(entry.strategy.describe(entry.effectiveFrom))}</small>`)
+                .join('');
+            const fixedDepositInfo = !(account instanceof FixedDepositAccount) ? '' :
+                account.status === 'paid-out' ? '<small class="fixed-deposit-terms">Matured and paid out</small>' : `
+                    <small class="fixed-deposit-terms">
+                        ${account.termMonths}-month term | Matures ${account.maturityDate.toLocaleDateString()} |
+                        ${account.maturityInstruction === 'payout' ? `Pays out to ${escapeMarkup(account.payoutAccountNumber)}` : 'Rolls over'}
+                    </small>
+                `;
+            const loanInfo = !(account instanceof LoanAccount) ? '' : `
+                <small class="fixed-deposit-terms">
+                    ${formatRate(account.apr)} APR | ${account.termMonths} months | Repaid from ${escapeMarkup(account.repaymentAccountNumber)} |
+                    ${escapeMarkup(capitalize(account.status))}
+                </small>
+            `;
+            const owners = account.getOwners();
+            const ownerInfo = owners.length < 2 ? '' : `
+                <small class="account-owners">
+                    Joint account: ${owners.map(owner => `
+                        <span class="account-owner">
+                            ${escapeMarkup(owner.name)}
+                            <button class="remove-owner" title="Remove ${escapeMarkup(owner.name)}"
+                                onclick="removeAccountOwner('${escapeMarkup(account.accountNumber)}', '${escapeMarkup(owner.id)}')">&times;</button>
+                        </span>`).join('')}
+                </small>
+            `;
             return `
                 <div class="account-item">
                     <div class="account-info">
-                        <h4>${account.accountType.charAt(0).toUpperCase() + account.accountType.slice(1)} Account</h4>
-                        <small>Account: ${account.accountNumber}</small>
-                        ${interestRate > 0 ? `<small>Interest Rate: ${interestRate}% APY</small>` : ''}
+                        <h4>${escapeMarkup(capitalize(account.accountType))} Account</h4>
+                        <small>Account: ${escapeMarkup(account.accountNumber)}</small>
+                        ${interestRate > 0 ? `<small>Interest Rate: ${escapeMarkup(account.interestStrategy.describe(now))}</small>` : ''}
+                        ${rateChanges}
+                        ${account.rules.map(rule => `<small class="account-rule">${escapeMarkup(rule.describe(account))}</small>`).join('')}
+                        ${fixedDepositInfo}
+                        ${loanInfo}
+                        ${ownerInfo}
                     </div>
                     <div class="account-balance">
-                        ${account.getFormattedBalance()}
+                        ${escapeMarkup(account.getFormattedBalance())}
                     </div>
                 </div>
             `;
         }).join('');
     }
 
+    // Header switcher, customer list and the owner pickers in the Accounts tab. Other
+    // customers' accounts stay private; their own details are edited after signing in.
+    updateCustomerViews() {
+        const customers = Array.from(this.bank.customers.values());
+        const current = this.bank.getCurrentCustomer();
+        const staffView = Boolean(current) && ROLES[current.role].allAccounts;
+        const manager = this.bank.can('manage-users');
+        const roleSuffix = customer => customer.role === 'customer' ? '' : ` (${ROLES[customer.role].label})`;
+        const options = list => list
+            .map(customer => `<option value="${escapeMarkup(customer.id)}">${escapeMarkup(customer.name + roleSuffix(customer))}</option>`)
+            .join('');
+        const others = customers.filter(customer => customer !== current);
+        const accountHolders = customers.filter(customer => customer.role === 'customer');
+
+        // Staff open accounts on behalf of customers rather than for themselves
+        const accountOwnerGroup = document.getElementById('accountOwnerGroup');
+        const accountOwner = document.getElementById('accountOwner');
+        if (accountOwnerGroup && accountOwner) {
+            accountOwnerGroup.style.display = staffView ? 'block' : 'none';
+            accountOwner.innerHTML = staffView ? options(accountHolders) : '';
+        }
+
+        const switcher = document.getElementById('currentCustomer');
+        if (switcher) {
+            switcher.innerHTML = options(customers);
+            switcher.value = this.bank.currentCustomerId;
+        }
+
+        const jointOwner = document.getElementById('jointOwner');
+        if (jointOwner) {
+            jointOwner.innerHTML = '<option value="">None</option>' + options(others);
+        }
+
+        const ownerAccount = document.getElementById('ownerAccount');
+        if (ownerAccount) {
+            ownerAccount.innerHTML = this.bank.getVisibleAccounts()
+                .map(account => `<option value="${escapeMarkup(account.accountNumber)}">${escapeMarkup(capitalize(account.accountType))} (${escapeMarkup(account.accountNumber)})</option>`)
+                .join('');
+        }
+        const ownerCustomer = document.getElementById('ownerCustomer');
+        if (ownerCustomer) {
+            ownerCustomer.innerHTML = options(others);
+        }
+
+        const container = document.getElementById('customers-list');
+        if (!container) return;
+        const roleControl = customer => manager ? `
+            <select class="role-select" onchange="changeCustomerRole('${escapeMarkup(customer.id)}', this.value)">
+                ${Object.entries(ROLES).map(([role, { label }]) =>
+                    `<option value="${role}"${role === customer.role ? ' selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>
+        ` : `<span class="role-label">${escapeMarkup(ROLES[customer.role].label)}</span>`;
+        // Staff hand users without a password the code for their first sign-in
+        const setupControl = customer => {
+            if (!staffView || this.bank.auth.hasPassword(customer.id) ||
+                (customer.role !== 'customer' && !manager)) {
+                return '';
+            }
+            const code = issuedSetupCodes[customer.id];
+            return code ?
+                `<span class="role-label">Setup code: <code>${escapeMarkup(code)}</code></span>` :
+                `<button class="btn secondary" onclick="issueSetupCode('${escapeMarkup(customer.id)}')">
+                    <i class="fas fa-key"></i> Issue Setup Code
+                </button>`;
+        };
+        container.innerHTML = customers.map(customer => {
+            if (customer !== current) {
+                return `
+                    <div class="account-item customer-item">
+                        <div class="account-info">
+                            <h4>${escapeMarkup(customer.name)}</h4>
+                            <small>${escapeMarkup(customer.email)}</small>
+                        </div>
+                        ${roleControl(customer)}
+                        ${setupControl(customer)}
+                        ${manager ? `
+                            <button class="btn secondary" onclick="editCustomer('${escapeMarkup(customer.id)}')">
+                                <i class="fas fa-user-edit"></i> Edit
+                            </button>
+                        ` : ''}
+                    </div>
+                `;
+            }
+            const accounts = this.bank.getCustomerAccounts(customer.id);
+            return `
+                <div class="account-item customer-item current">
+                    <div class="account-info">
+                        <h4>${escapeMarkup(customer.name)}</h4>
+                        <small>${escapeMarkup(customer.email)}${customer.phone ? ` | ${escapeMarkup(customer.phone)}` : ''}</small>
+                        <small class="account-rule">
+                            ${accounts.length === 0 ? 'No accounts' : accounts.map(account => escapeMarkup(account.accountNumber)).join(', ')}
+                        </small>
+                    </div>
+                    ${roleControl(customer)}
+                    <button class="btn secondary" onclick="editCustomer('${escapeMarkup(customer.id)}')">
+                        <i class="fas fa-user-edit"></i> Edit
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    updateSecuritySettings() {
+        const status = document.getElementById('security-status');
+        const twoFactorButton = document.getElementById('twoFactorBtn');
+        const session = this.bank.auth.session;
+        if (!status || !twoFactorButton || !session) return;
+
+        const twoFactor = this.bank.auth.isTwoFactorEnabled(session.customerId);
+        const credential = this.bank.auth.credentials.get(session.customerId);
+        status.textContent = twoFactor ?
+            `Two-factor authentication is on (${credential.recoveryCodes.length} recovery codes left)` :
+            'Two-factor authentication is off';
+        twoFactorButton.textContent = twoFactor ? 'Disable Two-Factor Authentication' : 'Enable Two-Factor Authentication';
+    }
+
+    updateCurrencyOptions() {
+        const currencies = this.bank.exchangeRateProvider.getSupportedCurrencies();
+
+        ['accountCurrency', 'reportingCurrency'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (select) {
+                select.innerHTML = currencies
+                    .map(currency => `<option value="${escapeMarkup(currency)}">${escapeMarkup(currency)}</option>`)
+                    .join('');
+            }
+        });
+    }
+
+    updateApprovalSettings() {
+        const threshold = document.getElementById('approvalThreshold');
+        const expiryHours = document.getElementById('approvalExpiryHours');
+        if (threshold && expiryHours) {
+            threshold.value = this.bank.approvalPolicy.threshold;
+            expiryHours.value = this.bank.approvalPolicy.expiryHours;
+        }
+        const label = document.getElementById('approvalThresholdLabel');
+        if (label) {
+            label.textContent = `Approval threshold (${this.bank.approvalPolicy.currency}):`;
+        }
+    }
+
+    updateFixedDepositSettings() {
+        const allowEarlyWithdrawal = document.getElementById('allowEarlyWithdrawal');
+        const penaltyRate = document.getElementById('earlyWithdrawalPenalty');
+        if (allowEarlyWithdrawal && penaltyRate) {
+            allowEarlyWithdrawal.checked = this.bank.fixedDepositPolicy.allowEarlyWithdrawal;
+            penaltyRate.value = (this.bank.fixedDepositPolicy.penaltyRate * 100).toFixed(2);
+        }
+    }
+
+    updateFixedTermOptions() {
+        const select = document.getElementById('fixedTerm');
+        if (select) {
+            select.innerHTML = Object.entries(FIXED_DEPOSIT_RATE_TIERS)
+                .map(([months, rate]) => `<option value="${months}"${months === '12' ? ' selected' : ''}>${months} months - ${formatRate(rate)} APY</option>`)
+                .join('');
+        }
+    }
+
     initializeUI() {
+        this.updateCustomerViews();
+        this.updateSecuritySettings();
+        this.updateInbox();
+        this.updateNotificationSettings();
+        const statementMonth = document.getElementById('statementMonth');
+        if (statementMonth && !statementMonth.value) {
+            statementMonth.value = this.bank.clock.now().toISOString().slice(0, 7);
+        }
+        this.updateCurrencyOptions();
+        this.updateFixedTermOptions();
+        this.updateFixedDepositSettings();
+        this.updateApprovalSettings();
+        this.updateFraudRuleSettings();
+        this.updateFraudReviews();
         this.updateBalanceDisplay();
         this.updateAccountDropdowns();
         this.updateAccountsList();
         this.updateTransactionHistory();
+        this.updateTimeline();
+        this.updateGeneralLedger();
+        this.updateApprovals();
+        this.updateScheduledTransfers();
+        this.updatePayments();
+        this.updateInsights();
+        this.updateLoans();
     }
 
     setupEventListeners() {
@@ -733,10 +1207,91 @@ class BankingSystem {
 // ============================================================================
 
 let bankingSystem;
+let bankingView;
+
+// The bank operation behind each inline handler that changes something other than
+// balances, so controls the bank cannot run can be disabled
+const ACTION_OPERATIONS = {
+    handleChangePassword: 'changePassword',
+    toggleTwoFactor: 'beginTwoFactorEnrollment',
+    confirmTwoFactor: 'confirmTwoFactorEnrollment',
+    disableTwoFactor: 'disableTwoFactor',
+    issueSetupCode: 'issueSetupCode',
+    saveCustomer: 'createCustomer',
+    editCustomer: 'updateCustomer',
+    changeCustomerRole: 'setCustomerRole',
+    addAccountOwner: 'addAccountOwner',
+    removeAccountOwner: 'removeAccountOwner',
+    updateNotificationChannel: 'setNotificationChannel',
+    updateNotificationPreference: 'setNotificationPreference',
+    changeReportingCurrency: 'setReportingCurrency',
+    updateApprovalPolicy: 'setApprovalPolicy',
+    updateFixedDepositPolicy: 'setFixedDepositPolicy',
+    updateFraudRule: 'setFraudRule',
+    reviewFraudCase: 'reviewFraudCase',
+    payOffLoan: 'repayLoan',
+    payLoanExtra: 'repayLoan',
+    showScheduleForm: 'createScheduledTransfer',
+    handleScheduleSubmit: 'createScheduledTransfer',
+    pauseScheduledTransfer: 'pauseScheduledTransfer',
+    resumeScheduledTransfer: 'resumeScheduledTransfer',
+    skipScheduledTransfer: 'skipScheduledTransfer',
+    cancelScheduledTransfer: 'cancelScheduledTransfer',
+    addPayee: 'addPayee',
+    removePayee: 'removePayee',
+    handleSendPayment: 'sendPayment',
+    addCategoryRule: 'addCategoryRule',
+    removeCategoryRule: 'removeCategoryRule',
+    setTransactionCategory: 'setTransactionCategory',
+    setBudget: 'setBudget',
+    removeBudget: 'removeBudget',
+    previewImport: 'commitImport',
+    commitImport: 'commitImport'
+};
+
+// Disables the controls, or every field of the forms, whose operation the bank cannot
+// run, and says why on hover
+function disableUnsupportedActions() {
+    document.querySelectorAll('[onclick], [onsubmit], [onchange]').forEach(element => {
+        const handler = element.getAttribute('onclick') || element.getAttribute('onsubmit') || element.getAttribute('onchange');
+        const name = /^\s*(?:return\s+)?(\w+)\(/.exec(handler);
+        const operation = name && ACTION_OPERATIONS[name[1]];
+        if (!operation || bankingSystem.supports(operation)) return;
+
+        const controls = element.tagName === 'FORM' ? element.querySelectorAll('input, select, textarea, button') : [element];
+        controls.forEach(control => {
+            control.disabled = true;
+            control.title = 'Not available while the app runs against the API';
+        });
+    });
+}
 
-// Initialize the banking system when page loads
-document.addEventListener('DOMContentLoaded', function() {
-    bankingSystem = new BankingSystem();
+// Initialize the banking system when page loads. Served by api-server.js, the page
+// names the API in a bank-api meta tag and runs against it instead of local storage.
+document.addEventListener('DOMContentLoaded', async function() {
+    const api = document.querySelector('meta[name="bank-api"]');
+    try {
+        bankingSystem = api ? await RemoteBankingSystem.connect(new ApiClient(api.content)) : new BankingSystem();
+    } catch (error) {
+        document.body.textContent = `Could not reach the banking API: ${error.message}`;
+        return;
+    }
+    bankingView = new BankingView(bankingSystem);
+    showAuthScreen('login', bankingSystem.getCurrentCustomer() ? bankingSystem.getCurrentCustomer().email : '');
+
+    // Settings and other changes the API does not take stay disabled, including in
+    // lists drawn later
+    if (api) {
+        disableUnsupportedActions();
+        new MutationObserver(disableUnsupportedActions).observe(document.body, { childList: true, subtree: true });
+    }
+    
+    // Accrue interest and process maturities hourly while the page stays open
+    setInterval(() => bankingSystem.runDailyProcessing(), 60 * 60 * 1000);
+
+    // Lock the app once the session idles out; clicks and key presses keep it alive
+    setInterval(checkSessionTimeout, 15 * 1000);
+    ['click', 'keydown'].forEach(type => document.addEventListener(type, recordActivity, true));
 });
 
 // Modal functions
@@ -749,36 +1304,344 @@ function closeModal(modalId) {
 }
 
 // Account creation
-function createAccount() {
+function toggleAccountTypeOptions() {
+    const accountType = document.getElementById('accountType').value;
+    const isFixed = accountType === 'fixed';
+    document.getElementById('fixedDepositOptions').style.display = isFixed ? 'block' : 'none';
+    document.getElementById('fixedPayoutGroup').style.display =
+        isFixed && document.getElementById('fixedMaturityInstruction').value === 'payout' ? 'block' : 'none';
+    document.getElementById('loanOptions').style.display = accountType === 'loan' ? 'block' : 'none';
+    document.getElementById('initialDepositGroup').style.display = accountType === 'loan' ? 'none' : 'block';
+}
+
+async function createAccount() {
     const accountType = document.getElementById('accountType').value;
-    const initialDeposit = parseFloat(document.getElementById('initialDeposit').value) || 0;
+    const currency = document.getElementById('accountCurrency').value;
+    const jointOwner = document.getElementById('jointOwner').value;
+    const owner = document.getElementById('accountOwner').value || bankingSystem.currentCustomerId;
+    const ownerIds = [owner, ...(jointOwner && jointOwner !== owner ? [jointOwner] : [])];
+    const options = accountType === 'fixed' ? {
+        fixedDeposit: {
+            termMonths: Number(document.getElementById('fixedTerm').value),
+            maturityInstruction: document.getElementById('fixedMaturityInstruction').value,
+            payoutAccountNumber: document.getElementById('fixedPayoutAccount').value
+        }
+    } : {};
     
     try {
-        const account = bankingSystem.createAccount(accountType, initialDeposit);
-        
-        // Clear form
-        document.getElementById('initialDeposit').value = '';
+        if (accountType === 'loan') {
+            options.loan = {
+                principal: Money.parse(document.getElementById('loanPrincipal').value || '0', currency),
+                apr: Number(document.getElementById('loanApr').value),
+                termMonths: Number(document.getElementById('loanTerm').value),
+                repaymentAccountNumber: document.getElementById('loanRepaymentAccount').value
+            };
+        }
+        const initialDeposit = accountType === 'loan' ?
+            Money.zero(currency) :
+            Money.parse(document.getElementById('initialDeposit').value || '0', currency);
+        await bankingSystem.createAccount(accountType, initialDeposit, ownerIds, options);
         
-        // Show success notification
-        const customer = Array.from(bankingSystem.customers.values())[0];
-        customer.update(`${accountType.charAt(0).toUpperCase() + accountType.slice(1)} account created successfully with initial deposit of $${initialDeposit.toFixed(2)}`, 'success');
+        // Clear form; the AccountCreated event brings the success notification
+        ['initialDeposit', 'loanPrincipal', 'jointOwner'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
         
     } catch (error) {
-        const customer = Array.from(bankingSystem.customers.values())[0];
-        customer.update(`Error creating account: ${error.message}`, 'error');
+        const customer = bankingSystem.getCurrentCustomer();
+        customer.notify(`Error creating account: ${error.message}`, 'error');
+    }
+}
+
+// Sign-in, lock screen and security settings. The sign-in overlay has three modes:
+// 'login', 'setup' for a customer's first password and 'unlock' for a locked session.
+let authMode = 'login';
+
+function showAuthScreen(mode, email = '') {
+    authMode = mode;
+    const customer = bankingSystem.getCurrentCustomer();
+    const titles = { login: 'Sign In', setup: 'Create Your Password', unlock: 'Session Locked' };
+    const subtitles = {
+        login: 'Demo users sign in with the password securebank-demo.',
+        setup: 'This is your first sign-in. Enter the setup code the bank gave you and choose a password of at least 8 characters.',
+        unlock: customer ? `Signed in as ${customer.name}. Enter your password to continue.` : ''
+    };
+
+    document.getElementById('authTitle').textContent = titles[mode];
+    document.getElementById('authSubtitle').textContent = subtitles[mode];
+    document.getElementById('authSubmit').textContent = mode === 'unlock' ? 'Unlock' : titles[mode];
+    document.getElementById('loginEmailGroup').style.display = mode === 'unlock' ? 'none' : 'block';
+    document.getElementById('loginConfirmGroup').style.display = mode === 'setup' ? 'block' : 'none';
+    document.getElementById('loginSetupCodeGroup').style.display = mode === 'setup' ? 'block' : 'none';
+    document.getElementById('loginCodeGroup').style.display = 'none';
+    document.getElementById('authSignOut').style.display = mode === 'unlock' ? 'inline-block' : 'none';
+    if (email) {
+        document.getElementById('loginEmail').value = email;
+    }
+    ['loginPassword', 'loginPasswordConfirm', 'loginSetupCode', 'loginCode'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('authError').textContent = '';
+    document.getElementById('authScreen').style.display = 'flex';
+}
+
+function hideAuthScreen() {
+    document.getElementById('authScreen').style.display = 'none';
+}
+
+async function handleAuthSubmit(event) {
+    event.preventDefault();
+
+    const email = document.getElementById('loginEmail').value;
+    const password = document.getElementById('loginPassword').value;
+    const code = document.getElementById('loginCode').value.trim();
+    const submit = document.getElementById('authSubmit');
+    submit.disabled = true;
+
+    try {
+        if (authMode === 'unlock') {
+            await bankingSystem.unlockSession(password);
+        } else if (authMode === 'setup') {
+            if (password !== document.getElementById('loginPasswordConfirm').value) {
+                throw new Error("Passwords do not match");
+            }
+            await bankingSystem.createPassword(email, document.getElementById('loginSetupCode').value.trim(), password);
+        } else {
+            await bankingSystem.login(email, password, code || null);
+        }
+        hideAuthScreen();
+    } catch (error) {
+        if (error.code === 'PASSWORD_NOT_SET') {
+            showAuthScreen('setup', email);
+            return false;
+        }
+        // Too many wrong passwords on the lock screen sign out completely
+        if (authMode === 'unlock' && !bankingSystem.auth.session) {
+            showAuthScreen('login');
+        }
+        if (error.code === 'TWO_FACTOR_REQUIRED') {
+            document.getElementById('loginCodeGroup').style.display = 'block';
+            document.getElementById('loginCode').focus();
+        }
+        document.getElementById('authError').textContent = error.message;
+    } finally {
+        submit.disabled = false;
+    }
+    return false;
+}
+
+function lockSession() {
+    bankingSystem.lockSession();
+    showAuthScreen('unlock');
+}
+
+function logout() {
+    const customer = bankingSystem.getCurrentCustomer();
+    bankingSystem.logout();
+    showAuthScreen('login', customer ? customer.email : '');
+}
+
+function checkSessionTimeout() {
+    if (bankingSystem.auth.checkIdle()) {
+        showAuthScreen('unlock');
+    }
+}
+
+// Runs before click handlers, so an idled-out session locks before the action fails
+function recordActivity() {
+    const auth = bankingSystem.auth;
+    if (auth.session && !auth.session.locked && !auth.touch()) {
+        showAuthScreen('unlock');
+    }
+}
+
+async function handleChangePassword(event) {
+    event.preventDefault();
+    const customer = bankingSystem.getCurrentCustomer();
+    const newPassword = document.getElementById('newPassword').value;
+
+    try {
+        if (newPassword !== document.getElementById('confirmNewPassword').value) {
+            throw new Error("Passwords do not match");
+        }
+        await bankingSystem.changePassword(document.getElementById('currentPassword').value, newPassword);
+        event.target.reset();
+        closeModal('passwordModal');
+        customer.notify('Password changed', 'success');
+    } catch (error) {
+        customer.notify(`Could not change password: ${error.message}`, 'error');
+    }
+    return false;
+}
+
+function showTwoFactorStep(step) {
+    ['enroll', 'recovery', 'disable'].forEach(name => {
+        document.getElementById(`twoFactor-${name}`).style.display = name === step ? 'block' : 'none';
+    });
+}
+
+// Opens enrollment, or the confirmation to turn two-factor off when it is already on
+function toggleTwoFactor() {
+    const customer = bankingSystem.getCurrentCustomer();
+    try {
+        if (bankingSystem.auth.isTwoFactorEnabled(customer.id)) {
+            document.getElementById('twoFactorPassword').value = '';
+            showTwoFactorStep('disable');
+        } else {
+            const enrollment = bankingSystem.beginTwoFactorEnrollment();
+            document.getElementById('twoFactorQr').innerHTML = enrollment.qrCode;
+            document.getElementById('twoFactorSecret').textContent = enrollment.secret.match(/.{1,4}/g).join(' ');
+            document.getElementById('twoFactorCode').value = '';
+            showTwoFactorStep('enroll');
+        }
+        showModal('twoFactorModal');
+    } catch (error) {
+        customer.notify(`Two-factor setup failed: ${error.message}`, 'error');
+    }
+}
+
+async function confirmTwoFactor() {
+    const customer = bankingSystem.getCurrentCustomer();
+    try {
+        const recoveryCodes = await bankingSystem.confirmTwoFactorEnrollment(document.getElementById('twoFactorCode').value);
+        document.getElementById('recoveryCodes').innerHTML = recoveryCodes
+            .map(code => `<li><code>${escapeMarkup(code)}</code></li>`)
+            .join('');
+        showTwoFactorStep('recovery');
+        customer.notify('Two-factor authentication is on', 'success');
+    } catch (error) {
+        customer.notify(`Could not enable two-factor authentication: ${error.message}`, 'error');
+    }
+}
+
+async function disableTwoFactor() {
+    const customer = bankingSystem.getCurrentCustomer();
+    try {
+        await bankingSystem.disableTwoFactor(document.getElementById('twoFactorPassword').value);
+        closeModal('twoFactorModal');
+        customer.notify('Two-factor authentication is off', 'warning');
+    } catch (error) {
+        customer.notify(`Could not disable two-factor authentication: ${error.message}`, 'error');
+    }
+}
+
+// Customers and account ownership. Viewing another customer means signing in as them.
+function switchCustomer(customerId) {
+    const customer = bankingSystem.getCustomer(customerId);
+    bankingSystem.logout();
+    showAuthScreen('login', customer.email);
+}
+
+function editCustomer(customerId) {
+    const customer = bankingSystem.getCustomer(customerId);
+    document.getElementById('customerId').value = customer.id;
+    document.getElementById('customerName').value = customer.name;
+    document.getElementById('customerEmail').value = customer.email;
+    document.getElementById('customerPhone').value = customer.phone || '';
+    document.getElementById('saveCustomerBtn').innerHTML = '<i class="fas fa-save"></i> Save Changes';
+}
+
+function resetCustomerForm() {
+    ['customerId', 'customerName', 'customerEmail', 'customerPhone'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('saveCustomerBtn').innerHTML = '<i class="fas fa-user-plus"></i> Add Customer';
+}
+
+function saveCustomer() {
+    const customerId = document.getElementById('customerId').value;
+    const details = {
+        name: document.getElementById('customerName').value,
+        email: document.getElementById('customerEmail').value,
+        phone: document.getElementById('customerPhone').value
+    };
+
+    try {
+        const customer = customerId ?
+            bankingSystem.updateCustomer(customerId, details) :
+            bankingSystem.createCustomer(details.name, details.email, details.phone);
+        bankingSystem.getCurrentCustomer().notify(`Customer ${customer.name} ${customerId ? 'updated' : 'added'}`, 'success');
+        resetCustomerForm();
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not save customer: ${error.message}`, 'error');
+    }
+}
+
+// Setup codes issued in this session, shown until the user has set their password
+const issuedSetupCodes = {};
+
+function issueSetupCode(customerId) {
+    try {
+        issuedSetupCodes[customerId] = bankingSystem.issueSetupCode(customerId);
+        bankingView.updateCustomerViews();
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not issue a setup code: ${error.message}`, 'error');
+    }
+}
+
+function changeCustomerRole(customerId, role) {
+    try {
+        const customer = bankingSystem.setCustomerRole(customerId, role);
+        bankingSystem.getCurrentCustomer().notify(`${customer.name} is now a ${ROLES[role].label.toLowerCase()}`, 'success');
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not change role: ${error.message}`, 'error');
+        bankingView.updateCustomerViews();
+    }
+}
+
+function addAccountOwner() {
+    const accountNumber = document.getElementById('ownerAccount').value;
+    const customerId = document.getElementById('ownerCustomer').value;
+
+    try {
+        bankingSystem.addAccountOwner(accountNumber, customerId);
+        bankingSystem.getCurrentCustomer().notify(
+            `${bankingSystem.getCustomer(customerId).name} is now a joint owner of ${accountNumber}`, 'success'
+        );
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not add owner: ${error.message}`, 'error');
+    }
+}
+
+function removeAccountOwner(accountNumber, customerId) {
+    try {
+        const name = bankingSystem.getCustomer(customerId).name;
+        bankingSystem.removeAccountOwner(accountNumber, customerId);
+        bankingSystem.getCurrentCustomer().notify(`${name} no longer owns ${accountNumber}`, 'success');
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not remove owner: ${error.message}`, 'error');
     }
 }
 
 // Transaction handlers
-function handleDeposit(event) {
+// One idempotency key per money form, kept until a submission goes through, so a
+// double click or a retry after a lost response cannot post twice
+const submissionKeys = {};
+
+function submissionKey(form) {
+    if (!submissionKeys[form]) {
+        submissionKeys[form] = bytesToHex(randomBytes(16));
+    }
+    return submissionKeys[form];
+}
+
+// A reused key means an earlier submission from the form already posted
+function finishSubmission(form, error = null) {
+    if (!error || error.code === 'IDEMPOTENCY_KEY_REUSED') {
+        delete submissionKeys[form];
+    }
+}
+
+async function handleDeposit(event) {
     event.preventDefault();
     
     const accountNumber = document.getElementById('depositAccount').value;
-    const amount = parseFloat(document.getElementById('depositAmount').value);
     const description = document.getElementById('depositDescription').value;
     
     try {
-        bankingSystem.deposit(accountNumber, amount, description);
+        const amount = bankingSystem.parseAmount(accountNumber, document.getElementById('depositAmount').value);
+        await bankingSystem.deposit(accountNumber, amount, description, submissionKey('deposit'));
+        finishSubmission('deposit');
         
         // Clear form and close modal
         document.getElementById('depositAmount').value = '';
@@ -786,22 +1649,24 @@ function handleDeposit(event) {
         closeModal('depositModal');
         
     } catch (error) {
-        const customer = Array.from(bankingSystem.customers.values())[0];
-        customer.update(`Deposit failed: ${error.message}`, 'error');
+        finishSubmission('deposit', error);
+        const customer = bankingSystem.getCurrentCustomer();
+        customer.notify(`Deposit failed: ${error.message}`, 'error');
     }
     
     return false;
 }
 
-function handleWithdraw(event) {
+async function handleWithdraw(event) {
     event.preventDefault();
     
     const accountNumber = document.getElementById('withdrawAccount').value;
-    const amount = parseFloat(document.getElementById('withdrawAmount').value);
     const description = document.getElementById('withdrawDescription').value;
     
     try {
-        bankingSystem.withdraw(accountNumber, amount, description);
+        const amount = bankingSystem.parseAmount(accountNumber, document.getElementById('withdrawAmount').value);
+        await bankingSystem.withdraw(accountNumber, amount, description, submissionKey('withdraw'));
+        finishSubmission('withdraw');
         
         // Clear form and close modal
         document.getElementById('withdrawAmount').value = '';
@@ -809,23 +1674,25 @@ function handleWithdraw(event) {
         closeModal('withdrawModal');
         
     } catch (error) {
-        const customer = Array.from(bankingSystem.customers.values())[0];
-        customer.update(`Withdrawal failed: ${error.message}`, 'error');
+        finishSubmission('withdraw', error);
+        const customer = bankingSystem.getCurrentCustomer();
+        customer.notify(`Withdrawal failed: ${error.message}`, 'error');
     }
     
     return false;
 }
 
-function handleTransfer(event) {
+async function handleTransfer(event) {
     event.preventDefault();
     
     const fromAccount = document.getElementById('transferFrom').value;
     const toAccount = document.getElementById('transferTo').value;
-    const amount = parseFloat(document.getElementById('transferAmount').value);
     const description = document.getElementById('transferDescription').value;
     
     try {
-        bankingSystem.transfer(fromAccount, toAccount, amount, description);
+        const amount = bankingSystem.parseAmount(fromAccount, document.getElementById('transferAmount').value);
+        await bankingSystem.transfer(fromAccount, toAccount, amount, description, submissionKey('transfer'));
+        finishSubmission('transfer');
         
         // Clear form and close modal
         document.getElementById('transferAmount').value = '';
@@ -833,23 +1700,551 @@ function handleTransfer(event) {
         closeModal('transferModal');
         
     } catch (error) {
-        const customer = Array.from(bankingSystem.customers.values())[0];
-        customer.update(`Transfer failed: ${error.message}`, 'error');
+        finishSubmission('transfer', error);
+        const customer = bankingSystem.getCurrentCustomer();
+        customer.notify(`Transfer failed: ${error.message}`, 'error');
     }
     
     return false;
 }
 
-function undoLastTransaction() {
-    if (bankingSystem.undoLastTransaction()) {
-        const customer = Array.from(bankingSystem.customers.values())[0];
-        customer.update('Last transaction has been undone successfully', 'warning');
+// External payees and payments
+function togglePayeeScheme() {
+    const scheme = document.getElementById('payeeScheme').value;
+    document.getElementById('payeeIbanGroup').style.display = scheme === 'iban' ? 'block' : 'none';
+    document.getElementById('payeeUsGroup').style.display = scheme === 'us-account' ? 'block' : 'none';
+}
+
+function addPayee() {
+    const value = id => document.getElementById(id).value;
+    const details = value('payeeScheme') === 'iban' ?
+        { name: value('payeeName'), iban: value('payeeIban') } :
+        { name: value('payeeName'), routingNumber: value('payeeRouting'), accountNumber: value('payeeAccountNumber') };
+
+    try {
+        const payee = bankingSystem.addPayee(details);
+        bankingSystem.getCurrentCustomer().notify(`Payee ${payee.name} saved`, 'success');
+        ['payeeName', 'payeeIban', 'payeeRouting', 'payeeAccountNumber'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not save payee: ${error.message}`, 'error');
+    }
+}
+
+function removePayee(payeeId) {
+    try {
+        const payee = bankingSystem.removePayee(payeeId);
+        bankingSystem.getCurrentCustomer().notify(`Payee ${payee.name} removed`, 'success');
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not remove payee: ${error.message}`, 'error');
+    }
+}
+
+function setTransactionCategory(accountNumber, transactionId, category) {
+    try {
+        bankingSystem.setTransactionCategory(accountNumber, transactionId, category);
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not change category: ${error.message}`, 'error');
+        bankingView.updateTransactionHistory();
+    }
+}
+
+function setBudget() {
+    const value = id => document.getElementById(id).value;
+    try {
+        const budget = bankingSystem.setBudget(
+            value('budgetCategory'),
+            Money.parse(value('budgetLimit'), bankingSystem.reportingCurrency),
+            Number(value('budgetAlertPercent'))
+        );
+        bankingSystem.getCurrentCustomer().notify(`${TRANSACTION_CATEGORIES[budget.category]} budget set to ${budget.limit.format()} a month`, 'success');
+        document.getElementById('budgetLimit').value = '';
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not set budget: ${error.message}`, 'error');
+    }
+}
+
+function removeBudget(budgetId) {
+    try {
+        const budget = bankingSystem.removeBudget(budgetId);
+        bankingSystem.getCurrentCustomer().notify(`${TRANSACTION_CATEGORIES[budget.category]} budget removed`, 'success');
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not remove budget: ${error.message}`, 'error');
+    }
+}
+
+function addCategoryRule() {
+    const value = id => document.getElementById(id).value;
+    const amount = id => value(id) === '' ? null : Number(value(id));
+    try {
+        const rule = bankingSystem.addCategoryRule({
+            category: value('ruleCategory'),
+            side: value('ruleSide'),
+            descriptionContains: value('ruleDescription'),
+            minAmount: amount('ruleMinAmount'),
+            maxAmount: amount('ruleMaxAmount')
+        });
+        bankingSystem.getCurrentCustomer().notify(`New transactions matching the rule go to ${TRANSACTION_CATEGORIES[rule.category]}`, 'success');
+        ['ruleDescription', 'ruleMinAmount', 'ruleMaxAmount'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not add rule: ${error.message}`, 'error');
+    }
+}
+
+function removeCategoryRule(ruleId) {
+    try {
+        bankingSystem.removeCategoryRule(ruleId);
+        bankingSystem.getCurrentCustomer().notify('Categorization rule removed', 'success');
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not remove rule: ${error.message}`, 'error');
+    }
+}
+
+// Loan repayments; the transfer and loan events bring the notifications
+function payLoanExtra() {
+    const loanNumber = document.getElementById('loanSelect').value;
+    try {
+        bankingSystem.repayLoan(loanNumber, bankingSystem.parseAmount(loanNumber, document.getElementById('loanExtraAmount').value));
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not make the payment: ${error.message}`, 'error');
+    }
+}
+
+function payOffLoan() {
+    try {
+        bankingSystem.repayLoan(document.getElementById('loanSelect').value);
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not pay off the loan: ${error.message}`, 'error');
+    }
+}
+
+// The PaymentStatusChanged and ApprovalRequested events bring the notifications
+function handleSendPayment(event) {
+    event.preventDefault();
+
+    const fromAccount = document.getElementById('paymentFrom').value;
+    try {
+        const amount = bankingSystem.parseAmount(fromAccount, document.getElementById('paymentAmount').value);
+        bankingSystem.sendPayment(
+            fromAccount,
+            document.getElementById('paymentPayee').value,
+            amount,
+            document.getElementById('paymentDescription').value
+        );
+        document.getElementById('paymentAmount').value = '';
+        document.getElementById('paymentDescription').value = '';
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Payment failed: ${error.message}`, 'error');
+    }
+
+    return false;
+}
+
+// Scheduled transfers. The form creates a new schedule, or edits the terms of an
+// existing one when `scheduleId` is given.
+function showScheduleForm(scheduleId = '') {
+    const value = (id, content) => { document.getElementById(id).value = content; };
+    const schedule = scheduleId ? bankingSystem.transferScheduler.get(scheduleId) : null;
+    value('scheduleId', scheduleId);
+    value('scheduleAmount', schedule ? schedule.amount.toDecimalString() : '');
+    value('scheduleDescription', schedule ? schedule.description : '');
+    value('scheduleFrequency', schedule ? schedule.frequency : 'monthly');
+    value('scheduleStart', formatIsoDate(schedule ? schedule.startDate : bankingSystem.clock.now()));
+    value('scheduleEnd', schedule && schedule.endDate ? formatIsoDate(schedule.endDate) : '');
+    value('scheduleOccurrences', schedule && schedule.maxOccurrences !== null ? schedule.maxOccurrences : '');
+    if (schedule) {
+        value('scheduleFrom', schedule.fromAccountNumber);
+        value('scheduleTo', schedule.toAccountNumber);
+    }
+    // Only the amount, description and when it ends can change once a schedule exists
+    ['scheduleFrom', 'scheduleTo', 'scheduleFrequency', 'scheduleStart'].forEach(id => {
+        document.getElementById(id).disabled = Boolean(schedule);
+    });
+    document.getElementById('scheduleTitle').textContent = schedule ? 'Edit Scheduled Transfer' : 'Schedule a Transfer';
+    showModal('scheduleModal');
+}
+
+function handleScheduleSubmit(event) {
+    event.preventDefault();
+
+    const value = id => document.getElementById(id).value;
+    const scheduleId = value('scheduleId');
+    const fromAccount = value('scheduleFrom');
+    const endDate = value('scheduleEnd') ? new Date(value('scheduleEnd')) : null;
+    const maxOccurrences = value('scheduleOccurrences') ? Number(value('scheduleOccurrences')) : null;
+
+    try {
+        const amount = bankingSystem.parseAmount(fromAccount, value('scheduleAmount'));
+        if (scheduleId) {
+            bankingSystem.updateScheduledTransfer(scheduleId, {
+                amount,
+                description: value('scheduleDescription'),
+                endDate,
+                maxOccurrences
+            });
+        } else {
+            bankingSystem.createScheduledTransfer(fromAccount, value('scheduleTo'), amount, value('scheduleDescription'), {
+                frequency: value('scheduleFrequency'),
+                startDate: new Date(value('scheduleStart')),
+                endDate,
+                maxOccurrences
+            });
+        }
+        bankingSystem.getCurrentCustomer().notify(`Scheduled transfer ${scheduleId ? 'updated' : 'created'}`, 'success');
+        closeModal('scheduleModal');
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not save scheduled transfer: ${error.message}`, 'error');
+    }
+
+    return false;
+}
+
+function pauseScheduledTransfer(scheduleId) {
+    runScheduleAction(() => bankingSystem.pauseScheduledTransfer(scheduleId), 'paused');
+}
+
+function resumeScheduledTransfer(scheduleId) {
+    runScheduleAction(() => bankingSystem.resumeScheduledTransfer(scheduleId), 'resumed');
+}
+
+function skipScheduledTransfer(scheduleId) {
+    runScheduleAction(() => bankingSystem.skipScheduledTransfer(scheduleId), 'will skip its next payment');
+}
+
+function cancelScheduledTransfer(scheduleId) {
+    runScheduleAction(() => bankingSystem.cancelScheduledTransfer(scheduleId), 'cancelled');
+}
+
+function runScheduleAction(action, outcome) {
+    const customer = bankingSystem.getCurrentCustomer();
+    try {
+        const schedule = action();
+        customer.notify(`Scheduled transfer ${schedule.describe()} ${outcome}`, 'success');
+    } catch (error) {
+        customer.notify(`Scheduled transfer not changed: ${error.message}`, 'error');
+    }
+}
+
+function updateFixedDepositPolicy() {
+    try {
+        bankingSystem.setFixedDepositPolicy({
+            allowEarlyWithdrawal: document.getElementById('allowEarlyWithdrawal').checked,
+            penaltyRate: Number(document.getElementById('earlyWithdrawalPenalty').value) / 100
+        });
+    } catch (error) {
+        const customer = bankingSystem.getCurrentCustomer();
+        customer.notify(`Could not update fixed deposit policy: ${error.message}`, 'error');
+        bankingView.updateFixedDepositSettings();
+    }
+}
+
+function updateApprovalPolicy() {
+    try {
+        bankingSystem.setApprovalPolicy({
+            threshold: Number(document.getElementById('approvalThreshold').value),
+            expiryHours: Number(document.getElementById('approvalExpiryHours').value)
+        });
+    } catch (error) {
+        const customer = bankingSystem.getCurrentCustomer();
+        customer.notify(`Could not update approval policy: ${error.message}`, 'error');
+        bankingView.updateApprovalSettings();
+    }
+}
+
+function updateFraudRule(ruleId, key, value) {
+    try {
+        bankingSystem.setFraudRule(ruleId, { [key]: value });
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not update fraud rule: ${error.message}`, 'error');
+        bankingView.updateFraudRuleSettings();
+    }
+}
+
+function reviewFraudCase(reviewId, status) {
+    try {
+        const review = bankingSystem.reviewFraudCase(reviewId, status, document.getElementById(`note-${reviewId}`).value);
+        bankingSystem.getCurrentCustomer().notify(`Case ${review.id} marked ${review.status}`, 'success');
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not update case: ${error.message}`, 'error');
+    }
+}
+
+// Approvals tab; the ApprovalDecided event brings the notifications
+async function approveRequest(requestId) {
+    try {
+        await bankingSystem.approveRequest(requestId);
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not approve: ${error.message}`, 'error');
+    }
+}
+
+async function rejectRequest(requestId) {
+    try {
+        await bankingSystem.rejectRequest(requestId, document.getElementById(`reason-${requestId}`).value);
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not reject: ${error.message}`, 'error');
+    }
+}
+
+function changeReportingCurrency(currency) {
+    try {
+        bankingSystem.setReportingCurrency(currency);
+    } catch (error) {
+        const customer = bankingSystem.getCurrentCustomer();
+        customer.notify(`Could not change reporting currency: ${error.message}`, 'error');
+    }
+}
+
+// Transaction search on the Transactions tab
+function applyTransactionFilters() {
+    const value = id => document.getElementById(id).value;
+    const amount = id => value(id) === '' ? null : Money.parse(value(id), bankingSystem.reportingCurrency);
+    const [sortBy, sortOrder] = value('sortTransactions').split('-');
+
+    try {
+        bankingView.setTransactionFilters({
+            accountNumber: value('filterAccount'),
+            type: value('filterType'),
+            category: value('filterCategory'),
+            from: value('filterFrom') ? new Date(`${value('filterFrom')}T00:00:00`) : null,
+            to: value('filterTo') ? new Date(`${value('filterTo')}T23:59:59.999`) : null,
+            minAmount: amount('filterMinAmount'),
+            maxAmount: amount('filterMaxAmount'),
+            text: value('filterText'),
+            sortBy,
+            sortOrder
+        });
+    } catch (error) {
+        const customer = bankingSystem.getCurrentCustomer();
+        customer.notify(`Invalid filter: ${error.message}`, 'error');
+    }
+}
+
+function resetTransactionFilters() {
+    ['filterFrom', 'filterTo', 'filterMinAmount', 'filterMaxAmount', 'filterText'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('filterAccount').value = 'all';
+    document.getElementById('filterType').value = 'all';
+    document.getElementById('filterCategory').value = 'all';
+    document.getElementById('sortTransactions').value = 'date-desc';
+    applyTransactionFilters();
+}
+
+function loadMoreTransactions() {
+    bankingView.loadMoreTransactions();
+}
+
+// Statements and CSV import
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function exportStatement(format) {
+    const accountNumber = document.getElementById('statementAccount').value;
+    const [year, month] = document.getElementById('statementMonth').value.split('-').map(Number);
+
+    try {
+        if (!year || !month) {
+            throw new Error("Choose a statement month");
+        }
+        const file = bankingSystem.exportStatement(accountNumber, year, month, format);
+        if (format === 'html') {
+            const printWindow = window.open('', '_blank');
+            if (!printWindow) {
+                throw new Error("Allow pop-ups to print statements");
+            }
+            printWindow.document.write(file.content);
+            printWindow.document.close();
+            printWindow.print();
+        } else {
+            downloadFile(file.filename, file.content, file.mimeType);
+        }
+    } catch (error) {
+        const customer = bankingSystem.getCurrentCustomer();
+        customer.notify(`Statement export failed: ${error.message}`, 'error');
+    }
+}
+
+let pendingImport = null;
+
+function previewImport() {
+    const file = document.getElementById('importFile').files[0];
+    const customer = bankingSystem.getCurrentCustomer();
+    if (!file) {
+        customer.notify('Choose a CSV file to import', 'error');
+        return;
+    }
+
+    file.text().then(text => {
+        pendingImport = bankingSystem.previewImport(text);
+        renderImportPreview(pendingImport);
+    }).catch(error => {
+        pendingImport = null;
+        renderImportPreview(null);
+        customer.notify(`Import failed: ${error.message}`, 'error');
+    });
+}
+
+function renderImportPreview(preview) {
+    const container = document.getElementById('import-preview');
+    const commitButton = document.getElementById('commitImportBtn');
+    commitButton.disabled = !preview || preview.summary.valid === 0;
+    if (!preview) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const { summary } = preview;
+    container.innerHTML = `
+        <p class="import-summary">
+            ${summary.total} rows: ${summary.valid} ready to import, ${summary.duplicates} duplicates, ${summary.errors} with errors
+        </p>
+        <table class="ledger-table import-table">
+            <thead>
+                <tr><th>Line</th><th>Date</th><th>Account</th><th>Type</th><th class="ledger-amount">Amount</th><th>Status</th></tr>
+            </thead>
+            <tbody>
+                ${preview.rows.map(row => `
+                    <tr class="import-${row.status}">
+                        <td>${row.line}</td>
+                        <td>${escapeMarkup(row.date)}</td>
+                        <td>${escapeMarkup(row.accountNumber)}</td>
+                        <td>${escapeMarkup(row.type)}</td>
+                        <td class="ledger-amount">${row.amount ? escapeMarkup(row.amount.format()) : ''}</td>
+                        <td>${row.status === 'error' ? escapeMarkup(row.errors.join('; ')) : row.status}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function commitImport() {
+    const customer = bankingSystem.getCurrentCustomer();
+    if (!pendingImport) return;
+
+    try {
+        const result = bankingSystem.commitImport(pendingImport);
+        customer.notify(
+            `Imported ${result.imported} transactions` +
+            (result.pendingApproval ? `; ${result.pendingApproval} are waiting for approval` : ''),
+            'success'
+        );
+    } catch (error) {
+        customer.notify(`Import stopped: ${error.message}`, 'error');
+    }
+    pendingImport = null;
+    document.getElementById('importFile').value = '';
+    renderImportPreview(null);
+}
+
+// Notification settings and inbox
+function updateNotificationChannel(channel, enabled) {
+    try {
+        bankingSystem.setNotificationChannel(channel, enabled);
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not update notifications: ${error.message}`, 'error');
+    }
+}
+
+function updateNotificationPreference(eventType, setting, value) {
+    try {
+        bankingSystem.setNotificationPreference(eventType, setting, value);
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not update notifications: ${error.message}`, 'error');
+        bankingView.updateNotificationSettings();
+    }
+}
+
+async function markNotificationRead(notificationId) {
+    try {
+        await bankingSystem.markNotificationRead(notificationId);
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not update the inbox: ${error.message}`, 'error');
+    }
+}
+
+async function markAllNotificationsRead() {
+    try {
+        await bankingSystem.markAllNotificationsRead();
+    } catch (error) {
+        bankingSystem.getCurrentCustomer().notify(`Could not update the inbox: ${error.message}`, 'error');
+    }
+}
+
+async function undoLastTransaction() {
+    const customer = bankingSystem.getCurrentCustomer();
+    try {
+        if (await bankingSystem.undoLastTransaction()) {
+            customer.notify('Last transaction has been undone successfully', 'warning');
+        } else {
+            customer.notify('No transactions to undo', 'error');
+        }
+    } catch (error) {
+        customer.notify(`Undo failed: ${error.message}`, 'error');
+    }
+}
+
+async function redoTransaction() {
+    const customer = bankingSystem.getCurrentCustomer();
+    try {
+        if (await bankingSystem.redoTransaction()) {
+            customer.notify('Transaction has been redone successfully', 'success');
+        } else {
+            customer.notify('No transactions to redo', 'error');
+        }
+    } catch (error) {
+        customer.notify(`Redo failed: ${error.message}`, 'error');
+    }
+}
+
+function verifyAuditLedger() {
+    const customer = bankingSystem.getCurrentCustomer();
+    const result = bankingSystem.verifyAuditLedger();
+    if (result.valid) {
+        customer.notify(`Audit ledger verified: ${bankingSystem.auditLedger.entries.length} entries intact`, 'success');
     } else {
-        const customer = Array.from(bankingSystem.customers.values())[0];
-        customer.update('No transactions to undo', 'error');
+        customer.notify(`Audit ledger hash chain is broken at entry #${result.brokenAt}`, 'error');
+    }
+}
+
+async function goToTimelinePosition(position) {
+    try {
+        await bankingSystem.goToTimelinePosition(position);
+    } catch (error) {
+        const customer = bankingSystem.getCurrentCustomer();
+        customer.notify(`Could not move timeline: ${error.message}`, 'error');
     }
 }
 
+// Undo/redo keyboard shortcuts, leaving native undo inside form fields alone
+document.addEventListener('keydown', function(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') {
+        return;
+    }
+    if (event.target.closest && event.target.closest('input, textarea, select')) {
+        return;
+    }
+
+    event.preventDefault();
+    if (event.shiftKey) {
+        redoTransaction();
+    } else {
+        undoLastTransaction();
+    }
+});
+
 // Close modal when clicking outside
 window.addEventListener('click', function(event) {
     const modals = document.querySelectorAll('.modal');
@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { BankingSystem, Money } = require('../bank-core.js');
+const { createApiServer } = require('../api-server.js');
+const { createBank, CUSTOMER_EMAIL, MANAGER_EMAIL } = require('./helpers.js');
+
+const DEMO_PASSWORD = 'securebank-demo';
+
+// A server for a freshly seeded bank on an ephemeral port, closed when the test ends.
+// `call` sends JSON and returns [status, parsed body].
+async function startServer(t) {
+    const { bank, clock, storage } = createBank();
+    const server = createApiServer(bank);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    const port = server.address().port;
+
+    const call = async (method, path, { body, token, headers = {} } = {}) => {
+        const response = await fetch(`http://127.0.0.1:${port}/api${path}`, {
+            method,
+            headers: {
+                ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return [response.status, text ? JSON.parse(text) : null];
+    };
+
+    const signIn = async email => {
+        const [status, session] = await call('POST', '/sessions', { body: { email, password: DEMO_PASSWORD } });
+        assert.equal(status, 201);
+        return session.token;
+    };
+
+    return { bank, clock, storage, port, call, signIn };
+}
+
+// Sends headers fetch would not let through, such as Host
+function rawRequest(port, headers) {
+    return new Promise((resolve, reject) => {
+        const request = http.request({ host: '127.0.0.1', port, path: '/api/state', headers }, response => {
+            let text = '';
+            response.on('data', chunk => {
+                text += chunk;
+            });
+            response.on('end', () => resolve([response.statusCode, JSON.parse(text)]));
+        });
+        request.on('error', reject);
+        request.end();
+    });
+}
+
+test('signing in returns a token that later requests run under', async t => {
+    const { call, signIn } = await startServer(t);
+    const token = await signIn(CUSTOMER_EMAIL);
+
+    const [status, accounts] = await call('GET', '/accounts', { token });
+    assert.equal(status, 200);
+    assert.deepEqual(accounts.map(account => account.accountNumber), ['ACC1000', 'ACC1001', 'ACC1002']);
+    assert.deepEqual(accounts[0].balance, { amount: '5000.00', currency: 'USD' });
+});
+
+test('errors have a code and message, with 401 without a session and 403 without permission', async t => {
+    const { call, signIn } = await startServer(t);
+
+    const [anonymous, anonymousBody] = await call('GET', '/accounts');
+    assert.equal(anonymous, 401);
+    assert.equal(anonymousBody.error.code, 'NOT_AUTHENTICATED');
+    assert.equal(typeof anonymousBody.error.message, 'string');
+
+    const [badLogin, badLoginBody] = await call('POST', '/sessions', { body: { email: CUSTOMER_EMAIL, password: 'wrong' } });
+    assert.equal(badLogin, 401);
+    assert.equal(badLoginBody.error.code, 'INVALID_CREDENTIALS');
+
+    const token = await signIn(CUSTOMER_EMAIL);
+    const [approval, approvalBody] = await call('POST', '/approvals/APR1/approve', { token, body: {} });
+    assert.equal(approval, 403);
+    assert.ok(approvalBody.error.code);
+});
+
+test('invalid fields are answered with 400 naming the field', async t => {
+    const { call, signIn } = await startServer(t);
+    const token = await signIn(MANAGER_EMAIL);
+
+    const [amount, amountBody] = await call('POST', '/accounts/ACC1000/deposits', { token, body: { amount: '-5' } });
+    assert.equal(amount, 400);
+    assert.deepEqual(
+        { code: amountBody.error.code, field: amountBody.error.field },
+        { code: 'INVALID_REQUEST', field: 'amount' }
+    );
+
+    const [currency, currencyBody] = await call('POST', '/accounts', {
+        token,
+        body: { accountType: 'savings', ownerIds: ['CUS1000'], currency: 'XYZ' }
+    });
+    assert.equal(currency, 400);
+    assert.equal(currencyBody.error.field, 'currency');
+
+    const [json, jsonBody] = await call('POST', '/transfers', { token, body: '{"amount":' });
+    assert.equal(json, 400);
+    assert.equal(jsonBody.error.code, 'INVALID_JSON');
+});
+
+test('unknown endpoints and accounts are 404, and other methods 405', async t => {
+    const { call, signIn } = await startServer(t);
+    const token = await signIn(CUSTOMER_EMAIL);
+
+    const [endpoint, endpointBody] = await call('GET', '/nowhere', { token });
+    assert.equal(endpoint, 404);
+    assert.equal(endpointBody.error.code, 'NOT_FOUND');
+
+    const [account, accountBody] = await call('POST', '/accounts/ACC9999/deposits', { token, body: { amount: '5' } });
+    assert.equal(account, 404);
+    assert.equal(accountBody.error.code, 'ACCOUNT_NOT_FOUND');
+
+    const [method] = await call('DELETE', '/accounts', { token });
+    assert.equal(method, 405);
+});
+
+test('bodies must be JSON and at most 64KB', async t => {
+    const { call, signIn } = await startServer(t);
+    const token = await signIn(CUSTOMER_EMAIL);
+
+    const [mediaType, mediaTypeBody] = await call('POST', '/accounts/ACC1000/deposits', {
+        token,
+        body: 'amount=5',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    assert.equal(mediaType, 415);
+    assert.equal(mediaTypeBody.error.code, 'UNSUPPORTED_MEDIA_TYPE');
+
+    const [size, sizeBody] = await call('POST', '/accounts/ACC1000/deposits', {
+        token,
+        body: { amount: '5', description: 'x'.repeat(70 * 1024) }
+    });
+    assert.equal(size, 413);
+    assert.equal(sizeBody.error.code, 'BODY_TOO_LARGE');
+});
+
+test('what the bank refuses is 422 with the rule that refused it', async t => {
+    const { call, signIn } = await startServer(t);
+    const token = await signIn(CUSTOMER_EMAIL);
+
+    const [status, body] = await call('POST', '/accounts/ACC1000/withdrawals', { token, body: { amount: '6000' } });
+    assert.equal(status, 422);
+    assert.equal(body.error.code, 'INSUFFICIENT_FUNDS');
+});
+
+test('amounts that need approval are 202 until a manager approves them', async t => {
+    const { call, signIn } = await startServer(t);
+    const customer = await signIn(CUSTOMER_EMAIL);
+
+    const [status, { pendingApproval }] = await call('POST', '/accounts/ACC1000/deposits', {
+        token: customer,
+        body: { amount: '20000' }
+    });
+    assert.equal(status, 202);
+    assert.equal(pendingApproval.status, 'pending');
+
+    const [selfApproval] = await call('POST', `/approvals/${pendingApproval.id}/approve`, { token: customer, body: {} });
+    assert.equal(selfApproval, 403);
+
+    const manager = await signIn(MANAGER_EMAIL);
+    const [approved, approval] = await call('POST', `/approvals/${pendingApproval.id}/approve`, { token: manager, body: {} });
+    assert.equal(approved, 200);
+    assert.equal(approval.status, 'approved');
+
+    const [, account] = await call('GET', '/accounts/ACC1000', { token: customer });
+    assert.equal(account.balance.amount, '25000.00');
+});
+
+test('a retry with the same Idempotency-Key returns the first result', async t => {
+    const { call, signIn } = await startServer(t);
+    const token = await signIn(CUSTOMER_EMAIL);
+    const request = { token, body: { amount: '25' }, headers: { 'Idempotency-Key': 'deposit-1' } };
+
+    const [first, firstBody] = await call('POST', '/accounts/ACC1000/deposits', request);
+    const [retry, retryBody] = await call('POST', '/accounts/ACC1000/deposits', request);
+    assert.equal(first, 201);
+    assert.equal(retry, 201);
+    assert.equal(retryBody.transaction.id, firstBody.transaction.id);
+    assert.equal(retryBody.account.balance.amount, '5025.00');
+
+    const [reused, reusedBody] = await call('POST', '/accounts/ACC1000/deposits', { ...request, body: { amount: '30' } });
+    assert.equal(reused, 422);
+    assert.equal(reusedBody.error.code, 'IDEMPOTENCY_KEY_REUSED');
+
+    const [invalidKey, invalidKeyBody] = await call('POST', '/accounts/ACC1000/deposits', {
+        ...request,
+        headers: { 'Idempotency-Key': 'has spaces' }
+    });
+    assert.equal(invalidKey, 400);
+    assert.equal(invalidKeyBody.error.field, 'Idempotency-Key');
+});
+
+test('each request starts from the saved state, so changes made elsewhere are seen', async t => {
+    const { call, signIn, clock, storage } = await startServer(t);
+    const token = await signIn(CUSTOMER_EMAIL);
+
+    // As the CLI would, working on the same storage
+    const other = new BankingSystem(storage, undefined, clock);
+    other.asSystem(() => other.deposit('ACC1000', Money.parse('100')));
+
+    const [, account] = await call('GET', '/accounts/ACC1000', { token });
+    assert.equal(account.balance.amount, '5100.00');
+
+    const [status] = await call('POST', '/accounts/ACC1000/deposits', { token, body: { amount: '1' } });
+    assert.equal(status, 201);
+    other.reloadState();
+    assert.equal(other.getAccount('ACC1000').balance.toDecimalString(), '5101.00');
+});
+
+test('changes are refused with 503 while the saved state cannot be loaded', async t => {
+    const { call, signIn, storage } = await startServer(t);
+    const token = await signIn(CUSTOMER_EMAIL);
+    t.mock.method(console, 'warn', () => {});
+
+    // Written by a newer version, so it must not be saved over
+    storage.save({ ...storage.load(), version: 999 });
+
+    const [status, body] = await call('POST', '/accounts/ACC1000/deposits', { token, body: { amount: '5' } });
+    assert.equal(status, 503);
+    assert.equal(body.error.code, 'STATE_UNAVAILABLE');
+    assert.equal(storage.load().version, 999);
+});
+
+test('requests addressed to another host or from another origin are refused', async t => {
+    const { port } = await startServer(t);
+
+    const [host, hostBody] = await rawRequest(port, { Host: `rebound.example:${port}` });
+    assert.equal(host, 403);
+    assert.equal(hostBody.error.code, 'HOST_NOT_ALLOWED');
+
+    const [origin, originBody] = await rawRequest(port, { Host: `127.0.0.1:${port}`, Origin: 'http://evil.example' });
+    assert.equal(origin, 403);
+    assert.equal(originBody.error.code, 'ORIGIN_NOT_ALLOWED');
+
+    const [local] = await rawRequest(port, { Host: `localhost:${port}`, Origin: `http://localhost:${port}` });
+    assert.equal(local, 200);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../bank-core.js');
+const { createBank, signIn, balanceOf, CUSTOMER_EMAIL, MANAGER_EMAIL } = require('./helpers.js');
+
+// John tops up his savings, then asks for a withdrawal over the $10,000 threshold
+async function requestLargeWithdrawal() {
+    const setup = createBank();
+    const { bank } = setup;
+    await signIn(bank, CUSTOMER_EMAIL);
+    bank.deposit('ACC1000', Money.parse('9000'));
+    const result = bank.withdraw('ACC1000', Money.parse('12000'), 'Car');
+    return { ...setup, request: result.pendingApproval };
+}
+
+test('amounts at the threshold wait for approval without touching the balance', async () => {
+    const { bank, request } = await requestLargeWithdrawal();
+
+    assert.equal(request.status, 'pending');
+    assert.equal(balanceOf(bank, 'ACC1000'), '14000.00');
+    assert.deepEqual(bank.getPendingApprovals().map(item => item.id), [request.id]);
+});
+
+test('a customer cannot approve requests', async () => {
+    const { bank, request } = await requestLargeWithdrawal();
+
+    assert.throws(() => bank.approveRequest(request.id), { name: 'AuthError' });
+    assert.equal(request.status, 'pending');
+});
+
+test('a manager\'s approval runs the command', async () => {
+    const { bank, request } = await requestLargeWithdrawal();
+    await signIn(bank, MANAGER_EMAIL);
+
+    bank.approveRequest(request.id);
+    assert.equal(request.status, 'approved');
+    assert.equal(balanceOf(bank, 'ACC1000'), '2000.00');
+});
+
+test('rejected and expired requests leave the books as they were', async () => {
+    const { bank, clock, request } = await requestLargeWithdrawal();
+    const second = bank.withdraw('ACC1000', Money.parse('10000')).pendingApproval;
+    await signIn(bank, MANAGER_EMAIL);
+
+    bank.rejectRequest(request.id, 'Call the customer first');
+    assert.equal(request.status, 'rejected');
+
+    clock.advanceDays(2);
+    assert.deepEqual(bank.getPendingApprovals(), []);
+    assert.equal(second.status, 'expired');
+    assert.equal(balanceOf(bank, 'ACC1000'), '14000.00');
+});
+
+test('a request that can no longer post is marked failed', async () => {
+    const { bank, request } = await requestLargeWithdrawal();
+    bank.withdraw('ACC1000', Money.parse('5000'));
+    await signIn(bank, MANAGER_EMAIL);
+
+    assert.throws(() => bank.approveRequest(request.id), { code: 'INSUFFICIENT_FUNDS' });
+    assert.equal(request.status, 'failed');
+    assert.equal(balanceOf(bank, 'ACC1000'), '9000.00');
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Money } = require('../bank-core.js');
+const { createBank, signIn, balanceOf, CUSTOMER_EMAIL } = require('./helpers.js');
+
+const DEMO_PASSWORD = 'securebank-demo';
+
+// RFC 6238 TOTP for a base32 secret, worked out here rather than with the bank's own code
+function totpCode(secret, date) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const bits = [...secret.replace(/=+$/, '')].map(char => alphabet.indexOf(char).toString(2).padStart(5, '0')).join('');
+    const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(date.getTime() / 30000)));
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+async function enrollTwoFactor(bank, clock) {
+    await signIn(bank, CUSTOMER_EMAIL);
+    const { secret, uri } = bank.beginTwoFactorEnrollment();
+    assert.match(uri, /^otpauth:\/\/totp\/SecureBank%3Ajohn%40example\.com\?secret=/);
+    const recoveryCodes = await bank.confirmTwoFactorEnrollment(totpCode(secret, clock.now()));
+    bank.logout();
+    return { secret, recoveryCodes };
+}
+
+test('a wrong password is refused, and unknown emails fail the same way', async () => {
+    const { bank } = createBank();
+    await assert.rejects(bank.login(CUSTOMER_EMAIL, 'wrong-password'), { code: 'INVALID_CREDENTIALS' });
+    await assert.rejects(bank.login('nobody@example.com', DEMO_PASSWORD), { code: 'INVALID_CREDENTIALS' });
+
+    await bank.login(' John@Example.com ', DEMO_PASSWORD);
+    assert.equal(bank.auth.session.customerId, 'CUS1000');
+});
+
+test('five failed sign-ins lock the login for 15 minutes', async () => {
+    const { bank, clock } = createBank();
+    for (let i = 0; i < 5; i++) {
+        await assert.rejects(bank.login(CUSTOMER_EMAIL, 'wrong-password'), { code: 'INVALID_CREDENTIALS' });
+    }
+    await assert.rejects(bank.login(CUSTOMER_EMAIL, DEMO_PASSWORD), { code: 'LOGIN_LOCKED' });
+
+    clock.set(new Date(clock.now().getTime() + 15 * 60 * 1000));
+    await bank.login(CUSTOMER_EMAIL, DEMO_PASSWORD);
+});
+
+test('an idle session locks until the password is entered again', async () => {
+    const { bank, clock } = createBank();
+    await signIn(bank, CUSTOMER_EMAIL);
+    clock.set(new Date(clock.now().getTime() + 5 * 60 * 1000));
+
+    assert.throws(() => bank.deposit('ACC1000', Money.parse('10')), { code: 'SESSION_LOCKED' });
+    await assert.rejects(bank.unlockSession('wrong-password'), { code: 'INVALID_CREDENTIALS' });
+    await bank.unlockSession(DEMO_PASSWORD);
+    bank.deposit('ACC1000', Money.parse('10'));
+    assert.equal(balanceOf(bank, 'ACC1000'), '5010.00');
+});
+
+test('with two-factor on, sign-in needs a current code that has not been used', async () => {
+    const { bank, clock } = createBank();
+    const { secret } = await enrollTwoFactor(bank, clock);
+
+    await assert.rejects(bank.login(CUSTOMER_EMAIL, DEMO_PASSWORD), { code: 'TWO_FACTOR_REQUIRED' });
+    await assert.rejects(bank.login(CUSTOMER_EMAIL, DEMO_PASSWORD, '000000'), { code: 'INVALID_TWO_FACTOR_CODE' });
+
+    // The code that confirmed enrollment cannot be replayed
+    await assert.rejects(bank.login(CUSTOMER_EMAIL, DEMO_PASSWORD, totpCode(secret, clock.now())), { code: 'INVALID_TWO_FACTOR_CODE' });
+
+    clock.set(new Date(clock.now().getTime() + 30 * 1000));
+    await bank.login(CUSTOMER_EMAIL, DEMO_PASSWORD, totpCode(secret, clock.now()));
+    assert.equal(bank.auth.session.customerId, 'CUS1000');
+});
+
+test('recovery codes sign in once each', async () => {
+    const { bank, clock } = createBank();
+    const { recoveryCodes } = await enrollTwoFactor(bank, clock);
+    assert.equal(recoveryCodes.length, 8);
+
+    await bank.login(CUSTOMER_EMAIL, DEMO_PASSWORD, recoveryCodes[0]);
+    bank.logout();
+    await assert.rejects(bank.login(CUSTOMER_EMAIL, DEMO_PASSWORD, recoveryCodes[0]), { code: 'INVALID_TWO_FACTOR_CODE' });
+});
+
+test('two-factor enrollment needs a matching code, and turning it off the password', async () => {
+    const { bank, clock } = createBank();
+    await signIn(bank, CUSTOMER_EMAIL);
+    bank.beginTwoFactorEnrollment();
+    await assert.rejects(bank.confirmTwoFactorEnrollment('123456'), { code: 'INVALID_TWO_FACTOR_CODE' });
+    assert.equal(bank.auth.isTwoFactorEnabled('CUS1000'), false);
+
+    const { secret } = bank.beginTwoFactorEnrollment();
+    await bank.confirmTwoFactorEnrollment(totpCode(secret, clock.now()));
+    await assert.rejects(bank.disableTwoFactor('wrong-password'), { code: 'INVALID_CREDENTIALS' });
+    await bank.disableTwoFactor(DEMO_PASSWORD);
+    assert.equal(bank.auth.isTwoFactorEnabled('CUS1000'), false);
+});
+
+test('a new customer sets their first password with a setup code, once', async () => {
+    const { bank } = createBank();
+    const customer = bank.asSystem(() => bank.createCustomer('Pat Kim', 'pat@example.com'));
+    const code = bank.asSystem(() => bank.issueSetupCode(customer.id));
+
+    await assert.rejects(bank.createPassword('pat@example.com', 'aaaa-bbbb-cccc-dddd', 'a-long-password'), { code: 'INVALID_SETUP_CODE' });
+    await assert.rejects(bank.createPassword('pat@example.com', code, 'short'), { code: 'WEAK_PASSWORD' });
+    await bank.createPassword('pat@example.com', code, 'a-long-password');
+    assert.equal(bank.auth.session.customerId, customer.id);
+
+    bank.logout();
+    await assert.rejects(bank.createPassword('pat@example.com', code, 'another-password'), { code: 'PASSWORD_ALREADY_SET' });
+});
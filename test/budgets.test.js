@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../bank-core.js');
+const { createBank, signIn, CUSTOMER_EMAIL, MANAGER_EMAIL } = require('./helpers.js');
+
+const budgetAlerts = bank => bank.getCustomer('CUS1000').inbox
+    .filter(notification => notification.eventType === 'budget-alert')
+    .map(notification => notification.message);
+
+test('the first matching rule categorizes new transactions, otherwise the type decides', async () => {
+    const { bank } = createBank();
+    await signIn(bank, CUSTOMER_EMAIL);
+    bank.addCategoryRule({ category: 'groceries', descriptionContains: 'market' });
+    bank.addCategoryRule({ category: 'shopping', minAmount: 100 });
+
+    const groceries = bank.withdraw('ACC1001', Money.parse('150'), 'Farmers Market');
+    const shopping = bank.withdraw('ACC1001', Money.parse('150'), 'Shoes');
+    const other = bank.withdraw('ACC1001', Money.parse('20'), 'Cash');
+    const income = bank.deposit('ACC1001', Money.parse('200'), 'Market stall takings');
+
+    assert.deepEqual(
+        [groceries, shopping, other, income].map(transaction => transaction.category),
+        ['groceries', 'shopping', 'other', 'income']
+    );
+});
+
+test('rules need something to match on and a known category', async () => {
+    const { bank } = createBank();
+    await signIn(bank, CUSTOMER_EMAIL);
+
+    assert.throws(() => bank.addCategoryRule({ category: 'groceries' }), /needs description text or an amount bound/);
+    assert.throws(() => bank.addCategoryRule({ category: 'treats', descriptionContains: 'cake' }), /Unknown category/);
+    assert.throws(() => bank.addCategoryRule({ category: 'dining', minAmount: 50, maxAmount: 10 }), /Minimum amount cannot be above/);
+});
+
+test('owners are alerted at the alert level and again past the limit', async () => {
+    const { bank } = createBank();
+    await signIn(bank, CUSTOMER_EMAIL);
+    bank.addCategoryRule({ category: 'dining', descriptionContains: 'cafe' });
+    bank.setBudget('dining', Money.parse('100'), 80);
+
+    bank.withdraw('ACC1001', Money.parse('70'), 'Cafe');
+    assert.equal(budgetAlerts(bank).length, 0);
+
+    bank.withdraw('ACC1001', Money.parse('15'), 'Cafe');
+    assert.equal(budgetAlerts(bank).length, 1);
+    assert.match(budgetAlerts(bank)[0], /reached 85% of its \$100\.00 budget/);
+
+    bank.withdraw('ACC1001', Money.parse('5'), 'Cafe');
+    assert.equal(budgetAlerts(bank).length, 1);
+
+    bank.withdraw('ACC1001', Money.parse('20'), 'Cafe');
+    assert.equal(budgetAlerts(bank).length, 2);
+    assert.match(budgetAlerts(bank)[0], /\$110\.00 this month is over its \$100\.00 budget/);
+});
+
+test('setting a budget again replaces its limit', async () => {
+    const { bank } = createBank();
+    await signIn(bank, CUSTOMER_EMAIL);
+    const first = bank.setBudget('groceries', Money.parse('300'));
+    const second = bank.setBudget('groceries', Money.parse('400'), 90);
+
+    assert.equal(second.id, first.id);
+    assert.equal(bank.getBudgets().length, 1);
+    assert.equal(second.limit.toDecimalString(), '400.00');
+    assert.throws(() => bank.setBudget('income', Money.parse('100')), /Cannot budget for category/);
+    assert.throws(() => bank.setBudget('groceries', Money.parse('100'), 120), /whole percentage/);
+});
+
+test('customers manage only their own budgets, staff anyone\'s', async () => {
+    const { bank } = createBank();
+    await signIn(bank, CUSTOMER_EMAIL);
+    assert.throws(() => bank.setBudget('dining', Money.parse('50'), 80, 'CUS1001'), { code: 'ACCESS_DENIED' });
+
+    await signIn(bank, MANAGER_EMAIL);
+    bank.setBudget('dining', Money.parse('50'), 80, 'CUS1000');
+    assert.equal(bank.getBudgets('CUS1000').length, 1);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { main, parseArguments } = require('../cli.js');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+// A state file path in a directory removed when the test ends
+function tempStatePath(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bank-cli-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return path.join(directory, 'state.json');
+}
+
+function runCli(args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
+
+test('parseArguments separates options from positional arguments', () => {
+    assert.deepEqual(parseArguments(['deposit', 'ACC1000', '--key', 'k1', '25', '--json']), {
+        positional: ['deposit', 'ACC1000', '25'],
+        options: { key: 'k1', json: true }
+    });
+    assert.throws(() => parseArguments(['deposit', '--key']), /--key needs a value/);
+    assert.throws(() => parseArguments(['--verbose']), /Unknown option --verbose/);
+});
+
+test('commands work on the state file and save it', t => {
+    const state = tempStatePath(t);
+    assert.match(main(['--state', state, 'deposit', 'ACC1000', '25', 'Cash']), /Balance: \$5,025\.00/);
+    assert.match(main(['--state', state, 'transfer', 'ACC1000', 'ACC1001', '100']), /Balances: \$4,925\.00 and \$2,600\.00/);
+
+    const accounts = JSON.parse(main(['--state', state, 'accounts', '--json']));
+    assert.deepEqual(accounts.find(account => account.accountNumber === 'ACC1000').balance, { minorUnits: 492500, currency: 'USD' });
+
+    const history = main(['--state', state, 'history', 'ACC1000', '--limit', '1']);
+    assert.equal(history.split('\n').length, 1);
+    assert.match(history, /transfer/);
+
+    assert.equal(main(['--state', state, 'undo']), 'Undid the most recent transaction');
+    assert.match(main(['--state', state, 'accounts']), /ACC1000.*\$5,025\.00/);
+});
+
+test('--key makes a repeated deposit report the first transaction', t => {
+    const state = tempStatePath(t);
+    const first = main(['--state', state, 'deposit', 'ACC1000', '25', '--key', 'cash-1']);
+    const retry = main(['--state', state, 'deposit', 'ACC1000', '25', '--key', 'cash-1']);
+    assert.equal(retry, first);
+    assert.match(main(['--state', state, 'accounts']), /ACC1000.*\$5,025\.00/);
+    assert.throws(() => main(['--state', state, 'deposit', 'ACC1000', '30', '--key', 'cash-1']), { code: 'IDEMPOTENCY_KEY_REUSED' });
+});
+
+test('usage mistakes exit with 2 and refused commands with 1', t => {
+    const state = tempStatePath(t);
+
+    const help = runCli(['--help']);
+    assert.equal(help.status, 0);
+    assert.match(help.stdout, /^Usage: bank/);
+
+    for (const args of [['frobnicate'], ['deposit', 'ACC1000'], ['create-account', 'savings', '--currency', 'XYZ'], ['history', 'ACC1000', '--limit']]) {
+        const result = runCli(['--state', state, ...args]);
+        assert.equal(result.status, 2, args.join(' '));
+        assert.match(result.stderr, /^bank: /);
+    }
+
+    const overdrawn = runCli(['--state', state, 'transfer', 'ACC1000', 'ACC1001', '9000']);
+    assert.equal(overdrawn.status, 1);
+    assert.match(overdrawn.stderr, /^bank: /);
+
+    const missing = runCli(['--state', state, 'history', 'ACC9999']);
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Account ACC9999 not found/);
+});
+
+test('a state file that cannot be read is left as it was', t => {
+    const state = tempStatePath(t);
+    fs.writeFileSync(state, '{ not json');
+
+    const result = runCli(['--state', state, 'deposit', 'ACC1000', '25']);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /could not be loaded, so it was left as it was/);
+    assert.equal(fs.readFileSync(state, 'utf8'), '{ not json');
+    assert.equal(fs.readFileSync(`${state}.backup`, 'utf8'), '{ not json');
+});
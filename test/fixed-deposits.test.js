@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../bank-core.js');
+const { createBank, balanceOf } = require('./helpers.js');
+
+test('a fixed deposit is locked until maturity unless the policy allows early withdrawal', () => {
+    const { bank } = createBank();
+    assert.throws(() => bank.asSystem(() => bank.withdraw('ACC1002', Money.parse('1000'))), { code: 'FIXED_DEPOSIT_LOCKED' });
+
+    bank.asSystem(() => {
+        bank.setFixedDepositPolicy({ allowEarlyWithdrawal: true, penaltyRate: 0.02 });
+        bank.withdraw('ACC1002', Money.parse('1000'));
+    });
+    assert.equal(balanceOf(bank, 'ACC1002'), '8980.00');
+    assert.equal(bank.getAccount('ACC1002').transactionHistory.at(-1).type, 'fee');
+});
+
+test('the early withdrawal penalty must be covered by the balance', () => {
+    const { bank } = createBank();
+    bank.asSystem(() => bank.setFixedDepositPolicy({ allowEarlyWithdrawal: true }));
+    assert.throws(() => bank.asSystem(() => bank.withdraw('ACC1002', Money.parse('9900'))), { code: 'INSUFFICIENT_FUNDS' });
+    assert.equal(balanceOf(bank, 'ACC1002'), '10000.00');
+    assert.throws(() => bank.asSystem(() => bank.setFixedDepositPolicy({ penaltyRate: 1.5 })), /between 0% and 100%/);
+});
+
+test('at maturity a deposit is paid out with its interest to the payout account', () => {
+    const { bank, clock } = createBank();
+    const deposit = bank.asSystem(() => bank.createAccount('fixed', Money.parse('5000'), ['CUS1000'], {
+        fixedDeposit: { termMonths: 6, maturityInstruction: 'payout', payoutAccountNumber: 'ACC1001' }
+    }));
+
+    clock.set(new Date('2026-09-10T12:00:00Z'));
+    bank.runDailyProcessing();
+
+    assert.equal(deposit.status, 'paid-out');
+    assert.equal(deposit.balance.toDecimalString(), '0.00');
+    const paidOut = Money.parse(balanceOf(bank, 'ACC1001')).subtract(Money.parse('2500'));
+    assert.ok(paidOut.greaterThan(Money.parse('5000')));
+    assert.ok(bank.getCustomer('CUS1000').inbox.some(notification => notification.message.includes('paid out to ACC1001')));
+    assert.equal(bank.generalLedger.trialBalance().balanced, true);
+});
+
+test('a deposit set to roll over starts a new term from its maturity date', () => {
+    const { bank, clock } = createBank();
+    clock.set(new Date('2027-03-11T12:00:00Z'));
+    bank.runDailyProcessing();
+
+    const deposit = bank.getAccount('ACC1002');
+    assert.equal(deposit.status, 'active');
+    assert.equal(deposit.startDate.toISOString(), '2027-03-10T12:00:00.000Z');
+    assert.equal(deposit.maturityDate.toISOString(), '2028-03-10T12:00:00.000Z');
+    assert.ok(deposit.balance.greaterThan(Money.parse('10000')));
+});
+
+test('fixed deposits are offered for 6, 12 or 24 months and need a deposit', () => {
+    const { bank } = createBank();
+    assert.throws(
+        () => bank.asSystem(() => bank.createAccount('fixed', Money.parse('100'), ['CUS1000'], { fixedDeposit: { termMonths: 7 } })),
+        /offered for 6\/12\/24 months/
+    );
+    assert.throws(() => bank.asSystem(() => bank.createAccount('fixed', Money.zero(), ['CUS1000'])), /require an initial deposit/);
+});
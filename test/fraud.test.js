@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../bank-core.js');
+const { createBank, signIn, balanceOf, CUSTOMER_EMAIL, MANAGER_EMAIL } = require('./helpers.js');
+
+test('too many withdrawals in a short window are blocked and opened for review', () => {
+    const { bank } = createBank();
+    bank.asSystem(() => {
+        for (let i = 0; i < 5; i++) {
+            bank.withdraw('ACC1001', Money.parse('10'));
+        }
+    });
+
+    assert.throws(() => bank.asSystem(() => bank.withdraw('ACC1001', Money.parse('10'))), { code: 'FRAUD_BLOCKED' });
+    assert.equal(balanceOf(bank, 'ACC1001'), '2450.00');
+
+    const [review] = bank.asSystem(() => bank.getFraudReviews());
+    assert.equal(review.outcome, 'blocked');
+    assert.equal(review.status, 'open');
+    assert.deepEqual(review.reasons.map(hit => hit.ruleId), ['velocity']);
+});
+
+test('round deposits just below the reporting threshold are flagged but still post', () => {
+    const { bank } = createBank();
+    bank.asSystem(() => {
+        bank.deposit('ACC1000', Money.parse('9500'));
+        bank.deposit('ACC1000', Money.parse('9800'));
+    });
+
+    assert.equal(balanceOf(bank, 'ACC1000'), '24300.00');
+    const reviews = bank.asSystem(() => bank.getFraudReviews());
+    assert.equal(reviews.length, 1);
+    assert.equal(reviews[0].outcome, 'flagged');
+    assert.deepEqual(reviews[0].reasons.map(hit => hit.ruleId), ['structuring']);
+});
+
+test('a disabled rule no longer screens, and invalid settings are refused', () => {
+    const { bank } = createBank();
+    bank.asSystem(() => {
+        bank.setFraudRule('velocity', { enabled: false });
+        for (let i = 0; i < 6; i++) {
+            bank.withdraw('ACC1001', Money.parse('10'));
+        }
+    });
+    assert.equal(balanceOf(bank, 'ACC1001'), '2440.00');
+
+    assert.throws(() => bank.asSystem(() => bank.setFraudRule('velocity', { maxCount: 0 })), /must be a positive number/);
+    assert.throws(() => bank.asSystem(() => bank.setFraudRule('velocity', { action: 'ignore' })), /must be flag or block/);
+    assert.throws(() => bank.asSystem(() => bank.setFraudRule('velocity', { colour: 'red' })), /has no setting colour/);
+});
+
+test('staff close review cases, and customers cannot see them', async () => {
+    const { bank } = createBank();
+    bank.asSystem(() => {
+        bank.deposit('ACC1000', Money.parse('9500'));
+        bank.deposit('ACC1000', Money.parse('9800'));
+    });
+
+    await signIn(bank, CUSTOMER_EMAIL);
+    assert.throws(() => bank.getFraudReviews(), { name: 'AuthError' });
+
+    await signIn(bank, MANAGER_EMAIL);
+    const [review] = bank.getFraudReviews();
+    bank.reviewFraudCase(review.id, 'cleared', ' Salary bonus ');
+    assert.deepEqual(
+        { status: review.status, reviewedBy: review.reviewedBy, note: review.note },
+        { status: 'cleared', reviewedBy: 'CUS1001', note: 'Salary bonus' }
+    );
+    assert.throws(() => bank.reviewFraudCase(review.id, 'confirmed'), /already cleared/);
+});
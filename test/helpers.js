@@ -0,0 +1,26 @@
+// Shared setup for the core tests: a freshly seeded bank on in-memory storage and a
+// manual clock, so every test starts from the same demo data.
+
+const { BankingSystem, MemoryStorageAdapter, ManualClock } = require('../bank-core.js');
+
+const DEMO_PASSWORD = 'securebank-demo';
+const CUSTOMER_EMAIL = 'john@example.com';
+const MANAGER_EMAIL = 'morgan.lee@securebank.example';
+
+// The seed gives John Doe ACC1000 (savings, $5,000), ACC1001 (checking, $2,500)
+// and ACC1002 (fixed deposit, $10,000)
+function createBank() {
+    const clock = new ManualClock(new Date('2026-03-10T12:00:00Z'));
+    const storage = new MemoryStorageAdapter();
+    const bank = new BankingSystem(storage, undefined, clock);
+    return { bank, clock, storage };
+}
+
+const balanceOf = (bank, accountNumber) => bank.getAccount(accountNumber).balance.toDecimalString();
+
+async function signIn(bank, email) {
+    bank.logout();
+    await bank.login(email, DEMO_PASSWORD);
+}
+
+module.exports = { createBank, signIn, balanceOf, CUSTOMER_EMAIL, MANAGER_EMAIL };
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BankingSystem, Money } = require('../bank-core.js');
+const { createBank, balanceOf } = require('./helpers.js');
+
+test('retrying with the same key and request returns the original transaction', () => {
+    const { bank } = createBank();
+    const first = bank.asSystem(() => bank.deposit('ACC1000', Money.parse('100'), 'Paycheck', 'key-1'));
+    const retry = bank.asSystem(() => bank.deposit('ACC1000', Money.parse('100'), 'Paycheck', 'key-1'));
+
+    assert.equal(retry.id, first.id);
+    assert.equal(balanceOf(bank, 'ACC1000'), '5100.00');
+});
+
+test('a retried transfer returns both original legs', () => {
+    const { bank } = createBank();
+    const first = bank.asSystem(() => bank.transfer('ACC1000', 'ACC1001', Money.parse('200'), '', 'key-1'));
+    const retry = bank.asSystem(() => bank.transfer('ACC1000', 'ACC1001', Money.parse('200'), '', 'key-1'));
+
+    assert.equal(retry.from.id, first.from.id);
+    assert.equal(retry.to.id, first.to.id);
+    assert.equal(balanceOf(bank, 'ACC1000'), '4800.00');
+    assert.equal(balanceOf(bank, 'ACC1001'), '2700.00');
+});
+
+test('reusing a key for a different request is refused and posts nothing', () => {
+    const { bank } = createBank();
+    bank.asSystem(() => bank.deposit('ACC1000', Money.parse('100'), '', 'key-1'));
+
+    assert.throws(
+        () => bank.asSystem(() => bank.deposit('ACC1000', Money.parse('150'), '', 'key-1')),
+        { code: 'IDEMPOTENCY_KEY_REUSED' }
+    );
+    assert.throws(
+        () => bank.asSystem(() => bank.withdraw('ACC1000', Money.parse('100'), '', 'key-1')),
+        { code: 'IDEMPOTENCY_KEY_REUSED' }
+    );
+    assert.equal(balanceOf(bank, 'ACC1000'), '5100.00');
+});
+
+test('keys are remembered for 24 hours', () => {
+    const { bank, clock } = createBank();
+    const first = bank.asSystem(() => bank.deposit('ACC1000', Money.parse('100'), '', 'key-1'));
+
+    clock.set(new Date(clock.now().getTime() + 23 * 60 * 60 * 1000));
+    const retry = bank.asSystem(() => bank.deposit('ACC1000', Money.parse('100'), '', 'key-1'));
+    assert.equal(retry.id, first.id);
+
+    clock.set(new Date(clock.now().getTime() + 2 * 60 * 60 * 1000));
+    const afresh = bank.asSystem(() => bank.deposit('ACC1000', Money.parse('100'), '', 'key-1'));
+    assert.notEqual(afresh.id, first.id);
+    assert.equal(balanceOf(bank, 'ACC1000'), '5200.00');
+});
+
+test('keys survive a save and reload', () => {
+    const { bank, clock, storage } = createBank();
+    const first = bank.asSystem(() => bank.deposit('ACC1000', Money.parse('100'), '', 'key-1'));
+
+    const reloaded = new BankingSystem(storage, undefined, clock);
+    const retry = reloaded.asSystem(() => reloaded.deposit('ACC1000', Money.parse('100'), '', 'key-1'));
+    assert.equal(retry.id, first.id);
+    assert.equal(balanceOf(reloaded, 'ACC1000'), '5100.00');
+});
+
+test('ids issued after a reload never repeat ones in the saved state', () => {
+    const { bank, clock, storage } = createBank();
+    bank.asSystem(() => bank.deposit('ACC1000', Money.parse('100')));
+
+    // State saved by another process whose id sequence ran ahead of this one
+    const state = storage.load();
+    state.lastTransactionId = Date.now() + 60 * 60 * 1000;
+    storage.save(state);
+
+    const reloaded = new BankingSystem(storage, undefined, clock);
+    const transaction = reloaded.asSystem(() => reloaded.deposit('ACC1000', Money.parse('50')));
+    assert.ok(transaction.id > state.lastTransactionId);
+
+    const ids = reloaded.getAccount('ACC1000').transactionHistory.map(item => item.id);
+    assert.equal(new Set(ids).size, ids.length);
+});
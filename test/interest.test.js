@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../bank-core.js');
+const { createBank, balanceOf } = require('./helpers.js');
+
+const interestPostings = (bank, accountNumber) => bank.getAccount(accountNumber).transactionHistory
+    .filter(transaction => transaction.type === 'interest' || transaction.type === 'overdraft-interest');
+
+test('interest accrues daily and posts at the end of each month', () => {
+    const { bank, clock } = createBank();
+    clock.set(new Date('2026-03-31T12:00:00Z'));
+    bank.runDailyProcessing();
+    assert.equal(interestPostings(bank, 'ACC1000').length, 0);
+    // 21 days at 2.5% on $5,000
+    assert.equal(bank.interestEngine.getAccruedInterest(bank.getAccount('ACC1000')).toDecimalString(), '7.19');
+
+    clock.set(new Date('2026-04-01T12:00:00Z'));
+    const postings = bank.runDailyProcessing();
+    assert.deepEqual(
+        postings.map(({ account, amount }) => [account.accountNumber, amount.toDecimalString()]),
+        [['ACC1000', '7.53'], ['ACC1002', '27.12']]
+    );
+    assert.equal(balanceOf(bank, 'ACC1000'), '5007.53');
+    assert.equal(interestPostings(bank, 'ACC1000')[0].timestamp.toISOString(), '2026-04-01T00:00:00.000Z');
+});
+
+test('catching up after a long gap posts once for each month missed', () => {
+    const { bank, clock } = createBank();
+    clock.set(new Date('2026-06-15T12:00:00Z'));
+    bank.runDailyProcessing();
+
+    assert.deepEqual(
+        interestPostings(bank, 'ACC1000').map(transaction => transaction.timestamp.toISOString().slice(0, 10)),
+        ['2026-04-01', '2026-05-01', '2026-06-01']
+    );
+    assert.equal(bank.generalLedger.trialBalance().balanced, true);
+});
+
+test('days caught up on earn on the balance they had, not the current one', () => {
+    const { bank, clock } = createBank();
+    clock.set(new Date('2026-03-25T12:00:00Z'));
+    bank.asSystem(() => bank.withdraw('ACC1000', Money.parse('4000')));
+
+    clock.set(new Date('2026-04-01T12:00:00Z'));
+    bank.runDailyProcessing();
+    // 15 days on $5,000 and 7 days on $1,000, at 2.5%
+    const [posting] = interestPostings(bank, 'ACC1000');
+    assert.equal(posting.amount.toDecimalString(), '5.62');
+});
+
+test('running again on the same day accrues nothing more', () => {
+    const { bank, clock } = createBank();
+    clock.set(new Date('2026-04-01T12:00:00Z'));
+    bank.runDailyProcessing();
+    assert.deepEqual(bank.runDailyProcessing(), []);
+    assert.equal(balanceOf(bank, 'ACC1000'), '5007.53');
+});
+
+test('an overdrawn balance is charged overdraft interest', () => {
+    const { bank, clock } = createBank();
+    bank.asSystem(() => bank.withdraw('ACC1001', Money.parse('2900')));
+    clock.set(new Date('2026-04-01T12:00:00Z'));
+    bank.runDailyProcessing();
+
+    const [charge] = interestPostings(bank, 'ACC1001');
+    assert.equal(charge.type, 'overdraft-interest');
+    assert.equal(charge.side, 'debit');
+    assert.ok(bank.getAccount('ACC1001').balance.lessThan(Money.parse('-400')));
+});
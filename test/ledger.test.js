@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BankingSystem, Money } = require('../bank-core.js');
+const { createBank } = require('./helpers.js');
+
+test('every posting keeps the general ledger balanced', () => {
+    const { bank } = createBank();
+    bank.asSystem(() => {
+        bank.deposit('ACC1000', Money.parse('125.50'), 'Paycheck');
+        bank.withdraw('ACC1001', Money.parse('40'), 'Cash');
+        bank.transfer('ACC1000', 'ACC1001', Money.parse('300'), 'Rent');
+    });
+
+    assert.equal(bank.generalLedger.trialBalance().balanced, true);
+    assert.equal(bank.getAccount('ACC1000').balance.toDecimalString(), '4825.50');
+    assert.equal(bank.getAccount('ACC1001').balance.toDecimalString(), '2760.00');
+});
+
+test('a transfer posts matching legs on both accounts', () => {
+    const { bank } = createBank();
+    const { from, to } = bank.asSystem(() => bank.transfer('ACC1000', 'ACC1001', Money.parse('75')));
+
+    assert.equal(from.transfer.transferId, to.transfer.transferId);
+    assert.equal(from.amount.toDecimalString(), '75.00');
+    assert.equal(from.side, 'debit');
+    assert.equal(to.side, 'credit');
+});
+
+test('a refused withdrawal leaves the books untouched', () => {
+    const { bank } = createBank();
+    const entries = bank.generalLedger.entries.length;
+
+    assert.throws(
+        () => bank.asSystem(() => bank.withdraw('ACC1000', Money.parse('999999'))),
+        { code: 'INSUFFICIENT_FUNDS' }
+    );
+    assert.equal(bank.generalLedger.entries.length, entries);
+    assert.equal(bank.getAccount('ACC1000').balance.toDecimalString(), '5000.00');
+});
+
+test('the audit ledger hash chain verifies after activity and a reload', () => {
+    const { bank, storage, clock } = createBank();
+    bank.asSystem(() => bank.deposit('ACC1000', Money.parse('10')));
+    assert.equal(bank.verifyAuditLedger().valid, true);
+
+    const reloaded = new BankingSystem(storage, undefined, clock);
+    assert.equal(reloaded.verifyAuditLedger().valid, true);
+    assert.equal(reloaded.getAccount('ACC1000').balance.toDecimalString(), '5010.00');
+});
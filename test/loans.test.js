@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LoanAccount, Money } = require('../bank-core.js');
+const { createBank } = require('./helpers.js');
+
+function loanOf(principal, apr, termMonths) {
+    return new LoanAccount('LN1000', undefined, {
+        principal: Money.parse(principal),
+        apr,
+        termMonths,
+        repaymentAccountNumber: 'ACC1001',
+        startDate: new Date('2026-01-15T00:00:00Z')
+    });
+}
+
+test('the schedule repays exactly the principal', () => {
+    const { installments } = loanOf('10000', 6.5, 12);
+
+    assert.equal(installments.length, 12);
+    assert.equal(installments[0].payment.toDecimalString(), '862.96');
+    assert.equal(installments[0].interest.toDecimalString(), '54.17');
+    assert.ok(Money.sum(installments.map(installment => installment.principal)).equals(Money.parse('10000')));
+    assert.ok(installments.at(-1).balance.isZero());
+});
+
+test('interest is rounded half to even', () => {
+    // 6% a year is 0.5% a month: half a cent on $1.00, which rounds down to zero
+    const { installments } = loanOf('1.00', 6, 2);
+
+    assert.equal(installments[0].interest.toDecimalString(), '0.00');
+    assert.ok(installments.at(-1).balance.isZero());
+});
+
+test('interest-free loans split the principal evenly', () => {
+    const { installments } = loanOf('1234.56', 0, 7);
+
+    assert.equal(installments[0].payment.toDecimalString(), '176.37');
+    assert.equal(installments.at(-1).payment.toDecimalString(), '176.34');
+    assert.ok(installments.every(installment => installment.interest.isZero()));
+});
+
+test('interest to a payoff counts what was owed on each day since the last charge', () => {
+    const { bank, clock } = createBank();
+    const loan = bank.asSystem(() => bank.createAccount('loan', Money.zero(), ['CUS1000'], {
+        loan: { principal: Money.parse('12000'), apr: 6, termMonths: 12, repaymentAccountNumber: 'ACC1001' }
+    }));
+
+    clock.advanceDays(10);
+    bank.asSystem(() => bank.repayLoan(loan.accountNumber, Money.parse('6000')));
+    clock.advanceDays(10);
+
+    // 10 days owing $12,000 and 10 owing $6,000, at 6%
+    const quote = bank.asSystem(() => bank.getLoanPayoffQuote(loan.accountNumber));
+    assert.equal(quote.accruedInterest.toDecimalString(), '29.59');
+
+    bank.asSystem(() => bank.repayLoan(loan.accountNumber));
+    assert.equal(loan.status, 'paid-off');
+    assert.equal(bank.generalLedger.trialBalance().balanced, true);
+});
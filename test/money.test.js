@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../bank-core.js');
+
+test('parses decimal strings exactly into minor units', () => {
+    assert.equal(Money.parse('19.99').minorUnits, 1999);
+    assert.equal(Money.parse('-0.5').minorUnits, -50);
+    assert.equal(Money.parse('1200', 'JPY').minorUnits, 1200);
+});
+
+test('refuses amounts it cannot represent exactly', () => {
+    assert.throws(() => Money.parse('1.005'), /more than 2 decimal places/);
+    assert.throws(() => Money.parse('12abc'), /not a valid amount/);
+    assert.throws(() => new Money(10.5), /safe integer/);
+});
+
+test('adds and subtracts without floating-point drift', () => {
+    const total = Money.sum(Array.from({ length: 10 }, () => Money.parse('0.10')));
+    assert.ok(total.equals(Money.parse('1.00')));
+    assert.equal(Money.parse('0.30').subtract(Money.parse('0.10')).toDecimalString(), '0.20');
+});
+
+test('refuses to mix currencies', () => {
+    assert.throws(() => Money.parse('1', 'USD').add(Money.parse('1', 'EUR')), /Currency mismatch/);
+});
+
+test('multiplies with banker\'s rounding', () => {
+    assert.equal(Money.fromMinor(5).multiply(0.5).minorUnits, 2);
+    assert.equal(Money.fromMinor(15).multiply(0.5).minorUnits, 8);
+    assert.equal(Money.fromMinor(-15).multiply(0.5).minorUnits, -8);
+    assert.equal(Money.parse('1000').multiply(0.025, 1 / 12).toDecimalString(), '2.08');
+});
+
+test('round-trips through JSON', () => {
+    const amount = Money.parse('-42.17', 'EUR');
+    assert.ok(Money.fromJSON(JSON.parse(JSON.stringify(amount))).equals(amount));
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BankingSystem, Money, MemoryStorageAdapter, ManualClock, MockMessageTransport } = require('../bank-core.js');
+const { signIn, CUSTOMER_EMAIL } = require('./helpers.js');
+
+// A seeded bank whose email and SMS transports the test can read
+function createBankWithTransports() {
+    const clock = new ManualClock(new Date('2026-03-10T12:00:00Z'));
+    const email = new MockMessageTransport();
+    const sms = new MockMessageTransport();
+    const bank = new BankingSystem(new MemoryStorageAdapter(), undefined, clock, { email, sms });
+    return { bank, clock, email, sms };
+}
+
+const inboxTypes = bank => bank.getCustomer('CUS1000').inbox.map(notification => notification.eventType);
+
+test('a large withdrawal reaches the inbox and email, and SMS once switched on', () => {
+    const { bank, email, sms } = createBankWithTransports();
+    bank.asSystem(() => bank.withdraw('ACC1000', Money.parse('1500')));
+
+    assert.ok(inboxTypes(bank).includes('large-withdrawal'));
+    assert.equal(email.sent.length, 1);
+    assert.equal(email.sent[0].to, 'john@example.com');
+    assert.match(email.sent[0].body, /Large withdrawal of \$1,500\.00 from ACC1000/);
+    assert.equal(sms.sent.length, 0);
+});
+
+test('a balance below the threshold raises a low-balance alert', () => {
+    const { bank } = createBankWithTransports();
+    bank.asSystem(() => bank.withdraw('ACC1001', Money.parse('2450')));
+    assert.ok(inboxTypes(bank).includes('low-balance'));
+});
+
+test('the same alert is sent once within its dedupe window', () => {
+    const { bank, clock, email } = createBankWithTransports();
+    bank.asSystem(() => bank.withdraw('ACC1001', Money.parse('2450')));
+    bank.asSystem(() => bank.deposit('ACC1001', Money.parse('1')));
+    bank.asSystem(() => bank.withdraw('ACC1001', Money.parse('1')));
+
+    const lowBalance = () => inboxTypes(bank).filter(type => type === 'low-balance').length;
+    assert.equal(lowBalance(), 1);
+
+    clock.advanceDays(1);
+    bank.asSystem(() => bank.withdraw('ACC1001', Money.parse('1')));
+    assert.equal(lowBalance(), 2);
+    assert.equal(email.sent.filter(message => message.subject.endsWith('Low balance')).length, 2);
+});
+
+test('preferences turn channels and events off', async () => {
+    const { bank, email } = createBankWithTransports();
+    await signIn(bank, CUSTOMER_EMAIL);
+    bank.setNotificationChannel('email', false);
+    bank.setNotificationPreference('large-withdrawal', 'inApp', false);
+
+    bank.withdraw('ACC1000', Money.parse('1500'));
+    assert.equal(email.sent.length, 0);
+    assert.ok(!inboxTypes(bank).includes('large-withdrawal'));
+    assert.throws(() => bank.setNotificationPreference('large-withdrawal', 'threshold', -1), /non-negative/);
+    assert.throws(() => bank.setNotificationChannel('pager', true), /Unknown notification channel/);
+});
+
+test('notifications are marked read one at a time or all together', async () => {
+    const { bank } = createBankWithTransports();
+    await signIn(bank, CUSTOMER_EMAIL);
+    bank.withdraw('ACC1000', Money.parse('1500'));
+    bank.withdraw('ACC1001', Money.parse('2450'));
+    const customer = bank.getCustomer('CUS1000');
+    const unread = customer.getUnreadCount();
+    assert.ok(unread >= 2);
+
+    bank.markNotificationRead(customer.inbox[0].id);
+    assert.equal(customer.getUnreadCount(), unread - 1);
+
+    bank.markAllNotificationsRead();
+    assert.equal(customer.getUnreadCount(), 0);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../bank-core.js');
+const { createBank, signIn, balanceOf, CUSTOMER_EMAIL, MANAGER_EMAIL } = require('./helpers.js');
+
+async function bankWithPayee() {
+    const setup = createBank();
+    await signIn(setup.bank, CUSTOMER_EMAIL);
+    const payee = setup.bank.addPayee({ name: 'City Power', routingNumber: '021000021', accountNumber: '987654321' });
+    return { ...setup, payee };
+}
+
+test('a payment holds the funds and settles after the rail clears it', async () => {
+    const { bank, clock, payee } = await bankWithPayee();
+
+    const payment = bank.sendPayment('ACC1001', payee.id, Money.parse('120.45'), 'March bill');
+    assert.equal(payment.status, 'submitted');
+    assert.equal(balanceOf(bank, 'ACC1001'), '2379.55');
+
+    clock.advanceDays(1);
+    bank.processPayments();
+    assert.equal(payment.status, 'settled');
+    assert.equal(bank.generalLedger.trialBalance().balanced, true);
+});
+
+test('a payment the rail rejects gives the money back', async () => {
+    const { bank, payee } = await bankWithPayee();
+    bank.paymentRail.rejectNext('R03', 'No account found');
+
+    const payment = bank.sendPayment('ACC1001', payee.id, Money.parse('80'));
+    assert.equal(payment.status, 'returned');
+    assert.equal(balanceOf(bank, 'ACC1001'), '2500.00');
+});
+
+test('large payments wait for approval before any money moves', async () => {
+    const { bank, payee } = await bankWithPayee();
+    bank.deposit('ACC1000', Money.parse('9000'));
+
+    const { pendingApproval } = bank.sendPayment('ACC1000', payee.id, Money.parse('12000'));
+    assert.equal(balanceOf(bank, 'ACC1000'), '14000.00');
+    assert.deepEqual(bank.payments, []);
+
+    await signIn(bank, MANAGER_EMAIL);
+    bank.approveRequest(pendingApproval.id);
+    assert.equal(balanceOf(bank, 'ACC1000'), '2000.00');
+    assert.deepEqual(bank.payments.map(payment => payment.status), ['submitted']);
+});
+
+test('payments go through fraud screening', async () => {
+    const { bank, payee } = await bankWithPayee();
+    for (let count = 0; count < 5; count++) {
+        bank.sendPayment('ACC1001', payee.id, Money.parse('10'));
+    }
+
+    assert.throws(() => bank.sendPayment('ACC1001', payee.id, Money.parse('10')), { code: 'FRAUD_BLOCKED' });
+    assert.equal(balanceOf(bank, 'ACC1001'), '2450.00');
+});
+
+test('payments cannot be undone', async () => {
+    const { bank, payee } = await bankWithPayee();
+    bank.sendPayment('ACC1001', payee.id, Money.parse('25'));
+
+    assert.equal(bank.transactionManager.commandHistory.length, 0);
+    assert.equal(bank.undoLastTransaction(), false);
+    assert.equal(balanceOf(bank, 'ACC1001'), '2475.00');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../bank-core.js');
+const { createBank, signIn, balanceOf, CUSTOMER_EMAIL } = require('./helpers.js');
+
+const dates = schedule => schedule.history.map(entry => entry.scheduledFor.toISOString().slice(0, 10));
+
+test('a transfer starting today pays at once', () => {
+    const { bank } = createBank();
+    const schedule = bank.asSystem(() => bank.createScheduledTransfer('ACC1001', 'ACC1000', Money.parse('100')));
+
+    assert.equal(schedule.status, 'completed');
+    assert.equal(schedule.history[0].status, 'completed');
+    assert.equal(balanceOf(bank, 'ACC1001'), '2400.00');
+});
+
+test('monthly orders on the 31st fall on the last day of shorter months', () => {
+    const { bank, clock } = createBank();
+    const schedule = bank.asSystem(() => bank.createScheduledTransfer('ACC1001', 'ACC1000', Money.parse('100'), 'Savings', {
+        frequency: 'monthly', startDate: new Date('2026-03-31T00:00:00Z'), maxOccurrences: 3
+    }));
+
+    clock.set(new Date('2026-06-15T12:00:00Z'));
+    bank.runScheduledTransfers();
+    assert.deepEqual(dates(schedule), ['2026-03-31', '2026-04-30', '2026-05-31']);
+    assert.equal(schedule.status, 'completed');
+    assert.equal(balanceOf(bank, 'ACC1001'), '2200.00');
+});
+
+test('a refused payment is retried daily and given up after the last attempt', () => {
+    const { bank, clock } = createBank();
+    const schedule = bank.asSystem(() => bank.createScheduledTransfer('ACC1001', 'ACC1000', Money.parse('4000')));
+    assert.equal(schedule.history[0].status, 'retrying');
+
+    clock.advanceDays(1);
+    bank.runScheduledTransfers();
+    clock.advanceDays(1);
+    bank.runScheduledTransfers();
+
+    assert.deepEqual(schedule.history.map(entry => entry.status), ['retrying', 'retrying', 'failed']);
+    assert.equal(schedule.status, 'completed');
+    assert.equal(balanceOf(bank, 'ACC1001'), '2500.00');
+    assert.ok(bank.getCustomer('CUS1000').inbox.some(notification => notification.message.includes('4,000.00')));
+});
+
+test('occurrences that fall due while paused are skipped', () => {
+    const { bank, clock } = createBank();
+    const schedule = bank.asSystem(() => bank.createScheduledTransfer('ACC1001', 'ACC1000', Money.parse('10'), '', {
+        frequency: 'daily', startDate: new Date('2026-03-11T00:00:00Z')
+    }));
+    bank.asSystem(() => bank.pauseScheduledTransfer(schedule.id));
+
+    clock.advanceDays(3);
+    bank.runScheduledTransfers();
+    assert.equal(schedule.history.length, 0);
+
+    bank.asSystem(() => bank.resumeScheduledTransfer(schedule.id));
+    bank.runScheduledTransfers();
+    assert.deepEqual(schedule.history.map(entry => entry.status), ['skipped', 'skipped', 'completed']);
+    assert.equal(balanceOf(bank, 'ACC1001'), '2490.00');
+});
+
+test('users cannot schedule amounts that would need approval', async () => {
+    const { bank } = createBank();
+    await signIn(bank, CUSTOMER_EMAIL);
+    bank.deposit('ACC1001', Money.parse('9000'));
+
+    assert.throws(
+        () => bank.createScheduledTransfer('ACC1001', 'ACC1000', Money.parse('10000'), '', { startDate: new Date('2026-03-20T00:00:00Z') }),
+        /need approval and cannot be scheduled/
+    );
+    assert.equal(bank.transferScheduler.schedules.size, 0);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../bank-core.js');
+const { createBank, signIn, balanceOf, CUSTOMER_EMAIL } = require('./helpers.js');
+
+test('a statement runs from the opening to the closing balance of the month', () => {
+    const { bank, clock } = createBank();
+    bank.asSystem(() => {
+        bank.deposit('ACC1001', Money.parse('300'), 'Paycheck');
+        bank.withdraw('ACC1001', Money.parse('50'), 'Groceries');
+    });
+    clock.set(new Date('2026-04-02T12:00:00Z'));
+    bank.asSystem(() => bank.withdraw('ACC1001', Money.parse('25')));
+
+    const march = bank.asSystem(() => bank.getStatement('ACC1001', 2026, 3));
+    assert.equal(march.openingBalance.toDecimalString(), '0.00');
+    assert.deepEqual(march.lines.map(({ balance }) => balance.toDecimalString()), ['2500.00', '2800.00', '2750.00']);
+    assert.equal(march.closingBalance.toDecimalString(), '2750.00');
+
+    const april = bank.asSystem(() => bank.getStatement('ACC1001', 2026, 4));
+    assert.equal(april.openingBalance.toDecimalString(), '2750.00');
+    assert.equal(april.closingBalance.toDecimalString(), '2725.00');
+});
+
+test('interest posted in the month is totalled on the statement', () => {
+    const { bank, clock } = createBank();
+    clock.set(new Date('2026-04-01T12:00:00Z'));
+    bank.runDailyProcessing();
+
+    const march = bank.asSystem(() => bank.getStatement('ACC1000', 2026, 3));
+    const april = bank.asSystem(() => bank.getStatement('ACC1000', 2026, 4));
+    assert.equal(march.interestEarned.toDecimalString(), '0.00');
+    assert.equal(april.interestEarned.toDecimalString(), '7.53');
+    assert.equal(april.closingBalance.toDecimalString(), balanceOf(bank, 'ACC1000'));
+});
+
+test('statements export as CSV with opening and closing rows', () => {
+    const { bank } = createBank();
+    bank.asSystem(() => bank.deposit('ACC1001', Money.parse('300'), 'Pay, March'));
+
+    const { filename, content } = bank.asSystem(() => bank.exportStatement('ACC1001', 2026, 3, 'csv'));
+    const rows = content.trim().split('\r\n');
+    assert.equal(filename, 'statement-ACC1001-2026-03.csv');
+    assert.equal(rows[0], 'Date,Transaction ID,Type,Description,Debit,Credit,Balance,Currency');
+    assert.ok(rows.some(row => row.includes('"Pay, March"')));
+    assert.equal(rows[rows.length - 1], '2026-03-31,,closing-balance,Closing balance,,,2800.00,USD');
+    assert.throws(() => bank.asSystem(() => bank.exportStatement('ACC1001', 2026, 3, 'pdf')), /Unknown statement format/);
+});
+
+test('an import preview sorts rows into valid, duplicate and error', async () => {
+    const { bank } = createBank();
+    await signIn(bank, CUSTOMER_EMAIL);
+    const preview = bank.previewImport([
+        'date,account,type,amount,description',
+        '2026-03-05,ACC1001,deposit,100.00,Refund',
+        '2026-03-05,ACC1001,deposit,100.00,Refund',
+        '2026-04-01,ACC1001,deposit,10.00,Tomorrow',
+        '2026-03-06,ACC9999,deposit,10.00,Nowhere',
+        '2026-03-06,ACC1001,transfer,10.00,Wrong type',
+        '2026-03-07,ACC1001,withdraw,5000.00,Too much'
+    ].join('\n'));
+
+    assert.deepEqual(preview.rows.map(row => row.status), ['valid', 'duplicate', 'error', 'error', 'error', 'error']);
+    assert.deepEqual(preview.summary, { total: 6, valid: 1, duplicates: 1, errors: 4 });
+    assert.match(preview.rows[2].errors[0], /in the future/);
+    assert.match(preview.rows[3].errors[0], /Unknown account/);
+    assert.match(preview.rows[5].errors[0], /insufficient|overdraft/i);
+    assert.throws(() => bank.previewImport('date,account,amount\n'), /missing columns: type, description/);
+});
+
+test('committing an import posts the valid rows, and importing again finds duplicates', async () => {
+    const { bank, clock } = createBank();
+    await signIn(bank, CUSTOMER_EMAIL);
+    const csv = 'date,account,type,amount,description\n2026-03-05,ACC1001,deposit,100.00,Refund\n2026-03-06,ACC1001,withdraw,40.00,Cash\n';
+
+    const result = bank.commitImport(bank.previewImport(csv));
+    assert.equal(result.imported, 2);
+    assert.equal(balanceOf(bank, 'ACC1001'), '2560.00');
+
+    const imported = bank.getAccount('ACC1001').transactionHistory.filter(transaction => transaction.importBatch === result.batchId);
+    assert.deepEqual(imported.map(transaction => transaction.fileDate), ['2026-03-05', '2026-03-06']);
+    assert.deepEqual(imported.map(transaction => transaction.timestamp), [clock.now(), clock.now()]);
+    assert.equal(bank.previewImport(csv).summary.duplicates, 2);
+});
+
+test('imported rows post at the current time, so recorded balances stay in order', async () => {
+    const { bank, clock } = createBank();
+    clock.set(new Date('2026-04-15T12:00:00Z'));
+    await signIn(bank, CUSTOMER_EMAIL);
+    bank.deposit('ACC1001', Money.parse('500'), 'Paycheck');
+    bank.commitImport(bank.previewImport('date,account,type,amount,description\n2026-03-20,ACC1001,withdraw,100.00,Rent\n'));
+
+    const history = bank.getAccount('ACC1001').transactionHistory;
+    assert.deepEqual(history.map(transaction => transaction.balance.toDecimalString()), ['3000.00', '2900.00']);
+
+    // The month already stated stays as it was
+    const march = bank.getStatement('ACC1001', 2026, 3);
+    assert.equal(march.closingBalance.toDecimalString(), '2500.00');
+    const april = bank.getStatement('ACC1001', 2026, 4);
+    assert.deepEqual(april.lines.map(({ balance }) => balance.toDecimalString()), ['3000.00', '2900.00']);
+    assert.equal(bank.generalLedger.trialBalance().balanced, true);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Money } = require('../bank-core.js');
+const { createBank, signIn, balanceOf, CUSTOMER_EMAIL, MANAGER_EMAIL } = require('./helpers.js');
+
+test('undo reverses a command and redo posts it again', () => {
+    const { bank } = createBank();
+    bank.asSystem(() => {
+        bank.transfer('ACC1000', 'ACC1001', Money.parse('200'));
+
+        assert.equal(bank.undoLastTransaction(), true);
+        assert.equal(balanceOf(bank, 'ACC1000'), '5000.00');
+        assert.equal(balanceOf(bank, 'ACC1001'), '2500.00');
+
+        assert.equal(bank.redoTransaction(), true);
+        assert.equal(balanceOf(bank, 'ACC1000'), '4800.00');
+        assert.equal(balanceOf(bank, 'ACC1001'), '2700.00');
+    });
+    assert.equal(bank.generalLedger.trialBalance().balanced, true);
+});
+
+test('undo keeps the original entry and posts a linked reversal', () => {
+    const { bank } = createBank();
+    const deposit = bank.asSystem(() => bank.deposit('ACC1000', Money.parse('50')));
+    bank.asSystem(() => bank.undoLastTransaction());
+
+    const history = bank.getAccount('ACC1000').transactionHistory;
+    const original = history.find(transaction => transaction.id === deposit.id);
+    assert.ok(original.reversedBy);
+    assert.ok(history.some(transaction => transaction.id === original.reversedBy));
+});
+
+test('a new command clears what could be redone', () => {
+    const { bank } = createBank();
+    bank.asSystem(() => {
+        bank.deposit('ACC1000', Money.parse('10'));
+        bank.undoLastTransaction();
+        bank.deposit('ACC1000', Money.parse('20'));
+        assert.equal(bank.redoTransaction(), false);
+    });
+    assert.equal(balanceOf(bank, 'ACC1000'), '5020.00');
+});
+
+test('an undo that would overdraw an account is refused and changes nothing', () => {
+    const { bank } = createBank();
+    bank.asSystem(() => {
+        const payee = bank.addPayee({ name: 'Landlord', routingNumber: '021000021', accountNumber: '12345678' }, 'CUS1000');
+        bank.deposit('ACC1000', Money.parse('1000'));
+        // Payments never go on the undo history, so the deposit is next to undo
+        bank.sendPayment('ACC1000', payee.id, Money.parse('5500'));
+    });
+
+    assert.throws(() => bank.asSystem(() => bank.undoLastTransaction()), { code: 'INSUFFICIENT_FUNDS' });
+    assert.equal(balanceOf(bank, 'ACC1000'), '500.00');
+});
+
+test('customers cannot undo interest the bank posted, but staff can', async () => {
+    const { bank, clock } = createBank();
+    clock.advanceDays(40);
+    bank.runDailyProcessing();
+    const interest = bank.transactionManager.commandHistory.at(-1);
+    assert.equal(interest.toJSON().type, 'interest');
+    const balance = balanceOf(bank, interest.account.accountNumber);
+
+    await signIn(bank, CUSTOMER_EMAIL);
+    assert.throws(() => bank.undoLastTransaction(), { code: 'ACCESS_DENIED' });
+    assert.equal(balanceOf(bank, interest.account.accountNumber), balance);
+
+    await signIn(bank, MANAGER_EMAIL);
+    assert.equal(bank.undoLastTransaction(), true);
+});
+
+test('a customer can undo their own transactions until someone else\'s come later', async () => {
+    const { bank } = createBank();
+    const other = bank.asSystem(() => {
+        const customer = bank.createCustomer('Ana Ruiz', 'ana@example.com');
+        return bank.createAccount('checking', Money.parse('100'), [customer.id]);
+    });
+    await signIn(bank, CUSTOMER_EMAIL);
+
+    bank.deposit('ACC1000', Money.parse('30'));
+    assert.equal(bank.undoLastTransaction(), true);
+
+    bank.deposit('ACC1000', Money.parse('30'));
+    bank.asSystem(() => bank.deposit(other.accountNumber, Money.parse('5')));
+    assert.throws(() => bank.undoLastTransaction(), { code: 'ACCESS_DENIED', message: /one timeline for the whole bank/ });
+    assert.equal(balanceOf(bank, 'ACC1000'), '5030.00');
+});